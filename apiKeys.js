@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+// Known token scopes
+const API_KEY_SCOPES = ['read', 'upload', 'edit', 'share', 'webhooks', 'admin'];
+
+// Keys look like tt_<prefix>_<secret>; the prefix identifies the row
+const KEY_PATTERN = /^tt_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/;
+
+/**
+ * Hash an API key for storage
+ * @param {string} key Plaintext API key
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Shape an api_keys row for API responses (the hash is never exposed)
+ * @param {Object} row Row from the api_keys table
+ * @returns {Object} Public API key representation
+ */
+function formatApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        ownerId: row.owner_id,
+        scopes: JSON.parse(row.scopes),
+        uploadPolicy: row.upload_policy ? JSON.parse(row.upload_policy) : null,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+/**
+ * Create a new API key
+ * @param {Object} options Key options
+ * @param {string} options.name Human-readable name
+ * @param {string} options.ownerId User the key acts as
+ * @param {string[]} [options.scopes] Scopes granted to the key
+ * @param {Object} [options.uploadPolicy] Upload policy overrides for the key
+ * @returns {Object} Public key representation plus the plaintext `key`,
+ *   which is not stored and cannot be retrieved again
+ */
+function createApiKey({ name, ownerId, scopes = [], uploadPolicy = null }) {
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length) {
+        throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `tt_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const db = getDb();
+    const result = db.prepare(`
+        INSERT INTO api_keys (name, key_prefix, key_hash, owner_id, scopes, upload_policy)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+        name,
+        prefix,
+        hashApiKey(key),
+        ownerId,
+        JSON.stringify([...new Set(scopes)]),
+        uploadPolicy ? JSON.stringify(uploadPolicy) : null
+    );
+
+    const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(result.lastInsertRowid);
+    return { ...formatApiKey(row), key };
+}
+
+/**
+ * Find the active key matching a presented token
+ * @param {string} token Plaintext token from the request
+ * @returns {Object|null} api_keys row, or null if unknown or revoked
+ */
+function findApiKey(token) {
+    const match = KEY_PATTERN.exec(token);
+    if (!match) {
+        return null;
+    }
+
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM api_keys WHERE key_prefix = ? AND revoked_at IS NULL').get(match[1]);
+    if (!row) {
+        return null;
+    }
+
+    // Compare digests in constant time
+    const expected = Buffer.from(row.key_hash, 'hex');
+    const actual = Buffer.from(hashApiKey(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? row : null;
+}
+
+/**
+ * Record that a key has just been used
+ * @param {number} id API key ID
+ */
+function touchApiKey(id) {
+    getDb().prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+}
+
+/**
+ * List all API keys, newest first
+ * @returns {Object[]} Public key representations
+ */
+function listApiKeys() {
+    return getDb().prepare('SELECT * FROM api_keys ORDER BY id DESC').all().map(formatApiKey);
+}
+
+/**
+ * Replace the upload policy overrides of an API key
+ * @param {number} id API key ID
+ * @param {Object|null} uploadPolicy New overrides, or null to use the
+ *   server-wide policy
+ * @returns {Object|null} Updated key, or null if it does not exist
+ */
+function setApiKeyUploadPolicy(id, uploadPolicy) {
+    const db = getDb();
+    db.prepare('UPDATE api_keys SET upload_policy = ? WHERE id = ?')
+        .run(uploadPolicy ? JSON.stringify(uploadPolicy) : null, id);
+    const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? formatApiKey(row) : null;
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id API key ID
+ * @returns {Object|null} Revoked key, or null if it does not exist
+ */
+function revokeApiKey(id) {
+    const db = getDb();
+    db.prepare('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL').run(id);
+    const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? formatApiKey(row) : null;
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    createApiKey,
+    findApiKey,
+    touchApiKey,
+    listApiKeys,
+    setApiKeyUploadPolicy,
+    revokeApiKey,
+    formatApiKey
+};
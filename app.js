@@ -2,16 +2,112 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const net = require('net');
 const { getDb } = require('./db');
-const { calculateRawVideoDuration } = require('./videoProcessing');
-const { processVideo, mergeVideos } = require('./videoProcessing');
-const { authenticateToken } = require('./middleware/auth');
+const { isAcceptedUploadType } = require('./mediaProbe');
+const { getUploadPolicy, validateUploadPolicyOverrides, getEmbedConfig, getShareConfig, formatByteSize } = require('./config');
+const {
+    getOwnedVideo,
+    getVideoTiming,
+    ingestUpload,
+    refreshThumbnail,
+    trimVideo,
+    planMerge,
+    mergeVideoRecords,
+    transcodeVideoRecord,
+    renderTimeline,
+    checkRecipe,
+    replayRecipe,
+    removeVideo
+} = require('./videoOperations');
+const { getLineage, getRecipe } = require('./lineage');
+const { resolveTrimRequest } = require('./trimming');
+const { timeToFrame, formatClock } = require('./timecode');
+const {
+    MAX_THUMBNAIL_SIZE,
+    describeFrames,
+    renderThumbnail,
+    planStoryboard,
+    renderStoryboard
+} = require('./thumbnails');
+const { CONTAINERS, QUALITY_LEVELS, getTranscodePresets, resolveTranscodeRequest } = require('./transcoding');
+const { enqueueJob, getJob, listJobs, cancelJob, JOB_STATUSES } = require('./jobQueue');
+const webhooks = require('./webhooks');
+const projects = require('./projects');
+const {
+    TUS_VERSION,
+    CHECKSUM_ALGORITHMS,
+    parseUploadMetadata,
+    parseChecksumHeader,
+    formatUploadSession,
+    createUploadSession,
+    getOwnedUploadSession,
+    isUploadSessionExpired,
+    isUploadSessionBusy,
+    writeChunk,
+    finaliseUploadSession,
+    deleteUploadSession
+} = require('./resumableUploads');
+const { authenticateToken, requireScope } = require('./middleware/auth');
+const { createApiKey, listApiKeys, setApiKeyUploadPolicy, revokeApiKey, API_KEY_SCOPES } = require('./apiKeys');
+const { sendVideoFile, getContentType } = require('./videoStreaming');
+const {
+    MANIFESTS,
+    parseStreamFormats,
+    getVideoStream,
+    requestStreamPackaging,
+    resolveStreamFile,
+    isStreamManifest,
+    addManifestQuery
+} = require('./streamPackaging');
+const {
+    renderSharePage,
+    renderEmbedPage,
+    renderShareErrorPage,
+    renderPasswordPage,
+    buildOEmbed,
+    getContentSecurityPolicy,
+    isBrowserPlayable,
+    PLAYER_SCRIPTS
+} = require('./sharePage');
+const {
+    SHARE_MODES,
+    validateShareSettings,
+    validateSignedShareSettings,
+    createShareLink,
+    createSignedShareLink,
+    findShareLink,
+    recordShareDownload,
+    startShareViewing,
+    continueShareViewing,
+    listShareLinks,
+    getOwnedShareLink,
+    updateShareLink,
+    revokeShareLink
+} = require('./shareLinks');
+const {
+    checkShareAccess,
+    checkShareAudience,
+    checkSharePassword,
+    isFromTrustedProxy,
+    buildAccessCookie,
+    createViewingGrant,
+    readViewingGrant,
+    buildViewingCookie,
+    VIEWING_GRANT_PARAM
+} = require('./shareAccess');
+const { getVideoKey, readStoredRange } = require('./storage');
+const { listQuarantinedUploads, deleteQuarantinedUpload } = require('./quarantine');
 const swaggerUi = require('swagger-ui-express');
 const specs = require('./swagger');
 
 const app = express();
 app.use(express.json());
 
+// Take client addresses from X-Forwarded-For only when set by a trusted proxy,
+// as share links restricted to IP ranges depend on them
+app.set('trust proxy', getShareConfig().trustedProxies);
+
 // Serve Swagger documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
@@ -36,37 +132,135 @@ const fileFilter = (req, file, cb) => {
     }
 
     // Check file type
-    const allowedTypes = ['video/mp4', 'video/raw', 'video/quicktime'];
-    if (!allowedTypes.includes(file.mimetype) && !file.originalname.endsWith('.raw')) {
-        cb(new Error('Invalid file type. Only video files are allowed'), false);
+    if (!isAcceptedUploadType(file.mimetype, file.originalname, req.uploadPolicy)) {
+        const error = new Error('Invalid file type. Only video files are allowed');
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        cb(error, false);
         return;
     }
 
     cb(null, true);
 };
 
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: {
-        fileSize: 1024 * 1024 * 1024 // 1GB
+/**
+ * Work out the caller's upload policy, responding with a 500 error if it
+ * cannot be used: UPLOAD_POLICY_CONFLICT when the token's overrides no
+ * longer fit the server-wide policy, a plain error when the server-wide
+ * policy itself is invalid. Both are configuration faults, not the caller's
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Object|null} Upload policy, or null if a response was sent
+ */
+function getCallerUploadPolicy(req, res) {
+    try {
+        return getUploadPolicy(req.user.uploadPolicy);
+    } catch (error) {
+        console.error('Error resolving upload policy:', error);
+        if (error.code === 'UPLOAD_POLICY_CONFLICT') {
+            sendUploadError(res, {
+                error: `The upload policy of this API key conflicts with the server-wide policy: ${error.message}`,
+                code: 'UPLOAD_POLICY_CONFLICT'
+            });
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+        return null;
     }
-});
+}
+
+/**
+ * Receive the uploaded video under the caller's upload policy
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Next middleware
+ */
+const receiveVideo = (req, res, next) => {
+    req.uploadPolicy = getCallerUploadPolicy(req, res);
+    if (!req.uploadPolicy) {
+        return;
+    }
+    const upload = multer({
+        storage,
+        fileFilter,
+        limits: {
+            fileSize: req.uploadPolicy.maxFileSize
+        }
+    });
+    upload.single('video')(req, res, next);
+};
+
+// HTTP status for each upload policy violation and failed content check
+const UPLOAD_ERROR_STATUSES = {
+    FILE_TOO_LARGE: 413,
+    UPLOAD_POLICY_CONFLICT: 500,
+    UNSUPPORTED_FILE_TYPE: 415,
+    DURATION_TOO_LONG: 400,
+    DURATION_TOO_SHORT: 400,
+    UNRECOGNISED_CONTENT: 415,
+    CONTENT_TYPE_MISMATCH: 415,
+    PROBE_FAILED: 400,
+    EMPTY_VIDEO: 400,
+    RAW_FRAME_MISALIGNED: 400,
+    STORAGE_FAILED: 500
+};
+
+/**
+ * Respond to a rejected upload, with the code of the upload policy or
+ * content check that failed if there is one
+ * @param {Object} res Express response
+ * @param {Object} rejection { error, code, details, quarantineId }
+ */
+function sendUploadError(res, { error, code, ...rest }) {
+    if (code) {
+        return res.status(UPLOAD_ERROR_STATUSES[code]).json({ error, code, ...rest });
+    }
+    res.status(400).json({ error });
+}
 
 // Handle file upload errors
 const handleUploadError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: 'Video duration exceeds maximum allowed length' });
+            return sendUploadError(res, {
+                error: `File exceeds maximum upload size (${formatByteSize(req.uploadPolicy.maxFileSize)})`,
+                code: 'FILE_TOO_LARGE'
+            });
         }
         return res.status(400).json({ error: err.message });
     }
+    if (err && UPLOAD_ERROR_STATUSES[err.code]) {
+        return sendUploadError(res, { error: err.message, code: err.code });
+    }
     if (err) {
         return res.status(400).json({ error: err.message });
     }
     next();
 };
 
+/**
+ * Check whether the client asked for an operation to run as a background job
+ * @param {Object} req Express request
+ * @returns {boolean} True for `?async=true` or `"async": true` in the body
+ */
+function wantsAsync(req) {
+    return req.query.async === 'true' || req.body.async === true;
+}
+
+/**
+ * Respond 202 Accepted for a newly queued job
+ * @param {Object} res Express response
+ * @param {Object} job Queued job
+ */
+function sendJobAccepted(res, job) {
+    res.status(202)
+        .location(`/jobs/${job.id}`)
+        .json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`
+        });
+}
+
 /**
  * @swagger
  * /upload:
@@ -86,6 +280,23 @@ const handleUploadError = (err, req, res, next) => {
  *                 type: string
  *                 format: binary
  *                 description: Video file to upload
+ *               width:
+ *                 type: integer
+ *                 default: 320
+ *                 description: Frame width of a raw video
+ *               height:
+ *                 type: integer
+ *                 default: 240
+ *                 description: Frame height of a raw video
+ *               fps:
+ *                 type: number
+ *                 default: 30
+ *                 description: Frame rate of a raw video
+ *               pixelFormat:
+ *                 type: string
+ *                 enum: [rgb24, rgba, gray, yuv420p, yuv422p, nv12]
+ *                 default: rgb24
+ *                 description: Pixel format of a raw video
  *     responses:
  *       200:
  *         description: Video uploaded successfully
@@ -94,242 +305,486 @@ const handleUploadError = (err, req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Video'
  *       400:
- *         description: Invalid request
+ *         description: Invalid request, or duration outside the upload policy (DURATION_TOO_LONG, DURATION_TOO_SHORT)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/UploadError'
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Invalid authentication token
+ *         description: Invalid authentication token or missing upload scope
+ *       413:
+ *         description: File is larger than the upload policy allows (FILE_TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       415:
+ *         description: File type is not allowed by the upload policy (UNSUPPORTED_FILE_TYPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       500:
+ *         description: The upload policy is misconfigured, or the key's upload policy overrides
+ *           conflict with the server-wide policy (UPLOAD_POLICY_CONFLICT)
  */
-app.post('/upload', authenticateToken, upload.single('video'), handleUploadError, async (req, res) => {
+app.post('/upload', authenticateToken, requireScope('upload'), receiveVideo, handleUploadError, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No video file provided' });
         }
 
-        const filepath = req.file.path;
-        const filename = req.file.filename;
-        const filesize = fs.statSync(filepath).size;
-
-        // Calculate duration
-        const duration = calculateRawVideoDuration(filepath);
-
-        // Check if duration exceeds maximum allowed length (5 minutes)
-        if (duration > 300) { // 5 minutes in seconds
-            fs.unlinkSync(filepath); // Delete the uploaded file
-            return res.status(400).json({ error: 'Video duration exceeds maximum allowed length (5 minutes)' });
+        const { video, ...rejection } = await ingestUpload({
+            filepath: req.file.path,
+            fields: req.body,
+            ownerId: req.user.id,
+            originalName: req.file.originalname,
+            mimetype: req.file.mimetype,
+            policy: req.uploadPolicy
+        });
+        if (rejection.error) {
+            return sendUploadError(res, rejection);
         }
 
-        // Insert video record into database
-        const db = getDb();
-        const result = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run(filename, filepath, filesize, duration);
-
-        res.json({
-            id: result.lastInsertRowid,
-            filename,
-            duration
-        });
+        res.json(video);
     } catch (error) {
         console.error('Error processing upload:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+/**
+ * Set the headers every tus response carries
+ * @param {Object} res Express response
+ */
+function setTusHeaders(res) {
+    res.set('Tus-Resumable', TUS_VERSION);
+    res.set('Cache-Control', 'no-store');
+}
+
+/**
+ * Set the headers describing an upload session's progress
+ * @param {Object} res Express response
+ * @param {Object} session Session row
+ */
+function setUploadProgressHeaders(res, session) {
+    res.set('Upload-Offset', String(session.upload_offset));
+    res.set('Upload-Length', String(session.upload_length));
+    res.set('Upload-Expires', new Date(session.expires_at).toUTCString());
+}
+
+/**
+ * Look up the caller's upload session for a request, responding 404 if it
+ * does not exist and 410 (after discarding it) if it has expired
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {Object|null} Session row, or null once a response has been sent
+ */
+function findUploadSession(req, res) {
+    const session = getOwnedUploadSession(req.params.id, req.user.id);
+    if (!session) {
+        res.status(404).json({ error: 'Upload not found' });
+        return null;
+    }
+    if (isUploadSessionExpired(session)) {
+        deleteUploadSession(session);
+        res.status(410).json({ error: 'Upload has expired' });
+        return null;
+    }
+    return session;
+}
+
 /**
  * @swagger
- * /videos/{id}/trim:
+ * /uploads:
+ *   options:
+ *     summary: Describe the resumable upload protocol supported
+ *     description: >
+ *       Resumable uploads follow the tus 1.0.0 protocol with the creation,
+ *       expiration, checksum and termination extensions.
+ *     tags: [Uploads]
+ *     responses:
+ *       204:
+ *         description: Protocol capabilities in the Tus-* headers
+ */
+app.options('/uploads', (req, res) => {
+    setTusHeaders(res);
+    res.set({
+        'Tus-Version': TUS_VERSION,
+        'Tus-Max-Size': String(getUploadPolicy().maxFileSize),
+        'Tus-Extension': 'creation,expiration,checksum,termination',
+        'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+    });
+    res.status(204).end();
+});
+
+/**
+ * @swagger
+ * /uploads:
  *   post:
- *     summary: Trim a video
- *     tags: [Videos]
+ *     summary: Start a resumable upload
+ *     description: >
+ *       Creates an upload session to send the file to in chunks with PATCH.
+ *       Sessions that receive nothing for UPLOAD_SESSION_TTL_HOURS (24 by
+ *       default) are discarded.
+ *     tags: [Uploads]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: header
+ *         name: Upload-Length
  *         required: true
  *         schema:
  *           type: integer
- *         description: Video ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               trimStart:
- *                 type: number
- *                 description: Seconds to trim from start
- *               trimEnd:
- *                 type: number
- *                 description: Seconds to trim from end
+ *         description: Total size of the file in bytes
+ *       - in: header
+ *         name: Upload-Metadata
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Comma-separated "key base64value" pairs. filename is required;
+ *           filetype is the MIME type; width, height, fps and pixelFormat
+ *           describe raw videos as in POST /upload.
  *     responses:
- *       200:
- *         description: Video trimmed successfully
+ *       201:
+ *         description: Upload session created; its URL is in the Location header
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/UploadSession'
  *       400:
  *         description: Invalid request
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Invalid authentication token
- *       404:
- *         description: Video not found
+ *       413:
+ *         description: Upload-Length is larger than the upload policy allows (FILE_TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       415:
+ *         description: File type is not allowed by the upload policy (UNSUPPORTED_FILE_TYPE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       500:
+ *         description: The upload policy is misconfigured, or the key's upload policy overrides
+ *           conflict with the server-wide policy (UPLOAD_POLICY_CONFLICT)
  */
-app.post('/videos/:id/trim', authenticateToken, async (req, res) => {
+app.post('/uploads', authenticateToken, requireScope('upload'), (req, res) => {
     try {
-        const videoId = req.params.id;
-        const { trimStart, trimEnd } = req.body;
+        setTusHeaders(res);
 
-        // Validate trim parameters
-        if (!trimStart && !trimEnd) {
-            return res.status(400).json({ error: 'Must specify either trimStart or trimEnd' });
+        const lengthHeader = req.get('Upload-Length');
+        const uploadLength = Number(lengthHeader);
+        if (lengthHeader === undefined || !/^\d+$/.test(lengthHeader) || uploadLength < 1) {
+            return res.status(400).json({ error: 'Upload-Length must be a positive number of bytes' });
         }
 
-        if ((trimStart && trimStart < 0) || (trimEnd && trimEnd < 0)) {
-            return res.status(400).json({ error: 'Trim values must be positive' });
+        const { metadata, error: metadataError } = parseUploadMetadata(req.get('Upload-Metadata'));
+        if (metadataError) {
+            return res.status(400).json({ error: metadataError });
         }
 
-        // Get video from database
-        const db = getDb();
-        const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+        const policy = getCallerUploadPolicy(req, res);
+        if (!policy) {
+            return;
+        }
+        const { session, ...rejection } = createUploadSession({
+            ownerId: req.user.id,
+            uploadLength,
+            metadata,
+            policy
+        });
+        if (rejection.error) {
+            return sendUploadError(res, rejection);
+        }
 
-        if (!video) {
-            return res.status(404).json({ error: 'Video not found' });
+        setUploadProgressHeaders(res, session);
+        res.status(201).location(`/uploads/${session.id}`).json(formatUploadSession(session));
+    } catch (error) {
+        console.error('Error creating upload:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /uploads/{id}:
+ *   head:
+ *     summary: Get how much of a resumable upload has been received
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload session ID
+ *     responses:
+ *       200:
+ *         description: Progress in the Upload-Offset, Upload-Length and Upload-Expires headers
+ *       404:
+ *         description: Upload not found
+ *       410:
+ *         description: Upload has expired
+ *   get:
+ *     summary: Get a resumable upload session
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload session ID
+ *     responses:
+ *       200:
+ *         description: Upload session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadSession'
+ *       404:
+ *         description: Upload not found
+ *       410:
+ *         description: Upload has expired
+ */
+app.head('/uploads/:id([0-9a-f]{32})', authenticateToken, requireScope('upload'), (req, res) => {
+    try {
+        setTusHeaders(res);
+        const session = findUploadSession(req, res);
+        if (!session) {
+            return;
         }
 
-        // Process video
-        const result = await processVideo(video.filepath, { trimStart, trimEnd });
+        setUploadProgressHeaders(res, session);
+        res.status(200).end();
+    } catch (error) {
+        console.error('Error fetching upload:', error);
+        res.status(500).end();
+    }
+});
 
-        // Save new video to database
-        const newVideo = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run(
-            path.basename(result.outputPath),
-            result.outputPath,
-            fs.statSync(result.outputPath).size,
-            result.duration
-        );
+app.get('/uploads/:id([0-9a-f]{32})', authenticateToken, requireScope('upload'), (req, res) => {
+    try {
+        setTusHeaders(res);
+        const session = findUploadSession(req, res);
+        if (!session) {
+            return;
+        }
 
-        res.json({
-            id: newVideo.lastInsertRowid,
-            filename: path.basename(result.outputPath),
-            duration: result.duration
-        });
+        setUploadProgressHeaders(res, session);
+        res.json(formatUploadSession(session));
     } catch (error) {
-        console.error('Error processing trim:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error fetching upload:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @swagger
- * /videos/merge:
- *   post:
- *     summary: Merge multiple videos
- *     tags: [Videos]
+ * /uploads/{id}:
+ *   patch:
+ *     summary: Send the next chunk of a resumable upload
+ *     description: >
+ *       Appends the request body at Upload-Offset, which must equal the
+ *       number of bytes received so far. When the last byte arrives the file
+ *       is validated and stored exactly as POST /upload does. If the request
+ *       is interrupted, the bytes received are kept unless Upload-Checksum
+ *       was given; use HEAD to find where to resume.
+ *     tags: [Uploads]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload session ID
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Byte offset the chunk starts at
+ *       - in: header
+ *         name: Upload-Checksum
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: sha1 Kq5sNclPz7QV2+lfQIuc6R7oRu0=
+ *         description: Algorithm and base64 digest of the chunk
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         application/offset+octet-stream:
  *           schema:
- *             type: object
- *             properties:
- *               videoIds:
- *                 type: array
- *                 items:
- *                   type: integer
- *                 description: Array of video IDs to merge
+ *             type: string
+ *             format: binary
  *     responses:
  *       200:
- *         description: Videos merged successfully
+ *         description: Last chunk received and the video created
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Video'
+ *       204:
+ *         description: Chunk stored; the new offset is in Upload-Offset
  *       400:
- *         description: Invalid request
+ *         description: Invalid request, or the completed file was rejected (the session is discarded)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Invalid authentication token
  *       404:
- *         description: One or more videos not found
+ *         description: Upload not found
+ *       409:
+ *         description: Upload-Offset does not match the bytes received, or the upload is complete
+ *       410:
+ *         description: Upload has expired
+ *       413:
+ *         description: Chunk runs past Upload-Length
+ *       500:
+ *         description: The completed file could not be stored (STORAGE_FAILED), or the key's upload
+ *           policy overrides conflict with the server-wide policy (UPLOAD_POLICY_CONFLICT); the bytes
+ *           received are kept, so an empty PATCH at the final offset tries again
+ *       415:
+ *         description: Content-Type is not application/offset+octet-stream
+ *       423:
+ *         description: Another chunk is being written to this upload
+ *       460:
+ *         description: Upload-Checksum does not match the chunk; nothing was stored
  */
-app.post('/videos/merge', authenticateToken, async (req, res) => {
+app.patch('/uploads/:id([0-9a-f]{32})', authenticateToken, requireScope('upload'), async (req, res) => {
     try {
-        const { videoIds } = req.body;
+        setTusHeaders(res);
+        if (!req.is('application/offset+octet-stream')) {
+            return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+        }
 
-        if (!videoIds || !Array.isArray(videoIds)) {
-            return res.status(400).json({ error: 'Must provide an array of video IDs' });
+        const session = findUploadSession(req, res);
+        if (!session) {
+            return;
         }
 
-        if (videoIds.length < 2) {
-            return res.status(400).json({ error: 'Must provide at least two video IDs to merge' });
+        const offsetHeader = req.get('Upload-Offset');
+        if (offsetHeader === undefined || !/^\d+$/.test(offsetHeader)) {
+            return res.status(400).json({ error: 'Upload-Offset must be a number of bytes' });
+        }
+        if (session.video_id !== null) {
+            return res.status(409).json({ error: 'Upload is already complete' });
+        }
+        if (Number(offsetHeader) !== session.upload_offset) {
+            setUploadProgressHeaders(res, session);
+            return res.status(409).json({
+                error: `Upload-Offset ${offsetHeader} does not match the ${session.upload_offset} bytes received`
+            });
         }
 
-        const db = getDb();
-        const videos = [];
+        const { checksum, error: checksumError } = parseChecksumHeader(req.get('Upload-Checksum'));
+        if (checksumError) {
+            return res.status(400).json({ error: checksumError });
+        }
 
-        // Get all videos from database
-        for (const id of videoIds) {
-            const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(id);
-            if (!video) {
-                return res.status(404).json({ error: `Video with ID ${id} not found` });
-            }
-            videos.push(video);
+        const remaining = session.upload_length - session.upload_offset;
+        if (Number(req.get('Content-Length')) > remaining) {
+            return res.status(413).json({ error: `Chunk is larger than the remaining ${remaining} bytes of the upload` });
+        }
+        if (isUploadSessionBusy(session)) {
+            return res.status(423).json({ error: 'Another chunk is being written to this upload' });
         }
 
-        // Merge videos
-        const result = await mergeVideos(videos.map(v => v.filepath));
+        const written = await writeChunk(session, req, checksum);
+        if (written.error) {
+            return res.status(written.status).json({ error: written.error });
+        }
 
-        // Save new video to database
-        const newVideo = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run(
-            path.basename(result.outputPath),
-            result.outputPath,
-            fs.statSync(result.outputPath).size,
-            result.duration
-        );
+        const updated = getOwnedUploadSession(session.id, req.user.id);
+        setUploadProgressHeaders(res, updated);
+        if (written.offset < updated.upload_length) {
+            return res.status(204).end();
+        }
 
-        res.json({
-            id: newVideo.lastInsertRowid,
-            filename: path.basename(result.outputPath),
-            duration: result.duration
-        });
+        const policy = getCallerUploadPolicy(req, res);
+        if (!policy) {
+            return;
+        }
+        const { video, ...rejection } = await finaliseUploadSession(updated, policy);
+        if (rejection.error) {
+            return sendUploadError(res, rejection);
+        }
+        res.json(video);
     } catch (error) {
-        console.error('Error processing merge:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error receiving upload chunk:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @swagger
- * /videos/{id}/share:
+ * /uploads/{id}:
+ *   delete:
+ *     summary: Abandon a resumable upload
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload session ID
+ *     responses:
+ *       204:
+ *         description: Upload session and partial file deleted
+ *       404:
+ *         description: Upload not found
+ *       423:
+ *         description: A chunk is being written to this upload
+ */
+app.delete('/uploads/:id([0-9a-f]{32})', authenticateToken, requireScope('upload'), (req, res) => {
+    try {
+        setTusHeaders(res);
+        const session = getOwnedUploadSession(req.params.id, req.user.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        if (isUploadSessionBusy(session)) {
+            return res.status(423).json({ error: 'A chunk is being written to this upload' });
+        }
+
+        deleteUploadSession(session);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting upload:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/trim:
  *   post:
- *     summary: Create a share link for a video
+ *     summary: Trim a video
+ *     description: >
+ *       Describe what to keep with exactly one of trimStart/trimEnd, start/end,
+ *       startFrame/endFrame or segments. Times are seconds or timecode strings
+ *       (HH:MM:SS.mmm, or SMPTE HH:MM:SS:FF with ';' before the frames for
+ *       drop-frame). Frame ranges are exclusive of their end. Cuts land on exact
+ *       frames; container formats are re-encoded to achieve this.
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
@@ -341,118 +796,3942 @@ app.post('/videos/merge', authenticateToken, async (req, res) => {
  *           type: integer
  *         description: Video ID
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               expiryHours:
+ *               trimStart:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Seconds or timecode to trim from start
+ *               trimEnd:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Seconds or timecode to trim from end
+ *               start:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Absolute time to keep from (default start of video)
+ *               end:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Absolute time to keep until (default end of video)
+ *               startFrame:
  *                 type: integer
- *                 description: Hours until link expires (default 24)
+ *                 description: First frame to keep (default 0)
+ *               endFrame:
+ *                 type: integer
+ *                 description: Frame to stop before (default frame count)
+ *               segments:
+ *                 type: array
+ *                 maxItems: 100
+ *                 description: Ranges to keep, joined in the order given
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       oneOf:
+ *                         - type: number
+ *                         - type: string
+ *                     end:
+ *                       oneOf:
+ *                         - type: number
+ *                         - type: string
+ *                     startFrame:
+ *                       type: integer
+ *                     endFrame:
+ *                       type: integer
+ *               async:
+ *                 type: boolean
+ *                 description: Run as a background job and return 202 with a job ID (also accepted as ?async=true)
  *     responses:
  *       200:
- *         description: Share link created successfully
+ *         description: Video trimmed successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ShareLink'
+ *               $ref: '#/components/schemas/Video'
+ *       202:
+ *         description: Trim job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid or out-of-range trim points
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Invalid authentication token
+ *         description: Invalid authentication token or missing edit scope
  *       404:
  *         description: Video not found
  */
-app.post('/videos/:id/share', authenticateToken, async (req, res) => {
+app.post('/videos/:id/trim', authenticateToken, requireScope('edit'), async (req, res) => {
     try {
-        const videoId = req.params.id;
-        const { expiryHours = 24 } = req.body; // Default 24 hours expiry
-
-        // Get video from database
+        // Get video from database (only the caller's own videos are visible)
         const db = getDb();
-        const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+        const video = getOwnedVideo(db, req.params.id, req.user.id);
 
         if (!video) {
             return res.status(404).json({ error: 'Video not found' });
         }
 
-        // Generate unique token (using timestamp and random string)
-        const token = `${Date.now()}-${Math.random().toString(36).substring(2)}`;
-
-        // Calculate expiry timestamp
-        const expiryTimestamp = new Date();
-        expiryTimestamp.setHours(expiryTimestamp.getHours() + expiryHours);
+        // Resolve the request to exact frame ranges against the real frame count
+        const timing = await getVideoTiming(video);
+        const { segments, error } = resolveTrimRequest(req.body || {}, timing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        // Save share link in database
-        db.prepare(`
-            INSERT INTO share_links (video_id, token, expiry_timestamp)
-            VALUES (?, ?, ?)
-        `).run(videoId, token, expiryTimestamp.toISOString());
+        // Hand long-running work to the job queue if requested
+        if (wantsAsync(req)) {
+            const job = enqueueJob('trim', { videoId: video.id, segments }, req.user.id);
+            return sendJobAccepted(res, job);
+        }
+
+        // Process video and save it as a new video
+        res.json(await trimVideo(video, { segments }, req.user.id));
+    } catch (error) {
+        console.error('Error processing trim:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/merge:
+ *   post:
+ *     summary: Merge multiple videos
+ *     description: >
+ *       Raw videos that share a geometry are appended frame by frame. Any other
+ *       combination is decoded and concatenated with ffmpeg. Inputs whose size or
+ *       frame rate differ are rejected unless normalize is true, in which case
+ *       they are scaled, letterboxed and resampled to the target.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               videoIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Array of video IDs to merge
+ *               container:
+ *                 type: string
+ *                 enum: [raw, mp4, mov, webm, mkv]
+ *                 description: Output format (default raw when every input is raw, otherwise mp4)
+ *               normalize:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Scale, pad and resample inputs of different sizes or frame rates
+ *               width:
+ *                 type: integer
+ *                 description: Target width when normalizing (default first input's)
+ *               height:
+ *                 type: integer
+ *                 description: Target height when normalizing (default first input's)
+ *               fps:
+ *                 type: number
+ *                 description: Target frame rate when normalizing (default first input's)
+ *               pixelFormat:
+ *                 type: string
+ *                 enum: [rgb24, rgba, gray, yuv420p, yuv422p, nv12]
+ *                 description: Pixel format of raw output
+ *               codec:
+ *                 type: string
+ *                 description: Codec of container output, as for transcode
+ *               quality:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               videoBitrate:
+ *                 type: string
+ *                 description: Bitrate of container output, instead of quality
+ *               async:
+ *                 type: boolean
+ *                 description: Run as a background job and return 202 with a job ID (also accepted as ?async=true)
+ *     responses:
+ *       200:
+ *         description: Videos merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       202:
+ *         description: Merge job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid request, or inputs of different sizes or frame rates without normalize
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: One or more videos not found
+ */
+app.post('/videos/merge', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const { videoIds } = req.body;
+
+        if (!videoIds || !Array.isArray(videoIds)) {
+            return res.status(400).json({ error: 'Must provide an array of video IDs' });
+        }
+
+        if (videoIds.length < 2) {
+            return res.status(400).json({ error: 'Must provide at least two video IDs to merge' });
+        }
+
+        const db = getDb();
+        const videos = [];
+
+        // Get all videos from database
+        for (const id of videoIds) {
+            const video = getOwnedVideo(db, id, req.user.id);
+            if (!video) {
+                return res.status(404).json({ error: `Video with ID ${id} not found` });
+            }
+            videos.push(video);
+        }
+
+        // Work out the output format and whether inputs need normalising
+        const { plan, error } = planMerge(videos, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Hand long-running work to the job queue if requested
+        if (wantsAsync(req)) {
+            const job = enqueueJob('merge', { videoIds: videos.map(v => v.id), plan }, req.user.id);
+            return sendJobAccepted(res, job);
+        }
+
+        // Merge videos and save the result as a new video
+        res.json(await mergeVideoRecords(videos, plan, req.user.id));
+    } catch (error) {
+        console.error('Error processing merge:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/transcode:
+ *   post:
+ *     summary: Convert a video to another container, codec, resolution or frame rate
+ *     description: >
+ *       Starts from the named preset, if any, and applies the other fields on top.
+ *       The result is saved as a new video linked to its source.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TranscodeSettings'
+ *               - type: object
+ *                 properties:
+ *                   async:
+ *                     type: boolean
+ *                     description: Run as a background job and return 202 with a job ID (also accepted as ?async=true)
+ *     responses:
+ *       200:
+ *         description: Video transcoded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       202:
+ *         description: Transcode job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid settings or unknown preset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Video not found
+ */
+app.post('/videos/:id(\\d+)/transcode', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const { settings, error } = resolveTranscodeRequest(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        // Hand long-running work to the job queue if requested
+        if (wantsAsync(req)) {
+            const job = enqueueJob('transcode', { videoId: video.id, settings }, req.user.id);
+            return sendJobAccepted(res, job);
+        }
+
+        res.json(await transcodeVideoRecord(video, settings, req.user.id));
+    } catch (error) {
+        console.error('Error processing transcode:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /transcode/presets:
+ *   get:
+ *     summary: List the transcode presets and supported output formats
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Presets by name, codecs per container and quality levels
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 presets:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/TranscodeSettings'
+ *                 containers:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                 qualities:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ */
+app.get('/transcode/presets', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const containers = {};
+        for (const [name, container] of Object.entries(CONTAINERS)) {
+            containers[name] = container.codecs;
+        }
 
-        // Return share URL and expiry timestamp
         res.json({
-            shareUrl: `/videos/share/${token}`,
-            expiryTimestamp: expiryTimestamp.toISOString()
+            presets: getTranscodePresets(),
+            containers,
+            qualities: QUALITY_LEVELS
         });
     } catch (error) {
-        console.error('Error creating share link:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error listing transcode presets:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @swagger
- * /videos/share/{token}:
+ * /videos/{id}/stream:
+ *   post:
+ *     summary: Package a video for adaptive streaming (HLS/DASH)
+ *     description: Segments the video into a bitrate ladder in the background. Formats
+ *       already packaged are kept; nothing is queued if every requested format exists
+ *       or is being packaged.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               formats:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [hls, dash]
+ *                 description: Formats to package (default ["hls"])
+ *     responses:
+ *       200:
+ *         description: Already packaged, or packaging, in the requested formats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VideoStream'
+ *       202:
+ *         description: Packaging job queued
+ *       400:
+ *         description: Invalid formats
+ *       404:
+ *         description: Video not found
  *   get:
- *     summary: Access a shared video
+ *     summary: Get the streaming package status of a video
  *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: token
+ *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: Share token
+ *           type: integer
+ *         description: Video ID
  *     responses:
  *       200:
- *         description: Video stream
+ *         description: Package status
  *         content:
- *           video/raw:
+ *           application/json:
  *             schema:
- *               type: string
- *               format: binary
+ *               $ref: '#/components/schemas/VideoStream'
  *       404:
- *         description: Share link not found or expired
+ *         description: Video not found or never packaged
  */
-app.get('/videos/share/:token', async (req, res) => {
+app.post('/videos/:id(\\d+)/stream', authenticateToken, requireScope('edit'), (req, res) => {
     try {
-        const token = req.params.token;
+        const { formats, error } = parseStreamFormats((req.body || {}).formats);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        // Get share link from database
-        const db = getDb();
-        const shareLink = db.prepare(`
-            SELECT share_links.*, videos.* 
-            FROM share_links 
-            JOIN videos ON videos.id = share_links.video_id
-            WHERE token = ? AND datetime(expiry_timestamp) > datetime('now')
-        `).get(token);
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
 
-        if (!shareLink) {
-            return res.status(404).json({ error: 'Share link not found or expired' });
+        const { stream, job } = requestStreamPackaging(video, formats, req.user.id);
+        if (job) {
+            return sendJobAccepted(res, job);
         }
+        const { files, ...publicStream } = stream;
+        res.json(publicStream);
+    } catch (error) {
+        console.error('Error packaging video:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Set appropriate headers
-        res.setHeader('Content-Type', 'video/raw');
-        res.setHeader(
-            'Content-Disposition',
-            `attachment; filename="${shareLink.filename}"`
-        );
+app.get('/videos/:id(\\d+)/stream', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        const stream = video && getVideoStream(video.id);
+        if (!stream) {
+            return res.status(404).json({ error: video ? 'Video has not been packaged for streaming' : 'Video not found' });
+        }
 
-        // Stream the video file
-        const fileStream = fs.createReadStream(shareLink.filepath);
-        fileStream.pipe(res);
+        const { files, ...publicStream } = stream;
+        res.json(publicStream);
     } catch (error) {
-        console.error('Error serving shared video:', error);
+        console.error('Error fetching stream status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Send a video's stored poster frame, regenerating it if it is missing
+ * @param {Object} res Express response
+ * @param {Object} video Video row
+ * @returns {Promise<void>}
+ */
+async function sendPosterFrame(res, video) {
+    let thumbnailPath = video.thumbnail_path;
+    if (!thumbnailPath || !fs.existsSync(thumbnailPath)) {
+        thumbnailPath = await refreshThumbnail(video.id);
+    }
+    if (!thumbnailPath) {
+        return res.status(500).json({ error: 'Unable to generate thumbnail' });
+    }
+    res.type('png');
+    res.send(fs.readFileSync(thumbnailPath));
+}
+
+/**
+ * URL this API is reached at, for absolute URLs in share pages and oEmbed:
+ * the configured public base URL, else the Host header of requests from a
+ * trusted proxy. Anyone can send any Host header straight to the server, so
+ * other requests get the address they connected to, which keeps their link
+ * previews from pointing anywhere else.
+ * @param {Object} req Express request
+ * @returns {string} e.g. https://videos.example.com
+ */
+function getBaseUrl(req) {
+    const { publicBaseUrl } = getShareConfig();
+    if (publicBaseUrl) {
+        return publicBaseUrl;
+    }
+    if (isFromTrustedProxy(req)) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+    const address = req.socket.localAddress.replace(/^::ffff:/, '');
+    return `${req.protocol}://${net.isIPv6(address) ? `[${address}]` : address}:${req.socket.localPort}`;
+}
+
+/**
+ * Whether a share link request comes from a browser opening the link, which
+ * gets the share page, rather than a player or download client, which gets
+ * the video. Players and clients that accept anything get the video, as do
+ * requests with ?download=1.
+ * @param {Object} req Express request
+ * @returns {boolean} True to render the share page
+ */
+function wantsSharePage(req) {
+    return req.query.download === undefined &&
+        req.accepts(['application/octet-stream', 'html']) === 'html';
+}
+
+/**
+ * Let a request for a shared file or stream through if it continues a viewing
+ * already counted, and otherwise count it as a new download, hand the viewer
+ * a grant for its follow-up requests (seeks, resumed downloads, playlists and
+ * segments) and report it. Every GET without a grant counts, whatever range
+ * it asks for; HEAD requests are not counted. A grant a share page gave its
+ * player starts the viewing, so players that cannot keep the viewing cookie
+ * (as in iframes on other sites) send it back in their URLs.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Object} shareLink Share link from findShareLink
+ * @param {boolean} exhausted Whether the link has reached its download limit
+ * @returns {Object|null} { grant } to serve the request, where grant is that of
+ *   the viewing (null for signed links and uncounted requests); null if a 410 was sent
+ */
+function admitShareViewing(req, res, shareLink, exhausted) {
+    const viewing = readViewingGrant(req, shareLink);
+    if (viewing && continueShareViewing(shareLink, viewing.grant)) {
+        return { grant: viewing.grant };
+    }
+    if (exhausted || (req.method === 'GET' && !recordShareDownload(shareLink))) {
+        res.status(410).json({ error: 'Share link has reached its download limit' });
+        return null;
+    }
+    if (req.method !== 'GET') {
+        return { grant: null };
+    }
+    let grant = null;
+    if (!shareLink.signed) {
+        grant = viewing && viewing.fresh ? viewing.grant : createViewingGrant(shareLink);
+        startShareViewing(shareLink, grant);
+        res.append('Set-Cookie', buildViewingCookie(req, shareLink, grant));
+    }
+    webhooks.emitWebhookEvent(shareLink.owner_id, 'share.accessed', {
+        videoId: shareLink.video_id,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+        range: req.headers['range'] || null
+    });
+    return { grant };
+}
+
+/**
+ * Send an HTML page for a share link
+ * @param {Object} res Express response
+ * @param {number} status HTTP status
+ * @param {string} html Page
+ * @param {string[]|null} [frameOrigins] Origins allowed to frame the page, or null for none
+ */
+function sendSharePage(res, status, html, frameOrigins = null) {
+    res.setHeader('Content-Security-Policy', getContentSecurityPolicy(frameOrigins));
+    if (!frameOrigins) {
+        res.setHeader('X-Frame-Options', 'DENY');
+    }
+    res.status(status).type('html').send(html);
+}
+
+/**
+ * Settings of a share link given in a create or update request body
+ * @param {Object} body Request body
+ * @returns {Object} { expiryHours, maxDownloads, oneTime, password, allowedEmailDomains, allowedIpRanges }
+ */
+function pickShareSettings(body) {
+    const { expiryHours, maxDownloads, oneTime, password, allowedEmailDomains, allowedIpRanges } = body;
+    return { expiryHours, maxDownloads, oneTime, password, allowedEmailDomains, allowedIpRanges };
+}
+
+/**
+ * Refuse a share link request that checkShareAccess or checkSharePassword denied
+ * @param {Object} res Express response
+ * @param {Object} denied { status, error, passwordRequired?, retryAfter? }
+ */
+function sendShareDenial(res, denied) {
+    if (denied.retryAfter) {
+        res.setHeader('Retry-After', String(denied.retryAfter));
+    }
+    res.status(denied.status).json({
+        error: denied.error,
+        ...(denied.passwordRequired ? { passwordRequired: true } : {})
+    });
+}
+
+/**
+ * Whether a share link gives access to its video's stream: stream links do,
+ * and so do download links to files browsers cannot play, so their share
+ * pages can play the stream instead once the video has been packaged
+ * @param {Object} shareLink Share link joined with its video
+ * @returns {boolean} True if the stream's manifests and segments may be served
+ */
+function canStreamShareLink(shareLink) {
+    return shareLink.mode === 'stream' || !isBrowserPlayable(shareLink.filename);
+}
+
+/**
+ * Viewing grant for the player of a share page to send back in its URLs
+ * @param {Object} shareLink Share link from findShareLink
+ * @returns {string|null} Grant, or null for signed links, which are not counted
+ */
+function createPlayerGrant(shareLink) {
+    return shareLink.signed ? null : createViewingGrant(shareLink);
+}
+
+/**
+ * Absolute manifest URLs of a share link, for the players on share pages
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link joined with its video
+ * @returns {Object} { hlsUrl, dashUrl } for the formats packaged: for stream
+ *   links while packaging too, as players retry; for download links only
+ *   when the file cannot be played and the package is ready; empty otherwise
+ */
+function getPlayerStreamUrls(req, shareLink) {
+    const stream = canStreamShareLink(shareLink) ? getVideoStream(shareLink.video_id) : null;
+    const playable = stream && (shareLink.mode === 'stream' || stream.status === 'ready');
+    const urls = getStreamUrls(shareLink.token, playable ? stream.formats : []);
+    for (const name of Object.keys(urls)) {
+        urls[name] = `${getBaseUrl(req)}${urls[name]}`;
+    }
+    return urls;
+}
+
+/**
+ * Manifest URLs of a streaming share link
+ * @param {string} token Share token
+ * @param {string[]} formats Packaged formats
+ * @returns {Object} { hlsUrl, dashUrl } for the formats given
+ */
+function getStreamUrls(token, formats) {
+    const urls = {};
+    for (const format of formats) {
+        urls[`${format}Url`] = `/videos/share/${token}/${format}/${MANIFESTS[format]}`;
+    }
+    return urls;
+}
+
+/**
+ * @swagger
+ * /videos/{id}/share:
+ *   post:
+ *     summary: Create a share link for a video
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiryHours:
+ *                 type: number
+ *                 description: Hours until link expires (default 24), greater than 0 and at most
+ *                   the configured maximum (default 720)
+ *               maxDownloads:
+ *                 type: integer
+ *                 description: Number of downloads allowed (default unlimited). Each request of the
+ *                   file or stream that does not carry the share_viewing cookie of a viewing
+ *                   already counted counts as a download.
+ *               oneTime:
+ *                 type: boolean
+ *                 description: Allow a single download (same as maxDownloads 1)
+ *               password:
+ *                 type: string
+ *                 description: Password viewers must enter (6 to 256 characters); stored hashed
+ *               allowedEmailDomains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only viewers whose single sign-on email address (from the
+ *                   configured share.emailHeader) is in one of these domains may open the link.
+ *                   The header is only read from requests through share.trustedProxies, so these
+ *                   rules are refused while no proxy is trusted.
+ *               allowedIpRanges:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only viewers connecting from these addresses or CIDR ranges
+ *                   (e.g. 10.0.0.0/8) may open the link
+ *               signed:
+ *                 type: boolean
+ *                 description: Create a stateless link whose token carries the video, mode and
+ *                   expiry, signed with the configured share.signingKeys, instead of a stored
+ *                   link. Signed links cannot have download limits or restrictions, and cannot
+ *                   be listed, changed or revoked (default false)
+ *               mode:
+ *                 type: string
+ *                 enum: [download, stream]
+ *                 description: download serves the original file; stream serves only HLS/DASH
+ *                   manifests and segments, packaging the video in the background if needed
+ *                   (default download)
+ *               formats:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [hls, dash]
+ *                 description: Streaming formats for stream mode (default ["hls"])
+ *     responses:
+ *       200:
+ *         description: Share link created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid expiry, download limit, access rules, mode or formats, or a signed
+ *           link requested with settings it cannot carry or with no signing key configured
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing share scope
+ *       404:
+ *         description: Video not found
+ */
+app.post('/videos/:id/share', authenticateToken, requireScope('share'), async (req, res) => {
+    try {
+        const videoId = req.params.id;
+        const { mode = 'download', signed = false } = req.body;
+        const settings = pickShareSettings(req.body);
+
+        const invalid = validateShareSettings(settings);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (typeof signed !== 'boolean') {
+            return res.status(400).json({ error: 'signed must be true or false' });
+        }
+        const unsignable = signed && validateSignedShareSettings(settings);
+        if (unsignable) {
+            return res.status(400).json({ error: unsignable });
+        }
+        if (!SHARE_MODES.includes(mode)) {
+            return res.status(400).json({ error: `mode must be one of: ${SHARE_MODES.join(', ')}` });
+        }
+        let formats;
+        if (mode === 'stream') {
+            const parsed = parseStreamFormats(req.body.formats);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            formats = parsed.formats;
+        } else if (req.body.formats !== undefined) {
+            return res.status(400).json({ error: 'formats only apply to stream mode' });
+        }
+
+        // Get video from database (only the caller's own videos are visible)
+        const db = getDb();
+        const video = getOwnedVideo(db, videoId, req.user.id);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const shareLink = signed
+            ? createSignedShareLink({ videoId: video.id, mode, expiryHours: settings.expiryHours })
+            : await createShareLink({ videoId: video.id, ownerId: req.user.id, mode, ...settings });
+
+        // Streaming links need the video packaged; players retry until it is
+        let streaming = {};
+        if (mode === 'stream') {
+            const { stream } = requestStreamPackaging(video, formats, req.user.id);
+            streaming = { streamStatus: stream.status, ...getStreamUrls(shareLink.token, stream.formats) };
+        }
+
+        webhooks.emitWebhookEvent(req.user.id, 'share.created', {
+            videoId: video.id,
+            shareUrl: shareLink.shareUrl,
+            expiryTimestamp: shareLink.expiryTimestamp,
+            mode
+        });
+
+        res.json({ ...shareLink, ...streaming });
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/share/{token}:
+ *   get:
+ *     summary: Access a shared video
+ *     description: >
+ *       Browsers opening the link (Accept preferring text/html) get the share page: a
+ *       player with the video's title, poster frame and expiry notice, and OpenGraph and
+ *       oEmbed tags for link previews. Everything else, and any request with download=1,
+ *       gets the video itself. Supports single byte-range requests (Range / If-Range)
+ *       for seeking and resumable downloads; the first request of a viewing is counted
+ *       and sets a share_viewing cookie that lets its follow-up requests through
+ *       uncounted, even once the download limit is reached. Links restricted to IP ranges or email
+ *       domains refuse other viewers; password-protected links need the password in
+ *       the X-Share-Password header, or browsers get a form to enter it.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: string
+ *         description: Any value serves the video even to browsers
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *         description: Password of a password-protected link
+ *       - $ref: '#/components/parameters/ViewingGrant'
+ *       - $ref: '#/components/parameters/Range'
+ *       - $ref: '#/components/parameters/IfRange'
+ *     responses:
+ *       200:
+ *         description: Video stream, or the share page
+ *         content:
+ *           video/raw:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       206:
+ *         description: Partial video content
+ *         content:
+ *           video/raw:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Password missing or incorrect (passwordRequired is true)
+ *       403:
+ *         description: The share link is in stream mode (the body lists its manifest URLs), or
+ *           the viewer's network or email domain is not allowed
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: Share link has expired, been revoked or reached its download limit
+ *       429:
+ *         description: Too many incorrect passwords (see Retry-After)
+ *       416:
+ *         description: Range not satisfiable or multiple ranges requested
+ */
+app.get('/videos/share/:token', async (req, res) => {
+    try {
+        const token = req.params.token;
+        const { shareLink, exhausted, status, error } = findShareLink(token, { allowExhausted: true });
+        const denied = shareLink && await checkShareAccess(req, shareLink);
+
+        if (wantsSharePage(req)) {
+            if (!shareLink) {
+                return sendSharePage(res, status, renderShareErrorPage(`${error}.`));
+            }
+            if (exhausted) {
+                return sendSharePage(res, 410, renderShareErrorPage('Share link has reached its download limit.'));
+            }
+            if (denied && denied.passwordRequired) {
+                return sendSharePage(res, denied.status, renderPasswordPage({ token }));
+            }
+            if (denied) {
+                if (denied.retryAfter) {
+                    res.setHeader('Retry-After', String(denied.retryAfter));
+                }
+                return sendSharePage(res, denied.status, renderShareErrorPage(`${denied.error}.`));
+            }
+            return sendSharePage(res, 200, renderSharePage({
+                shareLink,
+                baseUrl: getBaseUrl(req),
+                streamUrls: getPlayerStreamUrls(req, shareLink),
+                grant: createPlayerGrant(shareLink)
+            }));
+        }
+
+        if (!shareLink) {
+            return res.status(status).json({ error });
+        }
+        if (denied) {
+            return sendShareDenial(res, denied);
+        }
+        if (shareLink.mode === 'stream') {
+            const stream = getVideoStream(shareLink.video_id);
+            return res.status(403).json({
+                error: 'This share link is for streaming only',
+                ...getStreamUrls(token, stream ? stream.formats : [])
+            });
+        }
+
+        // Count and report new viewings, not every follow-up range request of a player
+        if (!admitShareViewing(req, res, shareLink, exhausted)) {
+            return;
+        }
+
+        // Stream the video file, honouring byte-range requests
+        const sent = await sendVideoFile(req, res, {
+            key: getVideoKey(shareLink),
+            filename: shareLink.filename
+        });
+        if (!sent) {
+            res.status(404).json({ error: 'Shared video file not found' });
+        }
+    } catch (error) {
+        console.error('Error serving shared video:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/share/{token}:
+ *   post:
+ *     summary: Enter the password of a shared video
+ *     description: >
+ *       Target of the password form on the share page. A correct password sets a cookie
+ *       that lets this browser open the link until it expires, and redirects back to it.
+ *       The embedded player's form (embed=1) is redirected back to the player with a
+ *       grant query parameter, as iframes on other sites may not keep the cookie.
+ *       Clients are throttled after 5 incorrect passwords in 15 minutes.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               embed:
+ *                 type: string
+ *                 description: 1 when sent from the embedded player
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       303:
+ *         description: Password accepted; redirects to the share link, or to its embedded player
+ *       400:
+ *         description: Password missing
+ *       401:
+ *         description: Incorrect password; form posts get the form again
+ *       403:
+ *         description: The viewer's network or email domain is not allowed
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: Share link has expired, been revoked or reached its download limit
+ *       429:
+ *         description: Too many incorrect passwords (see Retry-After)
+ */
+app.post('/videos/share/:token', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+        const token = req.params.token;
+        const { password, embed } = req.body || {};
+        const { shareLink, status, error } = findShareLink(token);
+
+        // Answer the share page's form with pages, and API clients with JSON.
+        // The embedded player's form is answered with pages it may frame.
+        const fromForm = Boolean(req.is('urlencoded'));
+        const fromEmbed = fromForm && embed === '1';
+        const refuse = (denied, html) => {
+            if (!fromForm) {
+                return sendShareDenial(res, denied);
+            }
+            if (denied.retryAfter) {
+                res.setHeader('Retry-After', String(denied.retryAfter));
+            }
+            sendSharePage(res, denied.status, html, fromEmbed ? getEmbedConfig().allowedOrigins : null);
+        };
+
+        if (!shareLink) {
+            return refuse({ status, error }, renderShareErrorPage(`${error}.`));
+        }
+        const denied = checkShareAudience(req, shareLink);
+        if (denied) {
+            return refuse(denied, renderShareErrorPage(`${denied.error}.`));
+        }
+        if (!shareLink.password_hash) {
+            return res.redirect(303, `/videos/share/${encodeURIComponent(token)}`);
+        }
+        if (typeof password !== 'string' || !password) {
+            const missing = { status: 400, error: 'password is required' };
+            return refuse(missing, renderPasswordPage({ token, embed: fromEmbed, error: 'Enter the password' }));
+        }
+
+        const wrong = await checkSharePassword(req, shareLink, password);
+        if (wrong) {
+            return refuse(wrong, wrong.passwordRequired
+                ? renderPasswordPage({ token, embed: fromEmbed, error: wrong.error })
+                : renderShareErrorPage(`${wrong.error}.`));
+        }
+
+        res.setHeader('Set-Cookie', buildAccessCookie(req, shareLink));
+        if (fromEmbed) {
+            // Iframes on other sites may not keep the cookie, so the player
+            // gets in with a grant instead
+            const grant = encodeURIComponent(createViewingGrant(shareLink));
+            return res.redirect(303, `/videos/share/${encodeURIComponent(token)}/embed?${VIEWING_GRANT_PARAM}=${grant}`);
+        }
+        res.redirect(303, `/videos/share/${encodeURIComponent(token)}`);
+    } catch (error) {
+        console.error('Error checking share link password:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/share/{token}/embed:
+ *   get:
+ *     summary: Embeddable player for a shared video
+ *     description: >
+ *       A page holding only the player, for iframes. It may be framed by this API and by
+ *       the origins in the embed.allowedOrigins config setting (EMBED_ALLOWED_ORIGINS);
+ *       the Content-Security-Policy frame-ancestors directive stops other sites.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *       - $ref: '#/components/parameters/ViewingGrant'
+ *     responses:
+ *       200:
+ *         description: Player page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Share link not found
+ *       401:
+ *         description: The share link is password protected; the page asks for the password
+ *       403:
+ *         description: The viewer's network or email domain is not allowed
+ *       410:
+ *         description: Share link has expired, been revoked or reached its download limit
+ */
+app.get('/videos/share/:token/embed', async (req, res) => {
+    try {
+        const { shareLink, status, error } = findShareLink(req.params.token);
+        const { allowedOrigins } = getEmbedConfig();
+
+        if (!shareLink) {
+            return sendSharePage(res, status, renderShareErrorPage(`${error}.`), allowedOrigins);
+        }
+        const denied = await checkShareAccess(req, shareLink);
+        if (denied && denied.passwordRequired) {
+            const page = renderPasswordPage({ token: shareLink.token, embed: true });
+            return sendSharePage(res, denied.status, page, allowedOrigins);
+        }
+        if (denied) {
+            if (denied.retryAfter) {
+                res.setHeader('Retry-After', String(denied.retryAfter));
+            }
+            return sendSharePage(res, denied.status, renderShareErrorPage(`${denied.error}.`), allowedOrigins);
+        }
+        sendSharePage(res, 200, renderEmbedPage({
+            shareLink,
+            baseUrl: getBaseUrl(req),
+            streamUrls: getPlayerStreamUrls(req, shareLink),
+            grant: createPlayerGrant(shareLink)
+        }), allowedOrigins);
+    } catch (error) {
+        console.error('Error rendering embedded player:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/share/{token}/thumbnail:
+ *   get:
+ *     summary: Poster frame of a shared video
+ *     description: Used by share pages and link previews.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *       - $ref: '#/components/parameters/ViewingGrant'
+ *     responses:
+ *       200:
+ *         description: PNG image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Share link not found
+ *       401:
+ *         description: The share link is password protected
+ *       403:
+ *         description: The viewer's network or email domain is not allowed
+ *       410:
+ *         description: Share link has expired, been revoked or reached its download limit
+ */
+app.get('/videos/share/:token/thumbnail', async (req, res) => {
+    try {
+        const { shareLink, status, error } = findShareLink(req.params.token);
+        if (!shareLink) {
+            return res.status(status).json({ error });
+        }
+        const denied = await checkShareAccess(req, shareLink);
+        if (denied) {
+            return sendShareDenial(res, denied);
+        }
+
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        await sendPosterFrame(res, { ...shareLink, id: shareLink.video_id });
+    } catch (error) {
+        console.error('Error serving shared thumbnail:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /oembed:
+ *   get:
+ *     summary: oEmbed description of a share link
+ *     description: >
+ *       Lets wikis and chat tools that support oEmbed (https://oembed.com) embed a shared
+ *       video from its link. Share pages advertise this endpoint with a
+ *       link rel="alternate" tag.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share link, e.g. https://videos.example.com/videos/share/TOKEN
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json]
+ *       - in: query
+ *         name: maxwidth
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxheight
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: oEmbed video response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OEmbed'
+ *       400:
+ *         description: Missing url or invalid maxwidth/maxheight
+ *       404:
+ *         description: Not a share link, or the link does not exist
+ *       401:
+ *         description: The share link is password protected
+ *       403:
+ *         description: The viewer's network or email domain is not allowed
+ *       410:
+ *         description: Share link has expired, been revoked or reached its download limit
+ *       501:
+ *         description: Format other than json requested
+ */
+app.get('/oembed', async (req, res) => {
+    try {
+        const { url, format = 'json' } = req.query;
+        if (typeof url !== 'string' || !url) {
+            return res.status(400).json({ error: 'url is required' });
+        }
+        if (typeof format !== 'string') {
+            return res.status(400).json({ error: 'format must be given once' });
+        }
+        if (format !== 'json') {
+            return res.status(501).json({ error: 'Only the json format is supported' });
+        }
+
+        const bounds = {};
+        for (const [param, bound] of [['maxwidth', 'maxWidth'], ['maxheight', 'maxHeight']]) {
+            if (req.query[param] === undefined) {
+                continue;
+            }
+            const value = parseNumberParam(req.query[param]);
+            if (!Number.isInteger(value) || value < 1) {
+                return res.status(400).json({ error: `${param} must be a positive whole number of pixels` });
+            }
+            bounds[bound] = value;
+        }
+
+        // Accept the share link itself or its embed player
+        let token = null;
+        try {
+            const match = /^\/videos\/share\/([^/]+)(?:\/embed)?\/?$/.exec(new URL(url, getBaseUrl(req)).pathname);
+            token = match && decodeURIComponent(match[1]);
+        } catch (error) {
+            // Not a URL; reported below
+        }
+        if (!token) {
+            return res.status(404).json({ error: 'url is not a share link' });
+        }
+        const { shareLink, status, error } = findShareLink(token);
+        if (!shareLink) {
+            return res.status(status).json({ error });
+        }
+        const denied = await checkShareAccess(req, shareLink);
+        if (denied) {
+            return sendShareDenial(res, denied);
+        }
+
+        res.json(buildOEmbed({ shareLink, baseUrl: getBaseUrl(req), ...bounds }));
+    } catch (error) {
+        console.error('Error building oEmbed response:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /player/{file}:
+ *   get:
+ *     summary: Script of the share page player
+ *     description: hls.js, dash.js and the script attaching them to stream sources, served
+ *       from this API so share pages load nothing from elsewhere.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [hls.min.js, dash.mediaplayer.min.js, sharePlayer.js]
+ *     responses:
+ *       200:
+ *         description: JavaScript
+ *       404:
+ *         description: No such script
+ */
+app.get('/player/:file', (req, res) => {
+    const filepath = Object.hasOwn(PLAYER_SCRIPTS, req.params.file) && PLAYER_SCRIPTS[req.params.file];
+    if (!filepath) {
+        return res.status(404).json({ error: 'Player script not found' });
+    }
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.type('js').sendFile(filepath, { maxAge: '1d' });
+});
+
+/**
+ * @swagger
+ * /videos/share/{token}/{format}/{file}:
+ *   get:
+ *     summary: Fetch a manifest or segment of a shared video's stream
+ *     description: Entry points are hls/master.m3u8 and dash/manifest.mpd. Manifests refer
+ *       to their playlists and segments by relative URLs below the same share token, so
+ *       the token is checked again on every segment request. As for downloads, the
+ *       first request of a player is counted and the rest of its viewing is not.
+ *       Manifests add the viewing's grant to the URLs they list, so players that
+ *       cannot keep the viewing cookie are not counted again either.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token of a stream-mode link, or of a download-mode link to a file
+ *           browsers cannot play (such as raw video), whose share page plays the stream
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [hls, dash]
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Path within the package, e.g. master.m3u8 or 720p/segment-000.ts
+ *       - $ref: '#/components/parameters/ViewingGrant'
+ *       - $ref: '#/components/parameters/Range'
+ *     responses:
+ *       200:
+ *         description: Manifest or segment
+ *       206:
+ *         description: Partial segment content
+ *       401:
+ *         description: The share link is password protected
+ *       403:
+ *         description: The share link is in download mode for a file browsers can play, or the
+ *           viewer's network or email domain is not allowed
+ *       404:
+ *         description: Share link not found, or no such file in the package
+ *       410:
+ *         description: Share link has expired, been revoked or reached its download limit
+ *       500:
+ *         description: Packaging failed
+ *       503:
+ *         description: The video is still being packaged (see Retry-After)
+ */
+app.get('/videos/share/:token/:format(hls|dash)/*', async (req, res) => {
+    try {
+        const { token, format } = req.params;
+        const file = req.params[0];
+        const { shareLink, exhausted, status, error } = findShareLink(token, { allowExhausted: true });
+
+        if (!shareLink) {
+            return res.status(status).json({ error });
+        }
+        const denied = await checkShareAccess(req, shareLink);
+        if (denied) {
+            return sendShareDenial(res, denied);
+        }
+        if (!canStreamShareLink(shareLink)) {
+            return res.status(403).json({ error: 'This share link is for download only' });
+        }
+
+        const stream = getVideoStream(shareLink.video_id);
+        const key = stream && resolveStreamFile(stream, format, file);
+        if (!key) {
+            if (stream && stream.formats.includes(format) && stream.status === 'packaging') {
+                res.setHeader('Retry-After', '10');
+                return res.status(503).json({ error: 'Stream is still being prepared', status: stream.status });
+            }
+            if (stream && stream.formats.includes(format) && stream.status === 'failed') {
+                return res.status(500).json({ error: `Stream packaging failed: ${stream.error}` });
+            }
+            return res.status(404).json({ error: 'Stream file not found' });
+        }
+
+        // The first request of a player is a new viewing; the rest of its
+        // playlists and segments are not counted or reported
+        const viewing = admitShareViewing(req, res, shareLink, exhausted);
+        if (!viewing) {
+            return;
+        }
+
+        // Manifests pass the viewing's grant on to the files they list
+        if (viewing.grant && req.method === 'GET' && isStreamManifest(file)) {
+            const text = (await readStoredRange(key)).toString();
+            const query = `${VIEWING_GRANT_PARAM}=${encodeURIComponent(viewing.grant)}`;
+            res.setHeader('Content-Type', getContentType(file));
+            res.setHeader('Content-Disposition', `inline; filename="${path.basename(file)}"`);
+            res.setHeader('Cache-Control', 'private, no-store');
+            return res.send(Buffer.from(addManifestQuery(text, file, query)));
+        }
+
+        const sent = await sendVideoFile(req, res, {
+            key,
+            filename: path.basename(file),
+            disposition: 'inline'
+        });
+        if (!sent) {
+            res.status(404).json({ error: 'Stream file not found' });
+        }
+    } catch (error) {
+        console.error('Error serving shared stream:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/shares:
+ *   get:
+ *     summary: List the share links of a video
+ *     description: Newest first, including links that have expired, been revoked or used up.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Share links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing share scope
+ *       404:
+ *         description: Video not found
+ */
+app.get('/videos/:id(\\d+)/shares', authenticateToken, requireScope('share'), (req, res) => {
+    try {
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json(listShareLinks(video.id));
+    } catch (error) {
+        console.error('Error listing share links:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   get:
+ *     summary: Get a share link with its status and download count
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     responses:
+ *       200:
+ *         description: Share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing share scope
+ *       404:
+ *         description: Share link not found
+ */
+app.get('/shares/:token', authenticateToken, requireScope('share'), (req, res) => {
+    try {
+        const shareLink = getOwnedShareLink(req.params.token, req.user.id);
+        if (!shareLink) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        res.json(shareLink);
+    } catch (error) {
+        console.error('Error fetching share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   patch:
+ *     summary: Extend a share link or change its download limit or access rules
+ *     description: >
+ *       expiryHours sets a new expiry counted from now, which also brings an expired link
+ *       back. Raising or removing the download limit does the same for a used-up link.
+ *       A new password signs out browsers that entered the old one. Revoked links cannot
+ *       be changed.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiryHours:
+ *                 type: number
+ *                 description: Hours from now until the link expires
+ *               maxDownloads:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Downloads allowed in total, including those already made; null for no limit
+ *               oneTime:
+ *                 type: boolean
+ *                 description: Same as maxDownloads 1
+ *               password:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New password; null removes it
+ *               allowedEmailDomains:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Email domains viewers must belong to; null or empty allows any
+ *               allowedIpRanges:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Addresses or CIDR ranges viewers must connect from; null or empty allows any
+ *     responses:
+ *       200:
+ *         description: Updated share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Nothing to change, or an invalid expiry, download limit or access rule
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing share scope
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: Share link has been revoked
+ */
+app.patch('/shares/:token', authenticateToken, requireScope('share'), async (req, res) => {
+    try {
+        const settings = pickShareSettings(req.body);
+        if (Object.values(settings).every(value => value === undefined)) {
+            return res.status(400).json({
+                error: 'Provide expiryHours, maxDownloads, oneTime, password, allowedEmailDomains or allowedIpRanges'
+            });
+        }
+        const invalid = validateShareSettings(settings);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const shareLink = getOwnedShareLink(req.params.token, req.user.id);
+        if (!shareLink) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        if (shareLink.status === 'revoked') {
+            return res.status(410).json({ error: 'Share link has been revoked' });
+        }
+
+        res.json(await updateShareLink(shareLink.token, settings));
+    } catch (error) {
+        console.error('Error updating share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working at once; it stays listed with its revokedAt time.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     responses:
+ *       200:
+ *         description: Revoked share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing share scope
+ *       404:
+ *         description: Share link not found
+ */
+app.delete('/shares/:token', authenticateToken, requireScope('share'), (req, res) => {
+    try {
+        const shareLink = getOwnedShareLink(req.params.token, req.user.id);
+        if (!shareLink) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        res.json(revokeShareLink(shareLink.token));
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Columns GET /videos may sort by
+const VIDEO_SORT_COLUMNS = ['id', 'created_at', 'duration', 'size'];
+
+/**
+ * Shape a videos row for API responses (internal file paths are not exposed)
+ * @param {Object} video Row from the videos table
+ * @returns {Object} Public video representation
+ */
+function formatVideo(video) {
+    return {
+        id: video.id,
+        filename: video.filename,
+        size: video.size,
+        duration: video.duration,
+        width: video.width,
+        height: video.height,
+        fps: video.fps,
+        codec: video.codec,
+        pixelFormat: video.pixel_format,
+        frameCount: video.frame_count,
+        sourceVideoId: video.source_video_id,
+        thumbnailUrl: `/videos/${video.id}/thumbnail`,
+        createdAt: video.created_at
+    };
+}
+
+/**
+ * Parse an optional numeric query parameter. Parameters given more than once
+ * (?page=1&page=2) or with brackets arrive as arrays or objects, and are invalid.
+ * @param {*} value Raw query value
+ * @returns {number|undefined|null} Parsed number, undefined if absent, null if invalid
+ */
+function parseNumberParam(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * @swagger
+ * /videos:
+ *   get:
+ *     summary: List videos
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of videos per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at, duration, size]
+ *           default: created_at
+ *         description: Field to sort by
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort direction
+ *       - in: query
+ *         name: createdAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only videos created at or after this time
+ *       - in: query
+ *         name: createdBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only videos created at or before this time
+ *       - in: query
+ *         name: minDuration
+ *         schema:
+ *           type: number
+ *         description: Minimum duration in seconds
+ *       - in: query
+ *         name: maxDuration
+ *         schema:
+ *           type: number
+ *         description: Maximum duration in seconds
+ *       - in: query
+ *         name: minSize
+ *         schema:
+ *           type: integer
+ *         description: Minimum file size in bytes
+ *       - in: query
+ *         name: maxSize
+ *         schema:
+ *           type: integer
+ *         description: Maximum file size in bytes
+ *     responses:
+ *       200:
+ *         description: Page of videos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VideoList'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ */
+app.get('/videos', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const page = parseBoundedInt(req.query.page, 1, Number.MAX_SAFE_INTEGER, 1);
+        const limit = parseBoundedInt(req.query.limit, 1, 100, 20);
+        const sort = req.query.sort || 'created_at';
+        const order = req.query.order || 'desc';
+
+        if (page === null) {
+            return res.status(400).json({ error: 'page must be a positive integer' });
+        }
+        if (limit === null) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+        }
+        if (typeof sort !== 'string' || !VIDEO_SORT_COLUMNS.includes(sort)) {
+            return res.status(400).json({ error: `sort must be one of: ${VIDEO_SORT_COLUMNS.join(', ')}` });
+        }
+        if (typeof order !== 'string' || !['asc', 'desc'].includes(order.toLowerCase())) {
+            return res.status(400).json({ error: 'order must be either asc or desc' });
+        }
+
+        // Only list the caller's own videos
+        const conditions = ['owner_id = ?'];
+        const params = [req.user.id];
+
+        // Numeric range filters
+        const rangeFilters = [
+            ['minDuration', 'duration >= ?'],
+            ['maxDuration', 'duration <= ?'],
+            ['minSize', 'size >= ?'],
+            ['maxSize', 'size <= ?']
+        ];
+        for (const [param, condition] of rangeFilters) {
+            const value = parseNumberParam(req.query[param]);
+            if (value === null) {
+                return res.status(400).json({ error: `${param} must be a number` });
+            }
+            if (value !== undefined) {
+                conditions.push(condition);
+                params.push(value);
+            }
+        }
+
+        // Date filters (created_at is stored in UTC by SQLite)
+        const dateFilters = [
+            ['createdAfter', 'datetime(created_at) >= datetime(?)'],
+            ['createdBefore', 'datetime(created_at) <= datetime(?)']
+        ];
+        for (const [param, condition] of dateFilters) {
+            if (req.query[param] === undefined) {
+                continue;
+            }
+            const date = new Date(req.query[param]);
+            if (typeof req.query[param] !== 'string' || Number.isNaN(date.getTime())) {
+                return res.status(400).json({ error: `${param} must be a valid date` });
+            }
+            conditions.push(condition);
+            params.push(date.toISOString());
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+        const db = getDb();
+
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM videos ${where}`).get(...params);
+        const videos = db.prepare(`
+            SELECT * FROM videos ${where}
+            ORDER BY ${sort} ${order.toUpperCase()}, id ${order.toUpperCase()}
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, (page - 1) * limit);
+
+        res.json({
+            videos: videos.map(formatVideo),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error listing videos:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}:
+ *   get:
+ *     summary: Get a video's metadata
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Video metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VideoDetail'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Video not found
+ */
+app.get('/videos/:id(\\d+)', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const db = getDb();
+        const video = getOwnedVideo(db, req.params.id, req.user.id);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json(formatVideo(video));
+    } catch (error) {
+        console.error('Error fetching video:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/content:
+ *   get:
+ *     summary: Download a video file
+ *     description: Supports single byte-range requests (Range / If-Range) for seeking and resumable downloads.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - $ref: '#/components/parameters/Range'
+ *       - $ref: '#/components/parameters/IfRange'
+ *     responses:
+ *       200:
+ *         description: Video stream
+ *         content:
+ *           video/raw:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: Partial video content
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Video not found
+ *       416:
+ *         description: Range not satisfiable or multiple ranges requested
+ */
+app.get('/videos/:id(\\d+)/content', authenticateToken, requireScope('read'), async (req, res) => {
+    try {
+        const db = getDb();
+        const video = getOwnedVideo(db, req.params.id, req.user.id);
+
+        const sent = video && await sendVideoFile(req, res, {
+            key: getVideoKey(video),
+            filename: video.filename
+        });
+        if (!sent) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+    } catch (error) {
+        console.error('Error downloading video:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Parse a thumbnail size such as "160" (width) or "160x90" (box to fit inside)
+ * @param {*} value Raw query value
+ * @returns {Object|null} { width, height }, or null if invalid
+ */
+function parseThumbnailSize(value) {
+    const match = typeof value === 'string' && /^(\d+)(?:x(\d+))?$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    const width = Number(match[1]);
+    const height = match[2] === undefined ? undefined : Number(match[2]);
+    if ([width, height].some(n => n !== undefined && (n < 1 || n > MAX_THUMBNAIL_SIZE))) {
+        return null;
+    }
+    return { width, height };
+}
+
+/**
+ * Parse an optional integer query parameter within bounds
+ * @param {*} value Raw query value
+ * @param {number} min Smallest accepted value
+ * @param {number} max Largest accepted value
+ * @param {number} defaultValue Value used when absent
+ * @returns {number|null} Parsed value, or null if invalid
+ */
+function parseBoundedInt(value, min, max, defaultValue) {
+    const number = parseNumberParam(value);
+    if (number === undefined) {
+        return defaultValue;
+    }
+    return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Parse the storyboard layout from the query string
+ * @param {Object} query Request query
+ * @returns {Object} { options: { columns, rows, width } } or { error }
+ */
+function parseStoryboardQuery(query) {
+    const columns = parseBoundedInt(query.columns, 1, 20, 5);
+    const rows = parseBoundedInt(query.rows, 1, 20, 5);
+    const width = parseBoundedInt(query.width, 16, 640, 160);
+
+    if (columns === null) {
+        return { error: 'columns must be an integer between 1 and 20' };
+    }
+    if (rows === null) {
+        return { error: 'rows must be an integer between 1 and 20' };
+    }
+    if (width === null) {
+        return { error: 'width must be an integer between 16 and 640' };
+    }
+    return { options: { columns, rows, width } };
+}
+
+/**
+ * @swagger
+ * /videos/{id}/thumbnail:
+ *   get:
+ *     summary: Get a thumbnail of a video
+ *     description: >
+ *       Without parameters, returns the stored poster frame (generated after upload,
+ *       trim, merge and transcode). With t or size, renders the requested frame on demand.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: string
+ *         description: Time of the frame, in seconds or as a timecode (HH:MM:SS.mmm or HH:MM:SS:FF)
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Width in pixels ("160") or a box to fit inside ("160x90"); the aspect ratio is kept
+ *     responses:
+ *       200:
+ *         description: PNG image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid time or size
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Video not found
+ */
+app.get('/videos/:id(\\d+)/thumbnail', authenticateToken, requireScope('read'), async (req, res) => {
+    try {
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+
+        if (req.query.t === undefined && req.query.size === undefined) {
+            return sendPosterFrame(res, video);
+        }
+
+        const options = {};
+        const { fps, frameCount } = describeFrames(video);
+
+        if (req.query.t !== undefined) {
+            try {
+                options.frame = timeToFrame(req.query.t, fps);
+            } catch (error) {
+                return res.status(400).json({ error: `t ${error.message}` });
+            }
+            if (options.frame >= frameCount) {
+                return res.status(400).json({
+                    error: `t (${formatClock(options.frame / fps)}) is at or past the end of the video ` +
+                        `(${formatClock(frameCount / fps)}, ${frameCount} frames)`
+                });
+            }
+        }
+
+        if (req.query.size !== undefined) {
+            options.size = parseThumbnailSize(req.query.size);
+            if (!options.size) {
+                return res.status(400).json({
+                    error: `size must be WIDTH or WIDTHxHEIGHT, each between 1 and ${MAX_THUMBNAIL_SIZE}`
+                });
+            }
+        }
+
+        res.type('png');
+        res.send(await renderThumbnail(video, options));
+    } catch (error) {
+        console.error('Error generating thumbnail:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/storyboard:
+ *   get:
+ *     summary: Describe a storyboard sprite sheet for scrubbing previews
+ *     description: >
+ *       Frames are sampled evenly across the video and laid out left to right,
+ *       top to bottom. The image itself is served by /videos/{id}/storyboard/image
+ *       with the same query parameters.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *       - in: query
+ *         name: rows
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *       - in: query
+ *         name: width
+ *         schema:
+ *           type: integer
+ *           minimum: 16
+ *           maximum: 640
+ *           default: 160
+ *         description: Width of each tile; the height follows the aspect ratio
+ *     responses:
+ *       200:
+ *         description: Storyboard layout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Storyboard'
+ *       400:
+ *         description: Invalid layout
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Video not found
+ */
+app.get('/videos/:id(\\d+)/storyboard', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const { options, error } = parseStoryboardQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const plan = planStoryboard(video, options);
+        const query = new URLSearchParams({
+            columns: options.columns,
+            rows: options.rows,
+            width: options.width
+        });
+
+        res.json({
+            imageUrl: `/videos/${video.id}/storyboard/image?${query}`,
+            columns: plan.columns,
+            rows: plan.rows,
+            tileWidth: plan.tileWidth,
+            tileHeight: plan.tileHeight,
+            interval: plan.interval,
+            tiles: plan.tiles
+        });
+    } catch (error) {
+        console.error('Error planning storyboard:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/storyboard/image:
+ *   get:
+ *     summary: Get a storyboard sprite sheet
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: rows
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: width
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: PNG sprite sheet
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid layout
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Video not found
+ */
+app.get('/videos/:id(\\d+)/storyboard/image', authenticateToken, requireScope('read'), async (req, res) => {
+    try {
+        const { options, error } = parseStoryboardQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const png = await renderStoryboard(video, planStoryboard(video, options));
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.type('png');
+        res.send(png);
+    } catch (error) {
+        console.error('Error generating storyboard:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/lineage:
+ *   get:
+ *     summary: Get the edit history of a video
+ *     description: >
+ *       Returns every ancestor and descendant of the video as a graph, with one
+ *       edge per input of each trim, merge or transcode, and the recipe of steps
+ *       that produced the video. Sources that have since been deleted appear as
+ *       edges with a null sourceVideoId.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Lineage graph
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Lineage'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Video not found
+ */
+app.get('/videos/:id(\\d+)/lineage', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const video = getOwnedVideo(getDb(), req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json({ videoId: video.id, ...getLineage(video) });
+    } catch (error) {
+        console.error('Error fetching lineage:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/rerun:
+ *   post:
+ *     summary: Re-run the edits that produced a video against another source
+ *     description: >
+ *       Replays the video's recipe (see /videos/{id}/lineage) step by step,
+ *       starting from sourceVideoId instead of the original upload. Trims keep
+ *       their frame ranges, transcodes their settings, and merges their other
+ *       inputs and output format. Every step is saved as a new video.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the video whose recipe to re-run
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceVideoId
+ *             properties:
+ *               sourceVideoId:
+ *                 type: integer
+ *                 description: Video to apply the recipe to
+ *               async:
+ *                 type: boolean
+ *                 description: Run as a background job and return 202 with a job ID (also accepted as ?async=true)
+ *     responses:
+ *       200:
+ *         description: Recipe re-run; returns the video produced by the last step
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       202:
+ *         description: Re-run job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Missing sourceVideoId, no recipe, or the first step does not fit the new source
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Video not found
+ */
+app.post('/videos/:id(\\d+)/rerun', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const { sourceVideoId } = req.body || {};
+        if (!Number.isInteger(sourceVideoId)) {
+            return res.status(400).json({ error: 'sourceVideoId must be a video ID' });
+        }
+
+        const db = getDb();
+        const video = getOwnedVideo(db, req.params.id, req.user.id);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+        const source = getOwnedVideo(db, sourceVideoId, req.user.id);
+        if (!source) {
+            return res.status(404).json({ error: `Video with ID ${sourceVideoId} not found` });
+        }
+
+        const recipe = getRecipe(video.id);
+        const error = await checkRecipe(recipe, source, req.user.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Hand long-running work to the job queue if requested
+        if (wantsAsync(req)) {
+            const job = enqueueJob('rerun', { videoId: video.id, sourceVideoId: source.id, recipe }, req.user.id);
+            return sendJobAccepted(res, job);
+        }
+
+        res.json(await replayRecipe(recipe, source, req.user.id));
+    } catch (error) {
+        console.error('Error re-running recipe:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}:
+ *   delete:
+ *     summary: Delete a video
+ *     description: Removes the video record, its file on disk and any share links pointing to it.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       204:
+ *         description: Video deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Video not found
+ */
+app.delete('/videos/:id(\\d+)', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const db = getDb();
+        const video = getOwnedVideo(db, req.params.id, req.user.id);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        await removeVideo(video);
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting video:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: List background jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed, cancelled]
+ *         description: Only jobs with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of jobs per page
+ *     responses:
+ *       200:
+ *         description: Page of jobs, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobList'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ */
+app.get('/jobs', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const page = parseBoundedInt(req.query.page, 1, Number.MAX_SAFE_INTEGER, 1);
+        const limit = parseBoundedInt(req.query.limit, 1, 100, 20);
+        const { status } = req.query;
+
+        if (page === null) {
+            return res.status(400).json({ error: 'page must be a positive integer' });
+        }
+        if (limit === null) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+        }
+        if (status !== undefined && (typeof status !== 'string' || !JOB_STATUSES.includes(status))) {
+            return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+        }
+
+        const { jobs, total } = listJobs(req.user.id, { status, limit, offset: (page - 1) * limit });
+
+        res.json({
+            jobs,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a background job's status
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Job not found
+ */
+app.get('/jobs/:id(\\d+)', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const job = getJob(req.params.id, req.user.id);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(job);
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   delete:
+ *     summary: Cancel a background job
+ *     description: Queued jobs never start; running jobs finish their current work but the result is discarded.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ */
+app.delete('/jobs/:id(\\d+)', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const result = cancelJob(req.params.id, req.user.id);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        if (!result.cancelled) {
+            return res.status(409).json({ error: `Job has already ${result.job.status}` });
+        }
+
+        res.json(result.job);
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a project (a non-destructive timeline of clips)
+ *     description: >
+ *       A project lists clips (a video and its in/out points) to be played in
+ *       order. Editing a project never touches media; POST /projects/{id}/render
+ *       produces the final video.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               clips:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ClipInput'
+ *     responses:
+ *       201:
+ *         description: Project created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid name or clips
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ */
+app.post('/projects', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const { name, clips = [] } = req.body || {};
+
+        const nameError = projects.validateProjectName(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+        const resolved = await projects.resolveClips(clips, req.user.id);
+        if (resolved.error) {
+            return res.status(400).json({ error: resolved.error });
+        }
+
+        res.status(201).json(projects.createProject(req.user.id, { name, clips: resolved.clips }));
+    } catch (error) {
+        console.error('Error creating project:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     summary: List your projects
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ */
+app.get('/projects', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        res.json(projects.listProjects(req.user.id));
+    } catch (error) {
+        console.error('Error listing projects:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/import:
+ *   post:
+ *     summary: Create a project from a CMX 3600 edit decision list
+ *     description: >
+ *       Each cut on a video track becomes a clip. An event's reel must be one of
+ *       your video IDs, or its FROM CLIP NAME comment the filename of one of your
+ *       videos. Audio-only events and black (BL) gaps are skipped; dissolves,
+ *       wipes and keys are rejected.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Project name when sending the EDL as text (default the EDL's TITLE)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - edl
+ *             properties:
+ *               edl:
+ *                 type: string
+ *                 description: EDL file contents
+ *               name:
+ *                 type: string
+ *                 description: Project name (default the EDL's TITLE)
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       201:
+ *         description: Project created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Malformed EDL, unknown reel, or in/out points outside the video
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ */
+app.post('/projects/import', authenticateToken, requireScope('edit'), express.text({ type: ['text/plain', 'text/x-edl'] }), async (req, res) => {
+    try {
+        const isText = typeof req.body === 'string';
+        const edl = isText ? req.body : (req.body || {}).edl;
+        if (typeof edl !== 'string' || edl.trim() === '') {
+            return res.status(400).json({ error: 'edl must be the text of a CMX 3600 EDL' });
+        }
+
+        const { title, clips, error } = await projects.importEdl(edl, req.user.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const name = (isText ? req.query.name : req.body.name) ?? title ?? 'Imported EDL';
+        const nameError = projects.validateProjectName(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        res.status(201).json(projects.createProject(req.user.id, { name, clips }));
+    } catch (error) {
+        console.error('Error importing EDL:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   get:
+ *     summary: Get a project and a preview of its timeline
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project with each clip's position and the total duration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Project not found
+ */
+app.get('/projects/:id(\\d+)', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const project = projects.getOwnedProject(req.params.id, req.user.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        res.json(projects.formatProject(project));
+    } catch (error) {
+        console.error('Error fetching project:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   patch:
+ *     summary: Rename a project or replace its clips
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               clips:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ClipInput'
+ *     responses:
+ *       200:
+ *         description: Project updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid name or clips
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Project not found
+ */
+app.patch('/projects/:id(\\d+)', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const { name, clips } = req.body || {};
+        const project = projects.getOwnedProject(req.params.id, req.user.id);
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        if (name !== undefined) {
+            const nameError = projects.validateProjectName(name);
+            if (nameError) {
+                return res.status(400).json({ error: nameError });
+            }
+        }
+
+        let resolvedClips;
+        if (clips !== undefined) {
+            const resolved = await projects.resolveClips(clips, req.user.id);
+            if (resolved.error) {
+                return res.status(400).json({ error: resolved.error });
+            }
+            resolvedClips = resolved.clips;
+        }
+
+        res.json(projects.updateProject(project, { name, clips: resolvedClips }));
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   delete:
+ *     summary: Delete a project
+ *     description: The videos used by its clips, and any renders, are kept.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       204:
+ *         description: Project deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Project not found
+ */
+app.delete('/projects/:id(\\d+)', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const project = projects.getOwnedProject(req.params.id, req.user.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        projects.deleteProject(project);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/clips:
+ *   post:
+ *     summary: Insert a clip into a project's timeline
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: integer
+ *         description: Index to insert the clip at (default the end of the timeline)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClipInput'
+ *     responses:
+ *       201:
+ *         description: Clip inserted; returns the updated project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid clip or position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Project not found
+ */
+app.post('/projects/:id(\\d+)/clips', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const project = projects.getOwnedProject(req.params.id, req.user.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const clips = JSON.parse(project.clips);
+        const position = parseBoundedInt(req.query.position, 0, clips.length, clips.length);
+        if (position === null) {
+            return res.status(400).json({ error: `position must be an integer between 0 and ${clips.length}` });
+        }
+        if (clips.length >= projects.MAX_CLIPS) {
+            return res.status(400).json({ error: `Projects may contain at most ${projects.MAX_CLIPS} clips` });
+        }
+
+        const { clip, error } = await projects.resolveClip(req.body, 'clip', req.user.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        clips.splice(position, 0, clip);
+        res.status(201).json(projects.updateProject(project, { clips }));
+    } catch (error) {
+        console.error('Error adding clip:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/clips/{index}:
+ *   delete:
+ *     summary: Remove a clip from a project's timeline
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Position of the clip in the timeline, from 0
+ *     responses:
+ *       200:
+ *         description: Clip removed; returns the updated project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Project or clip not found
+ */
+app.delete('/projects/:id(\\d+)/clips/:index(\\d+)', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const project = projects.getOwnedProject(req.params.id, req.user.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const clips = JSON.parse(project.clips);
+        const index = Number(req.params.index);
+        if (index >= clips.length) {
+            return res.status(404).json({ error: 'Clip not found' });
+        }
+
+        clips.splice(index, 1);
+        res.json(projects.updateProject(project, { clips }));
+    } catch (error) {
+        console.error('Error removing clip:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/render:
+ *   post:
+ *     summary: Render a project's timeline into a new video
+ *     description: >
+ *       Cuts each clip from its video and joins them in order. The output options
+ *       are the same as for POST /videos/merge: clips of different sizes or frame
+ *       rates need normalize, and container picks the output format.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               container:
+ *                 type: string
+ *                 enum: [raw, mp4, mov, webm, mkv]
+ *               normalize:
+ *                 type: boolean
+ *               width:
+ *                 type: integer
+ *               height:
+ *                 type: integer
+ *               fps:
+ *                 type: number
+ *               pixelFormat:
+ *                 type: string
+ *               codec:
+ *                 type: string
+ *               quality:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               videoBitrate:
+ *                 type: string
+ *               async:
+ *                 type: boolean
+ *                 description: Run as a background job and return 202 with a job ID (also accepted as ?async=true)
+ *     responses:
+ *       200:
+ *         description: Project rendered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       202:
+ *         description: Render job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Empty timeline, deleted clip videos or invalid output options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing edit scope
+ *       404:
+ *         description: Project not found
+ */
+app.post('/projects/:id(\\d+)/render', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const project = projects.getOwnedProject(req.params.id, req.user.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const { clips, plan, error } = projects.planProjectRender(project, req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Hand long-running work to the job queue if requested
+        if (wantsAsync(req)) {
+            const job = enqueueJob('render', {
+                projectId: project.id,
+                clips: clips.map(({ clip }) => clip),
+                plan
+            }, req.user.id);
+            return sendJobAccepted(res, job);
+        }
+
+        res.json(await renderTimeline({ id: project.id, clips }, plan, req.user.id));
+    } catch (error) {
+        console.error('Error rendering project:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/edl:
+ *   get:
+ *     summary: Export a project as a CMX 3600 edit decision list
+ *     description: >
+ *       Each clip becomes a cut whose reel is the video ID and whose FROM CLIP NAME
+ *       is the video's filename. Source timecodes use each video's frame rate; the
+ *       record timeline starts at 01:00:00:00 at the first clip's frame rate.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: EDL file
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: A clip's video has been deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing read scope
+ *       404:
+ *         description: Project not found
+ */
+app.get('/projects/:id(\\d+)/edl', authenticateToken, requireScope('read'), (req, res) => {
+    try {
+        const project = projects.getOwnedProject(req.params.id, req.user.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const { edl, error } = projects.exportProjectEdl(project);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.attachment(`project-${project.id}.edl`);
+        res.type('text/plain');
+        res.send(edl);
+    } catch (error) {
+        console.error('Error exporting EDL:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Deliveries are POSTed as JSON with X-Webhook-Event, X-Webhook-Delivery,
+ *       X-Webhook-Timestamp and X-Webhook-Signature headers. The signature is
+ *       `sha256=` followed by the hex HMAC-SHA256 of `<timestamp>.<body>` using
+ *       the webhook secret. Failed deliveries are retried with exponential backoff.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: HTTP(S) URL to deliver events to. Private and reserved addresses
+ *                   (loopback, link-local, private networks) are refused unless listed in the
+ *                   webhooks.allowedHosts config setting (WEBHOOK_ALLOWED_HOSTS)
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [video.uploaded, video.trimmed, video.merged, share.created, share.accessed,
+ *                     share.password_failures]
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret (generated if omitted)
+ *     responses:
+ *       201:
+ *         description: Webhook registered; the secret is only returned here
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NewWebhook'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing webhooks scope
+ */
+app.post('/webhooks', authenticateToken, requireScope('webhooks'), async (req, res) => {
+    try {
+        const { url, events, secret } = req.body;
+
+        if (!url || !events) {
+            return res.status(400).json({ error: 'url and events are required' });
+        }
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            return res.status(400).json({ error: 'secret must be a string of at least 16 characters' });
+        }
+
+        const validationError = await webhooks.validateWebhookFields({ url, events });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        res.status(201).json(webhooks.createWebhook(req.user.id, { url, events, secret }));
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The caller's webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing webhooks scope
+ */
+app.get('/webhooks', authenticateToken, requireScope('webhooks'), (req, res) => {
+    try {
+        res.json(webhooks.listWebhooks(req.user.id));
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing webhooks scope
+ *       404:
+ *         description: Webhook not found
+ */
+app.get('/webhooks/:id(\\d+)', authenticateToken, requireScope('webhooks'), (req, res) => {
+    try {
+        const webhook = webhooks.getOwnedWebhook(req.params.id, req.user.id);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json(webhooks.formatWebhook(webhook));
+    } catch (error) {
+        console.error('Error fetching webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   patch:
+ *     summary: Update a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               secret:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 description: Inactive webhooks receive no deliveries
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing webhooks scope
+ *       404:
+ *         description: Webhook not found
+ */
+app.patch('/webhooks/:id(\\d+)', authenticateToken, requireScope('webhooks'), async (req, res) => {
+    try {
+        const { url, events, secret, active } = req.body;
+        const webhook = webhooks.getOwnedWebhook(req.params.id, req.user.id);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            return res.status(400).json({ error: 'secret must be a string of at least 16 characters' });
+        }
+        if (active !== undefined && typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'active must be a boolean' });
+        }
+
+        const validationError = await webhooks.validateWebhookFields({ url, events });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        res.json(webhooks.updateWebhook(webhook, { url, events, secret, active }));
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing webhooks scope
+ *       404:
+ *         description: Webhook not found
+ */
+app.delete('/webhooks/:id(\\d+)', authenticateToken, requireScope('webhooks'), (req, res) => {
+    try {
+        const webhook = webhooks.getOwnedWebhook(req.params.id, req.user.id);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        webhooks.deleteWebhook(webhook);
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List recent deliveries for a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Maximum number of deliveries
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing webhooks scope
+ *       404:
+ *         description: Webhook not found
+ */
+app.get('/webhooks/:id(\\d+)/deliveries', authenticateToken, requireScope('webhooks'), (req, res) => {
+    try {
+        const limit = parseBoundedInt(req.query.limit, 1, 100, 50);
+        const webhook = webhooks.getOwnedWebhook(req.params.id, req.user.id);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        if (limit === null) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+        }
+
+        res.json(webhooks.listDeliveries(webhook, limit));
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/test:
+ *   post:
+ *     summary: Send a test event to a webhook
+ *     description: Sends a `webhook.test` event and returns the delivery after the first attempt. Failures are retried like any other delivery.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Delivery result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing webhooks scope
+ *       404:
+ *         description: Webhook not found
+ */
+app.post('/webhooks/:id(\\d+)/test', authenticateToken, requireScope('webhooks'), async (req, res) => {
+    try {
+        const webhook = webhooks.getOwnedWebhook(req.params.id, req.user.id);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json(await webhooks.sendTestEvent(webhook));
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The plaintext key is only returned in this response; store it securely.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, ownerId]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Human-readable name for the key
+ *               ownerId:
+ *                 type: string
+ *                 description: User the key acts as
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, upload, edit, share, webhooks, admin]
+ *                 description: Scopes granted to the key
+ *               uploadPolicy:
+ *                 $ref: '#/components/schemas/UploadPolicy'
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NewApiKey'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing admin scope
+ */
+app.post('/admin/api-keys', authenticateToken, requireScope('admin'), (req, res) => {
+    try {
+        const { name, ownerId, scopes = [], uploadPolicy = null } = req.body;
+
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (!ownerId || typeof ownerId !== 'string') {
+            return res.status(400).json({ error: 'ownerId is required' });
+        }
+        if (!Array.isArray(scopes) || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({ error: `scopes must be an array of: ${API_KEY_SCOPES.join(', ')}` });
+        }
+        const policyError = uploadPolicy === null ? null : validateUploadPolicyOverrides(uploadPolicy);
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
+
+        res.status(201).json(createApiKey({ name, ownerId, scopes, uploadPolicy }));
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All API keys (without secrets)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing admin scope
+ */
+app.get('/admin/api-keys', authenticateToken, requireScope('admin'), (req, res) => {
+    try {
+        res.json(listApiKeys());
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}:
+ *   patch:
+ *     summary: Change the upload policy overrides of an API key
+ *     description: >
+ *       Settings given here replace the server-wide upload policy for requests
+ *       made with this key. Send null to go back to the server-wide policy.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [uploadPolicy]
+ *             properties:
+ *               uploadPolicy:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/UploadPolicy'
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing admin scope
+ *       404:
+ *         description: API key not found
+ */
+app.patch('/admin/api-keys/:id(\\d+)', authenticateToken, requireScope('admin'), (req, res) => {
+    try {
+        const { uploadPolicy } = req.body;
+
+        if (uploadPolicy === undefined) {
+            return res.status(400).json({ error: 'uploadPolicy is required' });
+        }
+        const policyError = uploadPolicy === null ? null : validateUploadPolicyOverrides(uploadPolicy);
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
+
+        const apiKey = setApiKeyUploadPolicy(req.params.id, uploadPolicy);
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json(apiKey);
+    } catch (error) {
+        console.error('Error updating API key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing admin scope
+ *       404:
+ *         description: API key not found
+ */
+app.delete('/admin/api-keys/:id(\\d+)', authenticateToken, requireScope('admin'), (req, res) => {
+    try {
+        const apiKey = revokeApiKey(req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json(apiKey);
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/quarantine:
+ *   get:
+ *     summary: List uploads quarantined for failing content validation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quarantined uploads, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/QuarantinedUpload'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing admin scope
+ */
+app.get('/admin/quarantine', authenticateToken, requireScope('admin'), (req, res) => {
+    try {
+        res.json(listQuarantinedUploads());
+    } catch (error) {
+        console.error('Error listing quarantined uploads:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/quarantine/{id}:
+ *   delete:
+ *     summary: Delete a quarantined upload
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quarantine record ID
+ *     responses:
+ *       204:
+ *         description: Quarantined file and its record deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or missing admin scope
+ *       404:
+ *         description: Quarantined upload not found
+ */
+app.delete('/admin/quarantine/:id(\\d+)', authenticateToken, requireScope('admin'), (req, res) => {
+    try {
+        if (!deleteQuarantinedUpload(req.params.id)) {
+            return res.status(404).json({ error: 'Quarantined upload not found' });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting quarantined upload:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -0,0 +1,509 @@
+const path = require('path');
+const fs = require('fs');
+const net = require('net');
+
+// Product name shown to other sites: oEmbed and OpenGraph provider, webhook User-Agent
+const PRODUCT_NAME = 'EditThat';
+
+// Upload policy used when neither the config file nor the environment sets one
+const DEFAULT_UPLOAD_POLICY = {
+    maxFileSize: 1024 * 1024 * 1024, // 1GB
+    maxDuration: 300, // 5 minutes
+    minDuration: 0,
+    allowedMimeTypes: ['video/mp4', 'video/raw', 'video/quicktime'],
+    allowedExtensions: ['.raw']
+};
+
+// Environment variables for each upload policy setting
+const UPLOAD_POLICY_ENV = {
+    maxFileSize: 'UPLOAD_MAX_FILE_SIZE',
+    maxDuration: 'UPLOAD_MAX_DURATION',
+    minDuration: 'UPLOAD_MIN_DURATION',
+    allowedMimeTypes: 'UPLOAD_ALLOWED_MIME_TYPES',
+    allowedExtensions: 'UPLOAD_ALLOWED_EXTENSIONS'
+};
+
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+// Storage drivers and the settings each one reads
+const STORAGE_DRIVERS = {
+    local: ['root'],
+    s3: ['endpoint', 'bucket', 'region', 'accessKeyId', 'secretAccessKey', 'prefix']
+};
+
+// Storage used when neither the config file nor the environment sets one
+const DEFAULT_STORAGE_CONFIG = {
+    driver: 'local',
+    root: path.join(__dirname, 'uploads'),
+    region: 'us-east-1',
+    prefix: ''
+};
+
+// Environment variables for each storage setting
+const STORAGE_ENV = {
+    driver: 'STORAGE_DRIVER',
+    root: 'STORAGE_LOCAL_ROOT',
+    endpoint: 'S3_ENDPOINT',
+    bucket: 'S3_BUCKET',
+    region: 'S3_REGION',
+    accessKeyId: 'S3_ACCESS_KEY_ID',
+    secretAccessKey: 'S3_SECRET_ACCESS_KEY',
+    prefix: 'S3_PREFIX'
+};
+
+// Share link limits used when neither the config file nor the environment sets them
+const DEFAULT_SHARE_CONFIG = {
+    maxExpiryHours: 30 * 24, // 30 days
+    emailHeader: 'X-Forwarded-Email',
+    trustedProxies: [],
+    signingKeys: [],
+    publicBaseUrl: null
+};
+
+// Environment variables for each share link setting
+const SHARE_ENV = {
+    maxExpiryHours: 'SHARE_MAX_EXPIRY_HOURS',
+    emailHeader: 'SHARE_EMAIL_HEADER',
+    trustedProxies: 'TRUSTED_PROXIES',
+    signingKeys: 'SHARE_SIGNING_KEYS',
+    publicBaseUrl: 'PUBLIC_BASE_URL'
+};
+
+// Signed share link keys: IDs name a key inside tokens, secrets must be long enough to resist guessing
+const SIGNING_KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const SIGNING_KEY_MIN_LENGTH = 32;
+
+// Names Express accepts in place of addresses of trusted proxies
+const PROXY_NAMES = ['loopback', 'linklocal', 'uniquelocal'];
+
+// Environment variable listing the origins allowed to embed share players, comma separated
+const EMBED_ORIGINS_ENV = 'EMBED_ALLOWED_ORIGINS';
+
+// Environment variable listing private hosts webhooks may be delivered to, comma separated
+const WEBHOOK_HOSTS_ENV = 'WEBHOOK_ALLOWED_HOSTS';
+
+// Host names as they appear in URLs
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+/**
+ * Path of the JSON config file: CONFIG_FILE, or config.json beside this module
+ * @returns {string} Absolute path
+ */
+function getConfigPath() {
+    return path.resolve(process.env.CONFIG_FILE || path.join(__dirname, 'config.json'));
+}
+
+/**
+ * Read the JSON config file, if there is one
+ * @returns {Object} Parsed contents, empty when the file does not exist
+ * @throws {Error} If the file is not a JSON object
+ */
+function readConfigFile() {
+    const configPath = getConfigPath();
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Invalid config file ${configPath}: must contain a JSON object`);
+    }
+    return config;
+}
+
+/**
+ * Check a set of upload policy settings. Every setting is optional, so the
+ * same check applies to the config file, the environment and per-token
+ * overrides.
+ * @param {Object} settings Upload policy settings
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUploadPolicy(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return 'upload policy must be an object';
+    }
+
+    const unknown = Object.keys(settings).filter(key => !(key in DEFAULT_UPLOAD_POLICY));
+    if (unknown.length) {
+        return `Unknown upload policy settings: ${unknown.join(', ')}. ` +
+            `Valid settings: ${Object.keys(DEFAULT_UPLOAD_POLICY).join(', ')}`;
+    }
+
+    const { maxFileSize, maxDuration, minDuration, allowedMimeTypes, allowedExtensions } = settings;
+    if (maxFileSize !== undefined && !(Number.isInteger(maxFileSize) && maxFileSize > 0)) {
+        return 'maxFileSize must be a positive whole number of bytes';
+    }
+    if (maxDuration !== undefined && !(Number.isFinite(maxDuration) && maxDuration > 0)) {
+        return 'maxDuration must be a positive number of seconds';
+    }
+    if (minDuration !== undefined && !(Number.isFinite(minDuration) && minDuration >= 0)) {
+        return 'minDuration must be a number of seconds, 0 or more';
+    }
+    if (allowedMimeTypes !== undefined &&
+        !(Array.isArray(allowedMimeTypes) && allowedMimeTypes.every(type => MIME_TYPE_PATTERN.test(type)))) {
+        return 'allowedMimeTypes must be an array of MIME types such as video/mp4';
+    }
+    if (allowedExtensions !== undefined &&
+        !(Array.isArray(allowedExtensions) && allowedExtensions.every(ext => /^\.[\w-]+$/.test(ext)))) {
+        return 'allowedExtensions must be an array of extensions such as .raw';
+    }
+    if (minDuration !== undefined && maxDuration !== undefined && minDuration > maxDuration) {
+        return 'minDuration must not be greater than maxDuration';
+    }
+
+    return null;
+}
+
+/**
+ * Check per-token upload policy overrides, on their own and merged with the
+ * server-wide policy, so a token cannot be given settings that leave it
+ * unable to upload
+ * @param {Object} overrides Per-token settings
+ * @returns {string|null} Error message, or null if valid
+ * @throws {Error} If the config file or environment holds an invalid setting
+ */
+function validateUploadPolicyOverrides(overrides) {
+    const error = validateUploadPolicy(overrides);
+    if (error) {
+        return error;
+    }
+    const { minDuration, maxDuration } = { ...getUploadPolicy(), ...overrides };
+    if (minDuration > maxDuration) {
+        return `minDuration (${minDuration}) must not be greater than maxDuration (${maxDuration}) ` +
+            'once combined with the server-wide upload policy';
+    }
+    return null;
+}
+
+/**
+ * Read upload policy settings from the environment
+ * @returns {Object} Settings for each variable that is set
+ */
+function readUploadPolicyEnv() {
+    const settings = {};
+    for (const [setting, variable] of Object.entries(UPLOAD_POLICY_ENV)) {
+        const value = process.env[variable];
+        if (value === undefined || value === '') {
+            continue;
+        }
+        settings[setting] = Array.isArray(DEFAULT_UPLOAD_POLICY[setting])
+            ? value.split(',').map(item => item.trim()).filter(Boolean)
+            : Number(value);
+    }
+    return settings;
+}
+
+/**
+ * Work out the upload policy in force. Settings are layered, each
+ * overriding the last: defaults, the "upload" section of the config file,
+ * UPLOAD_* environment variables, then the caller's per-token overrides.
+ * Read on each use so changes apply without a restart.
+ * @param {Object} [overrides] Per-token settings
+ * @returns {Object} { maxFileSize, maxDuration, minDuration,
+ *   allowedMimeTypes, allowedExtensions }
+ * @throws {Error} If the config file or environment holds an invalid setting,
+ *   or with code UPLOAD_POLICY_CONFLICT if the overrides do not fit the rest
+ */
+function getUploadPolicy(overrides = null) {
+    const layers = [
+        [`config file ${getConfigPath()}`, readConfigFile().upload || {}],
+        ['environment', readUploadPolicyEnv()]
+    ];
+
+    const policy = { ...DEFAULT_UPLOAD_POLICY };
+    for (const [source, settings] of layers) {
+        const error = validateUploadPolicy(settings);
+        if (error) {
+            throw new Error(`Invalid upload policy in ${source}: ${error}`);
+        }
+        Object.assign(policy, settings);
+    }
+    if (policy.minDuration > policy.maxDuration) {
+        throw new Error('Invalid upload policy: minDuration is greater than maxDuration');
+    }
+
+    Object.assign(policy, overrides);
+    if (policy.minDuration > policy.maxDuration) {
+        const error = new Error(`minDuration (${policy.minDuration}) is greater than maxDuration (${policy.maxDuration})`);
+        error.code = 'UPLOAD_POLICY_CONFLICT';
+        throw error;
+    }
+    policy.allowedExtensions = policy.allowedExtensions.map(ext => ext.toLowerCase());
+    return policy;
+}
+
+/**
+ * Work out where video files are stored. Settings are layered like the
+ * upload policy: defaults, the "storage" section of the config file, then
+ * STORAGE_* and S3_* environment variables.
+ * @returns {Object} { driver, ...settings of that driver }
+ * @throws {Error} If the settings are invalid or incomplete
+ */
+function getStorageConfig() {
+    const fileSettings = readConfigFile().storage || {};
+    const envSettings = {};
+    for (const [setting, variable] of Object.entries(STORAGE_ENV)) {
+        if (process.env[variable] !== undefined && process.env[variable] !== '') {
+            envSettings[setting] = process.env[variable];
+        }
+    }
+
+    const config = { ...DEFAULT_STORAGE_CONFIG, ...fileSettings, ...envSettings };
+    const settings = STORAGE_DRIVERS[config.driver];
+    if (!settings) {
+        throw new Error(`Invalid storage config: driver must be one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    }
+
+    const storage = { driver: config.driver };
+    for (const setting of settings) {
+        if (config[setting] === undefined || config[setting] === null || (setting !== 'prefix' && config[setting] === '')) {
+            throw new Error(`Invalid storage config: ${config.driver} storage requires ${setting} (${STORAGE_ENV[setting]})`);
+        }
+        if (typeof config[setting] !== 'string') {
+            throw new Error(`Invalid storage config: ${setting} must be a string`);
+        }
+        storage[setting] = config[setting];
+    }
+    if (storage.driver === 'local') {
+        storage.root = path.resolve(storage.root);
+    }
+    if (storage.driver === 's3' && !/^https?:\/\/[^/]+\/?$/.test(storage.endpoint)) {
+        throw new Error('Invalid storage config: endpoint must be an http or https URL such as http://localhost:9000');
+    }
+    return storage;
+}
+
+/**
+ * Check an address or CIDR range such as 10.0.0.0/8 or 2001:db8::/32
+ * @param {string} range Address, optionally with a prefix length
+ * @returns {boolean} True if valid
+ */
+function isIpRange(range) {
+    if (typeof range !== 'string') {
+        return false;
+    }
+    const [address, prefix, ...rest] = range.split('/');
+    const family = net.isIP(address);
+    if (!family || rest.length) {
+        return false;
+    }
+    return prefix === undefined ||
+        (/^\d+$/.test(prefix) && Number(prefix) <= (family === 4 ? 32 : 128));
+}
+
+/**
+ * Check the keys used to sign stateless share links
+ * @param {*} keys Value of the signingKeys setting
+ * @returns {boolean} True if it is a list of { id, secret } with unique IDs
+ */
+function isValidSigningKeyList(keys) {
+    return Array.isArray(keys) &&
+        keys.every(key => key && typeof key === 'object' &&
+            typeof key.id === 'string' && SIGNING_KEY_ID_PATTERN.test(key.id) &&
+            typeof key.secret === 'string' && key.secret.length >= SIGNING_KEY_MIN_LENGTH) &&
+        new Set(keys.map(key => key.id)).size === keys.length;
+}
+
+/**
+ * Check a URL the API is served at
+ * @param {*} value Value of the publicBaseUrl setting
+ * @returns {boolean} True for an http or https URL, optionally with a path,
+ *   but without credentials, query string or fragment
+ */
+function isBaseUrl(value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    let url = null;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return false;
+    }
+    return ['http:', 'https:'].includes(url.protocol) && !url.username && !url.password &&
+        !url.search && !url.hash && !value.includes('?') && !value.includes('#');
+}
+
+/**
+ * Work out the settings of share links. Settings are layered like the
+ * upload policy: defaults, the "share" section of the config file, then
+ * SHARE_* and TRUSTED_PROXIES environment variables.
+ * - maxExpiryHours: longest time a link may last
+ * - emailHeader: request header holding the viewer's email address, set by
+ *   a trusted single sign-on proxy, for links restricted to email domains
+ * - trustedProxies: addresses or ranges of reverse proxies whose
+ *   X-Forwarded-For is believed, so IP restrictions see the real client
+ * - signingKeys: { id, secret } keys for signed share links, newest first;
+ *   the first signs new links and all of them verify links, so keys can be
+ *   rotated. SHARE_SIGNING_KEYS lists them as id:secret, comma separated.
+ * - publicBaseUrl: URL the API is reached at by viewers, such as
+ *   https://videos.example.com, for the absolute URLs of share pages, link
+ *   previews and oEmbed; without it they are built from the Host header of
+ *   requests from trusted proxies, and from the server's own address otherwise
+ * @returns {Object} { maxExpiryHours, emailHeader, trustedProxies, signingKeys, publicBaseUrl }
+ * @throws {Error} If a setting is invalid
+ */
+function getShareConfig() {
+    const config = { ...DEFAULT_SHARE_CONFIG, ...(readConfigFile().share || {}) };
+    for (const [setting, variable] of Object.entries(SHARE_ENV)) {
+        const value = process.env[variable];
+        if (value === undefined || value === '') {
+            continue;
+        }
+        if (setting === 'signingKeys') {
+            config[setting] = value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+                const separator = item.indexOf(':');
+                return separator === -1 ? {} : { id: item.slice(0, separator), secret: item.slice(separator + 1) };
+            });
+        } else if (Array.isArray(DEFAULT_SHARE_CONFIG[setting])) {
+            config[setting] = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else {
+            config[setting] = typeof DEFAULT_SHARE_CONFIG[setting] === 'number' ? Number(value) : value;
+        }
+    }
+
+    if (!(Number.isFinite(config.maxExpiryHours) && config.maxExpiryHours > 0)) {
+        throw new Error(`Invalid share config: maxExpiryHours (${SHARE_ENV.maxExpiryHours}) must be a positive number of hours`);
+    }
+    if (typeof config.emailHeader !== 'string' || !/^[A-Za-z0-9-]+$/.test(config.emailHeader)) {
+        throw new Error(`Invalid share config: emailHeader (${SHARE_ENV.emailHeader}) must be a header name such as X-Forwarded-Email`);
+    }
+    if (!Array.isArray(config.trustedProxies) ||
+        !config.trustedProxies.every(proxy => PROXY_NAMES.includes(proxy) || isIpRange(proxy))) {
+        throw new Error(`Invalid share config: trustedProxies (${SHARE_ENV.trustedProxies}) must list addresses, ` +
+            `CIDR ranges or ${PROXY_NAMES.join(', ')}`);
+    }
+    if (!isValidSigningKeyList(config.signingKeys)) {
+        throw new Error(`Invalid share config: signingKeys (${SHARE_ENV.signingKeys}) must list keys with a unique id ` +
+            `of letters, digits, - or _ and a secret of at least ${SIGNING_KEY_MIN_LENGTH} characters`);
+    }
+    if (config.publicBaseUrl !== null && !isBaseUrl(config.publicBaseUrl)) {
+        throw new Error(`Invalid share config: publicBaseUrl (${SHARE_ENV.publicBaseUrl}) must be an http or https URL ` +
+            'without a query string or fragment');
+    }
+    return {
+        maxExpiryHours: config.maxExpiryHours,
+        emailHeader: config.emailHeader,
+        trustedProxies: config.trustedProxies,
+        signingKeys: config.signingKeys.map(({ id, secret }) => ({ id, secret })),
+        publicBaseUrl: config.publicBaseUrl && config.publicBaseUrl.replace(/\/+$/, '')
+    };
+}
+
+/**
+ * Work out which sites may show share players in an iframe: the
+ * "embed.allowedOrigins" list of the config file, replaced by
+ * EMBED_ALLOWED_ORIGINS when that is set. "*" allows any site.
+ * @returns {Object} { allowedOrigins } origins such as https://wiki.example.com
+ * @throws {Error} If an entry is not an http or https origin
+ */
+function getEmbedConfig() {
+    const fileSettings = readConfigFile().embed || {};
+    let allowedOrigins = fileSettings.allowedOrigins || [];
+    const envValue = process.env[EMBED_ORIGINS_ENV];
+    if (envValue !== undefined && envValue !== '') {
+        allowedOrigins = envValue.split(',').map(origin => origin.trim()).filter(Boolean);
+    }
+
+    if (!Array.isArray(allowedOrigins)) {
+        throw new Error('Invalid embed config: allowedOrigins must be an array');
+    }
+    for (const origin of allowedOrigins) {
+        if (origin === '*') {
+            continue;
+        }
+        let url = null;
+        try {
+            url = new URL(origin);
+        } catch (error) {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== origin) {
+            throw new Error(`Invalid embed config: ${origin} is not an origin such as https://wiki.example.com`);
+        }
+    }
+    return { allowedOrigins };
+}
+
+/**
+ * Work out which private or reserved destinations webhooks may be delivered
+ * to, for receivers on the local network or in tests: the
+ * "webhooks.allowedHosts" list of the config file, replaced by
+ * WEBHOOK_ALLOWED_HOSTS when that is set. Entries are host names, addresses
+ * or CIDR ranges; by default there are none, so webhooks only reach public
+ * addresses.
+ * @returns {Object} { allowedHosts } host names in lower case, addresses and ranges
+ * @throws {Error} If an entry is not a host name, address or range
+ */
+function getWebhookConfig() {
+    const fileSettings = readConfigFile().webhooks || {};
+    let allowedHosts = fileSettings.allowedHosts || [];
+    const envValue = process.env[WEBHOOK_HOSTS_ENV];
+    if (envValue !== undefined && envValue !== '') {
+        allowedHosts = envValue.split(',').map(host => host.trim()).filter(Boolean);
+    }
+
+    if (!Array.isArray(allowedHosts)) {
+        throw new Error('Invalid webhooks config: allowedHosts must be an array');
+    }
+    for (const host of allowedHosts) {
+        if (!isIpRange(host) && !(typeof host === 'string' && HOSTNAME_PATTERN.test(host))) {
+            throw new Error(`Invalid webhooks config: ${host} is not a host name, address or CIDR range`);
+        }
+    }
+    return { allowedHosts: allowedHosts.map(host => (isIpRange(host) ? host : host.toLowerCase())) };
+}
+
+/**
+ * Describe a number of bytes for error messages, e.g. 1GB or 512KB
+ * @param {number} bytes Size in bytes
+ * @returns {string} Size in the largest unit that divides it exactly
+ */
+function formatByteSize(bytes) {
+    const units = ['GB', 'MB', 'KB'];
+    for (let i = 0; i < units.length; i++) {
+        const unitSize = 1024 ** (units.length - i);
+        if (bytes % unitSize === 0) {
+            return `${bytes / unitSize}${units[i]}`;
+        }
+    }
+    return `${bytes} bytes`;
+}
+
+/**
+ * Describe a number of seconds for error messages, e.g. 5 minutes
+ * @param {number} seconds Duration in seconds
+ * @returns {string} Whole minutes where possible, otherwise seconds
+ */
+function formatDurationLimit(seconds) {
+    if (seconds >= 60 && seconds % 60 === 0) {
+        const minutes = seconds / 60;
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+    PRODUCT_NAME,
+    DEFAULT_UPLOAD_POLICY,
+    UPLOAD_POLICY_ENV,
+    validateUploadPolicy,
+    validateUploadPolicyOverrides,
+    getUploadPolicy,
+    STORAGE_ENV,
+    getStorageConfig,
+    SHARE_ENV,
+    getShareConfig,
+    isIpRange,
+    EMBED_ORIGINS_ENV,
+    getEmbedConfig,
+    WEBHOOK_HOSTS_ENV,
+    getWebhookConfig,
+    formatByteSize,
+    formatDurationLimit
+};
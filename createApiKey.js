@@ -0,0 +1,22 @@
+const { createApiKey, API_KEY_SCOPES } = require('./apiKeys');
+
+// Usage: node createApiKey.js <name> <ownerId> [scope,scope,...]
+function main() {
+    const [name, ownerId, scopeList] = process.argv.slice(2);
+
+    if (!name || !ownerId) {
+        console.error('Usage: node createApiKey.js <name> <ownerId> [scope,scope,...]');
+        console.error(`Available scopes: ${API_KEY_SCOPES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const scopes = scopeList ? scopeList.split(',') : API_KEY_SCOPES;
+    const apiKey = createApiKey({ name, ownerId, scopes });
+
+    console.log(`Created API key ${apiKey.id} (${apiKey.name}) for ${apiKey.ownerId}`);
+    console.log(`Scopes: ${apiKey.scopes.join(', ')}`);
+    console.log(`Key: ${apiKey.key}`);
+    console.log('Store this key securely, it will not be shown again.');
+}
+
+main();
@@ -3,6 +3,21 @@ const path = require('path');
 
 let db = null;
 
+/**
+ * Add a column to an existing table if it is missing (for databases
+ * created before the column was introduced)
+ * @param {Database} database Open database connection
+ * @param {string} table Table name
+ * @param {string} column Column name
+ * @param {string} definition Column type and constraints
+ */
+function ensureColumn(database, table, column, definition) {
+    const columns = database.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        database.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    }
+}
+
 function initDb() {
     if (db) return db;
 
@@ -18,8 +33,18 @@ function initDb() {
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             filename TEXT NOT NULL,
             filepath TEXT NOT NULL,
+            storage_key TEXT,
             size INTEGER NOT NULL,
             duration FLOAT NOT NULL,
+            owner_id TEXT,
+            width INTEGER,
+            height INTEGER,
+            fps FLOAT,
+            codec TEXT,
+            pixel_format TEXT,
+            frame_count INTEGER,
+            source_video_id INTEGER REFERENCES videos(id),
+            thumbnail_path TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
     `).run();
@@ -31,11 +56,241 @@ function initDb() {
             video_id INTEGER NOT NULL,
             token TEXT NOT NULL UNIQUE,
             expiry_timestamp DATETIME NOT NULL,
+            owner_id TEXT,
+            mode TEXT NOT NULL DEFAULT 'download',
+            max_downloads INTEGER,
+            download_count INTEGER NOT NULL DEFAULT 0,
+            revoked_at DATETIME,
+            password_hash TEXT,
+            allowed_email_domains TEXT,
+            allowed_ip_ranges TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (video_id) REFERENCES videos(id)
         )
     `).run();
 
+    // Create share_viewings table (viewings counted against a share link, whose
+    // follow-up requests are not counted again)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS share_viewings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            share_link_id INTEGER NOT NULL,
+            grant_hash TEXT NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (share_link_id) REFERENCES share_links(id) ON DELETE CASCADE
+        )
+    `).run();
+
+    // Create share_access_failures table (wrong share link passwords, for throttling)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS share_access_failures (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            share_link_id INTEGER NOT NULL,
+            ip TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (share_link_id) REFERENCES share_links(id) ON DELETE CASCADE
+        )
+    `).run();
+
+    // Create api_keys table (only a hash of each key is stored)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            key_prefix TEXT NOT NULL UNIQUE,
+            key_hash TEXT NOT NULL,
+            owner_id TEXT NOT NULL,
+            scopes TEXT NOT NULL DEFAULT '[]',
+            upload_policy TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME,
+            revoked_at DATETIME
+        )
+    `).run();
+
+    // Create jobs table for asynchronous trim/merge processing
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'queued',
+            params TEXT NOT NULL,
+            progress FLOAT NOT NULL DEFAULT 0,
+            error TEXT,
+            result_video_id INTEGER,
+            owner_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME,
+            FOREIGN KEY (result_video_id) REFERENCES videos(id)
+        )
+    `).run();
+
+    // Create video_derivations table (one row per input of a trim, merge or
+    // transcode). History outlives deleted sources: their IDs are cleared.
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS video_derivations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            video_id INTEGER NOT NULL,
+            source_video_id INTEGER,
+            position INTEGER NOT NULL DEFAULT 0,
+            operation TEXT NOT NULL,
+            params TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE,
+            FOREIGN KEY (source_video_id) REFERENCES videos(id) ON DELETE SET NULL
+        )
+    `).run();
+
+    // Create projects table (timelines of clips, stored as JSON
+    // [{ videoId, startFrame, endFrame }] and only materialised on render)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS projects (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            clips TEXT NOT NULL DEFAULT '[]',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `).run();
+
+    // Create upload_sessions table (resumable uploads in progress)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+            id TEXT PRIMARY KEY,
+            owner_id TEXT NOT NULL,
+            filename TEXT NOT NULL,
+            filetype TEXT,
+            filepath TEXT NOT NULL,
+            upload_length INTEGER NOT NULL,
+            upload_offset INTEGER NOT NULL DEFAULT 0,
+            fields TEXT NOT NULL DEFAULT '{}',
+            video_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE
+        )
+    `).run();
+
+    // Create quarantined_uploads table (uploads that failed content validation)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS quarantined_uploads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner_id TEXT NOT NULL,
+            original_name TEXT NOT NULL,
+            filepath TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            code TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            details TEXT NOT NULL DEFAULT '{}',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `).run();
+
+    // Create video_streams table (HLS/DASH packages; files lists each stored file)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS video_streams (
+            video_id INTEGER PRIMARY KEY,
+            status TEXT NOT NULL,
+            formats TEXT NOT NULL,
+            renditions TEXT,
+            files TEXT,
+            error TEXT,
+            job_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE
+        )
+    `).run();
+
+    // Create webhooks table (secrets are kept to sign deliveries)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner_id TEXT NOT NULL,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            events TEXT NOT NULL,
+            active INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `).run();
+
+    // Create webhook_deliveries table (delivery log and retry state)
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            webhook_id INTEGER NOT NULL,
+            event TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            response_status INTEGER,
+            error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_attempt_at DATETIME,
+            next_attempt_at DATETIME,
+            delivered_at DATETIME,
+            FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+        )
+    `).run();
+
+    // Migrate databases created before ownership was tracked
+    ensureColumn(db, 'videos', 'owner_id', 'TEXT');
+    ensureColumn(db, 'share_links', 'owner_id', 'TEXT');
+
+    // Migrate databases created before stream properties were probed
+    ensureColumn(db, 'videos', 'width', 'INTEGER');
+    ensureColumn(db, 'videos', 'height', 'INTEGER');
+    ensureColumn(db, 'videos', 'fps', 'FLOAT');
+    ensureColumn(db, 'videos', 'codec', 'TEXT');
+    ensureColumn(db, 'videos', 'pixel_format', 'TEXT');
+    ensureColumn(db, 'videos', 'frame_count', 'INTEGER');
+
+    // Migrate databases created before derived videos were linked to their source
+    ensureColumn(db, 'videos', 'source_video_id', 'INTEGER REFERENCES videos(id)');
+
+    // Migrate databases created before upload policies could be set per key
+    ensureColumn(db, 'api_keys', 'upload_policy', 'TEXT');
+
+    // Migrate databases created before poster frames were stored
+    ensureColumn(db, 'videos', 'thumbnail_path', 'TEXT');
+
+    // Migrate databases created before resumable uploads kept the declared MIME type
+    ensureColumn(db, 'upload_sessions', 'filetype', 'TEXT');
+
+    // Migrate databases created before files went through the storage layer
+    ensureColumn(db, 'videos', 'storage_key', 'TEXT');
+
+    // Migrate databases created before share links could be streaming-only
+    ensureColumn(db, 'share_links', 'mode', "TEXT NOT NULL DEFAULT 'download'");
+
+    // Migrate databases created before share links had usage limits and could be revoked
+    ensureColumn(db, 'share_links', 'max_downloads', 'INTEGER');
+    ensureColumn(db, 'share_links', 'download_count', 'INTEGER NOT NULL DEFAULT 0');
+    ensureColumn(db, 'share_links', 'revoked_at', 'DATETIME');
+
+    // Migrate databases created before share links could be restricted
+    ensureColumn(db, 'share_links', 'password_hash', 'TEXT');
+    ensureColumn(db, 'share_links', 'allowed_email_domains', 'TEXT');
+    ensureColumn(db, 'share_links', 'allowed_ip_ranges', 'TEXT');
+
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_videos_owner ON videos (owner_id)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_share_links_owner ON share_links (owner_id)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_share_links_video ON share_links (video_id)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_share_viewings_expires ON share_viewings (expires_at)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_share_access_failures_link ON share_access_failures (share_link_id, created_at)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_video_derivations_video ON video_derivations (video_id)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_video_derivations_source ON video_derivations (source_video_id)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_projects_owner ON projects (owner_id)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires ON upload_sessions (expires_at)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_webhooks_owner ON webhooks (owner_id)').run();
+    db.prepare('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id)').run();
+
     return db;
 }
 
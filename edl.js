@@ -0,0 +1,112 @@
+// Event line: number, reel, track, transition, then source in/out and record in/out
+const EVENT_PATTERN = /^(\d{1,6})\s+(\S+)\s+(\S+)\s+(C|D|W\d{3}|K[BO]?)(?:\s+(\d{3}))?\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s*$/;
+
+// Any SMPTE timecode, with ';' or '.' before the frames for drop-frame
+const TIMECODE_PATTERN = /^\d{2}:\d{2}:\d{2}[:;.]\d{2,3}$/;
+
+// Longest reel name CMX 3600 allows
+const MAX_REEL_LENGTH = 8;
+
+/**
+ * Parse a CMX 3600 edit decision list. Only cuts on video tracks are kept;
+ * audio-only events are skipped and any other transition is rejected, since
+ * timelines have no transitions.
+ * @param {string} text EDL file contents
+ * @returns {Object} { title, dropFrame, events: [{ number, reel, sourceIn,
+ *   sourceOut, recordIn, recordOut, clipName }] } with timecodes as strings
+ * @throws {Error} Naming the line of the first problem found
+ */
+function parseEdl(text) {
+    const result = { title: null, dropFrame: false, events: [] };
+    let current = null;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+
+        if (line === '') {
+            return;
+        }
+        if (/^TITLE:/i.test(line)) {
+            result.title = line.slice(6).trim() || null;
+            return;
+        }
+        if (/^FCM:/i.test(line)) {
+            result.dropFrame = /^FCM:\s*DROP FRAME/i.test(line);
+            return;
+        }
+        if (line.startsWith('*')) {
+            const clipName = /^\*\s*FROM CLIP NAME:\s*(.+)$/i.exec(line);
+            if (clipName && current) {
+                current.clipName = clipName[1].trim();
+            }
+            return;
+        }
+        if (/^M2\s/.test(line)) {
+            return; // Motion effects are not supported; the clip plays at normal speed
+        }
+
+        const match = EVENT_PATTERN.exec(line);
+        if (!match) {
+            throw new Error(`Line ${lineNumber}: not a CMX 3600 event`);
+        }
+
+        const [, number, reel, track, transition, , sourceIn, sourceOut, recordIn, recordOut] = match;
+        for (const timecode of [sourceIn, sourceOut, recordIn, recordOut]) {
+            if (!TIMECODE_PATTERN.test(timecode)) {
+                throw new Error(`Line ${lineNumber}: ${timecode} is not a timecode`);
+            }
+        }
+        if (transition !== 'C') {
+            throw new Error(`Line ${lineNumber}: event ${number} uses transition ${transition}; only cuts are supported`);
+        }
+
+        // Audio-only events (A, A2, AA, ...) have no picture to place on the timeline
+        if (track !== 'B' && !track.includes('V')) {
+            current = null;
+            return;
+        }
+
+        current = { number: Number(number), reel, sourceIn, sourceOut, recordIn, recordOut, clipName: null };
+        result.events.push(current);
+    });
+
+    return result;
+}
+
+/**
+ * Format an edit decision list in CMX 3600 format
+ * @param {Object} edl Contents of the list
+ * @param {string} edl.title Title of the list
+ * @param {boolean} edl.dropFrame True if record timecodes are drop-frame
+ * @param {Object[]} edl.events [{ reel, sourceIn, sourceOut, recordIn,
+ *   recordOut, clipName }] with timecodes as strings
+ * @returns {string} EDL file contents
+ */
+function formatEdl({ title, dropFrame, events }) {
+    const lines = [
+        `TITLE: ${title}`,
+        `FCM: ${dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+        ''
+    ];
+
+    events.forEach((event, index) => {
+        const number = String(index + 1).padStart(3, '0');
+        const reel = event.reel.slice(0, MAX_REEL_LENGTH).padEnd(MAX_REEL_LENGTH, ' ');
+        lines.push(
+            `${number}  ${reel} V     C        ` +
+            `${event.sourceIn} ${event.sourceOut} ${event.recordIn} ${event.recordOut}`
+        );
+        if (event.clipName) {
+            lines.push(`* FROM CLIP NAME: ${event.clipName}`);
+        }
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseEdl,
+    formatEdl
+};
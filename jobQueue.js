@@ -0,0 +1,251 @@
+const { getDb } = require('./db');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// Registered job handlers by job type
+const handlers = new Map();
+
+// Cancellation state of the jobs this process is currently running
+const runningJobs = new Map();
+
+// Maximum number of jobs processed at the same time
+let concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+
+let processScheduled = false;
+
+/**
+ * Register the function that performs jobs of a given type
+ * @param {string} type Job type
+ * @param {Function} handler async (params, context) => result, where context
+ *   has jobId, ownerId, setProgress(percent) and isCancelled(). A result with
+ *   an `id` is recorded as the job's result video.
+ */
+function registerJobHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Change how many jobs may run at the same time
+ * @param {number} value New concurrency (at least 1)
+ */
+function setJobConcurrency(value) {
+    concurrency = Math.max(1, Math.floor(value));
+    scheduleProcessing();
+}
+
+/**
+ * Shape a jobs row for API responses
+ * @param {Object} row Row from the jobs table
+ * @returns {Object} Public job representation
+ */
+function formatJob(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        status: row.status,
+        params: JSON.parse(row.params),
+        progress: row.progress,
+        error: row.error,
+        resultVideoId: row.result_video_id,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type Job type (must have a registered handler)
+ * @param {Object} params JSON-serialisable job parameters
+ * @param {string} ownerId User the job belongs to
+ * @returns {Object} Public representation of the queued job
+ */
+function enqueueJob(type, params, ownerId) {
+    if (!handlers.has(type)) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const db = getDb();
+    const result = db.prepare(`
+        INSERT INTO jobs (type, params, owner_id)
+        VALUES (?, ?, ?)
+    `).run(type, JSON.stringify(params), ownerId);
+
+    scheduleProcessing();
+
+    return formatJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * Look up a job owned by the given user
+ * @param {number|string} id Job ID
+ * @param {string} ownerId ID of the requesting user
+ * @returns {Object|null} Public job representation, or null if not found
+ */
+function getJob(id, ownerId) {
+    const row = getDb().prepare('SELECT * FROM jobs WHERE id = ? AND owner_id = ?').get(id, ownerId);
+    return row ? formatJob(row) : null;
+}
+
+/**
+ * List a user's jobs, newest first
+ * @param {string} ownerId ID of the requesting user
+ * @param {Object} [options] Listing options
+ * @param {string} [options.status] Only jobs with this status
+ * @param {number} [options.limit] Page size
+ * @param {number} [options.offset] Number of jobs to skip
+ * @returns {Object} { jobs, total }
+ */
+function listJobs(ownerId, { status, limit = 20, offset = 0 } = {}) {
+    const db = getDb();
+    const conditions = ['owner_id = ?'];
+    const params = [ownerId];
+
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM jobs ${where}`).get(...params);
+    const rows = db.prepare(`
+        SELECT * FROM jobs ${where}
+        ORDER BY id DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { jobs: rows.map(formatJob), total };
+}
+
+/**
+ * Cancel a queued or running job. A running job finishes its current work
+ * but its result is discarded.
+ * @param {number|string} id Job ID
+ * @param {string} ownerId ID of the requesting user
+ * @returns {Object|null} { job, cancelled } where cancelled is false if the
+ *   job had already finished, or null if the job does not exist
+ */
+function cancelJob(id, ownerId) {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM jobs WHERE id = ? AND owner_id = ?').get(id, ownerId);
+
+    if (!row) {
+        return null;
+    }
+
+    if (row.status !== 'queued' && row.status !== 'running') {
+        return { job: formatJob(row), cancelled: false };
+    }
+
+    db.prepare(`
+        UPDATE jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(row.id);
+
+    const state = runningJobs.get(row.id);
+    if (state) {
+        state.cancelled = true;
+    }
+
+    return { job: formatJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(row.id)), cancelled: true };
+}
+
+/**
+ * Recover jobs left over from a previous process. Jobs that were running
+ * when the server stopped are marked failed; queued jobs are resumed.
+ */
+function recoverJobs() {
+    getDb().prepare(`
+        UPDATE jobs
+        SET status = 'failed', error = 'Interrupted by server restart', finished_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+    `).run();
+
+    scheduleProcessing();
+}
+
+function scheduleProcessing() {
+    if (processScheduled) {
+        return;
+    }
+    processScheduled = true;
+    setImmediate(processQueue);
+}
+
+function processQueue() {
+    processScheduled = false;
+    const db = getDb();
+
+    while (runningJobs.size < concurrency) {
+        const row = db.prepare(`
+            SELECT * FROM jobs WHERE status = 'queued'
+            ORDER BY id ASC LIMIT 1
+        `).get();
+
+        if (!row) {
+            break;
+        }
+
+        // Claim the job so no other worker picks it up
+        const claimed = db.prepare(`
+            UPDATE jobs SET status = 'running', started_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'queued'
+        `).run(row.id);
+
+        if (claimed.changes === 1) {
+            runJob(row);
+        }
+    }
+}
+
+async function runJob(row) {
+    const db = getDb();
+    const state = { cancelled: false };
+    runningJobs.set(row.id, state);
+
+    const context = {
+        jobId: row.id,
+        ownerId: row.owner_id,
+        isCancelled: () => state.cancelled,
+        setProgress: (percent) => {
+            db.prepare(`UPDATE jobs SET progress = ? WHERE id = ? AND status = 'running'`)
+                .run(Math.min(100, Math.max(0, percent)), row.id);
+        }
+    };
+
+    try {
+        const handler = handlers.get(row.type);
+        if (!handler) {
+            throw new Error(`Unknown job type: ${row.type}`);
+        }
+
+        const result = await handler(JSON.parse(row.params), context);
+
+        db.prepare(`
+            UPDATE jobs
+            SET status = 'succeeded', progress = 100, result_video_id = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'running'
+        `).run(result && result.id !== undefined ? result.id : null, row.id);
+    } catch (error) {
+        console.error(`Job ${row.id} (${row.type}) failed:`, error);
+        db.prepare(`
+            UPDATE jobs
+            SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'running'
+        `).run(error.message, row.id);
+    } finally {
+        runningJobs.delete(row.id);
+        scheduleProcessing();
+    }
+}
+
+module.exports = {
+    JOB_STATUSES,
+    registerJobHandler,
+    setJobConcurrency,
+    enqueueJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    recoverJobs
+};
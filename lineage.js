@@ -0,0 +1,126 @@
+const { getDb } = require('./db');
+
+/**
+ * Record how a video was derived from its sources
+ * @param {Database} db Database connection
+ * @param {number} videoId ID of the derived video
+ * @param {Object} derivation How it was made
+ * @param {string} derivation.operation trim, merge or transcode
+ * @param {number[]} derivation.sourceVideoIds Input videos, in order
+ * @param {Object} derivation.params Parameters needed to repeat the operation
+ */
+function recordDerivation(db, videoId, { operation, sourceVideoIds, params }) {
+    const insert = db.prepare(`
+        INSERT INTO video_derivations (video_id, source_video_id, position, operation, params)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+    sourceVideoIds.forEach((sourceVideoId, position) => {
+        insert.run(videoId, sourceVideoId, position, operation, JSON.stringify(params));
+    });
+}
+
+/**
+ * Format a derivation row as a lineage graph edge
+ * @param {Object} row Derivation row
+ * @returns {Object} Edge from source to derived video
+ */
+function formatEdge(row) {
+    return {
+        sourceVideoId: row.source_video_id,
+        videoId: row.video_id,
+        operation: row.operation,
+        position: row.position,
+        params: JSON.parse(row.params),
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Build the edit recipe that produced a video: the operations applied, oldest
+ * first, along the chain of first inputs back to an original upload (or to a
+ * source that has since been deleted). Inputs of each step are the recorded
+ * video IDs, null for deleted ones; the first is the one fed in from the
+ * previous step.
+ * @param {number} videoId ID of the derived video
+ * @returns {Object[]} Steps [{ operation, params, inputs }], empty for originals
+ */
+function getRecipe(videoId) {
+    const db = getDb();
+    const select = db.prepare('SELECT * FROM video_derivations WHERE video_id = ? ORDER BY position');
+    const steps = [];
+
+    let currentId = videoId;
+    while (currentId !== null) {
+        const rows = select.all(currentId);
+        if (rows.length === 0) {
+            break;
+        }
+
+        steps.unshift({
+            operation: rows[0].operation,
+            params: JSON.parse(rows[0].params),
+            inputs: rows.map(row => row.source_video_id)
+        });
+        currentId = rows[0].source_video_id;
+    }
+    return steps;
+}
+
+/**
+ * Collect the ancestors and descendants of a video. Only videos owned by the
+ * same user are followed; every derived video belongs to whoever made it.
+ * @param {Object} video Video row
+ * @returns {Object} { nodes, edges, recipe }
+ */
+function getLineage(video) {
+    const db = getDb();
+    const selectVideo = db.prepare('SELECT * FROM videos WHERE id = ? AND owner_id = ?');
+    const selectParents = db.prepare('SELECT * FROM video_derivations WHERE video_id = ? ORDER BY position');
+    const selectChildren = db.prepare('SELECT * FROM video_derivations WHERE source_video_id = ? ORDER BY id');
+
+    const nodes = new Map([[video.id, { video, relation: 'self' }]]);
+    const edges = new Map();
+
+    /**
+     * Walk the graph in one direction from the starting video
+     */
+    const walk = (relation, selectRows, nextId) => {
+        const queue = [video.id];
+        while (queue.length > 0) {
+            for (const row of selectRows.all(queue.shift())) {
+                const id = nextId(row);
+                const related = id === null ? null : selectVideo.get(id, video.owner_id);
+                if (id !== null && !related) {
+                    continue;
+                }
+
+                edges.set(row.id, row);
+                if (related && !nodes.has(id)) {
+                    nodes.set(id, { video: related, relation });
+                    queue.push(id);
+                }
+            }
+        }
+    };
+
+    walk('ancestor', selectParents, row => row.source_video_id);
+    walk('descendant', selectChildren, row => row.video_id);
+
+    return {
+        nodes: [...nodes.values()].map(({ video: node, relation }) => ({
+            id: node.id,
+            filename: node.filename,
+            duration: node.duration,
+            relation,
+            createdAt: node.created_at
+        })),
+        edges: [...edges.values()].sort((a, b) => a.id - b.id).map(formatEdge),
+        recipe: getRecipe(video.id)
+    };
+}
+
+module.exports = {
+    recordDerivation,
+    getRecipe,
+    getLineage
+};
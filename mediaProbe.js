@@ -0,0 +1,235 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+
+// Geometry assumed for raw video files uploaded without one
+const RAW_VIDEO_WIDTH = 320;
+const RAW_VIDEO_HEIGHT = 240;
+const RAW_VIDEO_FPS = 30;
+const RAW_PIXEL_FORMAT = 'rgb24';
+
+// Largest accepted raw frame dimension and frame rate
+const MAX_RAW_DIMENSION = 8192;
+const MAX_RAW_FPS = 1000;
+
+// Bytes per frame for each supported raw pixel format. Chroma planes of
+// subsampled formats are rounded up the same way ffmpeg does.
+const RAW_PIXEL_FORMATS = {
+    rgb24: (width, height) => width * height * 3,
+    rgba: (width, height) => width * height * 4,
+    gray: (width, height) => width * height,
+    yuv420p: (width, height) => width * height + 2 * Math.ceil(width / 2) * Math.ceil(height / 2),
+    yuv422p: (width, height) => width * height + 2 * Math.ceil(width / 2) * height,
+    nv12: (width, height) => width * height + 2 * Math.ceil(width / 2) * Math.ceil(height / 2)
+};
+
+/**
+ * Check whether a file is a headerless raw video
+ * @param {string} filepath Path to the video file
+ * @returns {boolean} True for .raw files
+ */
+function isRawVideo(filepath) {
+    return path.extname(filepath).toLowerCase() === '.raw';
+}
+
+/**
+ * Check whether an upload's declared type is one the upload policy accepts:
+ * either its MIME type or its extension must be allowed
+ * @param {string} mimetype MIME type declared by the client
+ * @param {string} filename Original filename
+ * @param {Object} policy Upload policy from getUploadPolicy
+ * @returns {boolean} True for accepted types
+ */
+function isAcceptedUploadType(mimetype, filename, policy) {
+    return policy.allowedMimeTypes.includes(mimetype) ||
+        policy.allowedExtensions.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Parse an ffprobe frame rate such as "30000/1001"
+ * @param {string} value Frame rate fraction
+ * @returns {number|null} Frames per second, or null if unknown
+ */
+function parseFrameRate(value) {
+    if (!value) {
+        return null;
+    }
+    const [numerator, denominator = '1'] = String(value).split('/');
+    const fps = Number(numerator) / Number(denominator);
+    return Number.isFinite(fps) && fps > 0 ? fps : null;
+}
+
+/**
+ * Validate raw geometry fields supplied with an upload. Missing fields
+ * fall back to the default geometry.
+ * @param {Object} fields Request fields
+ * @param {*} [fields.width] Frame width in pixels
+ * @param {*} [fields.height] Frame height in pixels
+ * @param {*} [fields.fps] Frames per second
+ * @param {*} [fields.pixelFormat] One of RAW_PIXEL_FORMATS
+ * @returns {Object} { geometry } when valid, otherwise { error }
+ */
+function parseRawGeometry({ width, height, fps, pixelFormat }) {
+    const geometry = {
+        width: RAW_VIDEO_WIDTH,
+        height: RAW_VIDEO_HEIGHT,
+        fps: RAW_VIDEO_FPS,
+        pixelFormat: RAW_PIXEL_FORMAT
+    };
+
+    for (const [name, value] of [['width', width], ['height', height]]) {
+        if (value === undefined || value === '') {
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1 || number > MAX_RAW_DIMENSION) {
+            return { error: `${name} must be an integer between 1 and ${MAX_RAW_DIMENSION}` };
+        }
+        geometry[name] = number;
+    }
+
+    if (fps !== undefined && fps !== '') {
+        const number = Number(fps);
+        if (!Number.isFinite(number) || number <= 0 || number > MAX_RAW_FPS) {
+            return { error: `fps must be a number greater than 0 and at most ${MAX_RAW_FPS}` };
+        }
+        geometry.fps = number;
+    }
+
+    if (pixelFormat !== undefined && pixelFormat !== '') {
+        if (!Object.prototype.hasOwnProperty.call(RAW_PIXEL_FORMATS, pixelFormat)) {
+            return {
+                error: `pixelFormat must be one of: ${Object.keys(RAW_PIXEL_FORMATS).join(', ')}`
+            };
+        }
+        geometry.pixelFormat = pixelFormat;
+    }
+
+    return { geometry };
+}
+
+/**
+ * Read the raw geometry stored on a video row, falling back to the
+ * default for rows recorded before geometry was stored
+ * @param {Object} video Video row
+ * @returns {Object} { width, height, fps, pixelFormat }
+ */
+function getRawGeometry(video) {
+    return {
+        width: video.width || RAW_VIDEO_WIDTH,
+        height: video.height || RAW_VIDEO_HEIGHT,
+        fps: video.fps || RAW_VIDEO_FPS,
+        pixelFormat: video.pixel_format || RAW_PIXEL_FORMAT
+    };
+}
+
+/**
+ * Check whether two raw geometries describe the same frame layout
+ * @param {Object} a First geometry
+ * @param {Object} b Second geometry
+ * @returns {boolean} True if frames from both can be concatenated
+ */
+function isSameRawGeometry(a, b) {
+    return a.width === b.width &&
+        a.height === b.height &&
+        a.fps === b.fps &&
+        a.pixelFormat === b.pixelFormat;
+}
+
+/**
+ * Size in bytes of a single frame with the given geometry
+ * @param {Object} geometry { width, height, pixelFormat }
+ * @returns {number} Bytes per frame
+ */
+function getRawFrameSize({ width, height, pixelFormat }) {
+    return RAW_PIXEL_FORMATS[pixelFormat](width, height);
+}
+
+/**
+ * Describe a raw video from its size using exact frame math
+ * @param {string} filepath Path to the raw video file
+ * @param {Object} [geometry] Raw geometry (default 320x240 rgb24 at 30 fps)
+ * @returns {Object} Video metadata; trailingBytes counts bytes after the last whole frame
+ */
+function probeRawVideo(filepath, geometry = getRawGeometry({})) {
+    const size = fs.statSync(filepath).size;
+    const frameSize = getRawFrameSize(geometry);
+    const frameCount = Math.floor(size / frameSize);
+
+    return {
+        format: 'rawvideo',
+        codec: 'rawvideo',
+        pixelFormat: geometry.pixelFormat,
+        width: geometry.width,
+        height: geometry.height,
+        fps: geometry.fps,
+        frameCount,
+        frameSize,
+        trailingBytes: size - frameCount * frameSize,
+        duration: frameCount / geometry.fps
+    };
+}
+
+/**
+ * Describe a containerised video (mp4, mov, ...) using ffprobe
+ * @param {string} filepath Path to the video file
+ * @returns {Promise<Object>} Video metadata
+ */
+function probeContainerVideo(filepath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filepath, (err, data) => {
+            if (err) {
+                return reject(new Error(`ffprobe failed: ${err.message}`));
+            }
+
+            const stream = (data.streams || []).find(s => s.codec_type === 'video');
+            if (!stream) {
+                return reject(new Error('No video stream found'));
+            }
+
+            const fps = parseFrameRate(stream.avg_frame_rate) || parseFrameRate(stream.r_frame_rate);
+            const duration = Number(data.format && data.format.duration) || Number(stream.duration) || 0;
+            const frameCount = Number(stream.nb_frames) || (fps ? Math.round(duration * fps) : null);
+
+            resolve({
+                format: data.format && data.format.format_name,
+                codec: stream.codec_name,
+                pixelFormat: stream.pix_fmt,
+                width: stream.width,
+                height: stream.height,
+                fps,
+                frameCount,
+                duration
+            });
+        });
+    });
+}
+
+/**
+ * Read a video's duration and stream properties
+ * @param {string} filepath Path to the video file
+ * @param {Object} [geometry] Geometry of raw files, which carry no header
+ * @returns {Promise<Object>} { format, codec, pixelFormat, width, height, fps, frameCount, duration }
+ */
+async function probeVideo(filepath, geometry) {
+    if (isRawVideo(filepath)) {
+        return probeRawVideo(filepath, geometry);
+    }
+    return probeContainerVideo(filepath);
+}
+
+module.exports = {
+    RAW_VIDEO_WIDTH,
+    RAW_VIDEO_HEIGHT,
+    RAW_VIDEO_FPS,
+    RAW_PIXEL_FORMAT,
+    RAW_PIXEL_FORMATS,
+    isRawVideo,
+    isAcceptedUploadType,
+    parseFrameRate,
+    parseRawGeometry,
+    getRawGeometry,
+    getRawFrameSize,
+    isSameRawGeometry,
+    probeVideo
+};
@@ -1,9 +1,4 @@
-// For demonstration purposes, we'll use a static API token
-// In production, this should be stored securely (e.g., environment variables)
-const VALID_API_TOKENS = new Set([
-    'test-token-1',
-    'test-token-2'
-]);
+const { findApiKey, touchApiKey } = require('../apiKeys');
 
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -13,14 +8,47 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ error: 'No authentication token provided' });
     }
 
-    if (!VALID_API_TOKENS.has(token)) {
+    const apiKey = findApiKey(token);
+    if (!apiKey) {
         return res.status(403).json({ error: 'Invalid authentication token' });
     }
 
+    touchApiKey(apiKey.id);
+
+    // Expose the caller's identity to route handlers
+    req.user = {
+        id: apiKey.owner_id,
+        keyId: apiKey.id,
+        keyName: apiKey.name,
+        scopes: JSON.parse(apiKey.scopes),
+        uploadPolicy: apiKey.upload_policy ? JSON.parse(apiKey.upload_policy) : null
+    };
+
     next();
 }
 
+/**
+ * Create middleware that only lets through tokens holding a scope.
+ * Must run after authenticateToken. The admin scope grants every scope.
+ * @param {string} scope Required scope
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        const scopes = (req.user && req.user.scopes) || [];
+
+        if (!scopes.includes(scope) && !scopes.includes('admin')) {
+            return res.status(403).json({
+                error: `Missing required scope: ${scope}`,
+                requiredScope: scope
+            });
+        }
+
+        next();
+    };
+}
+
 module.exports = {
     authenticateToken,
-    VALID_API_TOKENS
+    requireScope
 };
@@ -0,0 +1,25 @@
+// Player of share pages: browsers that cannot play a stream's manifest
+// themselves (all but Safari) play it with hls.js or dash.js, which share
+// pages load from this API before this script
+(() => {
+    'use strict';
+
+    document.querySelectorAll('video[data-hls-src], video[data-dash-src]').forEach((video) => {
+        const hlsSrc = video.dataset.hlsSrc;
+        const dashSrc = video.dataset.dashSrc;
+
+        // Safari plays HLS from the <source> element
+        if (hlsSrc && video.canPlayType('application/vnd.apple.mpegurl')) {
+            return;
+        }
+        if (hlsSrc && window.Hls && window.Hls.isSupported()) {
+            const hls = new window.Hls();
+            hls.loadSource(hlsSrc);
+            hls.attachMedia(video);
+            return;
+        }
+        if (dashSrc && window.dashjs) {
+            window.dashjs.MediaPlayer().create().initialize(video, dashSrc, false);
+        }
+    });
+})();
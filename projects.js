@@ -0,0 +1,371 @@
+const { getDb } = require('./db');
+const { getOwnedVideo, getVideoTiming, planMerge, renderTimeline } = require('./videoOperations');
+const { registerJobHandler } = require('./jobQueue');
+const { resolveTrimRequest } = require('./trimming');
+const { timeToFrame, formatTimecode, isDropFrameRate } = require('./timecode');
+const { parseEdl, formatEdl } = require('./edl');
+
+// Upper bound on clips in one timeline
+const MAX_CLIPS = 500;
+
+// Longest project name accepted
+const MAX_NAME_LENGTH = 200;
+
+// Fields a clip may carry: the video and its in/out points
+const CLIP_FIELDS = ['videoId', 'start', 'end', 'startFrame', 'endFrame'];
+
+// Conventional record start of an EDL timeline (one hour in)
+const RECORD_START_SECONDS = 3600;
+
+/**
+ * Validate a project name supplied by a client
+ * @param {*} name Project name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProjectName(name) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+        return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Resolve in/out points against a video's real frame count
+ * @param {Object} video Video row
+ * @param {Object} bounds start/end or startFrame/endFrame; empty for the whole video
+ * @returns {Promise<Object>} { clip: { videoId, startFrame, endFrame } } or { error }
+ */
+async function resolveClipBounds(video, bounds) {
+    const hasBounds = Object.values(bounds).some(value => value !== undefined);
+    const { segments, error } = resolveTrimRequest(hasBounds ? bounds : { startFrame: 0 }, await getVideoTiming(video));
+    return error ? { error } : { clip: { videoId: video.id, ...segments[0] } };
+}
+
+/**
+ * Resolve one clip of a timeline to frame-accurate in/out points. In and out
+ * points are start/end (seconds or timecodes) or startFrame/endFrame, and
+ * default to the whole video.
+ * @param {Object} clip Clip from the request
+ * @param {string} name Field name used in error messages, e.g. "clips[2]"
+ * @param {string} ownerId User the clip's video must belong to
+ * @returns {Promise<Object>} { clip: { videoId, startFrame, endFrame } } or { error }
+ */
+async function resolveClip(clip, name, ownerId) {
+    if (!clip || typeof clip !== 'object' || Array.isArray(clip)) {
+        return { error: `${name} must be an object` };
+    }
+    const unknown = Object.keys(clip).filter(field => !CLIP_FIELDS.includes(field));
+    if (unknown.length) {
+        return { error: `${name} has unknown fields: ${unknown.join(', ')}. Valid fields: ${CLIP_FIELDS.join(', ')}` };
+    }
+    if (!Number.isInteger(clip.videoId)) {
+        return { error: `${name}.videoId must be a video ID` };
+    }
+
+    const video = getOwnedVideo(getDb(), clip.videoId, ownerId);
+    if (!video) {
+        return { error: `${name}: Video with ID ${clip.videoId} not found` };
+    }
+
+    const { videoId, ...bounds } = clip;
+    const { clip: resolved, error } = await resolveClipBounds(video, bounds);
+    return error ? { error: `${name}.${error}` } : { clip: resolved };
+}
+
+/**
+ * Resolve every clip of a timeline
+ * @param {*} clips Clips from the request
+ * @param {string} ownerId User the clips' videos must belong to
+ * @returns {Promise<Object>} { clips } or { error }
+ */
+async function resolveClips(clips, ownerId) {
+    if (!Array.isArray(clips)) {
+        return { error: 'clips must be an array' };
+    }
+    if (clips.length > MAX_CLIPS) {
+        return { error: `clips may contain at most ${MAX_CLIPS} entries` };
+    }
+
+    const resolved = [];
+    for (const [index, clip] of clips.entries()) {
+        const { clip: result, error } = await resolveClip(clip, `clips[${index}]`, ownerId);
+        if (error) {
+            return { error };
+        }
+        resolved.push(result);
+    }
+    return { clips: resolved };
+}
+
+/**
+ * Look up the videos used by a project's clips
+ * @param {Object} project projects row
+ * @returns {Object[]} Clips paired with their video row (undefined if deleted)
+ */
+function getProjectClips(project) {
+    const db = getDb();
+    return JSON.parse(project.clips).map(clip => ({
+        clip,
+        video: getOwnedVideo(db, clip.videoId, project.owner_id)
+    }));
+}
+
+/**
+ * Shape a projects row for API responses, previewing the timeline: where
+ * each clip starts and how long the rendered video would be
+ * @param {Object} project projects row
+ * @returns {Object} Public project representation
+ */
+function formatProject(project) {
+    let position = 0;
+    const clips = getProjectClips(project).map(({ clip, video }) => {
+        const fps = video ? video.fps : null;
+        const duration = fps ? (clip.endFrame - clip.startFrame) / fps : null;
+        const formatted = {
+            videoId: clip.videoId,
+            startFrame: clip.startFrame,
+            endFrame: clip.endFrame,
+            start: fps ? clip.startFrame / fps : null,
+            end: fps ? clip.endFrame / fps : null,
+            duration,
+            timelineStart: position,
+            missing: !video
+        };
+        position += duration || 0;
+        return formatted;
+    });
+
+    return {
+        id: project.id,
+        name: project.name,
+        clips,
+        duration: position,
+        createdAt: project.created_at,
+        updatedAt: project.updated_at
+    };
+}
+
+/**
+ * Create a project
+ * @param {string} ownerId User the project belongs to
+ * @param {Object} fields Project fields
+ * @param {string} fields.name Project name
+ * @param {Object[]} fields.clips Resolved clips
+ * @returns {Object} Public project representation
+ */
+function createProject(ownerId, { name, clips }) {
+    const db = getDb();
+    const result = db.prepare('INSERT INTO projects (owner_id, name, clips) VALUES (?, ?, ?)')
+        .run(ownerId, name.trim(), JSON.stringify(clips));
+    return formatProject(db.prepare('SELECT * FROM projects WHERE id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * Look up a project owned by the given user
+ * @param {number|string} id Project ID
+ * @param {string} ownerId ID of the requesting user
+ * @returns {Object|undefined} projects row
+ */
+function getOwnedProject(id, ownerId) {
+    return getDb().prepare('SELECT * FROM projects WHERE id = ? AND owner_id = ?').get(id, ownerId);
+}
+
+/**
+ * List a user's projects
+ * @param {string} ownerId ID of the requesting user
+ * @returns {Object[]} Public project representations
+ */
+function listProjects(ownerId) {
+    return getDb().prepare('SELECT * FROM projects WHERE owner_id = ? ORDER BY id')
+        .all(ownerId)
+        .map(formatProject);
+}
+
+/**
+ * Update a project's name or clips. Only the project row changes; no media
+ * is touched until the project is rendered.
+ * @param {Object} project projects row
+ * @param {Object} fields Fields to change
+ * @param {string} [fields.name] New name
+ * @param {Object[]} [fields.clips] New resolved clips
+ * @returns {Object} Updated public project representation
+ */
+function updateProject(project, { name, clips }) {
+    const db = getDb();
+    db.prepare(`
+        UPDATE projects
+        SET name = ?, clips = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(
+        name !== undefined ? name.trim() : project.name,
+        clips !== undefined ? JSON.stringify(clips) : project.clips,
+        project.id
+    );
+    return formatProject(db.prepare('SELECT * FROM projects WHERE id = ?').get(project.id));
+}
+
+/**
+ * Delete a project (its clips' videos are left alone)
+ * @param {Object} project projects row
+ */
+function deleteProject(project) {
+    getDb().prepare('DELETE FROM projects WHERE id = ?').run(project.id);
+}
+
+/**
+ * Check that a project can be rendered and plan how its clips are joined
+ * @param {Object} project projects row
+ * @param {Object} [options] Output options, as for POST /videos/merge
+ * @returns {Object} { clips, plan } or { error }
+ */
+function planProjectRender(project, options = {}) {
+    const clips = getProjectClips(project);
+    if (clips.length === 0) {
+        return { error: 'Project has no clips to render' };
+    }
+    const missing = clips.findIndex(({ video }) => !video);
+    if (missing !== -1) {
+        return { error: `clips[${missing}]: Video with ID ${clips[missing].clip.videoId} no longer exists` };
+    }
+
+    const { plan, error } = planMerge(clips.map(({ video }) => video), options);
+    return error ? { error } : { clips, plan };
+}
+
+/**
+ * Export a project as a CMX 3600 edit decision list. Each clip becomes a cut
+ * whose reel is the video ID; the record timeline starts at one hour, at the
+ * frame rate of the first clip.
+ * @param {Object} project projects row
+ * @returns {Object} { edl } text, or { error } if a clip's video is gone
+ */
+function exportProjectEdl(project) {
+    const clips = getProjectClips(project);
+    const missing = clips.findIndex(({ video }) => !video);
+    if (missing !== -1) {
+        return { error: `clips[${missing}]: Video with ID ${clips[missing].clip.videoId} no longer exists` };
+    }
+
+    const recordFps = clips.length ? clips[0].video.fps : 30;
+    let recordFrame = Math.round(RECORD_START_SECONDS * recordFps);
+
+    const events = clips.map(({ clip, video }) => {
+        const recordFrames = Math.round((clip.endFrame - clip.startFrame) / video.fps * recordFps);
+        const event = {
+            reel: String(video.id),
+            sourceIn: formatTimecode(clip.startFrame, video.fps),
+            sourceOut: formatTimecode(clip.endFrame, video.fps),
+            recordIn: formatTimecode(recordFrame, recordFps),
+            recordOut: formatTimecode(recordFrame + recordFrames, recordFps),
+            clipName: video.filename
+        };
+        recordFrame += recordFrames;
+        return event;
+    });
+
+    return { edl: formatEdl({ title: project.name, dropFrame: isDropFrameRate(recordFps), events }) };
+}
+
+/**
+ * Convert an EDL source timecode to a frame number of the clip's video
+ * @param {string} timecode Timecode from the EDL
+ * @param {number} fps Frame rate of the video
+ * @param {boolean} dropFrame True if the list declares drop-frame timecode
+ * @returns {number} Frame number
+ */
+function edlTimecodeToFrame(timecode, fps, dropFrame) {
+    // Drop-frame may be marked by ';' or '.', or only by the FCM line
+    const separator = /[;.]\d+$/.test(timecode) || (dropFrame && isDropFrameRate(fps)) ? ';' : ':';
+    return timeToFrame(timecode.replace(/[:;.](\d+)$/, `${separator}$1`), fps);
+}
+
+/**
+ * Turn a CMX 3600 edit decision list into timeline clips. Each event's reel
+ * names a video ID; failing that, its FROM CLIP NAME comment names the
+ * filename of one of the user's videos. Black (BL) events are gaps and are
+ * skipped.
+ * @param {string} text EDL file contents
+ * @param {string} ownerId User the videos must belong to
+ * @returns {Promise<Object>} { title, clips } or { error }
+ */
+async function importEdl(text, ownerId) {
+    let edl;
+    try {
+        edl = parseEdl(text);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    const db = getDb();
+    const clips = [];
+    for (const event of edl.events) {
+        if (event.reel === 'BL') {
+            continue;
+        }
+
+        let video;
+        if (/^\d+$/.test(event.reel)) {
+            video = getOwnedVideo(db, event.reel, ownerId);
+        } else if (event.clipName) {
+            video = db.prepare('SELECT * FROM videos WHERE filename = ? AND owner_id = ? ORDER BY id DESC')
+                .get(event.clipName, ownerId);
+        }
+        if (!video) {
+            return {
+                error: `Event ${event.number}: reel ${event.reel}` +
+                    (event.clipName ? ` (${event.clipName})` : '') + ' does not match any of your videos'
+            };
+        }
+
+        let startFrame;
+        let endFrame;
+        try {
+            startFrame = edlTimecodeToFrame(event.sourceIn, video.fps, edl.dropFrame);
+            endFrame = edlTimecodeToFrame(event.sourceOut, video.fps, edl.dropFrame);
+        } catch (error) {
+            return { error: `Event ${event.number}: source timecode ${error.message}` };
+        }
+
+        const { clip, error } = await resolveClipBounds(video, { startFrame, endFrame });
+        if (error) {
+            return { error: `Event ${event.number}: ${error}` };
+        }
+        clips.push(clip);
+    }
+
+    if (clips.length > MAX_CLIPS) {
+        return { error: `EDL may contain at most ${MAX_CLIPS} events` };
+    }
+    return { title: edl.title, clips };
+}
+
+// Background job handler for POST /projects/:id/render. The clips are a
+// snapshot taken when the render was requested, so later edits don't affect it.
+registerJobHandler('render', async ({ projectId, clips, plan }, job) => {
+    const db = getDb();
+    const timeline = clips.map(clip => {
+        const video = getOwnedVideo(db, clip.videoId, job.ownerId);
+        if (!video) {
+            throw new Error(`Video with ID ${clip.videoId} not found`);
+        }
+        return { clip, video };
+    });
+    return renderTimeline({ id: projectId, clips: timeline }, plan, job.ownerId, job);
+});
+
+module.exports = {
+    MAX_CLIPS,
+    validateProjectName,
+    resolveClip,
+    resolveClips,
+    getProjectClips,
+    formatProject,
+    createProject,
+    getOwnedProject,
+    listProjects,
+    updateProject,
+    deleteProject,
+    planProjectRender,
+    exportProjectEdl,
+    importEdl
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs');
+const { getDb } = require('./db');
+
+// Rejected uploads are kept here for inspection instead of being deleted
+const QUARANTINE_DIR = path.join(__dirname, 'quarantine');
+
+/**
+ * Shape a quarantined_uploads row for API responses
+ * @param {Object} row Row from the quarantined_uploads table
+ * @returns {Object} Public quarantine record
+ */
+function formatQuarantinedUpload(row) {
+    return {
+        id: row.id,
+        ownerId: row.owner_id,
+        originalName: row.original_name,
+        size: row.size,
+        code: row.code,
+        reason: row.reason,
+        details: JSON.parse(row.details),
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Move a rejected upload into the quarantine directory and record why
+ * @param {Object} upload Rejected upload
+ * @param {string} upload.filepath Path of the uploaded file
+ * @param {string} upload.ownerId User who uploaded it
+ * @param {string} upload.originalName Filename the client gave
+ * @param {Object} rejection { error, code, details } from validateUploadContent
+ * @returns {number} ID of the quarantine record
+ */
+function quarantineUpload({ filepath, ownerId, originalName }, { error, code, details }) {
+    if (!fs.existsSync(QUARANTINE_DIR)) {
+        fs.mkdirSync(QUARANTINE_DIR);
+    }
+
+    const quarantinePath = path.join(QUARANTINE_DIR, path.basename(filepath));
+    const size = fs.statSync(filepath).size;
+    fs.renameSync(filepath, quarantinePath);
+
+    const result = getDb().prepare(`
+        INSERT INTO quarantined_uploads (owner_id, original_name, filepath, size, code, reason, details)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(ownerId, originalName, quarantinePath, size, code, error, JSON.stringify(details || {}));
+
+    return result.lastInsertRowid;
+}
+
+/**
+ * List quarantined uploads, newest first
+ * @returns {Object[]} Public quarantine records
+ */
+function listQuarantinedUploads() {
+    return getDb()
+        .prepare('SELECT * FROM quarantined_uploads ORDER BY id DESC')
+        .all()
+        .map(formatQuarantinedUpload);
+}
+
+/**
+ * Delete a quarantined upload and its file
+ * @param {number} id Quarantine record ID
+ * @returns {boolean} True if it existed
+ */
+function deleteQuarantinedUpload(id) {
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM quarantined_uploads WHERE id = ?').get(id);
+    if (!row) {
+        return false;
+    }
+
+    fs.rmSync(row.filepath, { force: true });
+    db.prepare('DELETE FROM quarantined_uploads WHERE id = ?').run(id);
+    return true;
+}
+
+module.exports = {
+    QUARANTINE_DIR,
+    quarantineUpload,
+    listQuarantinedUploads,
+    deleteQuarantinedUpload
+};
@@ -0,0 +1,375 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { isAcceptedUploadType, isRawVideo, parseRawGeometry } = require('./mediaProbe');
+const { ingestUpload } = require('./videoOperations');
+const { formatByteSize } = require('./config');
+
+// Version of the tus resumable upload protocol implemented
+const TUS_VERSION = '1.0.0';
+
+// Hash algorithms accepted in the Upload-Checksum header
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Upload-Metadata keys passed on to the upload validation
+const GEOMETRY_FIELDS = ['width', 'height', 'fps', 'pixelFormat'];
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+
+// Sessions with a PATCH in progress; a second concurrent PATCH is refused
+const activeSessions = new Set();
+
+/**
+ * How long a session may sit idle before it is discarded, read from the
+ * environment on each use
+ * @returns {number} Lifetime in milliseconds
+ */
+function getSessionTtlMs() {
+    const hours = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS);
+    return (hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated pairs of a key and
+ * an optional base64-encoded value
+ * @param {string} [header] Header value
+ * @returns {Object} { metadata } with decoded values, or { error }
+ */
+function parseUploadMetadata(header) {
+    const metadata = {};
+    if (!header || header.trim() === '') {
+        return { metadata };
+    }
+
+    for (const pair of header.split(',')) {
+        const match = /^\s*([^\s,]+)(?:\s+([A-Za-z0-9+/]*={0,2}))?\s*$/.exec(pair);
+        if (!match) {
+            return { error: 'Upload-Metadata must be comma-separated "key base64value" pairs' };
+        }
+        metadata[match[1]] = Buffer.from(match[2] || '', 'base64').toString('utf8');
+    }
+    return { metadata };
+}
+
+/**
+ * Parse a tus Upload-Checksum header
+ * @param {string} [header] Header value, "<algorithm> <base64 digest>"
+ * @returns {Object} { checksum: { algorithm, digest } }, { checksum: null }
+ *   when absent, or { error }
+ */
+function parseChecksumHeader(header) {
+    if (header === undefined) {
+        return { checksum: null };
+    }
+
+    const match = /^(\S+) ([A-Za-z0-9+/]+={0,2})$/.exec(header.trim());
+    if (!match) {
+        return { error: 'Upload-Checksum must be "<algorithm> <base64 digest>"' };
+    }
+    if (!CHECKSUM_ALGORITHMS.includes(match[1])) {
+        return { error: `Upload-Checksum algorithm must be one of: ${CHECKSUM_ALGORITHMS.join(', ')}` };
+    }
+    return { checksum: { algorithm: match[1], digest: match[2] } };
+}
+
+/**
+ * Shape an upload_sessions row for API responses
+ * @param {Object} row Row from the upload_sessions table
+ * @returns {Object} Public upload session representation
+ */
+function formatUploadSession(row) {
+    return {
+        id: row.id,
+        url: `/uploads/${row.id}`,
+        filename: row.filename,
+        uploadLength: row.upload_length,
+        uploadOffset: row.upload_offset,
+        complete: row.video_id !== null,
+        videoId: row.video_id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        expiresAt: row.expires_at
+    };
+}
+
+/**
+ * Start a resumable upload. The declared file is checked up front so a
+ * client learns about an unacceptable upload before sending any of it.
+ * @param {Object} options Session details
+ * @param {string} options.ownerId User the upload belongs to
+ * @param {number} options.uploadLength Total size of the file in bytes
+ * @param {Object} options.metadata Decoded Upload-Metadata: filename
+ *   (required), filetype, and width/height/fps/pixelFormat for raw videos
+ * @param {Object} options.policy Upload policy from getUploadPolicy
+ * @returns {Object} { session }, or { error } with a code for upload policy
+ *   violations
+ */
+function createUploadSession({ ownerId, uploadLength, metadata, policy }) {
+    if (uploadLength > policy.maxFileSize) {
+        return {
+            error: `File exceeds maximum upload size (${formatByteSize(policy.maxFileSize)})`,
+            code: 'FILE_TOO_LARGE'
+        };
+    }
+
+    const { filename, filetype } = metadata;
+    if (!filename) {
+        return { error: 'Upload-Metadata must include a filename' };
+    }
+    if (!isAcceptedUploadType(filetype, filename, policy)) {
+        return { error: 'Invalid file type. Only video files are allowed', code: 'UNSUPPORTED_FILE_TYPE' };
+    }
+
+    const fields = {};
+    for (const field of GEOMETRY_FIELDS) {
+        if (metadata[field] !== undefined) {
+            fields[field] = metadata[field];
+        }
+    }
+    if (isRawVideo(filename)) {
+        const parsed = parseRawGeometry(fields);
+        if (parsed.error) {
+            return { error: parsed.error };
+        }
+    } else if (Object.keys(fields).length > 0) {
+        return { error: 'width, height, fps and pixelFormat only apply to raw videos' };
+    }
+
+    if (!fs.existsSync(UPLOAD_DIR)) {
+        fs.mkdirSync(UPLOAD_DIR);
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const filepath = path.join(UPLOAD_DIR, `upload-${id}.part`);
+    fs.writeFileSync(filepath, '');
+
+    const db = getDb();
+    db.prepare(`
+        INSERT INTO upload_sessions (id, owner_id, filename, filetype, filepath, upload_length, fields, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        id,
+        ownerId,
+        path.basename(filename),
+        filetype || null,
+        filepath,
+        uploadLength,
+        JSON.stringify(fields),
+        new Date(Date.now() + getSessionTtlMs()).toISOString()
+    );
+
+    return { session: db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id) };
+}
+
+/**
+ * Fetch an upload session belonging to a user
+ * @param {string} id Session ID
+ * @param {string} ownerId User the session must belong to
+ * @returns {Object|undefined} Session row, or undefined if not found
+ */
+function getOwnedUploadSession(id, ownerId) {
+    return getDb().prepare('SELECT * FROM upload_sessions WHERE id = ? AND owner_id = ?').get(id, ownerId);
+}
+
+/**
+ * Check whether a session has been idle past its expiry time
+ * @param {Object} session Session row
+ * @returns {boolean} True if expired
+ */
+function isUploadSessionExpired(session) {
+    return new Date(session.expires_at).getTime() <= Date.now();
+}
+
+/**
+ * Check whether a PATCH is already writing to or finalising a session
+ * @param {Object} session Session row
+ * @returns {boolean} True while a chunk is being written or the upload turned into a video
+ */
+function isUploadSessionBusy(session) {
+    return activeSessions.has(session.id);
+}
+
+/**
+ * Append a chunk to a session's partial file, starting at its current
+ * offset. Without a checksum, the bytes that arrived before an interrupted
+ * request are kept so the client can resume from there; with one, the
+ * chunk is kept only if it arrives whole and matches.
+ * @param {Object} session Session row
+ * @param {stream.Readable} input Chunk data
+ * @param {Object|null} checksum { algorithm, digest } from Upload-Checksum
+ * @returns {Promise<Object>} { offset } on success, or { error, status }
+ */
+function writeChunk(session, input, checksum) {
+    const startOffset = session.upload_offset;
+    const remaining = session.upload_length - startOffset;
+
+    // Drop anything left past the offset by an earlier failed write. Done
+    // before marking the session busy, so a failure here cannot leave it busy.
+    fs.truncateSync(session.filepath, startOffset);
+
+    activeSessions.add(session.id);
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(session.filepath, { flags: 'r+', start: startOffset });
+        const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+        let received = 0;
+        let tooLarge = false;
+        let interrupted = false;
+        let ended = false;
+
+        const endOutput = () => {
+            if (!ended) {
+                ended = true;
+                output.end();
+            }
+        };
+
+        input.on('data', (data) => {
+            if (tooLarge) {
+                return; // Keep reading so the client gets the response
+            }
+            if (received + data.length > remaining) {
+                tooLarge = true;
+                return;
+            }
+            received += data.length;
+            if (hash) {
+                hash.update(data);
+            }
+            if (!output.write(data)) {
+                input.pause();
+                output.once('drain', () => input.resume());
+            }
+        });
+        input.on('end', endOutput);
+        input.on('close', () => {
+            if (!input.complete) {
+                interrupted = true;
+                endOutput();
+            }
+        });
+
+        output.on('error', (error) => {
+            activeSessions.delete(session.id);
+            reject(error);
+        });
+        output.on('finish', () => {
+            activeSessions.delete(session.id);
+
+            const discard = (error, status) => {
+                fs.truncateSync(session.filepath, startOffset);
+                resolve({ error, status });
+            };
+            if (tooLarge) {
+                return discard(`Chunk is larger than the remaining ${remaining} bytes of the upload`, 413);
+            }
+            if (checksum && interrupted) {
+                return discard('Chunk was interrupted before its checksum could be verified', 400);
+            }
+            if (checksum && hash.digest('base64') !== checksum.digest) {
+                return discard('Upload-Checksum does not match the received data', 460);
+            }
+
+            const offset = startOffset + received;
+            getDb().prepare(`
+                UPDATE upload_sessions
+                SET upload_offset = ?, updated_at = CURRENT_TIMESTAMP, expires_at = ?
+                WHERE id = ?
+            `).run(offset, new Date(Date.now() + getSessionTtlMs()).toISOString(), session.id);
+            resolve({ offset });
+        });
+    });
+}
+
+/**
+ * Turn a fully received session into a video, with the same validation as
+ * POST /upload. A rejected file is deleted (or quarantined) along with its
+ * session; an accepted one leaves the session in place, pointing at the new
+ * video, until it expires. If the file cannot be stored, it is put back so
+ * an empty PATCH at the final offset can try again. The session counts as
+ * busy until this settles, so a concurrent PATCH cannot finalise it a second time.
+ * @param {Object} session Session row with every byte received
+ * @param {Object} policy Upload policy of the token sending the last chunk
+ * @returns {Promise<Object>} { video } or { error, code }
+ */
+async function finaliseUploadSession(session, policy) {
+    const db = getDb();
+    activeSessions.add(session.id);
+    const filepath = path.join(
+        UPLOAD_DIR,
+        `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(session.filename)}`
+    );
+    try {
+        fs.renameSync(session.filepath, filepath);
+
+        let result;
+        try {
+            result = await ingestUpload({
+                filepath,
+                fields: JSON.parse(session.fields),
+                ownerId: session.owner_id,
+                originalName: session.filename,
+                mimetype: session.filetype,
+                policy
+            });
+        } catch (error) {
+            console.error(`Error storing upload ${session.id}:`, error);
+            if (fs.existsSync(filepath)) {
+                fs.renameSync(filepath, session.filepath);
+            } else {
+                db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(session.id);
+            }
+            return { error: `Upload could not be stored: ${error.message}`, code: 'STORAGE_FAILED' };
+        }
+
+        if (result.error) {
+            db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(session.id);
+        } else {
+            db.prepare(`
+                UPDATE upload_sessions SET video_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(result.video.id, session.id);
+        }
+        return result;
+    } finally {
+        activeSessions.delete(session.id);
+    }
+}
+
+/**
+ * Abandon an upload session and its partial file
+ * @param {Object} session Session row
+ */
+function deleteUploadSession(session) {
+    fs.rmSync(session.filepath, { force: true });
+    getDb().prepare('DELETE FROM upload_sessions WHERE id = ?').run(session.id);
+}
+
+/**
+ * Discard every session that has expired, except ones being written to
+ * @returns {number} Number of sessions removed
+ */
+function expireUploadSessions() {
+    const expired = getDb()
+        .prepare('SELECT * FROM upload_sessions WHERE expires_at <= ?')
+        .all(new Date().toISOString())
+        .filter(session => !isUploadSessionBusy(session));
+
+    expired.forEach(deleteUploadSession);
+    return expired.length;
+}
+
+module.exports = {
+    TUS_VERSION,
+    CHECKSUM_ALGORITHMS,
+    parseUploadMetadata,
+    parseChecksumHeader,
+    formatUploadSession,
+    createUploadSession,
+    getOwnedUploadSession,
+    isUploadSessionExpired,
+    isUploadSessionBusy,
+    writeChunk,
+    finaliseUploadSession,
+    deleteUploadSession,
+    expireUploadSessions
+};
@@ -1,6 +1,27 @@
 const app = require('./app');
+const { recoverJobs } = require('./jobQueue');
+const { resumeWebhookDeliveries } = require('./webhooks');
+const { expireUploadSessions } = require('./resumableUploads');
+const { getUploadPolicy, getShareConfig, getEmbedConfig } = require('./config');
+const { getStorage } = require('./storage');
 const port = process.env.PORT || 3000;
 
+// Fail fast on an invalid config file, UPLOAD_*, storage, share or embed environment variable
+getUploadPolicy();
+getStorage();
+getShareConfig();
+getEmbedConfig();
+
+// Resume queued jobs and fail the ones interrupted by the last shutdown
+recoverJobs();
+
+// Retry webhook deliveries that were pending at the last shutdown
+resumeWebhookDeliveries();
+
+// Discard resumable uploads abandoned while stopped, then check hourly
+expireUploadSessions();
+setInterval(expireUploadSessions, 60 * 60 * 1000).unref();
+
 app.listen(port, () => {
     console.log(`Server is running on port ${port}`);
     console.log(`Swagger documentation available at http://localhost:${port}/api-docs`);
@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const net = require('net');
+const { promisify } = require('util');
+const { getDb } = require('./db');
+const { getShareConfig, isIpRange } = require('./config');
+const { emitWebhookEvent } = require('./webhooks');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Header API clients send a share link's password in
+const SHARE_PASSWORD_HEADER = 'X-Share-Password';
+
+// Cookie remembering that a browser has entered a share link's password
+const ACCESS_COOKIE = 'share_access';
+
+// Cookie carrying the grant of a viewing already counted against a share link
+const VIEWING_COOKIE = 'share_viewing';
+
+// Query parameter carrying a viewing grant, for players that cannot send the
+// cookie, such as players embedded in iframes on other sites
+const VIEWING_GRANT_PARAM = 'grant';
+
+// Minutes a viewing grant handed out by a share page can start a viewing in;
+// once started, the viewing keeps it working while it is in use
+const VIEWING_GRANT_MINUTES = 60;
+
+// Viewing grants look like <expiry in Unix seconds>.<nonce>.<signature>
+const VIEWING_GRANT_PATTERN = /^(\d{1,12})\.([A-Za-z0-9_-]{22})\.([A-Za-z0-9_-]{43})$/;
+
+// Address ranges of the proxy names trustedProxies accepts, as Express reads them
+const PROXY_NAME_RANGES = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 256;
+
+// Wrong passwords allowed from one address in ATTEMPT_WINDOW_MINUTES before
+// it stops being let in for a while
+const MAX_FAILED_ATTEMPTS_PER_CLIENT = 5;
+const ATTEMPT_WINDOW_MINUTES = 15;
+
+// Wrong passwords from anywhere in ATTEMPT_WINDOW_MINUTES at which the link's
+// owner is alerted. Other viewers are still let in, so guessing cannot lock
+// them out.
+const FAILED_ATTEMPTS_ALERT_PER_LINK = 50;
+
+// Password checks in progress, by link and client; each waits for the one
+// before, so guesses sent at once are all held to the limit
+const pendingPasswordChecks = new Map();
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Check the access rules given for a share link
+ * @param {Object} rules { password, allowedEmailDomains, allowedIpRanges };
+ *   each is optional, and null removes it
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAccessRules({ password, allowedEmailDomains, allowedIpRanges }) {
+    if (password !== undefined && password !== null &&
+        !(typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH && password.length <= PASSWORD_MAX_LENGTH)) {
+        return `password must be a string of ${PASSWORD_MIN_LENGTH} to ${PASSWORD_MAX_LENGTH} characters, or null for none`;
+    }
+    if (allowedEmailDomains !== undefined && allowedEmailDomains !== null &&
+        !(Array.isArray(allowedEmailDomains) && allowedEmailDomains.every(domain =>
+            typeof domain === 'string' && DOMAIN_PATTERN.test(domain.toLowerCase())))) {
+        return 'allowedEmailDomains must be an array of domains such as example.com, or null for any';
+    }
+    if (allowedEmailDomains && allowedEmailDomains.length && !getShareConfig().trustedProxies.length) {
+        return 'allowedEmailDomains needs the single sign-on proxy that sets the email header ' +
+            'to be listed in share.trustedProxies (TRUSTED_PROXIES)';
+    }
+    if (allowedIpRanges !== undefined && allowedIpRanges !== null &&
+        !(Array.isArray(allowedIpRanges) && allowedIpRanges.every(isIpRange))) {
+        return 'allowedIpRanges must be an array of addresses or CIDR ranges such as 10.0.0.0/8, or null for any';
+    }
+    return null;
+}
+
+/**
+ * Normalise a list of allowed domains or ranges for storage
+ * @param {string[]|null|undefined} list Validated list
+ * @returns {string|null|undefined} JSON array, null to remove the rule
+ *   (also for an empty list), or undefined if not given
+ */
+function serializeAccessList(list) {
+    if (list === undefined) {
+        return undefined;
+    }
+    return list && list.length ? JSON.stringify([...new Set(list.map(item => item.toLowerCase()))]) : null;
+}
+
+/**
+ * Hash a share link password for storage
+ * @param {string} password Plaintext password
+ * @returns {Promise<string>} scrypt$<salt>$<hash>, both base64url
+ */
+async function hashSharePassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 32);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password Password given
+ * @param {string} passwordHash Hash from hashSharePassword
+ * @returns {Promise<boolean>} True if it matches
+ */
+async function verifySharePassword(password, passwordHash) {
+    const [scheme, salt, hash] = passwordHash.split('$');
+    if (scheme !== 'scrypt' || typeof password !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Value of the access cookie for a share link. It is keyed with the
+ * password hash, so it cannot be forged and stops working when the
+ * password changes.
+ * @param {Object} shareLink Share link with password_hash
+ * @returns {string} base64url HMAC
+ */
+function createAccessGrant(shareLink) {
+    return crypto.createHmac('sha256', shareLink.password_hash).update(shareLink.token).digest('base64url');
+}
+
+/**
+ * Read a cookie from a request
+ * @param {Object} req Express request
+ * @param {string} name Cookie name
+ * @returns {string|null} Value, or null if not sent
+ */
+function readCookie(req, name) {
+    for (const part of (req.headers['cookie'] || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator !== -1 && part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a request carries the access cookie of a share link
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link with password_hash
+ * @returns {boolean} True if the password was entered in this browser
+ */
+function hasAccessGrant(req, shareLink) {
+    const grant = readCookie(req, ACCESS_COOKIE);
+    if (!grant) {
+        return false;
+    }
+    const expected = Buffer.from(createAccessGrant(shareLink));
+    const actual = Buffer.from(grant);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build the Set-Cookie header that lets a browser open a password-protected
+ * link, scoped to the link's URLs and lasting until it expires
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link with password_hash
+ * @returns {string} Header value
+ */
+function buildAccessCookie(req, shareLink) {
+    return buildShareCookie(req, shareLink, ACCESS_COOKIE, createAccessGrant(shareLink));
+}
+
+/**
+ * Sign the expiry and nonce of a viewing grant. Like the access cookie, grants
+ * of password-protected links are keyed with the password hash, so they prove
+ * the password was entered and stop working when it changes. Other links have
+ * no secret to prove; they are keyed with the token, and every new grant is
+ * counted as a download anyway.
+ * @param {Object} shareLink Stored share link
+ * @param {string} payload <expiry>.<nonce>
+ * @returns {string} base64url HMAC
+ */
+function signViewingGrant(shareLink, payload) {
+    return crypto.createHmac('sha256', shareLink.password_hash || shareLink.token)
+        .update(`${shareLink.token}.${payload}`)
+        .digest('base64url');
+}
+
+/**
+ * Create a grant for a new viewing of a share link. Share pages put it in the
+ * URLs their players fetch, and it is sent back in the viewing cookie.
+ * @param {Object} shareLink Stored share link
+ * @returns {string} Grant, to pass to startShareViewing before use
+ */
+function createViewingGrant(shareLink) {
+    const expiry = Math.floor(Date.now() / 1000) + VIEWING_GRANT_MINUTES * 60;
+    const payload = `${expiry}.${crypto.randomBytes(16).toString('base64url')}`;
+    return `${payload}.${signViewingGrant(shareLink, payload)}`;
+}
+
+/**
+ * Read the viewing grant a request carries in its query string or, failing
+ * that, in the viewing cookie
+ * @param {Object} req Express request
+ * @param {Object} shareLink Stored share link
+ * @returns {Object|null} { grant, fresh } if a grant signed for this link was
+ *   sent, where fresh is true while it may start a viewing
+ */
+function readViewingGrant(req, shareLink) {
+    for (const grant of [req.query[VIEWING_GRANT_PARAM], readCookie(req, VIEWING_COOKIE)]) {
+        const match = typeof grant === 'string' && VIEWING_GRANT_PATTERN.exec(grant);
+        if (!match) {
+            continue;
+        }
+        const expected = Buffer.from(signViewingGrant(shareLink, `${match[1]}.${match[2]}`));
+        if (crypto.timingSafeEqual(expected, Buffer.from(match[3]))) {
+            return { grant, fresh: Number(match[1]) * 1000 > Date.now() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Hash a viewing grant for storage
+ * @param {string} grant Grant
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashViewingGrant(grant) {
+    return crypto.createHash('sha256').update(grant).digest('hex');
+}
+
+/**
+ * Whether a request carries a viewing grant that opens a password-protected
+ * link: one that may still start a viewing, or one of a viewing in progress,
+ * so players without the access cookie keep playing
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link with password_hash
+ * @returns {boolean} True if the grant was handed out after the password was entered
+ */
+function hasViewingAccess(req, shareLink) {
+    const viewing = readViewingGrant(req, shareLink);
+    if (!viewing) {
+        return false;
+    }
+    return viewing.fresh || Boolean(getDb().prepare(`
+        SELECT 1 FROM share_viewings
+        WHERE share_link_id = ? AND grant_hash = ? AND expires_at > datetime('now')
+    `).get(shareLink.id, hashViewingGrant(viewing.grant)));
+}
+
+/**
+ * Build the Set-Cookie header handing a viewer the grant of a counted viewing
+ * @param {Object} req Express request
+ * @param {Object} shareLink Stored share link
+ * @param {string} grant Grant from startShareViewing
+ * @returns {string} Header value
+ */
+function buildViewingCookie(req, shareLink, grant) {
+    return buildShareCookie(req, shareLink, VIEWING_COOKIE, grant);
+}
+
+/**
+ * Build a Set-Cookie header scoped to a share link's URLs and lasting until it expires
+ * @param {Object} req Express request
+ * @param {Object} shareLink Stored share link
+ * @param {string} name Cookie name
+ * @param {string} value Cookie value (base64url)
+ * @returns {string} Header value
+ */
+function buildShareCookie(req, shareLink, name, value) {
+    const maxAge = Math.max(0, Math.floor((new Date(shareLink.expiry_timestamp).getTime() - Date.now()) / 1000));
+    return `${name}=${value}; Path=/videos/share/${encodeURIComponent(shareLink.token)}; ` +
+        `Max-Age=${maxAge}; HttpOnly; SameSite=Lax${req.secure ? '; Secure' : ''}`;
+}
+
+/**
+ * Whether an address falls in any of a list of ranges
+ * @param {string} ip Client address, IPv4 or IPv6 (IPv4-mapped addresses match IPv4 ranges)
+ * @param {string[]} ranges Addresses or CIDR ranges
+ * @returns {boolean} True if allowed
+ */
+function isIpAllowed(ip, ranges) {
+    const family = net.isIP(ip || '');
+    if (!family) {
+        return false;
+    }
+    const blockList = new net.BlockList();
+    for (const range of ranges) {
+        const [address, prefix] = range.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) {
+            blockList.addAddress(address, type);
+        } else {
+            blockList.addSubnet(address, Number(prefix), type);
+        }
+    }
+    return blockList.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether an email address belongs to one of a list of domains
+ * @param {string|undefined} email Address from the single sign-on header
+ * @param {string[]} domains Allowed domains; subdomains are not included
+ * @returns {boolean} True if allowed
+ */
+function isEmailAllowed(email, domains) {
+    const match = /^[^@\s]+@([^@\s]+)$/.exec((email || '').trim());
+    return Boolean(match) && domains.includes(match[1].toLowerCase());
+}
+
+/**
+ * Seconds until a client may try another password, if it has had too many wrong
+ * @param {Object} shareLink Share link
+ * @param {string} ip Client address
+ * @returns {number} Seconds to wait, 0 if it may try now
+ */
+function getPasswordRetryDelay(shareLink, ip) {
+    const { failures, oldest } = getDb().prepare(`
+        SELECT COUNT(*) AS failures, MIN(strftime('%s', created_at)) AS oldest
+        FROM share_access_failures
+        WHERE share_link_id = ? AND ip = ? AND created_at > datetime('now', ?)
+    `).get(shareLink.id, ip, `-${ATTEMPT_WINDOW_MINUTES} minutes`);
+
+    // Wait until the oldest failure counting against the limit leaves the window
+    if (failures < MAX_FAILED_ATTEMPTS_PER_CLIENT) {
+        return 0;
+    }
+    return Math.max(1, Number(oldest) + ATTEMPT_WINDOW_MINUTES * 60 - Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Record a wrong password, discarding failures too old to count, and alert
+ * the link's owner when the link is being guessed at from many places
+ * @param {Object} shareLink Share link
+ * @param {string} ip Client address
+ */
+function recordFailedPassword(shareLink, ip) {
+    const db = getDb();
+    const window = `-${ATTEMPT_WINDOW_MINUTES} minutes`;
+    db.prepare("DELETE FROM share_access_failures WHERE created_at <= datetime('now', ?)").run(window);
+    db.prepare('INSERT INTO share_access_failures (share_link_id, ip) VALUES (?, ?)').run(shareLink.id, ip);
+
+    const { failures } = db.prepare(`
+        SELECT COUNT(*) AS failures FROM share_access_failures
+        WHERE share_link_id = ? AND created_at > datetime('now', ?)
+    `).get(shareLink.id, window);
+    if (failures === FAILED_ATTEMPTS_ALERT_PER_LINK) {
+        console.warn(`Share link ${shareLink.id} has had ${failures} incorrect passwords in ${ATTEMPT_WINDOW_MINUTES} minutes`);
+        emitWebhookEvent(shareLink.owner_id, 'share.password_failures', {
+            videoId: shareLink.video_id,
+            token: shareLink.token,
+            failures,
+            windowMinutes: ATTEMPT_WINDOW_MINUTES
+        });
+    }
+}
+
+/**
+ * Check a password for a share link, throttling clients that guess. Only
+ * wrong passwords count; checks from one client run one at a time, so
+ * guesses sent at once cannot all be tried before the first is recorded.
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link with password_hash
+ * @param {string} password Password given
+ * @returns {Promise<Object|null>} null if correct, otherwise { status, error, retryAfter? }
+ */
+async function checkSharePassword(req, shareLink, password) {
+    const key = `${shareLink.id} ${req.ip}`;
+    const check = (pendingPasswordChecks.get(key) || Promise.resolve())
+        .then(() => tryPassword(req, shareLink, password));
+    const settled = check.catch(() => {});
+    pendingPasswordChecks.set(key, settled);
+    try {
+        return await check;
+    } finally {
+        if (pendingPasswordChecks.get(key) === settled) {
+            pendingPasswordChecks.delete(key);
+        }
+    }
+}
+
+/**
+ * Check one password attempt against the throttle and the stored hash
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link with password_hash
+ * @param {string} password Password given
+ * @returns {Promise<Object|null>} As for checkSharePassword
+ */
+async function tryPassword(req, shareLink, password) {
+    const retryAfter = getPasswordRetryDelay(shareLink, req.ip);
+    if (retryAfter) {
+        return { status: 429, error: 'Too many incorrect passwords; try again later', retryAfter };
+    }
+    if (!await verifySharePassword(password, shareLink.password_hash)) {
+        recordFailedPassword(shareLink, req.ip);
+        return { status: 401, error: 'Incorrect password', passwordRequired: true };
+    }
+    getDb().prepare('DELETE FROM share_access_failures WHERE share_link_id = ? AND ip = ?').run(shareLink.id, req.ip);
+    return null;
+}
+
+/**
+ * Whether a request was passed on by one of the trusted proxies, so headers
+ * it set can be believed
+ * @param {Object} req Express request
+ * @returns {boolean} True if the connecting address is a trusted proxy
+ */
+function isFromTrustedProxy(req) {
+    const ranges = getShareConfig().trustedProxies.flatMap(proxy => PROXY_NAME_RANGES[proxy] || [proxy]);
+    return isIpAllowed(req.socket.remoteAddress, ranges);
+}
+
+/**
+ * Check a request against a share link's IP ranges and email domains. The
+ * email address comes from the header set by the single sign-on proxy, and
+ * is only read from requests that came through a trusted proxy; anyone
+ * could send the header straight to the server.
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link from findShareLink
+ * @returns {Object|null} null if allowed, otherwise { status, error }
+ */
+function checkShareAudience(req, shareLink) {
+    if (shareLink.allowed_ip_ranges && !isIpAllowed(req.ip, JSON.parse(shareLink.allowed_ip_ranges))) {
+        return { status: 403, error: 'This share link cannot be opened from your network' };
+    }
+    if (shareLink.allowed_email_domains) {
+        const email = isFromTrustedProxy(req) ? req.get(getShareConfig().emailHeader) : null;
+        if (!isEmailAllowed(email, JSON.parse(shareLink.allowed_email_domains))) {
+            return { status: 403, error: 'This share link is restricted to other email domains' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Decide whether a request may use a share link, applying its IP ranges,
+ * email domains and password in that order. A password is accepted from the
+ * X-Share-Password header or, once entered on the share page, the access cookie
+ * or a viewing grant the page handed its player.
+ * @param {Object} req Express request
+ * @param {Object} shareLink Share link from findShareLink
+ * @returns {Promise<Object|null>} null if allowed, otherwise { status, error }
+ *   plus passwordRequired when a password would let the client in, and
+ *   retryAfter (seconds) when throttled
+ */
+async function checkShareAccess(req, shareLink) {
+    const denied = checkShareAudience(req, shareLink);
+    if (denied) {
+        return denied;
+    }
+    if (shareLink.password_hash && !hasAccessGrant(req, shareLink) && !hasViewingAccess(req, shareLink)) {
+        const password = req.get(SHARE_PASSWORD_HEADER);
+        if (password === undefined) {
+            return { status: 401, error: 'This share link requires a password', passwordRequired: true };
+        }
+        return checkSharePassword(req, shareLink, password);
+    }
+    return null;
+}
+
+module.exports = {
+    SHARE_PASSWORD_HEADER,
+    VIEWING_GRANT_PARAM,
+    MAX_FAILED_ATTEMPTS_PER_CLIENT,
+    FAILED_ATTEMPTS_ALERT_PER_LINK,
+    ATTEMPT_WINDOW_MINUTES,
+    validateAccessRules,
+    serializeAccessList,
+    hashSharePassword,
+    verifySharePassword,
+    buildAccessCookie,
+    createViewingGrant,
+    readViewingGrant,
+    hashViewingGrant,
+    buildViewingCookie,
+    isIpAllowed,
+    isFromTrustedProxy,
+    isEmailAllowed,
+    checkSharePassword,
+    checkShareAudience,
+    checkShareAccess
+};
@@ -0,0 +1,428 @@
+const { getDb } = require('./db');
+const { getShareConfig } = require('./config');
+const { validateAccessRules, serializeAccessList, hashSharePassword, hashViewingGrant } = require('./shareAccess');
+const { generateShareToken, isSignedShareToken, signShareToken, verifyShareToken } = require('./shareTokens');
+
+// Ways a share link can give access to a video
+const SHARE_MODES = ['download', 'stream'];
+
+// Hours a share link lasts when the creator does not say
+const DEFAULT_EXPIRY_HOURS = 24;
+
+// Columns of a share link, with whether it has expired worked out by SQLite
+// so timestamps in either ISO 8601 or SQLite's own format compare correctly
+const SHARE_LINK_COLUMNS = `
+    share_links.*,
+    datetime(share_links.expiry_timestamp) <= datetime('now') AS expired
+`;
+
+// Minutes a viewing may sit idle before its next request counts as a new download
+const VIEWING_IDLE_MINUTES = 60;
+
+// Why a share link no longer gives access, by status
+const UNUSABLE_SHARE_LINK_ERRORS = {
+    revoked: 'Share link has been revoked',
+    expired: 'Share link has expired',
+    exhausted: 'Share link has reached its download limit'
+};
+
+/**
+ * Check share link settings given when creating or updating a link
+ * @param {Object} settings { expiryHours, maxDownloads, oneTime, password,
+ *   allowedEmailDomains, allowedIpRanges }; each is optional
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateShareSettings({ expiryHours, maxDownloads, oneTime, ...accessRules }) {
+    const { maxExpiryHours } = getShareConfig();
+    if (expiryHours !== undefined &&
+        !(typeof expiryHours === 'number' && Number.isFinite(expiryHours) && expiryHours > 0 && expiryHours <= maxExpiryHours)) {
+        return `expiryHours must be a number of hours greater than 0 and at most ${maxExpiryHours}`;
+    }
+    if (maxDownloads !== undefined && maxDownloads !== null && !(Number.isInteger(maxDownloads) && maxDownloads > 0)) {
+        return 'maxDownloads must be a positive whole number, or null for no limit';
+    }
+    if (oneTime !== undefined && typeof oneTime !== 'boolean') {
+        return 'oneTime must be true or false';
+    }
+    if (oneTime && maxDownloads !== undefined && maxDownloads !== 1) {
+        return 'oneTime links allow a single download; leave out maxDownloads';
+    }
+    return validateAccessRules(accessRules);
+}
+
+/**
+ * Check that settings given for a signed link can be carried in its token.
+ * Signed links are not stored, so nothing can count their downloads or
+ * remember who entered a password.
+ * @param {Object} settings Validated share settings
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSignedShareSettings({ maxDownloads, oneTime, password, allowedEmailDomains, allowedIpRanges }) {
+    if (!getShareConfig().signingKeys.length) {
+        return 'Signed share links are not enabled; configure share.signingKeys';
+    }
+    if ([maxDownloads, oneTime, password, allowedEmailDomains, allowedIpRanges].some(value => value !== undefined)) {
+        return 'signed links cannot limit downloads or restrict viewers; ' +
+            'leave out maxDownloads, oneTime, password, allowedEmailDomains and allowedIpRanges';
+    }
+    return null;
+}
+
+/**
+ * Download limit given by validated settings
+ * @param {Object} settings { maxDownloads, oneTime }
+ * @returns {number|null|undefined} Limit, null for none, or undefined if not given
+ */
+function resolveMaxDownloads({ maxDownloads, oneTime }) {
+    return oneTime ? 1 : maxDownloads;
+}
+
+/**
+ * Expiry time a number of hours from now
+ * @param {number} expiryHours Hours until expiry
+ * @returns {string} ISO 8601 timestamp
+ */
+function getExpiryTimestamp(expiryHours) {
+    return new Date(Date.now() + expiryHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Work out whether a share link still gives access
+ * @param {Object} row share_links row selected with SHARE_LINK_COLUMNS
+ * @returns {string} active, expired, exhausted (download limit reached) or revoked
+ */
+function getShareLinkStatus(row) {
+    if (row.revoked_at) {
+        return 'revoked';
+    }
+    if (row.expired) {
+        return 'expired';
+    }
+    if (row.max_downloads !== null && row.download_count >= row.max_downloads) {
+        return 'exhausted';
+    }
+    return 'active';
+}
+
+/**
+ * Shape a share_links row for API responses
+ * @param {Object} row share_links row selected with SHARE_LINK_COLUMNS
+ * @returns {Object} Public share link representation
+ */
+function formatShareLink(row) {
+    return {
+        token: row.token,
+        videoId: row.video_id,
+        shareUrl: `/videos/share/${row.token}`,
+        embedUrl: `/videos/share/${row.token}/embed`,
+        mode: row.mode,
+        status: getShareLinkStatus(row),
+        expiryTimestamp: row.expiry_timestamp,
+        maxDownloads: row.max_downloads,
+        downloadCount: row.download_count,
+        remainingDownloads: row.max_downloads === null ? null : Math.max(0, row.max_downloads - row.download_count),
+        signed: Boolean(row.signed),
+        passwordProtected: Boolean(row.password_hash),
+        allowedEmailDomains: row.allowed_email_domains ? JSON.parse(row.allowed_email_domains) : null,
+        allowedIpRanges: row.allowed_ip_ranges ? JSON.parse(row.allowed_ip_ranges) : null,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+/**
+ * Fetch a share link by token
+ * @param {string} token Share token
+ * @returns {Object|undefined} share_links row selected with SHARE_LINK_COLUMNS
+ */
+function getShareLinkRow(token) {
+    return getDb().prepare(`SELECT ${SHARE_LINK_COLUMNS} FROM share_links WHERE token = ?`).get(token);
+}
+
+/**
+ * Share link fields of a signed token, shaped like a share_links row. Signed
+ * links have no row ID, download count or restrictions.
+ * @param {string} token Signed share token
+ * @param {Object} grant Verified grant from verifyShareToken
+ * @returns {Object} Row-like share link
+ */
+function getSignedShareLinkRow(token, { videoId, mode, expiryTimestamp }) {
+    return {
+        id: null,
+        video_id: videoId,
+        token,
+        expiry_timestamp: expiryTimestamp,
+        mode,
+        max_downloads: null,
+        download_count: null,
+        revoked_at: null,
+        password_hash: null,
+        allowed_email_domains: null,
+        allowed_ip_ranges: null,
+        created_at: null,
+        expired: 0,
+        signed: 1
+    };
+}
+
+/**
+ * Create a share link. Settings must have passed validateShareSettings.
+ * @param {Object} options Link options
+ * @param {number} options.videoId Video to share
+ * @param {string} options.ownerId User creating the link
+ * @param {string} [options.mode] download or stream
+ * @param {number} [options.expiryHours] Hours until the link expires
+ * @param {number|null} [options.maxDownloads] Download limit
+ * @param {boolean} [options.oneTime] Allow a single download
+ * @param {string} [options.password] Password viewers must enter
+ * @param {string[]} [options.allowedEmailDomains] Email domains viewers must belong to
+ * @param {string[]} [options.allowedIpRanges] Addresses or CIDR ranges viewers must connect from
+ * @returns {Promise<Object>} Public share link representation
+ */
+async function createShareLink({
+    videoId,
+    ownerId,
+    mode = 'download',
+    expiryHours = DEFAULT_EXPIRY_HOURS,
+    maxDownloads,
+    oneTime,
+    password,
+    allowedEmailDomains,
+    allowedIpRanges
+}) {
+    const token = generateShareToken();
+    const passwordHash = password ? await hashSharePassword(password) : null;
+
+    getDb().prepare(`
+        INSERT INTO share_links (
+            video_id, token, expiry_timestamp, owner_id, mode, max_downloads,
+            password_hash, allowed_email_domains, allowed_ip_ranges
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        videoId,
+        token,
+        getExpiryTimestamp(expiryHours),
+        ownerId,
+        mode,
+        resolveMaxDownloads({ maxDownloads, oneTime }) || null,
+        passwordHash,
+        serializeAccessList(allowedEmailDomains) || null,
+        serializeAccessList(allowedIpRanges) || null
+    );
+    return formatShareLink(getShareLinkRow(token));
+}
+
+/**
+ * Create a signed share link: a token carrying the video, mode and expiry,
+ * verified by its signature instead of stored. It cannot be listed, changed
+ * or revoked; removing its signing key invalidates it. Settings must have
+ * passed validateShareSettings and validateSignedShareSettings.
+ * @param {Object} options Link options
+ * @param {number} options.videoId Video to share
+ * @param {string} [options.mode] download or stream
+ * @param {number} [options.expiryHours] Hours until the link expires
+ * @returns {Object} Public share link representation
+ */
+function createSignedShareLink({ videoId, mode = 'download', expiryHours = DEFAULT_EXPIRY_HOURS }) {
+    const token = signShareToken({ videoId, mode, expiryTimestamp: getExpiryTimestamp(expiryHours) });
+    return formatShareLink(getSignedShareLinkRow(token, verifyShareToken(token).grant));
+}
+
+/**
+ * Look up a signed share link together with its video. The token is checked
+ * without a database lookup; only the video is read.
+ * @param {string} token Signed share token
+ * @returns {Object} Same as findShareLink
+ */
+function findSignedShareLink(token) {
+    const { grant, status } = verifyShareToken(token);
+    if (status === 410) {
+        return { status: 410, error: UNUSABLE_SHARE_LINK_ERRORS.expired };
+    }
+    const video = grant && SHARE_MODES.includes(grant.mode) &&
+        getDb().prepare('SELECT * FROM videos WHERE id = ?').get(grant.videoId);
+    if (!video) {
+        return { status: 404, error: 'Share link not found' };
+    }
+    return { shareLink: { ...video, ...getSignedShareLinkRow(token, grant), owner_id: video.owner_id } };
+}
+
+/**
+ * Look up a share link together with its video, for serving it
+ * @param {string} token Share token
+ * @param {Object} [options]
+ * @param {boolean} [options.allowExhausted] Also return links that have
+ *   reached their download limit, flagged with exhausted, so follow-up
+ *   requests of a viewing already counted can be served
+ * @returns {Object} { shareLink, exhausted } with the video's columns and
+ *   then the link's (video_id is the video's ID), or { status, error } with
+ *   the HTTP status for a link that is missing (404) or no longer usable (410)
+ */
+function findShareLink(token, { allowExhausted = false } = {}) {
+    if (isSignedShareToken(token)) {
+        return findSignedShareLink(token);
+    }
+    const shareLink = getDb().prepare(`
+        SELECT videos.*, ${SHARE_LINK_COLUMNS},
+            COALESCE(share_links.owner_id, videos.owner_id) AS owner_id
+        FROM share_links
+        JOIN videos ON videos.id = share_links.video_id
+        WHERE token = ?
+    `).get(token);
+
+    if (!shareLink) {
+        return { status: 404, error: 'Share link not found' };
+    }
+    const status = getShareLinkStatus(shareLink);
+    if (status === 'exhausted' && allowExhausted) {
+        return { shareLink, exhausted: true };
+    }
+    if (status !== 'active') {
+        return { status: 410, error: UNUSABLE_SHARE_LINK_ERRORS[status] };
+    }
+    return { shareLink, exhausted: false };
+}
+
+/**
+ * Count a download against a share link's limit. Signed links are not counted.
+ * @param {Object} shareLink Share link from findShareLink
+ * @returns {boolean} False if the limit was reached in the meantime
+ */
+function recordShareDownload(shareLink) {
+    if (shareLink.signed) {
+        return true;
+    }
+    const result = getDb().prepare(`
+        UPDATE share_links SET download_count = download_count + 1
+        WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)
+    `).run(shareLink.id);
+    return result.changes > 0;
+}
+
+/**
+ * Start a viewing of a share link after counting it as a download. The grant
+ * lets the viewer's follow-up requests (seeks, resumed downloads, stream
+ * playlists and segments) through without counting them again, even once the
+ * link reaches its limit.
+ * @param {Object} shareLink Stored share link from findShareLink
+ * @param {string} grant Grant from createViewingGrant
+ */
+function startShareViewing(shareLink, grant) {
+    const db = getDb();
+    db.prepare("DELETE FROM share_viewings WHERE expires_at <= datetime('now')").run();
+    db.prepare(`
+        INSERT INTO share_viewings (share_link_id, grant_hash, expires_at)
+        VALUES (?, ?, datetime('now', ?))
+    `).run(shareLink.id, hashViewingGrant(grant), `+${VIEWING_IDLE_MINUTES} minutes`);
+}
+
+/**
+ * Check a viewing grant and keep it alive for another idle period
+ * @param {Object} shareLink Share link from findShareLink
+ * @param {string|null} grant Grant the viewing was started with
+ * @returns {boolean} True if the request continues a viewing of this link
+ */
+function continueShareViewing(shareLink, grant) {
+    if (!grant || shareLink.signed) {
+        return false;
+    }
+    const result = getDb().prepare(`
+        UPDATE share_viewings SET expires_at = datetime('now', ?)
+        WHERE share_link_id = ? AND grant_hash = ? AND expires_at > datetime('now')
+    `).run(`+${VIEWING_IDLE_MINUTES} minutes`, shareLink.id, hashViewingGrant(grant));
+    return result.changes > 0;
+}
+
+/**
+ * List the share links of a video, newest first, including ones no longer usable
+ * @param {number} videoId Video ID
+ * @returns {Object[]} Public share link representations
+ */
+function listShareLinks(videoId) {
+    return getDb().prepare(`
+        SELECT ${SHARE_LINK_COLUMNS} FROM share_links WHERE video_id = ? ORDER BY id DESC
+    `).all(videoId).map(formatShareLink);
+}
+
+/**
+ * Fetch a share link of one of a user's videos
+ * @param {string} token Share token
+ * @param {string} ownerId User who owns the video
+ * @returns {Object|null} Public share link representation, or null if not found
+ */
+function getOwnedShareLink(token, ownerId) {
+    const row = getDb().prepare(`
+        SELECT ${SHARE_LINK_COLUMNS}
+        FROM share_links
+        JOIN videos ON videos.id = share_links.video_id
+        WHERE token = ? AND videos.owner_id = ?
+    `).get(token, ownerId);
+    return row ? formatShareLink(row) : null;
+}
+
+/**
+ * Change a share link's expiry, download limit or access rules. Settings
+ * must have passed validateShareSettings.
+ * @param {string} token Share token
+ * @param {Object} settings { expiryHours, maxDownloads, oneTime, password,
+ *   allowedEmailDomains, allowedIpRanges }; expiryHours counts from now, and
+ *   null removes a limit or rule
+ * @returns {Promise<Object>} Updated public share link representation
+ */
+async function updateShareLink(token, settings) {
+    const changes = {};
+    if (settings.expiryHours !== undefined) {
+        changes.expiry_timestamp = getExpiryTimestamp(settings.expiryHours);
+    }
+    const maxDownloads = resolveMaxDownloads(settings);
+    if (maxDownloads !== undefined) {
+        changes.max_downloads = maxDownloads;
+    }
+    if (settings.password !== undefined) {
+        // A new password also invalidates the access cookies of the old one
+        changes.password_hash = settings.password ? await hashSharePassword(settings.password) : null;
+    }
+    if (settings.allowedEmailDomains !== undefined) {
+        changes.allowed_email_domains = serializeAccessList(settings.allowedEmailDomains);
+    }
+    if (settings.allowedIpRanges !== undefined) {
+        changes.allowed_ip_ranges = serializeAccessList(settings.allowedIpRanges);
+    }
+
+    const columns = Object.keys(changes);
+    if (columns.length) {
+        getDb().prepare(`UPDATE share_links SET ${columns.map(column => `${column} = @${column}`).join(', ')} WHERE token = @token`)
+            .run({ ...changes, token });
+    }
+    return formatShareLink(getShareLinkRow(token));
+}
+
+/**
+ * Revoke a share link; it stays listed but no longer gives access
+ * @param {string} token Share token
+ * @returns {Object} Revoked public share link representation
+ */
+function revokeShareLink(token) {
+    getDb().prepare('UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE token = ? AND revoked_at IS NULL')
+        .run(token);
+    return formatShareLink(getShareLinkRow(token));
+}
+
+module.exports = {
+    SHARE_MODES,
+    DEFAULT_EXPIRY_HOURS,
+    validateShareSettings,
+    validateSignedShareSettings,
+    createShareLink,
+    createSignedShareLink,
+    findShareLink,
+    recordShareDownload,
+    startShareViewing,
+    continueShareViewing,
+    listShareLinks,
+    getOwnedShareLink,
+    updateShareLink,
+    revokeShareLink,
+    formatShareLink
+};
@@ -0,0 +1,416 @@
+const path = require('path');
+const { describeFrames } = require('./thumbnails');
+const { getContentType } = require('./videoStreaming');
+const { VIEWING_GRANT_PARAM } = require('./shareAccess');
+const { PRODUCT_NAME } = require('./config');
+
+// Largest player size offered by default, and the size used when a video's geometry is unknown
+const DEFAULT_PLAYER_WIDTH = 640;
+const FALLBACK_PLAYER_SIZE = { width: 640, height: 360 };
+
+// Page sources: everything is served from this API, so nothing loads from
+// elsewhere. Stream players fetch manifests and segments themselves and play
+// them from blob: URLs through Media Source Extensions.
+const CONTENT_SECURITY_POLICY = "default-src 'none'; img-src 'self'; media-src 'self' blob:; script-src 'self'; " +
+    "connect-src 'self'; worker-src 'self' blob:; style-src 'unsafe-inline'; form-action 'self'";
+
+// File types browsers play from a plain <video> source
+const BROWSER_PLAYABLE_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
+
+// Player scripts served under /player/, by name: hls.js and dash.js, and the
+// script attaching them to stream sources
+const PLAYER_SCRIPTS = {
+    'hls.min.js': require.resolve('hls.js/dist/hls.min.js'),
+    'dash.mediaplayer.min.js': require.resolve('dashjs/dist/dash.mediaplayer.min.js'),
+    'sharePlayer.js': path.join(__dirname, 'player', 'sharePlayer.js')
+};
+
+// Library each stream format is played with where the browser cannot play it
+const STREAM_PLAYER_SCRIPTS = {
+    hls: 'hls.min.js',
+    dash: 'dash.mediaplayer.min.js'
+};
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content and quoted attributes
+ * @param {*} value Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Work out the size of a player for a video, keeping its aspect ratio and
+ * never scaling it up
+ * @param {Object} video Video row
+ * @param {Object} [bounds] { maxWidth, maxHeight } to fit inside
+ * @returns {Object} { width, height } in pixels
+ */
+function getPlayerSize(video, { maxWidth = DEFAULT_PLAYER_WIDTH, maxHeight } = {}) {
+    const { width, height } = describeFrames(video);
+    const size = width && height ? { width, height } : FALLBACK_PLAYER_SIZE;
+
+    let scale = Math.min(1, maxWidth / size.width);
+    if (maxHeight) {
+        scale = Math.min(scale, maxHeight / size.height);
+    }
+    return {
+        width: Math.max(1, Math.round(size.width * scale)),
+        height: Math.max(1, Math.round(size.height * scale))
+    };
+}
+
+/**
+ * Absolute URLs of everything a share link offers
+ * @param {string} baseUrl Origin the API is reached at, e.g. https://videos.example.com
+ * @param {string} token Share token
+ * @returns {Object} { pageUrl, embedUrl, fileUrl, thumbnailUrl, oembedUrl }
+ */
+function getShareUrls(baseUrl, token) {
+    const pageUrl = `${baseUrl}/videos/share/${encodeURIComponent(token)}`;
+    return {
+        pageUrl,
+        embedUrl: `${pageUrl}/embed`,
+        fileUrl: `${pageUrl}?download=1`,
+        thumbnailUrl: `${pageUrl}/thumbnail`,
+        oembedUrl: `${baseUrl}/oembed?url=${encodeURIComponent(pageUrl)}&format=json`
+    };
+}
+
+/**
+ * Whether browsers can play a file from a plain <video> source
+ * @param {string} filename File name
+ * @returns {boolean} True for MP4, WebM and QuickTime files
+ */
+function isBrowserPlayable(filename) {
+    return BROWSER_PLAYABLE_TYPES.includes(getContentType(filename));
+}
+
+/**
+ * Sources a player can choose between: the file itself for download links
+ * to files browsers can play, otherwise the stream manifests
+ * @param {Object} shareLink Share link joined with its video
+ * @param {Object} urls URLs from getShareUrls
+ * @param {Object} [streamUrls] { hlsUrl, dashUrl } absolute manifest URLs of the video's stream
+ * @returns {Object[]} [{ src, type, format? }], with format (hls or dash) for stream sources;
+ *   empty if there is nothing a browser can play
+ */
+function getPlayerSources(shareLink, urls, streamUrls = {}) {
+    if (shareLink.mode !== 'stream' && isBrowserPlayable(shareLink.filename)) {
+        return [{ src: urls.fileUrl, type: getContentType(shareLink.filename) }];
+    }
+
+    const sources = [];
+    if (streamUrls.hlsUrl) {
+        sources.push({ src: streamUrls.hlsUrl, type: getContentType('master.m3u8'), format: 'hls' });
+    }
+    if (streamUrls.dashUrl) {
+        sources.push({ src: streamUrls.dashUrl, type: getContentType('manifest.mpd'), format: 'dash' });
+    }
+    return sources;
+}
+
+/**
+ * Add a viewing grant to a URL the player of a share page fetches, so it gets
+ * in without cookies
+ * @param {string} url URL
+ * @param {string|null} grant Grant from createViewingGrant, or null for none
+ * @returns {string} URL with the grant
+ */
+function addViewingGrant(url, grant) {
+    if (!grant) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}${VIEWING_GRANT_PARAM}=${encodeURIComponent(grant)}`;
+}
+
+/**
+ * Describe when a share link expires, e.g. 2026-10-20 14:00 UTC
+ * @param {string} expiryTimestamp ISO 8601 expiry time
+ * @returns {string} Date and time in UTC
+ */
+function formatExpiry(expiryTimestamp) {
+    const iso = new Date(expiryTimestamp).toISOString();
+    return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+/**
+ * Build the player for a share link: a <video> element, with the scripts
+ * that play stream sources in browsers without native support, or the
+ * poster frame and a note when there is nothing a browser can play
+ * @param {Object[]} sources Sources from getPlayerSources
+ * @param {Object} options { baseUrl, poster, size, fallback, grant } fallback is
+ *   HTML shown to browsers without video support, and under the poster frame;
+ *   grant is added to the URLs the player fetches
+ * @returns {string} HTML
+ */
+function renderPlayer(sources, { baseUrl, poster, size, fallback, grant }) {
+    sources = sources.map(source => ({ ...source, src: addViewingGrant(source.src, grant) }));
+    poster = addViewingGrant(poster, grant);
+    if (!sources.length) {
+        return `<img class="poster" src="${escapeHtml(poster)}" alt="" width="${size.width}" height="${size.height}">
+        ${fallback}`;
+    }
+
+    const sourceTags = sources
+        .map(source => `<source src="${escapeHtml(source.src)}" type="${escapeHtml(source.type)}">`)
+        .join('\n            ');
+    const streams = sources.filter(source => source.format);
+    const dataAttributes = streams
+        .map(source => ` data-${source.format}-src="${escapeHtml(source.src)}"`)
+        .join('');
+    const scripts = streams.length
+        ? [...streams.map(source => STREAM_PLAYER_SCRIPTS[source.format]), 'sharePlayer.js']
+            .map(script => `\n        <script src="${escapeHtml(`${baseUrl}/player/${script}`)}" defer></script>`)
+            .join('')
+        : '';
+    return `<video controls playsinline preload="metadata" poster="${escapeHtml(poster)}" ` +
+        `width="${size.width}" height="${size.height}"${dataAttributes}>
+            ${sourceTags}
+            ${fallback}
+        </video>${scripts}`;
+}
+
+/**
+ * Render the share page: a player with the video's title, poster frame and
+ * expiry notice, plus OpenGraph, Twitter card and oEmbed discovery tags so
+ * chat tools and wikis can unfurl the link
+ * @param {Object} options Page contents
+ * @param {Object} options.shareLink Share link joined with its video
+ * @param {string} options.baseUrl Origin the API is reached at
+ * @param {Object} [options.streamUrls] Absolute manifest URLs of a stream link
+ * @param {string|null} [options.grant] Viewing grant for the player
+ * @returns {string} HTML document
+ */
+function renderSharePage({ shareLink, baseUrl, streamUrls, grant = null }) {
+    const urls = getShareUrls(baseUrl, shareLink.token);
+    const sources = getPlayerSources(shareLink, urls, streamUrls);
+    const size = getPlayerSize(shareLink);
+    const title = escapeHtml(shareLink.filename);
+    const expiry = escapeHtml(formatExpiry(shareLink.expiry_timestamp));
+    const video = sources[0];
+
+    const download = shareLink.mode === 'stream'
+        ? ''
+        : `<a class="download" href="${escapeHtml(urls.fileUrl)}" download>Download</a>`;
+    let fallback = `<p>Your browser cannot play this video. <a href="${escapeHtml(urls.fileUrl)}" download>Download it</a> instead.</p>`;
+    if (shareLink.mode === 'stream') {
+        fallback = '<p>Your browser cannot play this stream.</p>';
+    } else if (!sources.length) {
+        fallback = '<p>Browsers cannot play this video\'s format; download it to watch.</p>';
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${title}</title>
+    <meta property="og:site_name" content="${PRODUCT_NAME}">
+    <meta property="og:type" content="video.other">
+    <meta property="og:title" content="${title}">
+    <meta property="og:url" content="${escapeHtml(urls.pageUrl)}">
+    <meta property="og:image" content="${escapeHtml(urls.thumbnailUrl)}">
+    ${video ? `<meta property="og:video" content="${escapeHtml(video.src)}">
+    <meta property="og:video:type" content="${escapeHtml(video.type)}">
+    <meta property="og:video:width" content="${size.width}">
+    <meta property="og:video:height" content="${size.height}">` : ''}
+    <meta name="twitter:card" content="player">
+    <meta name="twitter:title" content="${title}">
+    <meta name="twitter:image" content="${escapeHtml(urls.thumbnailUrl)}">
+    <meta name="twitter:player" content="${escapeHtml(urls.embedUrl)}">
+    <meta name="twitter:player:width" content="${size.width}">
+    <meta name="twitter:player:height" content="${size.height}">
+    <link rel="alternate" type="application/json+oembed" href="${escapeHtml(urls.oembedUrl)}" title="${title}">
+    <style>
+        body { margin: 0; padding: 2rem 1rem; font-family: system-ui, sans-serif; background: #111; color: #eee; }
+        main { max-width: ${size.width}px; margin: 0 auto; }
+        h1 { font-size: 1.25rem; margin: 0 0 1rem; overflow-wrap: anywhere; }
+        video, .poster { display: block; width: 100%; height: auto; background: #000; }
+        footer { display: flex; justify-content: space-between; align-items: center; margin-top: 0.75rem; font-size: 0.875rem; color: #aaa; }
+        a { color: #8ab4f8; }
+        .download { padding: 0.4rem 0.9rem; border: 1px solid #8ab4f8; border-radius: 4px; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${title}</h1>
+        ${renderPlayer(sources, { baseUrl, poster: urls.thumbnailUrl, size, fallback, grant })}
+        <footer>
+            <span>This link expires on <time datetime="${escapeHtml(shareLink.expiry_timestamp)}">${expiry}</time>.</span>
+            ${download}
+        </footer>
+    </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the embeddable player: just the video, filling the iframe
+ * @param {Object} options Same as renderSharePage
+ * @returns {string} HTML document
+ */
+function renderEmbedPage({ shareLink, baseUrl, streamUrls, grant = null }) {
+    const urls = getShareUrls(baseUrl, shareLink.token);
+    const sources = getPlayerSources(shareLink, urls, streamUrls);
+    const action = sources.length ? 'Watch' : 'Download';
+    const fallback = `<p><a href="${escapeHtml(urls.pageUrl)}" target="_blank" rel="noopener">${action} ${escapeHtml(shareLink.filename)}</a></p>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(shareLink.filename)}</title>
+    <style>
+        html, body { margin: 0; height: 100%; background: #000; overflow: hidden; }
+        video, .poster { display: block; width: 100%; height: 100%; object-fit: contain; }
+        .poster + p { position: absolute; bottom: 0; }
+        p { margin: 0; padding: 1rem; font-family: system-ui, sans-serif; }
+        a { color: #8ab4f8; }
+    </style>
+</head>
+<body>
+    ${renderPlayer(sources, { baseUrl, poster: urls.thumbnailUrl, size: getPlayerSize(shareLink), fallback, grant })}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the form asking for a share link's password. It shows nothing of the
+ * video, not even its title, until the password is entered.
+ * @param {Object} options Page contents
+ * @param {string} options.token Share token
+ * @param {boolean} [options.embed] Whether it is shown in the embedded player,
+ *   which the form then returns to
+ * @param {string} [options.error] Why the last password was not accepted
+ * @returns {string} HTML document
+ */
+function renderPasswordPage({ token, embed = false, error }) {
+    const message = error ? `<p class="error" role="alert">${escapeHtml(error)}.</p>` : '';
+    const returnField = embed ? '\n        <input type="hidden" name="embed" value="1">' : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>Password required</title>
+    <style>
+        body { margin: 0; padding: 4rem 1rem; font-family: system-ui, sans-serif; background: #111; color: #eee; text-align: center; }
+        form { display: inline-flex; gap: 0.5rem; }
+        input, button { padding: 0.4rem 0.6rem; font: inherit; border-radius: 4px; border: 1px solid #8ab4f8; }
+        .error { color: #f28b82; }
+    </style>
+</head>
+<body>
+    <p>This video is password protected.</p>
+    ${message}
+    <form method="post" action="/videos/share/${escapeHtml(encodeURIComponent(token))}">${returnField}
+        <label for="password">Password</label>
+        <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+        <button type="submit">View video</button>
+    </form>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a page explaining why a share link cannot be shown
+ * @param {string} message What went wrong
+ * @returns {string} HTML document
+ */
+function renderShareErrorPage(message) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(message)}</title>
+    <style>
+        body { margin: 0; padding: 4rem 1rem; font-family: system-ui, sans-serif; background: #111; color: #eee; text-align: center; }
+    </style>
+</head>
+<body>
+    <p>${escapeHtml(message)}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the oEmbed (https://oembed.com) response for a share link: a video
+ * embedded through the /embed player
+ * @param {Object} options
+ * @param {Object} options.shareLink Share link joined with its video
+ * @param {string} options.baseUrl Origin the API is reached at
+ * @param {number} [options.maxWidth] Consumer's maxwidth
+ * @param {number} [options.maxHeight] Consumer's maxheight
+ * @returns {Object} oEmbed "video" response
+ */
+function buildOEmbed({ shareLink, baseUrl, maxWidth, maxHeight }) {
+    const urls = getShareUrls(baseUrl, shareLink.token);
+    const size = getPlayerSize(shareLink, { maxWidth: maxWidth || DEFAULT_PLAYER_WIDTH, maxHeight });
+    const thumbnail = getPlayerSize(shareLink, { maxWidth: Math.min(size.width, 320) });
+    const secondsLeft = Math.floor((new Date(shareLink.expiry_timestamp).getTime() - Date.now()) / 1000);
+
+    return {
+        version: '1.0',
+        type: 'video',
+        provider_name: PRODUCT_NAME,
+        provider_url: baseUrl,
+        title: shareLink.filename,
+        html: `<iframe src="${escapeHtml(urls.embedUrl)}" width="${size.width}" height="${size.height}" ` +
+            `title="${escapeHtml(shareLink.filename)}" frameborder="0" allow="fullscreen; picture-in-picture" allowfullscreen></iframe>`,
+        width: size.width,
+        height: size.height,
+        thumbnail_url: urls.thumbnailUrl,
+        thumbnail_width: thumbnail.width,
+        thumbnail_height: thumbnail.height,
+        // Consumers should not cache the embed past the link's expiry
+        cache_age: Math.max(0, secondsLeft)
+    };
+}
+
+/**
+ * Content-Security-Policy for share pages. The share page cannot be framed;
+ * the embed player can be framed by this API and the allowed origins.
+ * @param {string[]|null} allowedOrigins Origins allowed to frame the page, or null for none
+ * @returns {string} Header value
+ */
+function getContentSecurityPolicy(allowedOrigins) {
+    let ancestors = "'none'";
+    if (allowedOrigins) {
+        ancestors = allowedOrigins.includes('*') ? '*' : ["'self'", ...allowedOrigins].join(' ');
+    }
+    return `${CONTENT_SECURITY_POLICY}; frame-ancestors ${ancestors}`;
+}
+
+module.exports = {
+    PLAYER_SCRIPTS,
+    escapeHtml,
+    isBrowserPlayable,
+    getPlayerSize,
+    getShareUrls,
+    renderSharePage,
+    renderEmbedPage,
+    renderShareErrorPage,
+    renderPasswordPage,
+    buildOEmbed,
+    getContentSecurityPolicy
+};
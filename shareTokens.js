@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { getShareConfig } = require('./config');
+
+// Random bytes in a stored share token (256 bits)
+const TOKEN_BYTES = 32;
+
+// Signed tokens look like <key id>.<payload>.<signature>, all base64url or
+// key ID characters; stored tokens never contain a dot
+const SIGNED_TOKEN_PATTERN = /^([A-Za-z0-9_-]{1,32})\.([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)$/;
+
+/**
+ * Generate the token of a stored share link
+ * @returns {string} 43 base64url characters from a CSPRNG
+ */
+function generateShareToken() {
+    return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * Whether a token is a signed (stateless) share token rather than a stored one
+ * @param {string} token Share token
+ * @returns {boolean} True if it has the signed token layout
+ */
+function isSignedShareToken(token) {
+    return token.includes('.');
+}
+
+/**
+ * Sign the key ID and payload of a token
+ * @param {string} secret Signing key secret
+ * @param {string} keyId Signing key ID
+ * @param {string} payload base64url payload
+ * @returns {Buffer} HMAC-SHA256
+ */
+function computeSignature(secret, keyId, payload) {
+    return crypto.createHmac('sha256', secret).update(`${keyId}.${payload}`).digest();
+}
+
+/**
+ * Create a signed share token with the current (first) signing key
+ * @param {Object} grant What the token allows
+ * @param {number} grant.videoId Video shared
+ * @param {string} grant.mode download or stream
+ * @param {string} grant.expiryTimestamp When the token stops working (ISO 8601)
+ * @returns {string} Token
+ * @throws {Error} If no signing key is configured
+ */
+function signShareToken({ videoId, mode, expiryTimestamp }) {
+    const [key] = getShareConfig().signingKeys;
+    if (!key) {
+        throw new Error('No share link signing key is configured');
+    }
+    const payload = Buffer.from(JSON.stringify({
+        v: videoId,
+        m: mode,
+        exp: Math.floor(new Date(expiryTimestamp).getTime() / 1000)
+    })).toString('base64url');
+    return `${key.id}.${payload}.${computeSignature(key.secret, key.id, payload).toString('base64url')}`;
+}
+
+/**
+ * Check a signed share token. The signature is checked against the key named
+ * in the token, so tokens signed with any configured key verify; removing a
+ * key invalidates every token it signed.
+ * @param {string} token Signed share token
+ * @returns {Object} { grant: { videoId, mode, expiryTimestamp } }, or
+ *   { status: 404 } if it is malformed, forged or signed with an unknown key,
+ *   or { status: 410 } if it has expired
+ */
+function verifyShareToken(token) {
+    const match = SIGNED_TOKEN_PATTERN.exec(token);
+    const key = match && getShareConfig().signingKeys.find(candidate => candidate.id === match[1]);
+    if (!key) {
+        return { status: 404 };
+    }
+    const [, keyId, payload, signature] = match;
+    const expected = computeSignature(key.secret, keyId, payload);
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { status: 404 };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { status: 404 };
+    }
+    if (!claims || !Number.isInteger(claims.v) || typeof claims.m !== 'string' || !Number.isInteger(claims.exp)) {
+        return { status: 404 };
+    }
+    if (claims.exp * 1000 <= Date.now()) {
+        return { status: 410 };
+    }
+    return {
+        grant: {
+            videoId: claims.v,
+            mode: claims.m,
+            expiryTimestamp: new Date(claims.exp * 1000).toISOString()
+        }
+    };
+}
+
+module.exports = {
+    generateShareToken,
+    isSignedShareToken,
+    signShareToken,
+    verifyShareToken
+};
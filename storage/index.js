@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs');
+const { getStorageConfig } = require('../config');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Scratch space for local copies of stored files (the upload staging directory)
+const SCRATCH_DIR = path.join(__dirname, '..', 'uploads');
+
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+let current = null;
+
+/**
+ * Get the storage driver for video files. The config is read on each call
+ * and the driver recreated only when it changes.
+ * @returns {Object} Driver with describe, put, createReadStream, stat and
+ *   delete, plus localPath for drivers whose files are on local disk
+ */
+function getStorage() {
+    const config = getStorageConfig();
+    const signature = JSON.stringify(config);
+    if (!current || current.signature !== signature) {
+        current = { signature, storage: DRIVERS[config.driver](config) };
+    }
+    return current.storage;
+}
+
+/**
+ * Key of a video's file in storage. Rows recorded before the storage layer
+ * have no key; their files are in the uploads directory under their own names.
+ * @param {Object} video Video row
+ * @returns {string} Object key
+ */
+function getVideoKey(video) {
+    return video.storage_key || path.basename(video.filepath);
+}
+
+/**
+ * Read a byte range of a stored file, or all of it, into memory
+ * @param {string} key Object key
+ * @param {number} [start] First byte (default the first)
+ * @param {number} [end] Last byte, inclusive (default the last)
+ * @returns {Promise<Buffer>} The bytes read, shorter if the file ends first
+ */
+async function readStoredRange(key, start, end) {
+    const stream = await getStorage().createReadStream(key, { start, end });
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Run a function with stored files available on local disk, for tools such
+ * as ffmpeg that need a path. Drivers with local files pass their own paths;
+ * otherwise the files are downloaded to a scratch directory under their key
+ * names and removed once the function settles. Output the function writes
+ * beside its inputs must be stored before it returns.
+ * @param {string[]} keys Object keys
+ * @param {Function} fn async (paths) => result, paths in the order of keys
+ * @returns {Promise<*>} Result of fn
+ */
+async function withLocalFiles(keys, fn) {
+    const storage = getStorage();
+    if (storage.localPath) {
+        return fn(keys.map(key => storage.localPath(key)));
+    }
+
+    fs.mkdirSync(SCRATCH_DIR, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(SCRATCH_DIR, '.storage-'));
+    try {
+        const paths = [];
+        for (const key of keys) {
+            const localPath = path.join(workDir, key);
+            if (!paths.includes(localPath)) {
+                const stream = await storage.createReadStream(key);
+                await new Promise((resolve, reject) => {
+                    const output = fs.createWriteStream(localPath);
+                    stream.on('error', reject);
+                    output.on('error', reject);
+                    output.on('finish', resolve);
+                    stream.pipe(output);
+                });
+            }
+            paths.push(localPath);
+        }
+        return await fn(paths);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    SCRATCH_DIR,
+    getStorage,
+    getVideoKey,
+    readStoredRange,
+    withLocalFiles
+};
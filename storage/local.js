@@ -0,0 +1,140 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Error thrown when a stored object does not exist
+ * @param {string} key Object key
+ * @returns {Error} Error with code NOT_FOUND
+ */
+function notFound(key) {
+    const error = new Error(`Stored file ${key} not found`);
+    error.code = 'NOT_FOUND';
+    return error;
+}
+
+/**
+ * Create a storage driver that keeps files in a directory on local disk.
+ * Keys are paths relative to the root directory, with / between parts.
+ * @param {Object} options Driver settings
+ * @param {string} options.root Absolute path of the storage directory
+ * @returns {Object} Storage driver
+ */
+function createLocalStorage({ root }) {
+    /**
+     * Resolve a key to its path, refusing keys that would escape the root
+     * @param {string} key Object key
+     * @returns {string} Absolute path
+     */
+    function resolveKey(key) {
+        const parts = typeof key === 'string' ? key.split('/') : [];
+        if (!parts.length || parts.some(part => !part || part === '.' || part === '..' || part.includes('\\'))) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return path.join(root, ...parts);
+    }
+
+    return {
+        driver: 'local',
+
+        /**
+         * Where an object lives, as recorded in videos.filepath
+         * @param {string} key Object key
+         * @returns {string} Absolute path
+         */
+        describe(key) {
+            return resolveKey(key);
+        },
+
+        /**
+         * Path of an object on local disk, so it can be read without copying
+         * @param {string} key Object key
+         * @returns {string} Absolute path
+         */
+        localPath(key) {
+            return resolveKey(key);
+        },
+
+        /**
+         * Store a local file under a key, moving it into the storage directory
+         * @param {string} key Object key
+         * @param {string} sourcePath File to store; it no longer exists afterwards
+         * @returns {Promise<void>}
+         */
+        async put(key, sourcePath) {
+            const target = resolveKey(key);
+            if (path.resolve(sourcePath) === target) {
+                return;
+            }
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await fs.promises.rename(sourcePath, target);
+            } catch (error) {
+                if (error.code !== 'EXDEV') {
+                    throw error;
+                }
+                // Storage on another filesystem: copy, then remove the source
+                await fs.promises.copyFile(sourcePath, target);
+                await fs.promises.rm(sourcePath, { force: true });
+            }
+        },
+
+        /**
+         * Open a stored object for reading
+         * @param {string} key Object key
+         * @param {Object} [range] { start, end } inclusive byte offsets
+         * @returns {Promise<stream.Readable>} Contents of the object or range
+         * @throws {Error} With code NOT_FOUND if there is no such object
+         */
+        async createReadStream(key, range = {}) {
+            const filepath = resolveKey(key);
+            let handle;
+            try {
+                handle = await fs.promises.open(filepath, 'r');
+            } catch (error) {
+                throw error.code === 'ENOENT' ? notFound(key) : error;
+            }
+            return handle.createReadStream({ start: range.start, end: range.end });
+        },
+
+        /**
+         * Describe a stored object
+         * @param {string} key Object key
+         * @returns {Promise<Object|null>} { size, lastModified, mtimeMs }, or null if missing
+         */
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key));
+                return { size: stats.size, lastModified: stats.mtime, mtimeMs: stats.mtimeMs };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        /**
+         * Delete a stored object; deleting a missing object is not an error
+         * @param {string} key Object key
+         * @returns {Promise<void>}
+         */
+        async delete(key) {
+            const filepath = resolveKey(key);
+            await fs.promises.rm(filepath, { force: true });
+
+            // Remove directories of nested keys once they are empty
+            for (let dir = path.dirname(filepath); dir !== root; dir = path.dirname(dir)) {
+                try {
+                    await fs.promises.rmdir(dir);
+                } catch (error) {
+                    break; // Not empty, or already gone
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    createLocalStorage,
+    notFound
+};
@@ -0,0 +1,263 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const { notFound } = require('./local');
+
+// Payload hash for requests without a body, and the marker for streamed uploads
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Percent-encode a string as AWS Signature Version 4 requires (RFC 3986,
+ * leaving only unreserved characters)
+ * @param {string} value String to encode
+ * @returns {string} Encoded string
+ */
+function awsEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Compute the Authorization header for a request with AWS Signature
+ * Version 4. Every header passed in is signed.
+ * @param {Object} request Request to sign
+ * @param {string} request.method HTTP method
+ * @param {string} request.path Encoded request path, e.g. /bucket/key
+ * @param {Object} [request.query] Query parameters
+ * @param {Object} request.headers Headers to sign, including host,
+ *   x-amz-date and x-amz-content-sha256
+ * @param {Object} credentials { accessKeyId, secretAccessKey, region }
+ * @returns {string} Authorization header value
+ */
+function signRequest({ method, path, query = {}, headers }, { accessKeyId, secretAccessKey, region }) {
+    const amzDate = headers['x-amz-date'];
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+        lowerHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    }
+    const canonicalQuery = Object.keys(query).sort()
+        .map(name => `${awsEncode(name)}=${awsEncode(query[name])}`)
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        path,
+        canonicalQuery,
+        headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+        headerNames.join(';'),
+        lowerHeaders['x-amz-content-sha256']
+    ].join('\n');
+
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+        `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+}
+
+/**
+ * Format a time as an x-amz-date value, e.g. 20240101T120000Z
+ * @param {Date} date Time to format
+ * @returns {string} Basic ISO 8601 timestamp
+ */
+function formatAmzDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Read a whole response body as a string
+ * @param {http.IncomingMessage} response Response to read
+ * @returns {Promise<string>} Body text
+ */
+function readBody(response) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        response.on('error', reject);
+    });
+}
+
+/**
+ * Create a storage driver for Amazon S3 or a compatible service such as
+ * MinIO. Objects are addressed path-style (endpoint/bucket/key), which
+ * every compatible service supports.
+ * @param {Object} options Driver settings
+ * @param {string} options.endpoint Service URL, e.g. http://localhost:9000
+ * @param {string} options.bucket Bucket holding the objects
+ * @param {string} options.region Region used in request signatures
+ * @param {string} options.accessKeyId Access key
+ * @param {string} options.secretAccessKey Secret key
+ * @param {string} [options.prefix] Prepended to every key, e.g. videos/
+ * @returns {Object} Storage driver
+ */
+function createS3Storage({ endpoint, bucket, region, accessKeyId, secretAccessKey, prefix = '' }) {
+    const baseUrl = new URL(endpoint);
+    const client = baseUrl.protocol === 'https:' ? https : http;
+    const credentials = { accessKeyId, secretAccessKey, region };
+
+    /**
+     * Send a signed request for an object
+     * @param {string} method HTTP method
+     * @param {string} key Object key, without the prefix
+     * @param {Object} [options] { headers, body: readable stream to upload }
+     * @returns {Promise<http.IncomingMessage>} Response, body unread
+     */
+    function send(method, key, { headers = {}, body = null } = {}) {
+        const path = `/${awsEncode(bucket)}/${`${prefix}${key}`.split('/').map(awsEncode).join('/')}`;
+        const signedHeaders = {
+            host: baseUrl.host,
+            'x-amz-date': formatAmzDate(new Date()),
+            'x-amz-content-sha256': body ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH,
+            ...headers
+        };
+        const authorization = signRequest({ method, path, headers: signedHeaders }, credentials);
+
+        return new Promise((resolve, reject) => {
+            const request = client.request({
+                protocol: baseUrl.protocol,
+                hostname: baseUrl.hostname,
+                port: baseUrl.port,
+                method,
+                path,
+                headers: { ...signedHeaders, Authorization: authorization },
+                timeout: REQUEST_TIMEOUT_MS
+            }, resolve);
+
+            request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+            request.on('error', reject);
+            if (body) {
+                body.on('error', error => request.destroy(error));
+                body.pipe(request);
+            } else {
+                request.end();
+            }
+        });
+    }
+
+    /**
+     * Turn an unexpected response into an error naming the S3 error code
+     * @param {string} method HTTP method
+     * @param {string} key Object key
+     * @param {http.IncomingMessage} response Failed response
+     * @returns {Promise<Error>} Error to throw
+     */
+    async function responseError(method, key, response) {
+        const body = method === 'HEAD' ? '' : await readBody(response);
+        const code = /<Code>([^<]*)<\/Code>/.exec(body);
+        response.resume();
+        return new Error(
+            `S3 ${method} ${key} failed with status ${response.statusCode}${code ? ` (${code[1]})` : ''}`
+        );
+    }
+
+    return {
+        driver: 's3',
+
+        /**
+         * Where an object lives, as recorded in videos.filepath
+         * @param {string} key Object key
+         * @returns {string} s3:// URL of the object
+         */
+        describe(key) {
+            return `s3://${bucket}/${prefix}${key}`;
+        },
+
+        /**
+         * Upload a local file under a key
+         * @param {string} key Object key
+         * @param {string} sourcePath File to store; it is deleted once uploaded
+         * @returns {Promise<void>}
+         */
+        async put(key, sourcePath) {
+            const { size } = await fs.promises.stat(sourcePath);
+            const response = await send('PUT', key, {
+                headers: { 'content-length': size },
+                body: fs.createReadStream(sourcePath)
+            });
+            if (response.statusCode !== 200) {
+                throw await responseError('PUT', key, response);
+            }
+            response.resume();
+            await fs.promises.rm(sourcePath, { force: true });
+        },
+
+        /**
+         * Open a stored object for reading
+         * @param {string} key Object key
+         * @param {Object} [range] { start, end } inclusive byte offsets
+         * @returns {Promise<stream.Readable>} Contents of the object or range
+         * @throws {Error} With code NOT_FOUND if there is no such object
+         */
+        async createReadStream(key, range = {}) {
+            const headers = {};
+            if (range.start !== undefined || range.end !== undefined) {
+                headers.range = `bytes=${range.start || 0}-${range.end === undefined ? '' : range.end}`;
+            }
+            const response = await send('GET', key, { headers });
+            if (response.statusCode === 404) {
+                response.resume();
+                throw notFound(key);
+            }
+            if (response.statusCode !== 200 && response.statusCode !== 206) {
+                throw await responseError('GET', key, response);
+            }
+            return response;
+        },
+
+        /**
+         * Describe a stored object
+         * @param {string} key Object key
+         * @returns {Promise<Object|null>} { size, lastModified, etag }, or null if missing
+         */
+        async stat(key) {
+            const response = await send('HEAD', key);
+            response.resume();
+            if (response.statusCode === 404) {
+                return null;
+            }
+            if (response.statusCode !== 200) {
+                throw await responseError('HEAD', key, response);
+            }
+            return {
+                size: parseInt(response.headers['content-length'], 10),
+                lastModified: new Date(response.headers['last-modified']),
+                etag: response.headers['etag']
+            };
+        },
+
+        /**
+         * Delete a stored object; deleting a missing object is not an error
+         * @param {string} key Object key
+         * @returns {Promise<void>}
+         */
+        async delete(key) {
+            const response = await send('DELETE', key);
+            if (response.statusCode !== 204 && response.statusCode !== 200 && response.statusCode !== 404) {
+                throw await responseError('DELETE', key, response);
+            }
+            response.resume();
+        }
+    };
+}
+
+module.exports = {
+    createS3Storage,
+    signRequest,
+    formatAmzDate
+};
@@ -0,0 +1,489 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const { getDb } = require('./db');
+const { isRawVideo, getRawGeometry } = require('./mediaProbe');
+const { createRawVideoCommand } = require('./videoProcessing');
+const { registerJobHandler, enqueueJob } = require('./jobQueue');
+const { SCRATCH_DIR, getStorage, getVideoKey, withLocalFiles } = require('./storage');
+
+// Adaptive streaming formats a video can be packaged in
+const STREAM_FORMATS = ['hls', 'dash'];
+
+// Bitrate ladder, best first; a video gets every rung no taller than itself
+const STREAM_LADDER = [
+    { name: '1080p', height: 1080, videoBitrate: 5000 },
+    { name: '720p', height: 720, videoBitrate: 2800 },
+    { name: '480p', height: 480, videoBitrate: 1400 },
+    { name: '360p', height: 360, videoBitrate: 800 },
+    { name: '240p', height: 240, videoBitrate: 400 }
+];
+
+// Target segment length in seconds; keyframes are forced at this interval
+const SEGMENT_DURATION = 4;
+
+// Entry points of each format, relative to the package
+const MANIFESTS = {
+    hls: 'master.m3u8',
+    dash: 'manifest.mpd'
+};
+
+// Codecs advertised in the HLS master playlist: H.264 Main profile level 4.0, AAC-LC
+const HLS_VIDEO_CODEC = 'avc1.4d4028';
+const HLS_AUDIO_CODEC = 'mp4a.40.2';
+
+/**
+ * Round a dimension down to an even number of pixels, as H.264 requires
+ * @param {number} value Dimension in pixels
+ * @returns {number} Even dimension, at least 2
+ */
+function toEven(value) {
+    return Math.max(2, Math.floor(value / 2) * 2);
+}
+
+/**
+ * Pick the renditions of the ladder that suit a video. Videos smaller than
+ * the lowest rung get a single rendition at their own size.
+ * @param {Object} size { width, height } of the source video
+ * @returns {Object[]} [{ name, width, height, videoBitrate }] best first,
+ *   bitrates in kbit/s
+ */
+function planRenditions({ width, height }) {
+    const rungs = STREAM_LADDER.filter(rung => rung.height <= height);
+    if (!rungs.length) {
+        const lowest = STREAM_LADDER[STREAM_LADDER.length - 1];
+        rungs.push({ ...lowest, name: `${toEven(height)}p`, height });
+    }
+
+    return rungs.map(rung => ({
+        name: rung.name,
+        width: toEven(width * rung.height / height),
+        height: toEven(rung.height),
+        videoBitrate: rung.videoBitrate
+    }));
+}
+
+/**
+ * Validate the formats a stream is requested in
+ * @param {*} formats Requested formats (default ['hls'])
+ * @returns {Object} { formats } sorted and without duplicates, or { error }
+ */
+function parseStreamFormats(formats = ['hls']) {
+    if (!Array.isArray(formats) || !formats.length || formats.some(format => !STREAM_FORMATS.includes(format))) {
+        return { error: `formats must be a non-empty array of: ${STREAM_FORMATS.join(', ')}` };
+    }
+    return { formats: STREAM_FORMATS.filter(format => formats.includes(format)) };
+}
+
+/**
+ * Build the HLS master playlist listing every rendition
+ * @param {Object[]} renditions Renditions from planRenditions
+ * @param {boolean} [audio] Whether the renditions carry audio
+ * @returns {string} Playlist text
+ */
+function buildHlsMasterPlaylist(renditions, audio = false) {
+    const codecs = audio ? `${HLS_VIDEO_CODEC},${HLS_AUDIO_CODEC}` : HLS_VIDEO_CODEC;
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const rendition of renditions) {
+        lines.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.videoBitrate * 1000},` +
+            `RESOLUTION=${rendition.width}x${rendition.height},CODECS="${codecs}"`,
+            `${rendition.name}/index.m3u8`
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Key under which a packaged file of a video is stored
+ * @param {number} videoId Video ID
+ * @param {string} file Path of the file within the package, e.g. hls/720p/index.m3u8
+ * @returns {string} Storage key
+ */
+function getStreamKey(videoId, file) {
+    return `streams/${videoId}/${file}`;
+}
+
+/**
+ * Shape a video_streams row (joined with its job) for API responses
+ * @param {Object} row Row from the video_streams table with job_status and job_error
+ * @returns {Object} Public stream representation
+ */
+function formatVideoStream(row) {
+    // A package whose job died (restart, cancellation) will never finish
+    const abandoned = row.status === 'packaging' && ['failed', 'cancelled'].includes(row.job_status);
+    return {
+        videoId: row.video_id,
+        status: abandoned ? 'failed' : row.status,
+        formats: JSON.parse(row.formats),
+        renditions: row.renditions ? JSON.parse(row.renditions) : [],
+        error: abandoned ? row.job_error || `Packaging job was ${row.job_status}` : row.error,
+        jobId: row.job_id,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Look up the stream package of a video
+ * @param {number} videoId Video ID
+ * @returns {Object|null} Public stream representation with the packaged
+ *   files (internal), or null if the video was never packaged
+ */
+function getVideoStream(videoId) {
+    const row = getDb().prepare(`
+        SELECT video_streams.*, jobs.status AS job_status, jobs.error AS job_error
+        FROM video_streams
+        LEFT JOIN jobs ON jobs.id = video_streams.job_id
+        WHERE video_streams.video_id = ?
+    `).get(videoId);
+    if (!row) {
+        return null;
+    }
+    return { ...formatVideoStream(row), files: row.files ? JSON.parse(row.files) : [] };
+}
+
+/**
+ * Queue packaging of a video unless a package with the formats exists or
+ * is on its way. Formats already packaged are kept.
+ * @param {Object} video Video row
+ * @param {string[]} formats Formats from parseStreamFormats
+ * @param {string} ownerId User the job belongs to
+ * @returns {Object} { stream, job } where job is null if nothing was queued
+ */
+function requestStreamPackaging(video, formats, ownerId) {
+    const existing = getVideoStream(video.id);
+    if (existing && existing.status !== 'failed' && formats.every(format => existing.formats.includes(format))) {
+        return { stream: existing, job: null };
+    }
+
+    const wanted = existing && existing.status !== 'failed'
+        ? STREAM_FORMATS.filter(format => formats.includes(format) || existing.formats.includes(format))
+        : formats;
+    const job = enqueueJob('package', { videoId: video.id, formats: wanted }, ownerId);
+
+    // The old package stays listed until the new one replaces it
+    getDb().prepare(`
+        INSERT INTO video_streams (video_id, status, formats, job_id)
+        VALUES (?, 'packaging', ?, ?)
+        ON CONFLICT (video_id) DO UPDATE SET
+            status = 'packaging', formats = excluded.formats, error = NULL,
+            job_id = excluded.job_id, updated_at = CURRENT_TIMESTAMP
+    `).run(video.id, JSON.stringify(wanted), job.id);
+
+    return { stream: getVideoStream(video.id), job };
+}
+
+/**
+ * Check whether a video file has an audio stream
+ * @param {string} inputPath Path to the video file
+ * @returns {Promise<boolean>} True if there is audio to package
+ */
+function hasAudio(inputPath) {
+    if (isRawVideo(inputPath)) {
+        return Promise.resolve(false);
+    }
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(inputPath, (err, data) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(data.streams.some(stream => stream.codec_type === 'audio'));
+        });
+    });
+}
+
+/**
+ * Run one ffmpeg packaging command
+ * @param {Object} command Configured ffmpeg command
+ * @param {string} outputPath Output file
+ * @param {Function} [onProgress] Called with the completion percentage
+ * @returns {Promise<void>}
+ */
+function runPackagingCommand(command, outputPath, onProgress) {
+    return new Promise((resolve, reject) => {
+        command
+            .output(outputPath)
+            .on('end', resolve)
+            .on('progress', (progress) => {
+                if (onProgress && progress.percent !== undefined) {
+                    onProgress(progress.percent);
+                }
+            })
+            .on('error', reject)
+            .run();
+    });
+}
+
+/**
+ * Keyframe and rate control options shared by every rendition
+ * @param {number} fps Frame rate of the source
+ * @returns {string[]} ffmpeg output options
+ */
+function buildEncoderOptions(fps) {
+    const keyframeInterval = Math.max(1, Math.round(fps * SEGMENT_DURATION));
+    return [
+        '-c:v libx264',
+        '-profile:v main',
+        '-pix_fmt yuv420p',
+        `-g ${keyframeInterval}`,
+        `-keyint_min ${keyframeInterval}`,
+        '-sc_threshold 0',
+        '-c:a aac',
+        '-b:a 128k'
+    ];
+}
+
+/**
+ * Segment a video into an HLS ladder: one media playlist and set of
+ * segments per rendition, plus a master playlist
+ * @param {Function} createCommand () => ffmpeg command reading the source
+ * @param {Object} source { fps, audio }
+ * @param {Object[]} renditions Renditions from planRenditions
+ * @param {string} outputDir Directory to write into
+ * @param {Function} onProgress Called with the completion percentage
+ * @returns {Promise<void>}
+ */
+async function packageHls(createCommand, source, renditions, outputDir, onProgress) {
+    for (const [index, rendition] of renditions.entries()) {
+        const renditionDir = path.join(outputDir, rendition.name);
+        fs.mkdirSync(renditionDir, { recursive: true });
+
+        const command = createCommand().outputOptions([
+            '-map 0:v:0',
+            ...(source.audio ? ['-map 0:a:0'] : []),
+            `-vf scale=${rendition.width}:${rendition.height}`,
+            ...buildEncoderOptions(source.fps),
+            `-b:v ${rendition.videoBitrate}k`,
+            `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+            `-bufsize ${rendition.videoBitrate * 2}k`,
+            '-f hls',
+            `-hls_time ${SEGMENT_DURATION}`,
+            '-hls_playlist_type vod',
+            // Values that may contain spaces are passed as separate arguments
+            '-hls_segment_filename',
+            path.join(renditionDir, 'segment-%03d.ts')
+        ]);
+        await runPackagingCommand(command, path.join(renditionDir, 'index.m3u8'),
+            percent => onProgress((index * 100 + percent) / renditions.length));
+    }
+
+    fs.writeFileSync(path.join(outputDir, MANIFESTS.hls), buildHlsMasterPlaylist(renditions, source.audio));
+}
+
+/**
+ * Segment a video into a DASH manifest with one representation per rendition
+ * @param {Function} createCommand () => ffmpeg command reading the source
+ * @param {Object} source { fps, audio }
+ * @param {Object[]} renditions Renditions from planRenditions
+ * @param {string} outputDir Directory to write into
+ * @param {Function} onProgress Called with the completion percentage
+ * @returns {Promise<void>}
+ */
+async function packageDash(createCommand, source, renditions, outputDir, onProgress) {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const options = [];
+    for (const [index, rendition] of renditions.entries()) {
+        options.push(
+            '-map 0:v:0',
+            `-filter:v:${index} scale=${rendition.width}:${rendition.height}`,
+            `-b:v:${index} ${rendition.videoBitrate}k`,
+            `-maxrate:v:${index} ${Math.round(rendition.videoBitrate * 1.07)}k`,
+            `-bufsize:v:${index} ${rendition.videoBitrate * 2}k`
+        );
+    }
+    if (source.audio) {
+        options.push('-map 0:a:0');
+    }
+
+    const command = createCommand().outputOptions([
+        ...options,
+        ...buildEncoderOptions(source.fps),
+        '-f dash',
+        `-seg_duration ${SEGMENT_DURATION}`,
+        '-use_template 1',
+        '-use_timeline 1',
+        '-adaptation_sets',
+        source.audio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+        '-init_seg_name init-$RepresentationID$.m4s',
+        '-media_seg_name chunk-$RepresentationID$-$Number%05d$.m4s'
+    ]);
+    await runPackagingCommand(command, path.join(outputDir, MANIFESTS.dash), onProgress);
+}
+
+/**
+ * List the files below a directory as /-separated relative paths
+ * @param {string} dir Directory to list
+ * @returns {string[]} Relative paths, sorted
+ */
+function listFiles(dir) {
+    return fs.readdirSync(dir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => path.relative(dir, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join('/'))
+        .sort();
+}
+
+/**
+ * Package a video for adaptive streaming and store the result, replacing
+ * any earlier package
+ * @param {Object} video Video row
+ * @param {string[]} formats Formats from parseStreamFormats
+ * @param {Object} [job] Job context when run from the job queue
+ * @returns {Promise<Object>} Public stream representation
+ */
+async function packageVideoStream(video, formats, job = {}) {
+    const db = getDb();
+    const previous = getVideoStream(video.id);
+    const renditions = planRenditions(isRawVideo(video.filepath) ? getRawGeometry(video) : video);
+    const onProgress = percent => job.setProgress && job.setProgress(percent);
+
+    db.prepare(`
+        INSERT INTO video_streams (video_id, status, formats, job_id)
+        VALUES (?, 'packaging', ?, ?)
+        ON CONFLICT (video_id) DO UPDATE SET
+            status = 'packaging', formats = excluded.formats, error = NULL,
+            job_id = excluded.job_id, updated_at = CURRENT_TIMESTAMP
+    `).run(video.id, JSON.stringify(formats), job.jobId || null);
+
+    fs.mkdirSync(SCRATCH_DIR, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(SCRATCH_DIR, '.package-'));
+    try {
+        await withLocalFiles([getVideoKey(video)], async ([inputPath]) => {
+            const source = { fps: video.fps || getRawGeometry(video).fps, audio: await hasAudio(inputPath) };
+            const createCommand = () => (isRawVideo(inputPath)
+                ? createRawVideoCommand(inputPath, getRawGeometry(video))
+                : ffmpeg(inputPath));
+
+            for (const [index, format] of formats.entries()) {
+                const packager = format === 'hls' ? packageHls : packageDash;
+                await packager(createCommand, source, renditions, path.join(workDir, format),
+                    percent => onProgress((index * 100 + percent) / formats.length));
+            }
+        });
+
+        const files = listFiles(workDir);
+        const storage = getStorage();
+        for (const file of files) {
+            await storage.put(getStreamKey(video.id, file), path.join(workDir, file));
+        }
+
+        // Files of the old package that the new one does not overwrite
+        for (const file of previous ? previous.files : []) {
+            if (!files.includes(file)) {
+                await storage.delete(getStreamKey(video.id, file));
+            }
+        }
+
+        db.prepare(`
+            UPDATE video_streams
+            SET status = 'ready', renditions = ?, files = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE video_id = ?
+        `).run(JSON.stringify(renditions), JSON.stringify(files), video.id);
+        return getVideoStream(video.id);
+    } catch (error) {
+        db.prepare(`
+            UPDATE video_streams SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE video_id = ?
+        `).run(error.message, video.id);
+        throw new Error(`Error packaging video: ${error.message}`);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Find the stored file a stream request refers to. Only files listed in the
+ * package are served, so request paths cannot reach anything else; while a
+ * video is repackaged the previous package keeps being served.
+ * @param {Object} stream Stream from getVideoStream
+ * @param {string} format hls or dash
+ * @param {string} file Path below the format, e.g. 720p/segment-001.ts
+ * @returns {string|null} Storage key, or null if the package has no such file
+ */
+function resolveStreamFile(stream, format, file) {
+    const packaged = `${format}/${file}`;
+    if (!stream.files.includes(packaged)) {
+        return null;
+    }
+    return getStreamKey(stream.videoId, packaged);
+}
+
+/**
+ * Whether a packaged file is a manifest (an HLS playlist or DASH MPD)
+ * @param {string} file Path of the file within the package
+ * @returns {boolean} True for .m3u8 and .mpd files
+ */
+function isStreamManifest(file) {
+    return ['.m3u8', '.mpd'].includes(path.extname(file));
+}
+
+/**
+ * Add a query string to the URLs a manifest refers to its playlists and
+ * segments by, so players carry it to every file of the stream. Absolute
+ * URLs are left alone.
+ * @param {string} text Manifest text
+ * @param {string} file Path of the manifest within the package
+ * @param {string} query Query string to add, without the ?
+ * @returns {string} Manifest with the query added
+ */
+function addManifestQuery(text, file, query) {
+    const addQuery = (url, separator) => (/^[a-z][a-z0-9+.-]*:/i.test(url)
+        ? url
+        : `${url}${url.includes('?') ? separator : '?'}${query}`);
+
+    // DASH segment templates and URLs are XML attributes
+    if (path.extname(file) === '.mpd') {
+        return text.replace(/\b(media|initialization|sourceURL)="([^"]*)"/g,
+            (match, name, url) => `${name}="${addQuery(url, '&amp;')}"`);
+    }
+
+    // HLS playlists list one URL per line, and name others in URI attributes of tags
+    return text.split('\n').map((line) => {
+        if (line.startsWith('#')) {
+            return line.replace(/URI="([^"]*)"/g, (match, url) => `URI="${addQuery(url, '&')}"`);
+        }
+        return line.trim() ? addQuery(line.trim(), '&') : line;
+    }).join('\n');
+}
+
+/**
+ * Delete the stream package of a video, files and record
+ * @param {number} videoId Video ID
+ * @returns {Promise<void>}
+ */
+async function deleteVideoStream(videoId) {
+    const stream = getVideoStream(videoId);
+    if (!stream) {
+        return;
+    }
+    getDb().prepare('DELETE FROM video_streams WHERE video_id = ?').run(videoId);
+    for (const file of stream.files) {
+        await getStorage().delete(getStreamKey(videoId, file));
+    }
+}
+
+// Background job handler for stream packaging
+registerJobHandler('package', async ({ videoId, formats }, job) => {
+    const video = getDb().prepare('SELECT * FROM videos WHERE id = ? AND owner_id = ?').get(videoId, job.ownerId);
+    if (!video) {
+        throw new Error(`Video with ID ${videoId} not found`);
+    }
+    const { files, ...stream } = await packageVideoStream(video, formats, job);
+    return stream;
+});
+
+module.exports = {
+    STREAM_FORMATS,
+    STREAM_LADDER,
+    MANIFESTS,
+    planRenditions,
+    parseStreamFormats,
+    buildHlsMasterPlaylist,
+    getVideoStream,
+    requestStreamPackaging,
+    packageVideoStream,
+    resolveStreamFile,
+    isStreamManifest,
+    addManifestQuery,
+    deleteVideoStream
+};
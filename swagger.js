@@ -22,6 +22,37 @@ const options = {
                     bearerFormat: 'JWT',
                 },
             },
+            parameters: {
+                Range: {
+                    in: 'header',
+                    name: 'Range',
+                    required: false,
+                    schema: {
+                        type: 'string',
+                        example: 'bytes=0-1023',
+                    },
+                    description: 'Single byte range to return (multiple ranges are rejected with 416)',
+                },
+                IfRange: {
+                    in: 'header',
+                    name: 'If-Range',
+                    required: false,
+                    schema: {
+                        type: 'string',
+                    },
+                    description: 'ETag or HTTP date; the Range header is only honoured if it still matches',
+                },
+                ViewingGrant: {
+                    in: 'query',
+                    name: 'grant',
+                    required: false,
+                    schema: {
+                        type: 'string',
+                    },
+                    description: 'Viewing grant a share page gave its player, for players that cannot keep ' +
+                        'the viewing cookie; it opens password-protected links and is not counted again',
+                },
+            },
             schemas: {
                 Error: {
                     type: 'object',
@@ -32,6 +63,103 @@ const options = {
                         },
                     },
                 },
+                UploadError: {
+                    type: 'object',
+                    properties: {
+                        error: {
+                            type: 'string',
+                            description: 'Error message',
+                        },
+                        code: {
+                            type: 'string',
+                            enum: [
+                                'FILE_TOO_LARGE',
+                                'UPLOAD_POLICY_CONFLICT',
+                                'UNSUPPORTED_FILE_TYPE',
+                                'DURATION_TOO_LONG',
+                                'DURATION_TOO_SHORT',
+                                'UNRECOGNISED_CONTENT',
+                                'CONTENT_TYPE_MISMATCH',
+                                'PROBE_FAILED',
+                                'EMPTY_VIDEO',
+                                'RAW_FRAME_MISALIGNED',
+                                'STORAGE_FAILED',
+                            ],
+                            description: 'Upload policy violated or content check failed, if any',
+                        },
+                        details: {
+                            type: 'object',
+                            description: 'For failed content checks: the check (magic-bytes, ffprobe or frame-alignment), ' +
+                                'the declared and detected formats, and check-specific values',
+                        },
+                        quarantineId: {
+                            type: 'integer',
+                            description: 'For failed content checks: quarantine record of the kept file',
+                        },
+                    },
+                },
+                QuarantinedUpload: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                        },
+                        ownerId: {
+                            type: 'string',
+                        },
+                        originalName: {
+                            type: 'string',
+                            description: 'Filename the client gave',
+                        },
+                        size: {
+                            type: 'integer',
+                        },
+                        code: {
+                            type: 'string',
+                            description: 'Content check that failed',
+                        },
+                        reason: {
+                            type: 'string',
+                        },
+                        details: {
+                            type: 'object',
+                        },
+                        createdAt: {
+                            type: 'string',
+                        },
+                    },
+                },
+                UploadPolicy: {
+                    type: 'object',
+                    description: 'Upload policy settings; any omitted setting uses the server-wide value',
+                    properties: {
+                        maxFileSize: {
+                            type: 'integer',
+                            description: 'Largest file accepted, in bytes',
+                        },
+                        maxDuration: {
+                            type: 'number',
+                            description: 'Longest video accepted, in seconds',
+                        },
+                        minDuration: {
+                            type: 'number',
+                            description: 'Shortest video accepted, in seconds',
+                        },
+                        allowedMimeTypes: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                            },
+                        },
+                        allowedExtensions: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                            },
+                            description: 'Extensions accepted whatever MIME type the client declares',
+                        },
+                    },
+                },
                 Video: {
                     type: 'object',
                     properties: {
@@ -49,18 +177,780 @@ const options = {
                         },
                     },
                 },
+                VideoDetail: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Video ID',
+                        },
+                        filename: {
+                            type: 'string',
+                            description: 'Name of the video file',
+                        },
+                        size: {
+                            type: 'integer',
+                            description: 'File size in bytes',
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Duration of the video in seconds',
+                        },
+                        width: {
+                            type: 'integer',
+                            description: 'Frame width in pixels',
+                        },
+                        height: {
+                            type: 'integer',
+                            description: 'Frame height in pixels',
+                        },
+                        fps: {
+                            type: 'number',
+                            description: 'Frames per second',
+                        },
+                        codec: {
+                            type: 'string',
+                            description: 'Video codec (rawvideo for raw files)',
+                        },
+                        pixelFormat: {
+                            type: 'string',
+                            description: 'Pixel format, e.g. rgb24 or yuv420p',
+                        },
+                        frameCount: {
+                            type: 'integer',
+                            description: 'Number of frames',
+                        },
+                        sourceVideoId: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Video this one was trimmed or transcoded from',
+                        },
+                        thumbnailUrl: {
+                            type: 'string',
+                            description: 'URL of the poster frame',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the video was created (UTC)',
+                        },
+                    },
+                },
+                VideoList: {
+                    type: 'object',
+                    properties: {
+                        videos: {
+                            type: 'array',
+                            items: {
+                                $ref: '#/components/schemas/VideoDetail',
+                            },
+                        },
+                        pagination: {
+                            type: 'object',
+                            properties: {
+                                page: {
+                                    type: 'integer',
+                                },
+                                limit: {
+                                    type: 'integer',
+                                },
+                                total: {
+                                    type: 'integer',
+                                    description: 'Total number of matching videos',
+                                },
+                                totalPages: {
+                                    type: 'integer',
+                                },
+                            },
+                        },
+                    },
+                },
+                ApiKey: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'API key ID',
+                        },
+                        name: {
+                            type: 'string',
+                            description: 'Human-readable name',
+                        },
+                        prefix: {
+                            type: 'string',
+                            description: 'Public identifier embedded in the key',
+                        },
+                        ownerId: {
+                            type: 'string',
+                            description: 'User the key acts as',
+                        },
+                        scopes: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                            },
+                        },
+                        createdAt: {
+                            type: 'string',
+                        },
+                        lastUsedAt: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        revokedAt: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        uploadPolicy: {
+                            allOf: [
+                                {
+                                    $ref: '#/components/schemas/UploadPolicy',
+                                },
+                            ],
+                            nullable: true,
+                            description: 'Upload policy overrides for this key',
+                        },
+                    },
+                },
+                NewApiKey: {
+                    allOf: [
+                        {
+                            $ref: '#/components/schemas/ApiKey',
+                        },
+                        {
+                            type: 'object',
+                            properties: {
+                                key: {
+                                    type: 'string',
+                                    description: 'Plaintext key, only returned once',
+                                },
+                            },
+                        },
+                    ],
+                },
+                Job: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Job ID',
+                        },
+                        type: {
+                            type: 'string',
+                            enum: ['trim', 'merge', 'transcode', 'rerun', 'render'],
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+                        },
+                        params: {
+                            type: 'object',
+                            description: 'Parameters the job was queued with',
+                        },
+                        progress: {
+                            type: 'number',
+                            description: 'Completion percentage (0-100)',
+                        },
+                        error: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Failure reason',
+                        },
+                        resultVideoId: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'ID of the video produced by the job',
+                        },
+                        createdAt: {
+                            type: 'string',
+                        },
+                        startedAt: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        finishedAt: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                    },
+                },
+                JobAccepted: {
+                    type: 'object',
+                    properties: {
+                        jobId: {
+                            type: 'integer',
+                            description: 'Job ID',
+                        },
+                        status: {
+                            type: 'string',
+                            description: 'Initial job status (queued)',
+                        },
+                        statusUrl: {
+                            type: 'string',
+                            description: 'URL to poll for the job status',
+                        },
+                    },
+                },
+                JobList: {
+                    type: 'object',
+                    properties: {
+                        jobs: {
+                            type: 'array',
+                            items: {
+                                $ref: '#/components/schemas/Job',
+                            },
+                        },
+                        pagination: {
+                            type: 'object',
+                            properties: {
+                                page: {
+                                    type: 'integer',
+                                },
+                                limit: {
+                                    type: 'integer',
+                                },
+                                total: {
+                                    type: 'integer',
+                                },
+                                totalPages: {
+                                    type: 'integer',
+                                },
+                            },
+                        },
+                    },
+                },
+                UploadSession: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'string',
+                        },
+                        url: {
+                            type: 'string',
+                            description: 'URL to send chunks to',
+                        },
+                        filename: {
+                            type: 'string',
+                        },
+                        uploadLength: {
+                            type: 'integer',
+                            description: 'Total size of the file in bytes',
+                        },
+                        uploadOffset: {
+                            type: 'integer',
+                            description: 'Bytes received so far',
+                        },
+                        complete: {
+                            type: 'boolean',
+                        },
+                        videoId: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Video created once the last chunk arrived',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: 'When the session is discarded unless another chunk arrives',
+                        },
+                    },
+                },
+                Webhook: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Webhook ID',
+                        },
+                        url: {
+                            type: 'string',
+                            description: 'URL events are delivered to',
+                        },
+                        events: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                            },
+                        },
+                        active: {
+                            type: 'boolean',
+                        },
+                        createdAt: {
+                            type: 'string',
+                        },
+                        updatedAt: {
+                            type: 'string',
+                        },
+                    },
+                },
+                NewWebhook: {
+                    allOf: [
+                        {
+                            $ref: '#/components/schemas/Webhook',
+                        },
+                        {
+                            type: 'object',
+                            properties: {
+                                secret: {
+                                    type: 'string',
+                                    description: 'Signing secret, only returned once',
+                                },
+                            },
+                        },
+                    ],
+                },
+                WebhookDelivery: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Delivery ID',
+                        },
+                        webhookId: {
+                            type: 'integer',
+                        },
+                        event: {
+                            type: 'string',
+                        },
+                        payload: {
+                            type: 'object',
+                            description: 'JSON body that was sent',
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['pending', 'succeeded', 'failed'],
+                        },
+                        attempts: {
+                            type: 'integer',
+                        },
+                        responseStatus: {
+                            type: 'integer',
+                            nullable: true,
+                        },
+                        error: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        createdAt: {
+                            type: 'string',
+                        },
+                        lastAttemptAt: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        nextAttemptAt: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        deliveredAt: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                    },
+                },
+                Storyboard: {
+                    type: 'object',
+                    properties: {
+                        imageUrl: {
+                            type: 'string',
+                            description: 'URL of the sprite sheet image',
+                        },
+                        columns: {
+                            type: 'integer',
+                        },
+                        rows: {
+                            type: 'integer',
+                        },
+                        tileWidth: {
+                            type: 'integer',
+                        },
+                        tileHeight: {
+                            type: 'integer',
+                        },
+                        interval: {
+                            type: 'number',
+                            description: 'Seconds between consecutive tiles',
+                        },
+                        tiles: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    time: {
+                                        type: 'number',
+                                        description: 'Time of the tile\'s frame in seconds',
+                                    },
+                                    x: {
+                                        type: 'integer',
+                                    },
+                                    y: {
+                                        type: 'integer',
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                Lineage: {
+                    type: 'object',
+                    properties: {
+                        videoId: {
+                            type: 'integer',
+                        },
+                        nodes: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: {
+                                        type: 'integer',
+                                    },
+                                    filename: {
+                                        type: 'string',
+                                    },
+                                    duration: {
+                                        type: 'number',
+                                    },
+                                    relation: {
+                                        type: 'string',
+                                        enum: ['self', 'ancestor', 'descendant'],
+                                    },
+                                    createdAt: {
+                                        type: 'string',
+                                        format: 'date-time',
+                                    },
+                                },
+                            },
+                        },
+                        edges: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    sourceVideoId: {
+                                        type: 'integer',
+                                        nullable: true,
+                                        description: 'Input video, or null if it has been deleted',
+                                    },
+                                    videoId: {
+                                        type: 'integer',
+                                        description: 'Video produced from the input',
+                                    },
+                                    operation: {
+                                        type: 'string',
+                                        enum: ['trim', 'merge', 'transcode', 'render'],
+                                    },
+                                    position: {
+                                        type: 'integer',
+                                        description: 'Order of the input in a merge or render',
+                                    },
+                                    params: {
+                                        type: 'object',
+                                        description: 'Trim segments, merge plan, transcode settings or rendered clips',
+                                    },
+                                    createdAt: {
+                                        type: 'string',
+                                        format: 'date-time',
+                                    },
+                                },
+                            },
+                        },
+                        recipe: {
+                            type: 'array',
+                            description: 'Steps that produced the video, oldest first, following the first input of each merge',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    operation: {
+                                        type: 'string',
+                                        enum: ['trim', 'merge', 'transcode'],
+                                    },
+                                    params: {
+                                        type: 'object',
+                                    },
+                                    inputs: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'integer',
+                                            nullable: true,
+                                        },
+                                        description: 'Input video IDs; the first is replaced when the recipe is re-run',
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                ClipInput: {
+                    type: 'object',
+                    required: ['videoId'],
+                    description: 'A clip of a video. In and out points default to the whole video',
+                    properties: {
+                        videoId: {
+                            type: 'integer',
+                        },
+                        start: {
+                            oneOf: [{ type: 'number' }, { type: 'string' }],
+                            description: 'In point in seconds or as a timecode',
+                        },
+                        end: {
+                            oneOf: [{ type: 'number' }, { type: 'string' }],
+                            description: 'Out point in seconds or as a timecode',
+                        },
+                        startFrame: {
+                            type: 'integer',
+                            description: 'In point as a frame number, instead of start',
+                        },
+                        endFrame: {
+                            type: 'integer',
+                            description: 'Out point as a frame number (exclusive), instead of end',
+                        },
+                    },
+                },
+                Project: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                        },
+                        name: {
+                            type: 'string',
+                        },
+                        clips: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    videoId: {
+                                        type: 'integer',
+                                    },
+                                    startFrame: {
+                                        type: 'integer',
+                                    },
+                                    endFrame: {
+                                        type: 'integer',
+                                        description: 'Exclusive',
+                                    },
+                                    start: {
+                                        type: 'number',
+                                        nullable: true,
+                                    },
+                                    end: {
+                                        type: 'number',
+                                        nullable: true,
+                                    },
+                                    duration: {
+                                        type: 'number',
+                                        nullable: true,
+                                    },
+                                    timelineStart: {
+                                        type: 'number',
+                                        description: 'Seconds into the rendered video where the clip begins',
+                                    },
+                                    missing: {
+                                        type: 'boolean',
+                                        description: 'True if the clip\'s video has been deleted',
+                                    },
+                                },
+                            },
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Total duration of the timeline in seconds',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                    },
+                },
+                TranscodeSettings: {
+                    type: 'object',
+                    properties: {
+                        preset: {
+                            type: 'string',
+                            description: 'Name of the server-side preset the settings started from',
+                        },
+                        container: {
+                            type: 'string',
+                            enum: ['mp4', 'mov', 'webm', 'mkv'],
+                        },
+                        codec: {
+                            type: 'string',
+                            enum: ['libx264', 'libx265', 'libvpx-vp9', 'libvpx'],
+                        },
+                        width: {
+                            type: 'integer',
+                            description: 'Output width; follows the aspect ratio if only height is set',
+                        },
+                        height: {
+                            type: 'integer',
+                            description: 'Output height; follows the aspect ratio if only width is set',
+                        },
+                        fps: {
+                            type: 'number',
+                        },
+                        quality: {
+                            type: 'string',
+                            enum: ['low', 'medium', 'high'],
+                        },
+                        videoBitrate: {
+                            type: 'string',
+                            description: 'Target bitrate such as 2500k, used instead of quality',
+                        },
+                    },
+                },
                 ShareLink: {
                     type: 'object',
                     properties: {
+                        token: {
+                            type: 'string',
+                            description: 'Share token, used to manage the link under /shares/{token}',
+                        },
+                        videoId: { type: 'integer' },
                         shareUrl: {
                             type: 'string',
-                            description: 'URL to access the shared video',
+                            description: 'URL to access the shared video; browsers get the share page',
+                        },
+                        embedUrl: {
+                            type: 'string',
+                            description: 'Player page for iframes on the allowed embed origins',
                         },
                         expiryTimestamp: {
                             type: 'string',
                             format: 'date-time',
                             description: 'When the share link will expire',
                         },
+                        mode: {
+                            type: 'string',
+                            enum: ['download', 'stream'],
+                            description: 'Whether the link serves the original file or only the stream',
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['active', 'expired', 'exhausted', 'revoked'],
+                            description: 'Whether the link still works; exhausted links have reached their download limit',
+                        },
+                        maxDownloads: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Downloads allowed, or null for no limit',
+                        },
+                        downloadCount: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Downloads so far (requests that did not continue a viewing already counted); null for signed links, which are not counted',
+                        },
+                        remainingDownloads: {
+                            type: 'integer',
+                            nullable: true,
+                        },
+                        signed: {
+                            type: 'boolean',
+                            description: 'Whether the token is signed and carries the link itself instead of being stored',
+                        },
+                        passwordProtected: {
+                            type: 'boolean',
+                        },
+                        allowedEmailDomains: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            nullable: true,
+                            description: 'Email domains viewers must belong to, or null for any',
+                        },
+                        allowedIpRanges: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            nullable: true,
+                            description: 'Addresses or CIDR ranges viewers must connect from, or null for any',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        revokedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        streamStatus: {
+                            type: 'string',
+                            enum: ['packaging', 'ready', 'failed'],
+                            description: 'Packaging status (stream mode only)',
+                        },
+                        hlsUrl: {
+                            type: 'string',
+                            description: 'HLS master playlist (stream mode with hls)',
+                        },
+                        dashUrl: {
+                            type: 'string',
+                            description: 'DASH manifest (stream mode with dash)',
+                        },
+                    },
+                },
+                OEmbed: {
+                    type: 'object',
+                    description: 'oEmbed 1.0 video response',
+                    properties: {
+                        version: { type: 'string', example: '1.0' },
+                        type: { type: 'string', example: 'video' },
+                        provider_name: { type: 'string' },
+                        provider_url: { type: 'string' },
+                        title: { type: 'string' },
+                        html: {
+                            type: 'string',
+                            description: 'iframe of the embeddable player',
+                        },
+                        width: { type: 'integer' },
+                        height: { type: 'integer' },
+                        thumbnail_url: { type: 'string' },
+                        thumbnail_width: { type: 'integer' },
+                        thumbnail_height: { type: 'integer' },
+                        cache_age: {
+                            type: 'integer',
+                            description: 'Seconds until the share link expires',
+                        },
+                    },
+                },
+                VideoStream: {
+                    type: 'object',
+                    properties: {
+                        videoId: { type: 'integer' },
+                        status: {
+                            type: 'string',
+                            enum: ['packaging', 'ready', 'failed'],
+                        },
+                        formats: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['hls', 'dash'] },
+                        },
+                        renditions: {
+                            type: 'array',
+                            description: 'Bitrate ladder, best first',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string', example: '720p' },
+                                    width: { type: 'integer' },
+                                    height: { type: 'integer' },
+                                    videoBitrate: { type: 'integer', description: 'kbit/s' },
+                                },
+                            },
+                        },
+                        error: { type: 'string', nullable: true },
+                        jobId: { type: 'integer', nullable: true },
+                        updatedAt: { type: 'string', format: 'date-time' },
                     },
                 },
             },
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../app');
+const { getDb } = require('../db');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('API key management', () => {
+    let ADMIN_TOKEN;
+    let USER_TOKEN;
+    const createdKeyIds = [];
+
+    before(() => {
+        ADMIN_TOKEN = createTestToken('admin-user', ['admin']);
+        USER_TOKEN = createTestToken('user-1', ['read']);
+    });
+
+    after(() => {
+        const db = getDb();
+        for (const id of createdKeyIds) {
+            db.prepare('DELETE FROM api_keys WHERE id = ?').run(id);
+        }
+        removeTestTokens();
+    });
+
+    describe('POST /admin/api-keys', () => {
+        it('should reject requests without authentication', async () => {
+            await request(app)
+                .post('/admin/api-keys')
+                .send({ name: 'ci', ownerId: 'user-1' })
+                .expect(401);
+        });
+
+        it('should reject non-admin tokens', async () => {
+            await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${USER_TOKEN}`)
+                .send({ name: 'ci', ownerId: 'user-1' })
+                .expect(403);
+        });
+
+        it('should validate the request body', async () => {
+            await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .send({ ownerId: 'user-1' })
+                .expect(400);
+
+            await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .send({ name: 'ci', ownerId: 'user-1', scopes: ['everything'] })
+                .expect(400);
+        });
+
+        it('should create a key and return the plaintext once', async () => {
+            const response = await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .send({ name: 'ci-uploader', ownerId: 'user-3', scopes: ['read', 'upload'] })
+                .expect(201);
+
+            createdKeyIds.push(response.body.id);
+            expect(response.body).to.include({ name: 'ci-uploader', ownerId: 'user-3' });
+            expect(response.body.scopes).to.deep.equal(['read', 'upload']);
+            expect(response.body.key).to.match(/^tt_[0-9a-f]{12}_/);
+            expect(response.body.key.startsWith(`tt_${response.body.prefix}_`)).to.be.true;
+
+            // Only a hash is stored
+            const row = getDb().prepare('SELECT * FROM api_keys WHERE id = ?').get(response.body.id);
+            expect(row.key_hash).to.not.equal(response.body.key);
+            expect(JSON.stringify(row)).to.not.include(response.body.key);
+
+            // The new key authenticates as its owner
+            const videos = await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${response.body.key}`)
+                .expect(200);
+            expect(videos.body.videos).to.be.an('array');
+        });
+    });
+
+    describe('GET /admin/api-keys', () => {
+        it('should list keys without secrets', async () => {
+            const response = await request(app)
+                .get('/admin/api-keys')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .expect(200);
+
+            expect(response.body).to.be.an('array').that.is.not.empty;
+            for (const apiKey of response.body) {
+                expect(apiKey).to.not.have.property('key');
+                expect(apiKey).to.not.have.property('key_hash');
+            }
+        });
+
+        it('should record when a key was last used', async () => {
+            const response = await request(app)
+                .get('/admin/api-keys')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .expect(200);
+
+            const created = response.body.find(apiKey => apiKey.id === createdKeyIds[0]);
+            expect(created.lastUsedAt).to.be.a('string');
+        });
+    });
+
+    describe('DELETE /admin/api-keys/:id', () => {
+        it('should revoke a key so it can no longer authenticate', async () => {
+            const created = await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .send({ name: 'to-revoke', ownerId: 'user-1', scopes: ['read'] })
+                .expect(201);
+            createdKeyIds.push(created.body.id);
+
+            await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${created.body.key}`)
+                .expect(200);
+
+            const revoked = await request(app)
+                .delete(`/admin/api-keys/${created.body.id}`)
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .expect(200);
+            expect(revoked.body.revokedAt).to.be.a('string');
+
+            await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${created.body.key}`)
+                .expect(403);
+        });
+
+        it('should return 404 for non-existent key ID', async () => {
+            await request(app)
+                .delete('/admin/api-keys/999999')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .expect(404);
+        });
+    });
+
+    describe('authenticateToken', () => {
+        it('should reject a key with a valid prefix but wrong secret', async () => {
+            const token = createTestToken('user-1', ['read']);
+            const forged = token.slice(0, token.lastIndexOf('_') + 1) + 'x'.repeat(32);
+
+            await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${forged}`)
+                .expect(403);
+        });
+    });
+});
@@ -4,16 +4,17 @@ const path = require('path');
 const fs = require('fs');
 const app = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestToken, removeTestTokens } = require('./helpers');
 
 describe('End-to-End Video Processing Flow', () => {
     let uploadedVideoId1;
     let uploadedVideoId2;
     let shareToken;
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    let API_TOKEN;
 
     before(async function() {
         this.timeout(10000); // Increase timeout for setup
+        API_TOKEN = createTestToken();
         
         // Ensure uploads directory exists
         const uploadsDir = path.join(__dirname, '../uploads');
@@ -153,5 +154,6 @@ describe('End-to-End Video Processing Flow', () => {
         const db = getDb();
         db.prepare('DELETE FROM share_links').run();
         db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
     });
 });
@@ -0,0 +1,28 @@
+const { createApiKey, API_KEY_SCOPES } = require('../apiKeys');
+const { getDb } = require('../db');
+
+// Every key created by the test suite shares this name so it can be cleaned up
+const TEST_KEY_NAME = 'mocha-test-key';
+
+/**
+ * Create an API key for use in tests
+ * @param {string} [ownerId] User the key acts as
+ * @param {string[]} [scopes] Scopes granted to the key (default: all)
+ * @param {Object} [uploadPolicy] Upload policy overrides for the key
+ * @returns {string} Plaintext key
+ */
+function createTestToken(ownerId = 'user-1', scopes = API_KEY_SCOPES, uploadPolicy = null) {
+    return createApiKey({ name: TEST_KEY_NAME, ownerId, scopes, uploadPolicy }).key;
+}
+
+/**
+ * Remove all API keys created by createTestToken
+ */
+function removeTestTokens() {
+    getDb().prepare('DELETE FROM api_keys WHERE name = ?').run(TEST_KEY_NAME);
+}
+
+module.exports = {
+    createTestToken,
+    removeTestTokens
+};
@@ -0,0 +1,271 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+const { registerJobHandler, enqueueJob, recoverJobs } = require('../jobQueue');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+// Poll a job until it reaches a final status
+async function waitForJob(token, jobId) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const response = await request(app)
+            .get(`/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        if (!['queued', 'running'].includes(response.body.status)) {
+            return response.body;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('Background jobs', () => {
+    const OWNER_ID = 'user-1';
+    let API_TOKEN;
+    let OTHER_TOKEN;
+    let videoId1;
+    let videoId2;
+
+    // A job type the tests can hold open to occupy the worker
+    let releaseBlocker;
+    registerJobHandler('test-blocker', () => new Promise(resolve => {
+        releaseBlocker = resolve;
+    }));
+
+    before(async function() {
+        this.timeout(10000);
+        API_TOKEN = createTestToken(OWNER_ID);
+        OTHER_TOKEN = createTestToken('user-2');
+
+        const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
+        for (const assign of [id => { videoId1 = id; }, id => { videoId2 = id; }]) {
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', testVideoPath)
+                .expect(200);
+            assign(response.body.id);
+        }
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
+
+        const uploadsDir = path.join(__dirname, '../uploads');
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    it('should queue a trim job and report its result', async function() {
+        this.timeout(10000);
+
+        const response = await request(app)
+            .post(`/videos/${videoId1}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 1, async: true })
+            .expect(202);
+
+        expect(response.body.status).to.equal('queued');
+        expect(response.headers['location']).to.equal(`/jobs/${response.body.jobId}`);
+
+        const job = await waitForJob(API_TOKEN, response.body.jobId);
+        expect(job.status).to.equal('succeeded');
+        expect(job.progress).to.equal(100);
+        expect(job.type).to.equal('trim');
+
+        const video = await request(app)
+            .get(`/videos/${job.resultVideoId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(video.body.duration).to.be.approximately(4, 0.1);
+    });
+
+    it('should queue a merge job with ?async=true', async function() {
+        this.timeout(10000);
+
+        const response = await request(app)
+            .post('/videos/merge?async=true')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ videoIds: [videoId1, videoId2] })
+            .expect(202);
+
+        const job = await waitForJob(API_TOKEN, response.body.jobId);
+        expect(job.status).to.equal('succeeded');
+        expect(job.resultVideoId).to.be.a('number');
+    });
+
+    it('should still validate requests before queueing', async () => {
+        await request(app)
+            .post('/videos/999999/trim')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 1, async: true })
+            .expect(404);
+
+        await request(app)
+            .post(`/videos/${videoId1}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ async: true })
+            .expect(400);
+
+        // Trim points are checked against the video's duration up front
+        await request(app)
+            .post(`/videos/${videoId1}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 10, async: true })
+            .expect(400);
+    });
+
+    it('should mark failed jobs with an error', async function() {
+        this.timeout(10000);
+
+        // A recorded video whose file has gone missing passes validation
+        const missingId = getDb().prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, owner_id, width, height, fps, codec, pixel_format, frame_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            'missing.raw', path.join(__dirname, '../uploads/missing.raw'), 1, 5, OWNER_ID,
+            320, 240, 30, 'rawvideo', 'rgb24', 150
+        ).lastInsertRowid;
+
+        const response = await request(app)
+            .post(`/videos/${missingId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 1, async: true })
+            .expect(202);
+
+        const job = await waitForJob(API_TOKEN, response.body.jobId);
+        expect(job.status).to.equal('failed');
+        expect(job.error).to.include('no such file');
+    });
+
+    it('should list the caller\'s jobs and filter by status', async () => {
+        const all = await request(app)
+            .get('/jobs')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(all.body.jobs.length).to.equal(all.body.pagination.total);
+        expect(all.body.jobs.length).to.be.at.least(3);
+
+        const failed = await request(app)
+            .get('/jobs?status=failed')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(failed.body.jobs.every(job => job.status === 'failed')).to.be.true;
+
+        await request(app)
+            .get('/jobs?status=bogus')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(400);
+        await request(app)
+            .get('/jobs?status=failed&status=done')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(400);
+        await request(app)
+            .get('/jobs?page=1&page=2')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(400);
+
+        const other = await request(app)
+            .get('/jobs')
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(200);
+        expect(other.body.jobs).to.be.empty;
+    });
+
+    it('should hide other users\' jobs', async () => {
+        const { jobs } = (await request(app)
+            .get('/jobs')
+            .set('Authorization', `Bearer ${API_TOKEN}`)).body;
+
+        await request(app)
+            .get(`/jobs/${jobs[0].id}`)
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(404);
+
+        await request(app)
+            .delete(`/jobs/${jobs[0].id}`)
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(404);
+    });
+
+    it('should cancel queued and running jobs', async function() {
+        this.timeout(10000);
+
+        // Occupy the single worker slot
+        const blocker = enqueueJob('test-blocker', {}, OWNER_ID);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const queued = await request(app)
+            .post(`/videos/${videoId1}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimEnd: 1, async: true })
+            .expect(202);
+
+        const cancelledQueued = await request(app)
+            .delete(`/jobs/${queued.body.jobId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(cancelledQueued.body.status).to.equal('cancelled');
+
+        const running = await request(app)
+            .get(`/jobs/${blocker.id}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(running.body.status).to.equal('running');
+
+        await request(app)
+            .delete(`/jobs/${blocker.id}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+
+        releaseBlocker({ id: videoId1 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const blockerJob = await waitForJob(API_TOKEN, blocker.id);
+        expect(blockerJob.status).to.equal('cancelled');
+        expect(blockerJob.resultVideoId).to.be.null;
+
+        const queuedJob = await waitForJob(API_TOKEN, queued.body.jobId);
+        expect(queuedJob.status).to.equal('cancelled');
+        expect(queuedJob.startedAt).to.be.null;
+
+        // Finished jobs can no longer be cancelled
+        await request(app)
+            .delete(`/jobs/${blocker.id}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(409);
+    });
+
+    it('should resume queued jobs and fail interrupted ones on restart', async function() {
+        this.timeout(10000);
+        const db = getDb();
+
+        const interrupted = db.prepare(`
+            INSERT INTO jobs (type, status, params, owner_id, started_at)
+            VALUES ('trim', 'running', ?, ?, CURRENT_TIMESTAMP)
+        `).run(JSON.stringify({ videoId: videoId1, trimStart: 1 }), OWNER_ID);
+
+        const pending = db.prepare(`
+            INSERT INTO jobs (type, status, params, owner_id)
+            VALUES ('trim', 'queued', ?, ?)
+        `).run(JSON.stringify({ videoId: videoId1, trimStart: 1 }), OWNER_ID);
+
+        recoverJobs();
+
+        const failedJob = await waitForJob(API_TOKEN, interrupted.lastInsertRowid);
+        expect(failedJob.status).to.equal('failed');
+        expect(failedJob.error).to.equal('Interrupted by server restart');
+
+        const resumedJob = await waitForJob(API_TOKEN, pending.lastInsertRowid);
+        expect(resumedJob.status).to.equal('succeeded');
+    });
+});
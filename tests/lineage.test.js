@@ -0,0 +1,254 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+const { getRecipe } = require('../lineage');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Video lineage', () => {
+    let API_TOKEN;
+    let originalId;
+    let otherId;
+    let trimmedId;
+    let mergedId;
+    const createdIds = [];
+
+    /**
+     * Upload the 5 second test fixture and remember the new video
+     */
+    async function uploadFixture() {
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+            .expect(200);
+        createdIds.push(response.body.id);
+        return response.body.id;
+    }
+
+    /**
+     * Wait for a background job to leave the queue
+     */
+    async function waitForJob(jobId) {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const job = getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+            if (job.status !== 'queued' && job.status !== 'running') {
+                return job;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Job ${jobId} did not finish`);
+    }
+
+    before(async () => {
+        API_TOKEN = createTestToken();
+        originalId = await uploadFixture();
+        otherId = await uploadFixture();
+
+        const trimmed = await request(app)
+            .post(`/videos/${originalId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startFrame: 30, endFrame: 90 })
+            .expect(200);
+        trimmedId = trimmed.body.id;
+        createdIds.push(trimmedId);
+
+        const merged = await request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ videoIds: [trimmedId, otherId] })
+            .expect(200);
+        mergedId = merged.body.id;
+        createdIds.push(mergedId);
+    });
+
+    after(() => {
+        removeTestTokens();
+
+        // Derived videos reference their source, so delete newest first
+        const db = getDb();
+        for (const id of [...createdIds].reverse()) {
+            const video = db.prepare('SELECT filepath, thumbnail_path FROM videos WHERE id = ?').get(id);
+            if (video) {
+                fs.rmSync(video.filepath, { force: true });
+                if (video.thumbnail_path) {
+                    fs.rmSync(video.thumbnail_path, { force: true });
+                }
+                db.prepare('DELETE FROM jobs WHERE result_video_id = ?').run(id);
+                db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+            }
+        }
+    });
+
+    describe('Derivation records', () => {
+        it('should record the trim with its frame ranges', () => {
+            const rows = getDb().prepare('SELECT * FROM video_derivations WHERE video_id = ?').all(trimmedId);
+            expect(rows).to.have.length(1);
+            expect(rows[0]).to.include({ source_video_id: originalId, position: 0, operation: 'trim' });
+            expect(JSON.parse(rows[0].params)).to.deep.equal({ segments: [{ startFrame: 30, endFrame: 90 }] });
+        });
+
+        it('should record every merge input in order', () => {
+            const rows = getDb()
+                .prepare('SELECT * FROM video_derivations WHERE video_id = ? ORDER BY position')
+                .all(mergedId);
+            expect(rows.map(row => [row.source_video_id, row.position])).to.deep.equal([[trimmedId, 0], [otherId, 1]]);
+            expect(JSON.parse(rows[0].params).plan).to.include({ mode: 'bytes', container: 'raw' });
+        });
+
+        it('should build the recipe along the first input of each merge', () => {
+            const recipe = getRecipe(mergedId);
+            expect(recipe.map(step => step.operation)).to.deep.equal(['trim', 'merge']);
+            expect(recipe[0].inputs).to.deep.equal([originalId]);
+            expect(recipe[1].inputs).to.deep.equal([trimmedId, otherId]);
+            expect(getRecipe(originalId)).to.deep.equal([]);
+        });
+    });
+
+    describe('GET /videos/:id/lineage', () => {
+        it('should return ancestors and descendants of a video', async () => {
+            const response = await request(app)
+                .get(`/videos/${trimmedId}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.videoId).to.equal(trimmedId);
+            const relations = Object.fromEntries(response.body.nodes.map(node => [node.id, node.relation]));
+            expect(relations).to.deep.equal({
+                [trimmedId]: 'self',
+                [originalId]: 'ancestor',
+                [mergedId]: 'descendant'
+            });
+            expect(response.body.edges.map(edge => [edge.sourceVideoId, edge.videoId, edge.operation])).to.deep.equal([
+                [originalId, trimmedId, 'trim'],
+                [trimmedId, mergedId, 'merge']
+            ]);
+            expect(response.body.recipe).to.have.length(1);
+        });
+
+        it('should include every input of a merge as an ancestor', async () => {
+            const response = await request(app)
+                .get(`/videos/${mergedId}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const ancestors = response.body.nodes.filter(node => node.relation === 'ancestor').map(node => node.id);
+            expect(ancestors).to.have.members([trimmedId, otherId, originalId]);
+        });
+
+        it('should return 404 for videos owned by another user', async () => {
+            const otherToken = createTestToken('user-2');
+            await request(app)
+                .get(`/videos/${mergedId}/lineage`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(404);
+        });
+
+        it('should keep the history when a source is deleted', async () => {
+            const sourceId = await uploadFixture();
+            const trimmed = await request(app)
+                .post(`/videos/${sourceId}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ trimStart: 1 })
+                .expect(200);
+            createdIds.push(trimmed.body.id);
+
+            await request(app)
+                .delete(`/videos/${sourceId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            const response = await request(app)
+                .get(`/videos/${trimmed.body.id}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.nodes).to.have.length(1);
+            expect(response.body.edges).to.have.length(1);
+            expect(response.body.edges[0]).to.include({ sourceVideoId: null, operation: 'trim' });
+        });
+    });
+
+    describe('POST /videos/:id/rerun', () => {
+        it('should replay every step against a new source', async () => {
+            const newSourceId = await uploadFixture();
+
+            const response = await request(app)
+                .post(`/videos/${mergedId}/rerun`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ sourceVideoId: newSourceId })
+                .expect(200);
+            createdIds.push(response.body.id);
+
+            // 2 seconds trimmed from the new source, then the other 5 second input
+            expect(response.body.duration).to.equal(7);
+
+            const recipe = getRecipe(response.body.id);
+            expect(recipe.map(step => step.operation)).to.deep.equal(['trim', 'merge']);
+            expect(recipe[0].inputs).to.deep.equal([newSourceId]);
+            expect(recipe[1].inputs[1]).to.equal(otherId);
+            createdIds.push(recipe[1].inputs[0]);
+        });
+
+        it('should run as a background job', async () => {
+            const response = await request(app)
+                .post(`/videos/${trimmedId}/rerun?async=true`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ sourceVideoId: otherId })
+                .expect(202);
+
+            const job = await waitForJob(response.body.jobId);
+            expect(job.status).to.equal('succeeded');
+            createdIds.push(job.result_video_id);
+            expect(getRecipe(job.result_video_id)[0].inputs).to.deep.equal([otherId]);
+        });
+
+        it('should reject recipes that do not fit the new source', async () => {
+            const shortId = (await request(app)
+                .post(`/videos/${otherId}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ startFrame: 0, endFrame: 60 })
+                .expect(200)).body.id;
+            createdIds.push(shortId);
+
+            const response = await request(app)
+                .post(`/videos/${trimmedId}/rerun`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ sourceVideoId: shortId })
+                .expect(400);
+
+            expect(response.body.error).to.equal(
+                'Recipe step 1 (trim): segments[0].endFrame (frame 90) is past the end of the video (60 frames)'
+            );
+        });
+
+        it('should reject videos that were not derived from anything', async () => {
+            const response = await request(app)
+                .post(`/videos/${originalId}/rerun`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ sourceVideoId: otherId })
+                .expect(400);
+
+            expect(response.body.error).to.equal(
+                'Video was not derived from another video, so it has no recipe to re-run'
+            );
+        });
+
+        it('should validate the source video', async () => {
+            const missing = await request(app)
+                .post(`/videos/${trimmedId}/rerun`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({})
+                .expect(400);
+            expect(missing.body.error).to.equal('sourceVideoId must be a video ID');
+
+            await request(app)
+                .post(`/videos/${trimmedId}/rerun`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ sourceVideoId: 999999 })
+                .expect(404);
+        });
+    });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const app = require('../app');
+const { getDb } = require('../db');
+const { probeVideo, parseFrameRate } = require('../mediaProbe');
+const { deleteQuarantinedUpload } = require('../quarantine');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+const FRAME_SIZE = 320 * 240 * 3;
+const hasFfprobe = !spawnSync('ffprobe', ['-version']).error;
+
+describe('Media probing', () => {
+    let API_TOKEN;
+    let workDir;
+    const uploadedIds = [];
+
+    before(() => {
+        API_TOKEN = createTestToken();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-probe-'));
+    });
+
+    after(() => {
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+
+        const db = getDb();
+        for (const id of uploadedIds) {
+            const video = db.prepare('SELECT filepath FROM videos WHERE id = ?').get(id);
+            fs.rmSync(video.filepath, { force: true });
+            db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+        }
+    });
+
+    describe('probeVideo', () => {
+        it('should derive raw duration from whole frames', async () => {
+            const rawPath = path.join(workDir, 'frames.raw');
+            // 45 whole frames plus a partial trailing frame
+            fs.writeFileSync(rawPath, Buffer.alloc(FRAME_SIZE * 45 + 100));
+
+            const metadata = await probeVideo(rawPath);
+
+            expect(metadata).to.include({
+                codec: 'rawvideo',
+                pixelFormat: 'rgb24',
+                width: 320,
+                height: 240,
+                fps: 30,
+                frameCount: 45,
+                duration: 1.5
+            });
+        });
+
+        it('should report zero frames for a file smaller than one frame', async () => {
+            const rawPath = path.join(workDir, 'tiny.raw');
+            fs.writeFileSync(rawPath, Buffer.alloc(10));
+
+            const metadata = await probeVideo(rawPath);
+            expect(metadata.frameCount).to.equal(0);
+            expect(metadata.duration).to.equal(0);
+        });
+
+        it('should reject container files that cannot be probed', async () => {
+            const garbagePath = path.join(workDir, 'garbage.mp4');
+            fs.writeFileSync(garbagePath, 'not a video');
+
+            let error;
+            try {
+                await probeVideo(garbagePath);
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.an('error');
+        });
+
+        it('should read stream properties from a real container', async function() {
+            if (!hasFfprobe) {
+                this.skip();
+            }
+            this.timeout(20000);
+
+            const mp4Path = path.join(workDir, 'sample.mp4');
+            spawnSync('ffmpeg', [
+                '-y', '-f', 'lavfi', '-i', 'testsrc=size=160x120:rate=25:duration=2',
+                '-pix_fmt', 'yuv420p', mp4Path
+            ]);
+
+            const metadata = await probeVideo(mp4Path);
+            expect(metadata).to.include({ width: 160, height: 120, fps: 25, pixelFormat: 'yuv420p' });
+            expect(metadata.duration).to.be.approximately(2, 0.1);
+        });
+    });
+
+    describe('parseFrameRate', () => {
+        it('should parse ffprobe frame rate fractions', () => {
+            expect(parseFrameRate('30/1')).to.equal(30);
+            expect(parseFrameRate('30000/1001')).to.be.approximately(29.97, 0.01);
+            expect(parseFrameRate('25')).to.equal(25);
+        });
+
+        it('should return null for unknown frame rates', () => {
+            expect(parseFrameRate('0/0')).to.be.null;
+            expect(parseFrameRate(undefined)).to.be.null;
+        });
+    });
+
+    describe('POST /upload', () => {
+        it('should store the probed stream properties', async () => {
+            const rawPath = path.join(workDir, 'probe-upload.raw');
+            fs.writeFileSync(rawPath, Buffer.alloc(FRAME_SIZE * 60));
+
+            const upload = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', rawPath, { filename: 'probe-upload.raw', contentType: 'video/raw' })
+                .expect(200);
+
+            uploadedIds.push(upload.body.id);
+            expect(upload.body.duration).to.equal(2);
+
+            const response = await request(app)
+                .get(`/videos/${upload.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body).to.include({
+                width: 320,
+                height: 240,
+                fps: 30,
+                codec: 'rawvideo',
+                pixelFormat: 'rgb24',
+                frameCount: 60,
+                duration: 2
+            });
+        });
+
+        it('should reject raw files without a single whole frame', async () => {
+            const rawPath = path.join(workDir, 'probe-empty.raw');
+            fs.writeFileSync(rawPath, Buffer.alloc(100));
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', rawPath, { filename: 'probe-empty.raw', contentType: 'video/raw' })
+                .expect(400);
+
+            expect(response.body.error).to.equal('Video contains no frames');
+            expect(response.body.code).to.equal('EMPTY_VIDEO');
+            expect(deleteQuarantinedUpload(response.body.quarantineId)).to.equal(true);
+        });
+
+        it('should reject container files whose metadata cannot be read', async () => {
+            // An mp4 header, so the magic bytes pass, followed by junk
+            const garbagePath = path.join(workDir, 'probe-garbage.mp4');
+            fs.writeFileSync(garbagePath, Buffer.concat([
+                Buffer.from([0, 0, 0, 24]),
+                Buffer.from('ftypisom\0\0\0\0isommp41', 'latin1'),
+                Buffer.from('not a video')
+            ]));
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', garbagePath, { filename: 'probe-garbage.mp4', contentType: 'video/mp4' })
+                .expect(400);
+
+            expect(response.body.error).to.match(/^Unable to read video metadata/);
+            expect(response.body.code).to.equal('PROBE_FAILED');
+            expect(deleteQuarantinedUpload(response.body.quarantineId)).to.equal(true);
+        });
+    });
+});
@@ -4,14 +4,16 @@ const path = require('path');
 const fs = require('fs');
 const app = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestToken, removeTestTokens } = require('./helpers');
 
 describe('POST /videos/merge', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    let API_TOKEN;
     let videoId1;
     let videoId2;
 
     before(async () => {
+        API_TOKEN = createTestToken();
+
         // Upload test videos
         const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
         
@@ -36,6 +38,7 @@ describe('POST /videos/merge', () => {
         // Cleanup database
         const db = getDb();
         db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
 
         // Cleanup uploaded files
         const uploadsDir = path.join(__dirname, '../uploads');
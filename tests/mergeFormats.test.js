@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const app = require('../app');
+const { getDb } = require('../db');
+const { planMerge } = require('../videoOperations');
+const { buildConcatFilter } = require('../videoProcessing');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+const hasFfmpeg = !spawnSync('ffmpeg', ['-version']).error;
+
+describe('Merging heterogeneous videos', () => {
+    let API_TOKEN;
+    const uploadsDir = path.join(__dirname, '../uploads');
+    const ids = {};
+
+    // Minimal rows: planMerge only looks at the extension and stored geometry
+    const rawRgb = { id: 1, filepath: 'a.raw', width: 320, height: 240, fps: 30, pixel_format: 'rgb24' };
+    const rawGray = { id: 2, filepath: 'b.raw', width: 320, height: 240, fps: 30, pixel_format: 'gray' };
+    const rawSmall = { id: 3, filepath: 'c.raw', width: 160, height: 120, fps: 30, pixel_format: 'rgb24' };
+    const mp4 = { id: 4, filepath: 'd.mp4', width: 320, height: 240, fps: 30, pixel_format: 'yuv420p' };
+    const mp4Fast = { id: 5, filepath: 'e.mp4', width: 320, height: 240, fps: 60, pixel_format: 'yuv420p' };
+
+    /**
+     * Insert a small video owned by user-1 and remember its ID
+     */
+    function insertFixture(name, bytes, geometry) {
+        const filepath = path.join(uploadsDir, name);
+        fs.writeFileSync(filepath, Buffer.alloc(bytes, 50));
+        ids[name] = getDb().prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, owner_id, width, height, fps, codec, pixel_format, frame_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            name, filepath, bytes, geometry.duration, 'user-1',
+            geometry.width, geometry.height, geometry.fps, geometry.codec, geometry.pixelFormat, geometry.frameCount
+        ).lastInsertRowid;
+    }
+
+    before(() => {
+        API_TOKEN = createTestToken();
+
+        if (!fs.existsSync(uploadsDir)) {
+            fs.mkdirSync(uploadsDir);
+        }
+
+        insertFixture('test-merge-fmt-a.raw', 16 * 16 * 10, {
+            width: 16, height: 16, fps: 10, codec: 'rawvideo', pixelFormat: 'gray', frameCount: 10, duration: 1
+        });
+        insertFixture('test-merge-fmt-b.raw', 32 * 16 * 10, {
+            width: 32, height: 16, fps: 10, codec: 'rawvideo', pixelFormat: 'gray', frameCount: 10, duration: 1
+        });
+    });
+
+    after(() => {
+        removeTestTokens();
+
+        const db = getDb();
+        for (const id of Object.values(ids)) {
+            const derived = db.prepare('SELECT * FROM videos WHERE id > ? AND filename LIKE ?').all(id, 'merged-%');
+            for (const video of derived) {
+                fs.rmSync(video.filepath, { force: true });
+                db.prepare('DELETE FROM videos WHERE id = ?').run(video.id);
+            }
+        }
+        for (const [name, id] of Object.entries(ids)) {
+            fs.rmSync(path.join(uploadsDir, name), { force: true });
+            db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+        }
+    });
+
+    describe('planMerge', () => {
+        it('should append identical raw videos byte for byte', () => {
+            const { plan } = planMerge([rawRgb, rawRgb]);
+            expect(plan).to.deep.equal({
+                mode: 'bytes',
+                container: 'raw',
+                target: { width: 320, height: 240, fps: 30, pixelFormat: 'rgb24' }
+            });
+        });
+
+        it('should convert raw pixel formats with ffmpeg', () => {
+            const { plan } = planMerge([rawRgb, rawGray]);
+            expect(plan.mode).to.equal('ffmpeg');
+            expect(plan.container).to.equal('raw');
+            expect(plan.target.pixelFormat).to.equal('rgb24');
+        });
+
+        it('should default to mp4 when any input is a container', () => {
+            const { plan } = planMerge([rawRgb, mp4]);
+            expect(plan).to.include({ mode: 'ffmpeg', container: 'mp4' });
+            expect(plan.settings).to.include({ container: 'mp4', codec: 'libx264', quality: 'medium' });
+            expect(plan.target).to.deep.equal({ width: 320, height: 240, fps: 30, pixelFormat: 'yuv420p' });
+        });
+
+        it('should reject different sizes or frame rates unless normalizing', () => {
+            expect(planMerge([rawRgb, rawSmall]).error).to.equal(
+                'Videos have different sizes or frame rates (1: 320x240 @ 30fps, 3: 160x120 @ 30fps). ' +
+                'Set normalize to true to scale, pad and resample them to a common target'
+            );
+            expect(planMerge([mp4, mp4Fast]).error).to.match(/^Videos have different sizes or frame rates/);
+        });
+
+        it('should normalize to the first input or an explicit target', () => {
+            const first = planMerge([rawSmall, rawRgb], { normalize: true }).plan;
+            expect(first.target).to.deep.equal({ width: 160, height: 120, fps: 30, pixelFormat: 'rgb24' });
+
+            const explicit = planMerge([mp4, mp4Fast], {
+                normalize: true, container: 'webm', width: 640, height: 360, fps: 25
+            }).plan;
+            expect(explicit.target).to.deep.equal({ width: 640, height: 360, fps: 25, pixelFormat: 'yuv420p' });
+            expect(explicit.settings.codec).to.equal('libvpx-vp9');
+        });
+
+        it('should reject invalid output options', () => {
+            expect(planMerge([rawRgb, rawRgb], { container: 'avi' }).error).to.match(/^container must be one of/);
+            expect(planMerge([rawRgb, rawRgb], { width: 640 }).error)
+                .to.equal('width, height and fps can only be set when normalize is true');
+            expect(planMerge([rawRgb, rawRgb], { container: 'mp4', pixelFormat: 'gray' }).error)
+                .to.equal('pixelFormat only applies to raw output');
+            expect(planMerge([rawRgb, rawRgb], { quality: 'high' }).error)
+                .to.equal('codec, quality and videoBitrate only apply to container output');
+            expect(planMerge([mp4, mp4], { codec: 'libvpx' }).error)
+                .to.equal('codec for mp4 must be one of: libx264, libx265');
+            expect(planMerge([mp4, mp4], { normalize: true, width: 641 }).error)
+                .to.equal('Output width and height must be even for mp4 output');
+        });
+    });
+
+    describe('buildConcatFilter', () => {
+        it('should letterbox, resample and concatenate every input', () => {
+            const filter = buildConcatFilter(2, { width: 640, height: 360, fps: 25, pixelFormat: 'yuv420p' });
+            expect(filter.split(';')).to.deep.equal([
+                '[0:v]scale=640:360:force_original_aspect_ratio=decrease,pad=640:360:(ow-iw)/2:(oh-ih)/2,' +
+                    'setsar=1,fps=25,format=yuv420p[v0]',
+                '[1:v]scale=640:360:force_original_aspect_ratio=decrease,pad=640:360:(ow-iw)/2:(oh-ih)/2,' +
+                    'setsar=1,fps=25,format=yuv420p[v1]',
+                '[v0][v1]concat=n=2:v=1:a=0[out]'
+            ]);
+        });
+    });
+
+    describe('POST /videos/merge', () => {
+        it('should reject videos of different sizes with a clear error', async () => {
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds: [ids['test-merge-fmt-a.raw'], ids['test-merge-fmt-b.raw']] })
+                .expect(400);
+
+            expect(response.body.error).to.include('16x16 @ 10fps');
+            expect(response.body.error).to.include('32x16 @ 10fps');
+        });
+
+        it('should reject an unknown output container', async () => {
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds: [ids['test-merge-fmt-a.raw'], ids['test-merge-fmt-a.raw']], container: 'gif' })
+                .expect(400);
+
+            expect(response.body.error).to.match(/^container must be one of/);
+        });
+
+        it('should queue the merge plan with async jobs', async () => {
+            const videoIds = [ids['test-merge-fmt-a.raw'], ids['test-merge-fmt-a.raw']];
+            const response = await request(app)
+                .post('/videos/merge?async=true')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds })
+                .expect(202);
+
+            const job = getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(response.body.jobId);
+            expect(JSON.parse(job.params).plan).to.include({ mode: 'bytes', container: 'raw' });
+
+            // Let the job finish before cleaning up
+            let status;
+            for (let attempt = 0; attempt < 50; attempt++) {
+                status = getDb().prepare('SELECT status FROM jobs WHERE id = ?').get(job.id).status;
+                if (status !== 'queued' && status !== 'running') {
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            expect(status).to.equal('succeeded');
+            getDb().prepare('DELETE FROM jobs WHERE id = ?').run(job.id);
+        });
+
+        it('should normalize raw videos of different sizes into an mp4', async function() {
+            if (!hasFfmpeg) {
+                this.skip();
+            }
+            this.timeout(30000);
+
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({
+                    videoIds: [ids['test-merge-fmt-a.raw'], ids['test-merge-fmt-b.raw']],
+                    normalize: true,
+                    container: 'mp4',
+                    width: 32,
+                    height: 16
+                })
+                .expect(200);
+
+            expect(response.body.filename).to.match(/^merged-\d+\.mp4$/);
+            expect(response.body.duration).to.be.approximately(2, 0.2);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Per-user video ownership', () => {
+    const OWNER_ID = 'user-1';
+    const OTHER_ID = 'user-2';
+    let OWNER_TOKEN;
+    let OTHER_TOKEN;
+    let ownerVideoId1;
+    let ownerVideoId2;
+    let otherVideoId;
+
+    before(async function() {
+        this.timeout(10000);
+        OWNER_TOKEN = createTestToken(OWNER_ID);
+        OTHER_TOKEN = createTestToken(OTHER_ID);
+
+        const uploadsDir = path.join(__dirname, '../uploads');
+        if (!fs.existsSync(uploadsDir)) {
+            fs.mkdirSync(uploadsDir);
+        }
+
+        const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
+        const upload = token => request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('video', testVideoPath)
+            .expect(200);
+
+        ownerVideoId1 = (await upload(OWNER_TOKEN)).body.id;
+        ownerVideoId2 = (await upload(OWNER_TOKEN)).body.id;
+        otherVideoId = (await upload(OTHER_TOKEN)).body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
+
+        const uploadsDir = path.join(__dirname, '../uploads');
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    it('should record the uploader as the owner', () => {
+        const db = getDb();
+        const video = db.prepare('SELECT owner_id FROM videos WHERE id = ?').get(ownerVideoId1);
+        expect(video.owner_id).to.equal(OWNER_ID);
+    });
+
+    it('should only list the caller\'s own videos', async () => {
+        const response = await request(app)
+            .get('/videos')
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(200);
+
+        expect(response.body.videos.map(v => v.id)).to.deep.equal([otherVideoId]);
+    });
+
+    it('should return 404 when fetching another user\'s video', async () => {
+        await request(app)
+            .get(`/videos/${ownerVideoId1}`)
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(404);
+
+        await request(app)
+            .get(`/videos/${ownerVideoId1}/content`)
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(404);
+    });
+
+    it('should return 404 when trimming another user\'s video', async () => {
+        await request(app)
+            .post(`/videos/${ownerVideoId1}/trim`)
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .send({ trimStart: 1 })
+            .expect(404);
+    });
+
+    it('should return 404 when merging with another user\'s video', async () => {
+        await request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .send({ videoIds: [otherVideoId, ownerVideoId1] })
+            .expect(404);
+    });
+
+    it('should return 404 when sharing another user\'s video', async () => {
+        await request(app)
+            .post(`/videos/${ownerVideoId1}/share`)
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(404);
+    });
+
+    it('should return 404 when deleting another user\'s video', async () => {
+        await request(app)
+            .delete(`/videos/${ownerVideoId1}`)
+            .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+            .expect(404);
+
+        const db = getDb();
+        expect(db.prepare('SELECT id FROM videos WHERE id = ?').get(ownerVideoId1)).to.exist;
+    });
+
+    it('should assign derived videos and share links to the caller', async () => {
+        const db = getDb();
+
+        const trimmed = await request(app)
+            .post(`/videos/${ownerVideoId1}/trim`)
+            .set('Authorization', `Bearer ${OWNER_TOKEN}`)
+            .send({ trimStart: 1 })
+            .expect(200);
+        expect(db.prepare('SELECT owner_id FROM videos WHERE id = ?').get(trimmed.body.id).owner_id)
+            .to.equal(OWNER_ID);
+
+        const merged = await request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${OWNER_TOKEN}`)
+            .send({ videoIds: [ownerVideoId1, ownerVideoId2] })
+            .expect(200);
+        expect(db.prepare('SELECT owner_id FROM videos WHERE id = ?').get(merged.body.id).owner_id)
+            .to.equal(OWNER_ID);
+
+        const share = await request(app)
+            .post(`/videos/${ownerVideoId1}/share`)
+            .set('Authorization', `Bearer ${OWNER_TOKEN}`)
+            .expect(200);
+        const token = share.body.shareUrl.split('/').pop();
+        expect(db.prepare('SELECT owner_id FROM share_links WHERE token = ?').get(token).owner_id)
+            .to.equal(OWNER_ID);
+    });
+});
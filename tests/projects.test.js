@@ -0,0 +1,360 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+const { parseEdl } = require('../edl');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Projects', () => {
+    let API_TOKEN;
+    let firstId;
+    let secondId;
+    const frameSize = 320 * 240 * 3;
+    const createdIds = [];
+
+    /**
+     * Upload the 5 second test fixture and remember the new video
+     */
+    async function uploadFixture() {
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+            .expect(200);
+        createdIds.push(response.body.id);
+        return response.body.id;
+    }
+
+    function createProject(body) {
+        return request(app)
+            .post('/projects')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body);
+    }
+
+    function countVideos() {
+        return getDb().prepare('SELECT COUNT(*) AS count FROM videos').get().count;
+    }
+
+    before(async () => {
+        API_TOKEN = createTestToken();
+        firstId = await uploadFixture();
+        secondId = await uploadFixture();
+    });
+
+    after(() => {
+        removeTestTokens();
+
+        const db = getDb();
+        db.prepare('DELETE FROM projects WHERE owner_id = ?').run('user-1');
+
+        // Renders reference their clips' videos, so delete newest first
+        const renders = db.prepare("SELECT id FROM videos WHERE filename LIKE 'render-%'").all();
+        for (const id of [...createdIds, ...renders.map(row => row.id)].sort((a, b) => b - a)) {
+            const video = db.prepare('SELECT filepath, thumbnail_path FROM videos WHERE id = ?').get(id);
+            if (video) {
+                fs.rmSync(video.filepath, { force: true });
+                if (video.thumbnail_path) {
+                    fs.rmSync(video.thumbnail_path, { force: true });
+                }
+                db.prepare('DELETE FROM jobs WHERE result_video_id = ?').run(id);
+                db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+            }
+        }
+    });
+
+    describe('Editing', () => {
+        it('should create a project and preview its timeline', async () => {
+            const response = await createProject({
+                name: 'Highlights',
+                clips: [
+                    { videoId: firstId, start: 1, end: '00:00:02.500' },
+                    { videoId: secondId, startFrame: 0, endFrame: 60 },
+                    { videoId: firstId }
+                ]
+            }).expect(201);
+
+            expect(response.body.name).to.equal('Highlights');
+            expect(response.body.duration).to.equal(8.5);
+            expect(response.body.clips.map(clip => [clip.startFrame, clip.endFrame, clip.timelineStart]))
+                .to.deep.equal([[30, 75, 0], [0, 60, 1.5], [0, 150, 3.5]]);
+            expect(response.body.clips[0]).to.include({ start: 1, end: 2.5, duration: 1.5, missing: false });
+        });
+
+        it('should not touch media while editing', async () => {
+            const before = countVideos();
+            const created = await createProject({ name: 'Scratch' }).expect(201);
+            const projectUrl = `/projects/${created.body.id}`;
+
+            await request(app)
+                .post(`${projectUrl}/clips`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoId: firstId, start: 0, end: 1 })
+                .expect(201);
+            const inserted = await request(app)
+                .post(`${projectUrl}/clips?position=0`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoId: secondId, startFrame: 90 })
+                .expect(201);
+            expect(inserted.body.clips.map(clip => clip.videoId)).to.deep.equal([secondId, firstId]);
+            expect(inserted.body.duration).to.equal(3);
+
+            const removed = await request(app)
+                .delete(`${projectUrl}/clips/0`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(removed.body.clips.map(clip => clip.videoId)).to.deep.equal([firstId]);
+
+            const renamed = await request(app)
+                .patch(projectUrl)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ name: 'Renamed' })
+                .expect(200);
+            expect(renamed.body).to.include({ name: 'Renamed', duration: 1 });
+
+            expect(countVideos()).to.equal(before);
+        });
+
+        it('should reject clips outside their video', async () => {
+            const response = await createProject({
+                name: 'Too long',
+                clips: [{ videoId: firstId }, { videoId: secondId, start: 4, end: 6 }]
+            }).expect(400);
+
+            expect(response.body.error).to.equal(
+                'clips[1].end (00:00:06.000) is past the end of the video (00:00:05.000, 150 frames)'
+            );
+        });
+
+        it('should reject invalid clips and names', async () => {
+            const unknown = await createProject({ name: 'Bad', clips: [{ videoId: firstId, trimStart: 1 }] })
+                .expect(400);
+            expect(unknown.body.error).to.match(/^clips\[0\] has unknown fields: trimStart/);
+
+            const missing = await createProject({ name: 'Bad', clips: [{ videoId: 999999 }] }).expect(400);
+            expect(missing.body.error).to.equal('clips[0]: Video with ID 999999 not found');
+
+            const unnamed = await createProject({ name: ' ' }).expect(400);
+            expect(unnamed.body.error).to.match(/^name must be a non-empty string/);
+        });
+
+        it('should only show projects to their owner', async () => {
+            const created = await createProject({ name: 'Private' }).expect(201);
+            const otherToken = createTestToken('user-2');
+
+            await request(app)
+                .get(`/projects/${created.body.id}`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(404);
+
+            const list = await request(app)
+                .get('/projects')
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(200);
+            expect(list.body).to.deep.equal([]);
+        });
+
+        it('should delete a project but keep its videos', async () => {
+            const created = await createProject({ name: 'Doomed', clips: [{ videoId: firstId }] }).expect(201);
+
+            await request(app)
+                .delete(`/projects/${created.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+            await request(app)
+                .get(`/projects/${created.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+
+            expect(getDb().prepare('SELECT id FROM videos WHERE id = ?').get(firstId)).to.not.equal(undefined);
+        });
+    });
+
+    describe('POST /projects/:id/render', () => {
+        it('should cut and join the clips into one new video', async () => {
+            const created = await createProject({
+                name: 'Render me',
+                clips: [
+                    { videoId: firstId, startFrame: 0, endFrame: 30 },
+                    { videoId: firstId, startFrame: 120, endFrame: 150 },
+                    { videoId: secondId, startFrame: 30, endFrame: 60 }
+                ]
+            }).expect(201);
+
+            const response = await request(app)
+                .post(`/projects/${created.body.id}/render`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({})
+                .expect(200);
+
+            expect(response.body.filename).to.match(new RegExp(`^render-${created.body.id}-\\d+\\.raw$`));
+            expect(response.body.duration).to.equal(3);
+
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+            expect(video.size).to.equal(90 * frameSize);
+            expect(fs.readdirSync(path.dirname(video.filepath)).some(name => name.startsWith('.render-')))
+                .to.equal(false);
+
+            const lineage = await request(app)
+                .get(`/videos/${response.body.id}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(lineage.body.edges.map(edge => [edge.sourceVideoId, edge.position])).to.deep.equal([
+                [firstId, 0], [firstId, 1], [secondId, 2]
+            ]);
+            expect(lineage.body.edges[0]).to.include({ operation: 'render' });
+            expect(lineage.body.edges[0].params.projectId).to.equal(created.body.id);
+        });
+
+        it('should render in the background', async () => {
+            const created = await createProject({ name: 'Async', clips: [{ videoId: secondId, end: 1 }] })
+                .expect(201);
+
+            const response = await request(app)
+                .post(`/projects/${created.body.id}/render?async=true`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(202);
+
+            let job;
+            for (let attempt = 0; attempt < 100; attempt++) {
+                job = getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(response.body.jobId);
+                if (job.status !== 'queued' && job.status !== 'running') {
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            expect(job.status).to.equal('succeeded');
+            expect(getDb().prepare('SELECT size FROM videos WHERE id = ?').get(job.result_video_id).size)
+                .to.equal(30 * frameSize);
+        });
+
+        it('should refuse to render an empty project', async () => {
+            const created = await createProject({ name: 'Empty' }).expect(201);
+
+            const response = await request(app)
+                .post(`/projects/${created.body.id}/render`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(400);
+            expect(response.body.error).to.equal('Project has no clips to render');
+        });
+    });
+
+    describe('EDL import and export', () => {
+        it('should export a CMX 3600 EDL', async () => {
+            const created = await createProject({
+                name: 'Cut list',
+                clips: [
+                    { videoId: firstId, startFrame: 15, endFrame: 45 },
+                    { videoId: secondId, start: 2, end: 4 }
+                ]
+            }).expect(201);
+
+            const response = await request(app)
+                .get(`/projects/${created.body.id}/edl`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect('Content-Type', /^text\/plain/)
+                .expect(200);
+
+            const filenames = [firstId, secondId].map(id =>
+                getDb().prepare('SELECT filename FROM videos WHERE id = ?').get(id).filename
+            );
+            expect(response.text.split('\n')).to.deep.equal([
+                'TITLE: Cut list',
+                'FCM: NON-DROP FRAME',
+                '',
+                `001  ${String(firstId).padEnd(8)} V     C        00:00:00:15 00:00:01:15 01:00:00:00 01:00:01:00`,
+                `* FROM CLIP NAME: ${filenames[0]}`,
+                '',
+                `002  ${String(secondId).padEnd(8)} V     C        00:00:02:00 00:00:04:00 01:00:01:00 01:00:03:00`,
+                `* FROM CLIP NAME: ${filenames[1]}`,
+                ''
+            ]);
+        });
+
+        it('should import an exported EDL back into the same clips', async () => {
+            const clips = [
+                { videoId: secondId, startFrame: 10, endFrame: 40 },
+                { videoId: firstId, startFrame: 100, endFrame: 150 }
+            ];
+            const original = await createProject({ name: 'Round trip', clips }).expect(201);
+            const edl = await request(app)
+                .get(`/projects/${original.body.id}/edl`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const imported = await request(app)
+                .post('/projects/import')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ edl: edl.text })
+                .expect(201);
+
+            expect(imported.body.name).to.equal('Round trip');
+            expect(imported.body.clips.map(({ videoId, startFrame, endFrame }) => ({ videoId, startFrame, endFrame })))
+                .to.deep.equal(clips);
+        });
+
+        it('should accept plain-text EDLs that name clips by filename', async () => {
+            const { filename } = getDb().prepare('SELECT filename FROM videos WHERE id = ?').get(firstId);
+            const edl = [
+                'TITLE: From an editor',
+                'FCM: NON-DROP FRAME',
+                '001  AX       V     C        00:00:01:00 00:00:02:00 01:00:00:00 01:00:01:00',
+                `* FROM CLIP NAME: ${filename}`,
+                '002  AX       A     C        00:00:01:00 00:00:02:00 01:00:00:00 01:00:01:00',
+                '003  BL       V     C        00:00:00:00 00:00:01:00 01:00:01:00 01:00:02:00'
+            ].join('\r\n');
+
+            const response = await request(app)
+                .post('/projects/import?name=Imported')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Content-Type', 'text/plain')
+                .send(edl)
+                .expect(201);
+
+            expect(response.body.name).to.equal('Imported');
+            expect(response.body.clips).to.have.length(1);
+            expect(response.body.clips[0]).to.include({ videoId: firstId, startFrame: 30, endFrame: 60 });
+        });
+
+        it('should reject transitions, unknown reels and bad timecodes', async () => {
+            const importEdl = edl => request(app)
+                .post('/projects/import')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ edl, name: 'Broken' })
+                .expect(400);
+
+            const dissolve = await importEdl(
+                `001  ${firstId} V     D    030 00:00:01:00 00:00:02:00 01:00:00:00 01:00:01:00`
+            );
+            expect(dissolve.body.error).to.equal('Line 1: event 001 uses transition D; only cuts are supported');
+
+            const unknownReel = await importEdl('001  TAPE1 V     C        00:00:01:00 00:00:02:00 01:00:00:00 01:00:01:00');
+            expect(unknownReel.body.error).to.equal('Event 1: reel TAPE1 does not match any of your videos');
+
+            const pastEnd = await importEdl(
+                `001  ${firstId} V     C        00:00:04:00 00:00:06:00 01:00:00:00 01:00:02:00`
+            );
+            expect(pastEnd.body.error).to.equal(
+                'Event 1: endFrame (frame 180) is past the end of the video (150 frames)'
+            );
+
+            const garbage = await importEdl('TITLE: x\nnot an event');
+            expect(garbage.body.error).to.equal('Line 2: not a CMX 3600 event');
+        });
+
+        it('should parse drop-frame lists and skip audio events', () => {
+            const edl = parseEdl([
+                'TITLE: Drop',
+                'FCM: DROP FRAME',
+                '001  5        AA/V  C        00:00:59;29 00:01:00;02 01:00:00;00 01:00:00;03',
+                '002  5        A2    C        00:00:00;00 00:00:01;00 01:00:00;00 01:00:01;00'
+            ].join('\n'));
+
+            expect(edl.dropFrame).to.equal(true);
+            expect(edl.events).to.have.length(1);
+            expect(edl.events[0]).to.include({ number: 1, reel: '5', sourceIn: '00:00:59;29' });
+        });
+    });
+});
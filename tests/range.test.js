@@ -0,0 +1,183 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+
+// Collect the response body as a Buffer regardless of content type
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Range requests on GET /videos/share/:token', () => {
+    const FILE_SIZE = 1000;
+    const token = 'range-test-token';
+    let fileContent;
+    let uploadPath;
+
+    before(() => {
+        const uploadsDir = path.join(__dirname, '../uploads');
+        if (!fs.existsSync(uploadsDir)) {
+            fs.mkdirSync(uploadsDir);
+        }
+
+        // Use a small file with a recognisable byte pattern
+        fileContent = Buffer.alloc(FILE_SIZE);
+        for (let i = 0; i < FILE_SIZE; i++) {
+            fileContent[i] = i % 256;
+        }
+        uploadPath = path.join(uploadsDir, 'test-range-video.raw');
+        fs.writeFileSync(uploadPath, fileContent);
+
+        const db = getDb();
+        const result = db.prepare(`
+            INSERT INTO videos (filename, filepath, size, duration)
+            VALUES (?, ?, ?, ?)
+        `).run('test-range-video.raw', uploadPath, FILE_SIZE, 1.0);
+
+        db.prepare(`
+            INSERT INTO share_links (video_id, token, expiry_timestamp)
+            VALUES (?, ?, datetime('now', '+24 hours'))
+        `).run(result.lastInsertRowid, token);
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM videos').run();
+
+        if (fs.existsSync(uploadPath)) {
+            fs.unlinkSync(uploadPath);
+        }
+    });
+
+    it('should advertise byte-range support on full responses', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+
+        expect(response.headers['accept-ranges']).to.equal('bytes');
+        expect(response.headers['etag']).to.be.a('string');
+        expect(response.headers['content-length']).to.equal(String(FILE_SIZE));
+        expect(Buffer.compare(response.body, fileContent)).to.equal(0);
+    });
+
+    it('should return 206 with the requested bytes', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=100-199')
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(206);
+
+        expect(response.headers['content-range']).to.equal(`bytes 100-199/${FILE_SIZE}`);
+        expect(response.headers['content-length']).to.equal('100');
+        expect(Buffer.compare(response.body, fileContent.subarray(100, 200))).to.equal(0);
+    });
+
+    it('should support open-ended ranges', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=900-')
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(206);
+
+        expect(response.headers['content-range']).to.equal(`bytes 900-999/${FILE_SIZE}`);
+        expect(Buffer.compare(response.body, fileContent.subarray(900))).to.equal(0);
+    });
+
+    it('should support suffix ranges', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=-50')
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(206);
+
+        expect(response.headers['content-range']).to.equal(`bytes 950-999/${FILE_SIZE}`);
+        expect(Buffer.compare(response.body, fileContent.subarray(950))).to.equal(0);
+    });
+
+    it('should clamp ranges that run past the end of the file', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=990-5000')
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(206);
+
+        expect(response.headers['content-range']).to.equal(`bytes 990-999/${FILE_SIZE}`);
+        expect(response.body.length).to.equal(10);
+    });
+
+    it('should return 416 for unsatisfiable ranges', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', `bytes=${FILE_SIZE}-`)
+            .expect(416);
+
+        expect(response.headers['content-range']).to.equal(`bytes */${FILE_SIZE}`);
+    });
+
+    it('should reject multi-range requests with 416', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=0-9,20-29')
+            .expect(416);
+
+        expect(response.body.error).to.equal('Multiple byte ranges are not supported');
+    });
+
+    it('should ignore malformed Range headers', async () => {
+        await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'items=0-9')
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+    });
+
+    it('should honour the range when If-Range matches the ETag', async () => {
+        const head = await request(app)
+            .head(`/videos/share/${token}`)
+            .expect(200);
+
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=0-9')
+            .set('If-Range', head.headers['etag'])
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(206);
+
+        expect(response.body.length).to.equal(10);
+    });
+
+    it('should send the full file when If-Range does not match', async () => {
+        const response = await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=0-9')
+            .set('If-Range', '"stale-etag"')
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+
+        expect(response.body.length).to.equal(FILE_SIZE);
+    });
+
+    it('should send the full file when If-Range is a stale date', async () => {
+        await request(app)
+            .get(`/videos/share/${token}`)
+            .set('Range', 'bytes=0-9')
+            .set('If-Range', new Date(0).toUTCString())
+            .buffer(true)
+            .parse(binaryParser)
+            .expect(200);
+    });
+});
@@ -0,0 +1,202 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const app = require('../app');
+const { getDb } = require('../db');
+const { getRawFrameSize, parseRawGeometry } = require('../mediaProbe');
+const { deleteQuarantinedUpload } = require('../quarantine');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Raw video geometry', () => {
+    let API_TOKEN;
+    let workDir;
+    const createdIds = [];
+
+    /**
+     * Write a raw file of whole frames plus optional extra bytes
+     */
+    function writeRawFile(name, geometry, frames, extraBytes = 0) {
+        const filepath = path.join(workDir, name);
+        fs.writeFileSync(filepath, Buffer.alloc(getRawFrameSize(geometry) * frames + extraBytes, 9));
+        return filepath;
+    }
+
+    function uploadRaw(filepath, fields = {}) {
+        const req = request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`);
+        for (const [name, value] of Object.entries(fields)) {
+            req.field(name, String(value));
+        }
+        return req.attach('video', filepath, { filename: path.basename(filepath), contentType: 'video/raw' });
+    }
+
+    before(() => {
+        API_TOKEN = createTestToken();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'raw-geometry-'));
+    });
+
+    after(() => {
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+
+        // Derived videos reference their source, so delete newest first
+        const db = getDb();
+        for (const id of [...createdIds].reverse()) {
+            const video = db.prepare('SELECT filepath FROM videos WHERE id = ?').get(id);
+            if (video) {
+                fs.rmSync(video.filepath, { force: true });
+                db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+            }
+        }
+    });
+
+    describe('getRawFrameSize', () => {
+        it('should size frames for every supported pixel format', () => {
+            const frame = { width: 4, height: 2 };
+            expect(getRawFrameSize({ ...frame, pixelFormat: 'rgb24' })).to.equal(24);
+            expect(getRawFrameSize({ ...frame, pixelFormat: 'rgba' })).to.equal(32);
+            expect(getRawFrameSize({ ...frame, pixelFormat: 'gray' })).to.equal(8);
+            expect(getRawFrameSize({ ...frame, pixelFormat: 'yuv420p' })).to.equal(12);
+            expect(getRawFrameSize({ ...frame, pixelFormat: 'yuv422p' })).to.equal(16);
+            expect(getRawFrameSize({ ...frame, pixelFormat: 'nv12' })).to.equal(12);
+        });
+
+        it('should round subsampled chroma planes up for odd dimensions', () => {
+            expect(getRawFrameSize({ width: 3, height: 3, pixelFormat: 'yuv420p' })).to.equal(9 + 2 * 4);
+        });
+    });
+
+    describe('parseRawGeometry', () => {
+        it('should default to 320x240 rgb24 at 30 fps', () => {
+            expect(parseRawGeometry({}).geometry).to.deep.equal({
+                width: 320, height: 240, fps: 30, pixelFormat: 'rgb24'
+            });
+        });
+
+        it('should reject invalid fields', () => {
+            expect(parseRawGeometry({ width: '0' }).error).to.match(/^width/);
+            expect(parseRawGeometry({ height: '1.5' }).error).to.match(/^height/);
+            expect(parseRawGeometry({ fps: 'fast' }).error).to.match(/^fps/);
+            expect(parseRawGeometry({ pixelFormat: 'bgr48' }).error).to.match(/^pixelFormat/);
+        });
+    });
+
+    describe('POST /upload', () => {
+        it('should use the supplied geometry for duration and metadata', async () => {
+            const geometry = { width: 64, height: 48, fps: 10, pixelFormat: 'gray' };
+            const filepath = writeRawFile('gray.raw', geometry, 25);
+
+            const upload = await uploadRaw(filepath, geometry).expect(200);
+            createdIds.push(upload.body.id);
+            expect(upload.body.duration).to.equal(2.5);
+
+            const response = await request(app)
+                .get(`/videos/${upload.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body).to.include({
+                width: 64,
+                height: 48,
+                fps: 10,
+                pixelFormat: 'gray',
+                frameCount: 25
+            });
+        });
+
+        it('should reject files that are not a whole number of frames', async () => {
+            const geometry = { width: 16, height: 16, fps: 25, pixelFormat: 'yuv420p' };
+            const filepath = writeRawFile('partial.raw', geometry, 10, 17);
+
+            const response = await uploadRaw(filepath, geometry).expect(400);
+            expect(response.body.error).to.equal(
+                'File size is not a whole number of 16x16 yuv420p frames (384 bytes each)'
+            );
+            expect(response.body.code).to.equal('RAW_FRAME_MISALIGNED');
+            expect(deleteQuarantinedUpload(response.body.quarantineId)).to.equal(true);
+        });
+
+        it('should reject unsupported pixel formats', async () => {
+            const filepath = writeRawFile('unsupported.raw', { width: 8, height: 8, pixelFormat: 'gray' }, 4);
+
+            const response = await uploadRaw(filepath, { width: 8, height: 8, pixelFormat: 'bgr48' }).expect(400);
+            expect(response.body.error).to.match(/^pixelFormat must be one of/);
+        });
+
+        it('should reject geometry fields for container formats', async () => {
+            const filepath = path.join(workDir, 'clip.mp4');
+            fs.writeFileSync(filepath, 'not a video');
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '640')
+                .attach('video', filepath, { filename: 'clip.mp4', contentType: 'video/mp4' })
+                .expect(400);
+
+            expect(response.body.error).to.equal('width, height, fps and pixelFormat only apply to raw videos');
+        });
+    });
+
+    describe('Trim and merge', () => {
+        const geometry = { width: 16, height: 16, fps: 10, pixelFormat: 'yuv420p' };
+        const frameSize = 384;
+        let firstId;
+        let secondId;
+
+        before(async () => {
+            const first = await uploadRaw(writeRawFile('first.raw', geometry, 30), geometry).expect(200);
+            const second = await uploadRaw(writeRawFile('second.raw', geometry, 20), geometry).expect(200);
+            firstId = first.body.id;
+            secondId = second.body.id;
+            createdIds.push(firstId, secondId);
+        });
+
+        it('should trim whole frames using the stored geometry', async () => {
+            const response = await request(app)
+                .post(`/videos/${firstId}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ trimStart: 1, trimEnd: 0.5 })
+                .expect(200);
+            createdIds.push(response.body.id);
+
+            expect(response.body.duration).to.equal(1.5);
+
+            const trimmed = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+            expect(trimmed.size).to.equal(15 * frameSize);
+            expect(trimmed).to.include({ width: 16, height: 16, fps: 10, pixel_format: 'yuv420p', frame_count: 15 });
+        });
+
+        it('should merge videos that share a geometry', async () => {
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds: [firstId, secondId] })
+                .expect(200);
+            createdIds.push(response.body.id);
+
+            expect(response.body.duration).to.equal(5);
+
+            const merged = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+            expect(merged.size).to.equal(50 * frameSize);
+            expect(merged.pixel_format).to.equal('yuv420p');
+        });
+
+        it('should refuse to merge raw videos of different sizes', async () => {
+            const wideGeometry = { width: 32, height: 16, fps: 10, pixelFormat: 'yuv420p' };
+            const wide = await uploadRaw(writeRawFile('other.raw', wideGeometry, 10), wideGeometry).expect(200);
+            createdIds.push(wide.body.id);
+
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds: [firstId, wide.body.id] })
+                .expect(400);
+
+            expect(response.body.error).to.match(/^Videos have different sizes or frame rates/);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const http = require('http');
+const crypto = require('crypto');
+const { signRequest } = require('../storage/s3');
+
+/**
+ * Send an S3-style XML error
+ */
+function sendError(res, status, code) {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+}
+
+/**
+ * Start a minimal S3-compatible server for tests, standing in for MinIO.
+ * It checks request signatures and supports PUT, GET (with Range), HEAD and
+ * DELETE of objects in a single bucket.
+ * @param {Object} options { bucket, accessKeyId, secretAccessKey, region }
+ * @returns {Promise<Object>} { endpoint, objects: Map of key => { body, lastModified, etag },
+ *   requests: [{ method, key, range }], close() }
+ */
+function startS3Server({ bucket, accessKeyId, secretAccessKey, region }) {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [, requestBucket, ...keyParts] = url.pathname.split('/');
+        const key = keyParts.map(decodeURIComponent).join('/');
+        requests.push({ method: req.method, key, range: req.headers['range'] });
+
+        // Recompute the signature over the headers the client says it signed
+        const auth = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/[^,]+, SignedHeaders=([^,]+), Signature=(\w+)$/
+            .exec(req.headers['authorization'] || '');
+        if (!auth || auth[1] !== accessKeyId) {
+            return sendError(res, 403, 'InvalidAccessKeyId');
+        }
+        const signedHeaders = {};
+        for (const name of auth[2].split(';')) {
+            signedHeaders[name] = req.headers[name];
+        }
+        const expected = signRequest(
+            { method: req.method, path: url.pathname, headers: signedHeaders },
+            { accessKeyId, secretAccessKey, region }
+        );
+        if (!expected.endsWith(`Signature=${auth[3]}`)) {
+            return sendError(res, 403, 'SignatureDoesNotMatch');
+        }
+        if (decodeURIComponent(requestBucket) !== bucket) {
+            return sendError(res, 404, 'NoSuchBucket');
+        }
+
+        if (req.method === 'PUT') {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                const body = Buffer.concat(chunks);
+                objects.set(key, {
+                    body,
+                    lastModified: new Date(),
+                    etag: `"${crypto.createHash('md5').update(body).digest('hex')}"`
+                });
+                res.writeHead(200, { ETag: objects.get(key).etag });
+                res.end();
+            });
+            return;
+        }
+
+        const object = objects.get(key);
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        }
+        if (!object) {
+            if (req.method === 'HEAD') {
+                res.writeHead(404);
+                return res.end();
+            }
+            return sendError(res, 404, 'NoSuchKey');
+        }
+
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Last-Modified': object.lastModified.toUTCString(),
+            ETag: object.etag
+        };
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers['range'] || '');
+        let status = 200;
+        let body = object.body;
+        if (range) {
+            const start = parseInt(range[1], 10);
+            const end = range[2] === '' ? object.body.length - 1 : Math.min(parseInt(range[2], 10), object.body.length - 1);
+            status = 206;
+            body = object.body.subarray(start, end + 1);
+            headers['Content-Range'] = `bytes ${start}-${end}/${object.body.length}`;
+        }
+        headers['Content-Length'] = body.length;
+        res.writeHead(status, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                objects,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    startS3Server
+};
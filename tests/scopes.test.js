@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Token scopes', () => {
+    const OWNER_ID = 'user-1';
+    let UPLOAD_TOKEN;
+    let SHARE_TOKEN;
+    let READ_TOKEN;
+    let ADMIN_TOKEN;
+    let videoId;
+
+    before(async function() {
+        this.timeout(10000);
+        UPLOAD_TOKEN = createTestToken(OWNER_ID, ['upload']);
+        SHARE_TOKEN = createTestToken(OWNER_ID, ['share']);
+        READ_TOKEN = createTestToken(OWNER_ID, ['read']);
+        ADMIN_TOKEN = createTestToken(OWNER_ID, ['admin']);
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${UPLOAD_TOKEN}`)
+            .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+            .expect(200);
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
+
+        const uploadsDir = path.join(__dirname, '../uploads');
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    it('should let an upload-only token upload but nothing else', async () => {
+        const response = await request(app)
+            .get('/videos')
+            .set('Authorization', `Bearer ${UPLOAD_TOKEN}`)
+            .expect(403);
+        expect(response.body).to.deep.equal({
+            error: 'Missing required scope: read',
+            requiredScope: 'read'
+        });
+
+        await request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${UPLOAD_TOKEN}`)
+            .expect(403);
+    });
+
+    it('should let a share-only token create share links but not edit', async () => {
+        await request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${SHARE_TOKEN}`)
+            .expect(200);
+
+        const response = await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${SHARE_TOKEN}`)
+            .send({ trimStart: 1 })
+            .expect(403);
+        expect(response.body.requiredScope).to.equal('edit');
+
+        await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${SHARE_TOKEN}`)
+            .expect(403);
+    });
+
+    it('should let a read-only token read but not delete', async () => {
+        await request(app)
+            .get(`/videos/${videoId}`)
+            .set('Authorization', `Bearer ${READ_TOKEN}`)
+            .expect(200);
+
+        await request(app)
+            .delete(`/videos/${videoId}`)
+            .set('Authorization', `Bearer ${READ_TOKEN}`)
+            .expect(403);
+
+        await request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${READ_TOKEN}`)
+            .send({ videoIds: [videoId, videoId] })
+            .expect(403);
+    });
+
+    it('should require the admin scope for key management', async () => {
+        const response = await request(app)
+            .get('/admin/api-keys')
+            .set('Authorization', `Bearer ${READ_TOKEN}`)
+            .expect(403);
+        expect(response.body.requiredScope).to.equal('admin');
+    });
+
+    it('should grant every scope to admin tokens', async () => {
+        await request(app)
+            .get(`/videos/${videoId}`)
+            .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+            .expect(200);
+
+        await request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+            .expect(200);
+    });
+});
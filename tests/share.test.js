@@ -4,16 +4,18 @@ const path = require('path');
 const fs = require('fs');
 const app = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestToken, removeTestTokens } = require('./helpers');
 
 describe('Video Sharing Endpoints', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    const OWNER_ID = 'user-1';
+    let API_TOKEN;
     let testVideoId;
     let shareToken;
 
     before(async function() {
         this.timeout(10000); // Increase timeout for setup
-        
+        API_TOKEN = createTestToken(OWNER_ID);
+
         // Setup: Upload a test video
         const db = getDb();
         
@@ -24,9 +26,9 @@ describe('Video Sharing Endpoints', () => {
         
         // Insert test video record
         const result = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run('test-share-video.raw', uploadPath, fs.statSync(uploadPath).size, 5.0);
+            INSERT INTO videos (filename, filepath, size, duration, owner_id)
+            VALUES (?, ?, ?, ?, ?)
+        `).run('test-share-video.raw', uploadPath, fs.statSync(uploadPath).size, 5.0, OWNER_ID);
         
         testVideoId = result.lastInsertRowid;
 
@@ -48,6 +50,7 @@ describe('Video Sharing Endpoints', () => {
         const db = getDb();
         db.prepare('DELETE FROM share_links').run();
         db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
 
         // Cleanup uploaded files
         const uploadsDir = path.join(__dirname, '../uploads');
@@ -150,10 +153,11 @@ describe('Video Sharing Endpoints', () => {
                 .expect(404);
         });
 
-        it('should return 404 for expired token', async () => {
-            await request(app)
+        it('should return 410 for expired token', async () => {
+            const response = await request(app)
                 .get(`/videos/share/${expiredToken}`)
-                .expect(404);
+                .expect(410);
+            expect(response.body.error).to.equal('Share link has expired');
         });
 
         it('should serve video content for valid token', async () => {
@@ -0,0 +1,422 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const app = require('../app');
+const { getDb } = require('../db');
+const {
+    isIpAllowed,
+    isEmailAllowed,
+    MAX_FAILED_ATTEMPTS_PER_CLIENT,
+    FAILED_ATTEMPTS_ALERT_PER_LINK
+} = require('../shareAccess');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Share link restrictions', () => {
+    const OWNER_ID = 'share-access-user';
+    const PASSWORD = 'correct horse';
+    let API_TOKEN;
+    let workDir;
+    let videoId;
+
+    /**
+     * Create a share link and return the response body
+     */
+    async function createShare(body = {}) {
+        const response = await request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body)
+            .expect(200);
+        return response.body;
+    }
+
+    before(async function() {
+        this.timeout(10000);
+        API_TOKEN = createTestToken(OWNER_ID);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-access-'));
+
+        const filepath = path.join(workDir, 'clip.raw');
+        fs.writeFileSync(filepath, Buffer.alloc(8 * 8 * 3 * 30, 128));
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '8')
+            .field('height', '8')
+            .attach('video', filepath, { filename: 'clip.raw', contentType: 'video/raw' })
+            .expect(200);
+        videoId = response.body.id;
+    });
+
+    beforeEach(() => {
+        // The email header is only believed from the single sign-on proxy, which
+        // supertest's requests appear to come from
+        process.env.TRUSTED_PROXIES = 'loopback';
+    });
+
+    afterEach(() => {
+        delete process.env.SHARE_EMAIL_HEADER;
+        delete process.env.TRUSTED_PROXIES;
+    });
+
+    after(async () => {
+        await request(app)
+            .delete(`/videos/${videoId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`);
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe('Creating restricted links', () => {
+        it('should describe the restrictions without revealing the password', async () => {
+            const share = await createShare({
+                password: PASSWORD,
+                allowedEmailDomains: ['Example.com', 'example.com'],
+                allowedIpRanges: ['127.0.0.0/8']
+            });
+
+            expect(share.passwordProtected).to.equal(true);
+            expect(share.allowedEmailDomains).to.deep.equal(['example.com']);
+            expect(share.allowedIpRanges).to.deep.equal(['127.0.0.0/8']);
+            expect(JSON.stringify(share)).to.not.include(PASSWORD);
+
+            const row = getDb().prepare('SELECT password_hash FROM share_links WHERE token = ?').get(share.token);
+            expect(row.password_hash).to.match(/^scrypt\$/);
+        });
+
+        it('should leave unrestricted links open', async () => {
+            const share = await createShare();
+            expect(share).to.include({ passwordProtected: false, allowedEmailDomains: null, allowedIpRanges: null });
+            await request(app).get(share.shareUrl).expect(200);
+        });
+
+        it('should reject invalid restrictions', async () => {
+            const cases = [
+                [{ password: 'short' }, 'password must be a string of 6 to 256 characters, or null for none'],
+                [{ password: 123456 }, 'password must be a string of 6 to 256 characters, or null for none'],
+                [{ allowedEmailDomains: 'example.com' },
+                    'allowedEmailDomains must be an array of domains such as example.com, or null for any'],
+                [{ allowedEmailDomains: ['user@example.com'] },
+                    'allowedEmailDomains must be an array of domains such as example.com, or null for any'],
+                [{ allowedIpRanges: ['10.0.0.0/33'] },
+                    'allowedIpRanges must be an array of addresses or CIDR ranges such as 10.0.0.0/8, or null for any'],
+                [{ allowedIpRanges: ['intranet'] },
+                    'allowedIpRanges must be an array of addresses or CIDR ranges such as 10.0.0.0/8, or null for any']
+            ];
+            for (const [body, error] of cases) {
+                const response = await request(app)
+                    .post(`/videos/${videoId}/share`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send(body)
+                    .expect(400);
+                expect(response.body.error).to.equal(error);
+            }
+        });
+    });
+
+    describe('Password-protected links', () => {
+        it('should require the password before serving the video', async () => {
+            const share = await createShare({ password: PASSWORD, maxDownloads: 1 });
+
+            const missing = await request(app).get(share.shareUrl).expect(401);
+            expect(missing.body).to.deep.equal({ error: 'This share link requires a password', passwordRequired: true });
+            const wrong = await request(app).get(share.shareUrl).set('X-Share-Password', 'guess123').expect(401);
+            expect(wrong.body.error).to.equal('Incorrect password');
+
+            await request(app).get(share.shareUrl).set('X-Share-Password', PASSWORD).expect(200);
+
+            // Refused requests did not use up the download
+            const stored = await request(app)
+                .get(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(stored.body.downloadCount).to.equal(1);
+        });
+
+        it('should show browsers a password form that reveals nothing of the video', async () => {
+            const share = await createShare({ password: PASSWORD });
+
+            const response = await request(app).get(share.shareUrl).set('Accept', 'text/html').expect(401);
+            expect(response.headers['content-type']).to.match(/text\/html/);
+            expect(response.headers['content-security-policy']).to.include("form-action 'self'");
+            expect(response.text).to.include(`action="/videos/share/${share.token}"`);
+            expect(response.text).to.include('type="password"');
+            expect(response.text).to.not.include('<video');
+            expect(response.text).to.not.include('/thumbnail');
+            expect(response.text).to.not.include('og:title');
+        });
+
+        it('should let browsers in with a cookie once the form is submitted', async () => {
+            const share = await createShare({ password: PASSWORD });
+
+            const wrong = await request(app)
+                .post(share.shareUrl)
+                .type('form')
+                .send({ password: 'guess123' })
+                .expect(401);
+            expect(wrong.text).to.include('Incorrect password.');
+            expect(wrong.headers['set-cookie']).to.equal(undefined);
+
+            const accepted = await request(app)
+                .post(share.shareUrl)
+                .type('form')
+                .send({ password: PASSWORD })
+                .expect(303);
+            expect(accepted.headers['location']).to.equal(share.shareUrl);
+            const cookie = accepted.headers['set-cookie'][0];
+            expect(cookie).to.include(`Path=/videos/share/${share.token}`);
+            expect(cookie).to.include('HttpOnly');
+            expect(cookie).to.include('SameSite=Lax');
+
+            const grant = cookie.split(';')[0];
+            const page = await request(app)
+                .get(share.shareUrl)
+                .set('Accept', 'text/html')
+                .set('Cookie', grant)
+                .expect(200);
+            expect(page.text).to.include(`${share.shareUrl}/thumbnail"`);
+            await request(app).get(`${share.shareUrl}/thumbnail`).set('Cookie', grant).expect(200);
+
+            // The cookie only works for the link it was issued for
+            const other = await createShare({ password: PASSWORD });
+            await request(app).get(other.shareUrl).set('Cookie', grant).expect(401);
+        });
+
+        it('should sign browsers out when the password changes', async () => {
+            const share = await createShare({ password: PASSWORD });
+            const accepted = await request(app)
+                .post(share.shareUrl)
+                .send({ password: PASSWORD })
+                .expect(303);
+            const grant = accepted.headers['set-cookie'][0].split(';')[0];
+
+            await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ password: 'another secret' })
+                .expect(200);
+            await request(app).get(share.shareUrl).set('Cookie', grant).expect(401);
+            await request(app).get(share.shareUrl).set('X-Share-Password', 'another secret').expect(200);
+
+            const removed = await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ password: null })
+                .expect(200);
+            expect(removed.body.passwordProtected).to.equal(false);
+            await request(app).get(share.shareUrl).expect(200);
+        });
+
+        it('should throttle clients that keep guessing', async () => {
+            const share = await createShare({ password: PASSWORD });
+
+            for (let attempt = 0; attempt < MAX_FAILED_ATTEMPTS_PER_CLIENT; attempt++) {
+                await request(app).get(share.shareUrl).set('X-Share-Password', `guess-${attempt}`).expect(401);
+            }
+            const throttled = await request(app).get(share.shareUrl).set('X-Share-Password', PASSWORD).expect(429);
+            expect(throttled.body.error).to.equal('Too many incorrect passwords; try again later');
+            expect(Number(throttled.headers['retry-after'])).to.be.within(1, 15 * 60);
+
+            const form = await request(app)
+                .post(share.shareUrl)
+                .type('form')
+                .send({ password: PASSWORD })
+                .expect(429);
+            expect(form.headers['retry-after']).to.be.a('string');
+
+            // Failures older than the window no longer count
+            getDb().prepare("UPDATE share_access_failures SET created_at = datetime('now', '-1 hour')").run();
+            await request(app).get(share.shareUrl).set('X-Share-Password', PASSWORD).expect(200);
+        });
+
+        it('should hold guesses sent at once to the limit', async () => {
+            const share = await createShare({ password: PASSWORD });
+
+            const responses = await Promise.all(Array.from({ length: MAX_FAILED_ATTEMPTS_PER_CLIENT * 3 }, (_, attempt) =>
+                request(app).get(share.shareUrl).set('X-Share-Password', `guess-${attempt}`)));
+            const statuses = responses.map(response => response.status);
+            expect(statuses.filter(status => status === 401)).to.have.lengthOf(MAX_FAILED_ATTEMPTS_PER_CLIENT);
+            expect(statuses.filter(status => status === 429)).to.have.lengthOf(MAX_FAILED_ATTEMPTS_PER_CLIENT * 2);
+        });
+
+        it('should not lock out other viewers or count correct passwords', async () => {
+            const share = await createShare({ password: PASSWORD });
+            const { id } = getDb().prepare('SELECT id FROM share_links WHERE token = ?').get(share.token);
+            const insert = getDb().prepare('INSERT INTO share_access_failures (share_link_id, ip) VALUES (?, ?)');
+            for (let attempt = 0; attempt < FAILED_ATTEMPTS_ALERT_PER_LINK; attempt++) {
+                insert.run(id, `203.0.113.${attempt}`);
+            }
+            await request(app).get(share.shareUrl).set('X-Share-Password', 'guess').expect(401);
+
+            // A player's parallel range requests all carry the password
+            const responses = await Promise.all(Array.from({ length: MAX_FAILED_ATTEMPTS_PER_CLIENT * 2 }, () =>
+                request(app).get(share.shareUrl).set('X-Share-Password', PASSWORD).set('Range', 'bytes=0-99')));
+            expect(responses.map(response => response.status)).to.deep.equal(
+                Array(MAX_FAILED_ATTEMPTS_PER_CLIENT * 2).fill(206));
+        });
+
+        it('should protect every URL of the link', async () => {
+            const share = await createShare({ password: PASSWORD });
+
+            const embed = await request(app).get(`${share.shareUrl}/embed`).expect(401);
+            expect(embed.text).to.not.include('<video');
+            expect(embed.text).to.not.include('/thumbnail');
+            await request(app).get(`${share.shareUrl}/thumbnail`).expect(401);
+            await request(app)
+                .get('/oembed')
+                .query({ url: `http://localhost${share.shareUrl}` })
+                .expect(401);
+
+            const stream = await createShare({ password: PASSWORD, mode: 'stream' });
+            await request(app).get(`${stream.shareUrl}/hls/master.m3u8`).expect(401);
+        });
+
+        it('should play in iframes on other sites, which keep no cookies', async () => {
+            const share = await createShare({ password: PASSWORD, oneTime: true });
+
+            const form = await request(app).get(`${share.shareUrl}/embed`).expect(401);
+            expect(form.text).to.include('<input type="hidden" name="embed" value="1">');
+            expect(form.headers['x-frame-options']).to.equal(undefined);
+            const wrong = await request(app)
+                .post(share.shareUrl)
+                .type('form')
+                .send({ password: 'guess123', embed: '1' })
+                .expect(401);
+            expect(wrong.text).to.include('name="embed"');
+            expect(wrong.headers['x-frame-options']).to.equal(undefined);
+
+            const accepted = await request(app)
+                .post(share.shareUrl)
+                .type('form')
+                .send({ password: PASSWORD, embed: '1' })
+                .expect(303);
+            const location = accepted.headers['location'];
+            expect(location).to.match(new RegExp(`^${share.shareUrl}/embed\\?grant=[\\w.-]+$`));
+
+            // None of the player's requests send a cookie
+            const embed = await request(app).get(location).expect(200);
+            const poster = new URL(embed.text.match(/<img class="poster" src="([^"]+)"/)[1].replace(/&amp;/g, '&'));
+            await request(app).get(`${poster.pathname}${poster.search}`).expect(200);
+            const grant = poster.searchParams.get('grant');
+            await request(app).get(share.shareUrl).query({ download: 1, grant }).set('Range', 'bytes=0-99').expect(206);
+            await request(app).get(share.shareUrl).query({ download: 1, grant }).set('Range', 'bytes=100-199').expect(206);
+            const { download_count: downloads } = getDb()
+                .prepare('SELECT download_count FROM share_links WHERE token = ?')
+                .get(share.token);
+            expect(downloads).to.equal(1);
+
+            // A grant of another link, or a tampered one, lets nobody in
+            const other = await createShare({ password: PASSWORD });
+            await request(app).get(`${other.shareUrl}/embed`).query({ grant }).expect(401);
+            await request(app).get(share.shareUrl).query({ download: 1, grant: grant.replace(/^\d/, '9') }).expect(401);
+        });
+    });
+
+    describe('Audience restrictions', () => {
+        it('should only serve viewers in the allowed IP ranges', async () => {
+            const local = await createShare({ allowedIpRanges: ['127.0.0.0/8', '::1'] });
+            await request(app).get(local.shareUrl).expect(200);
+
+            const office = await createShare({ allowedIpRanges: ['10.0.0.0/8'] });
+            const refused = await request(app).get(office.shareUrl).expect(403);
+            expect(refused.body.error).to.equal('This share link cannot be opened from your network');
+            await request(app).get(`${office.shareUrl}/thumbnail`).expect(403);
+            await request(app).post(office.shareUrl).send({ password: PASSWORD }).expect(403);
+        });
+
+        it('should not trust X-Forwarded-For from untrusted proxies', async () => {
+            const office = await createShare({ allowedIpRanges: ['10.0.0.0/8'] });
+            await request(app).get(office.shareUrl).set('X-Forwarded-For', '10.1.2.3').expect(403);
+        });
+
+        it('should only serve viewers signed in with an allowed email domain', async () => {
+            const share = await createShare({ allowedEmailDomains: ['example.com'] });
+
+            const anonymous = await request(app).get(share.shareUrl).expect(403);
+            expect(anonymous.body.error).to.equal('This share link is restricted to other email domains');
+            await request(app).get(share.shareUrl).set('X-Forwarded-Email', 'someone@other.org').expect(403);
+            await request(app).get(share.shareUrl).set('X-Forwarded-Email', 'someone@sub.example.com').expect(403);
+            await request(app).get(share.shareUrl).set('X-Forwarded-Email', 'Someone@Example.COM').expect(200);
+        });
+
+        it('should read the email from the configured header', async () => {
+            process.env.SHARE_EMAIL_HEADER = 'X-Auth-Request-Email';
+            const share = await createShare({ allowedEmailDomains: ['example.com'] });
+
+            await request(app).get(share.shareUrl).set('X-Forwarded-Email', 'someone@example.com').expect(403);
+            await request(app).get(share.shareUrl).set('X-Auth-Request-Email', 'someone@example.com').expect(200);
+        });
+
+        it('should ignore the email header unless it comes from a trusted proxy', async () => {
+            const share = await createShare({ allowedEmailDomains: ['example.com'] });
+
+            process.env.TRUSTED_PROXIES = '10.0.0.0/8';
+            await request(app).get(share.shareUrl).set('X-Forwarded-Email', 'someone@example.com').expect(403);
+
+            delete process.env.TRUSTED_PROXIES;
+            await request(app).get(share.shareUrl).set('X-Forwarded-Email', 'someone@example.com').expect(403);
+        });
+
+        it('should refuse email domain rules without a trusted proxy', async () => {
+            delete process.env.TRUSTED_PROXIES;
+            const response = await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ allowedEmailDomains: ['example.com'] })
+                .expect(400);
+            expect(response.body.error).to.equal('allowedEmailDomains needs the single sign-on proxy that sets ' +
+                'the email header to be listed in share.trustedProxies (TRUSTED_PROXIES)');
+
+            // Removing the rule needs no proxy
+            const share = await createShare({ allowedIpRanges: ['127.0.0.0/8'] });
+            await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ allowedEmailDomains: null })
+                .expect(200);
+        });
+
+        it('should check the audience before asking for a password', async () => {
+            const share = await createShare({ password: PASSWORD, allowedEmailDomains: ['example.com'] });
+
+            const page = await request(app).get(share.shareUrl).set('Accept', 'text/html').expect(403);
+            expect(page.text).to.not.include('type="password"');
+            await request(app)
+                .get(share.shareUrl)
+                .set('X-Forwarded-Email', 'someone@example.com')
+                .set('X-Share-Password', PASSWORD)
+                .expect(200);
+        });
+
+        it('should let restrictions be changed or removed', async () => {
+            const share = await createShare({ allowedIpRanges: ['10.0.0.0/8'] });
+
+            const updated = await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ allowedIpRanges: null, allowedEmailDomains: ['example.com'] })
+                .expect(200);
+            expect(updated.body).to.include({ allowedIpRanges: null });
+            expect(updated.body.allowedEmailDomains).to.deep.equal(['example.com']);
+            await request(app).get(share.shareUrl).set('X-Forwarded-Email', 'a@example.com').expect(200);
+        });
+    });
+
+    describe('Matching helpers', () => {
+        it('should match IPv4 and IPv4-mapped addresses against ranges', () => {
+            expect(isIpAllowed('10.1.2.3', ['10.0.0.0/8'])).to.equal(true);
+            expect(isIpAllowed('::ffff:10.1.2.3', ['10.0.0.0/8'])).to.equal(true);
+            expect(isIpAllowed('11.1.2.3', ['10.0.0.0/8'])).to.equal(false);
+            expect(isIpAllowed('2001:db8::1', ['2001:db8::/32'])).to.equal(true);
+            expect(isIpAllowed(undefined, ['10.0.0.0/8'])).to.equal(false);
+        });
+
+        it('should match whole email domains only', () => {
+            expect(isEmailAllowed('a@example.com', ['example.com'])).to.equal(true);
+            expect(isEmailAllowed('a@badexample.com', ['example.com'])).to.equal(false);
+            expect(isEmailAllowed('example.com', ['example.com'])).to.equal(false);
+            expect(isEmailAllowed(undefined, ['example.com'])).to.equal(false);
+        });
+    });
+});
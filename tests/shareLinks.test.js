@@ -0,0 +1,353 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const app = require('../app');
+const { getDb } = require('../db');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Share link management', () => {
+    const OWNER_ID = 'share-links-user';
+    let API_TOKEN;
+    let OTHER_TOKEN;
+    let NO_SHARE_TOKEN;
+    let workDir;
+    let videoId;
+
+    /**
+     * Create a share link and return the response body
+     */
+    async function createShare(body = {}) {
+        const response = await request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body)
+            .expect(200);
+        return response.body;
+    }
+
+    /**
+     * Fetch a share link as its owner
+     */
+    async function getShare(token) {
+        const response = await request(app)
+            .get(`/shares/${token}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        return response.body;
+    }
+
+    before(async function() {
+        this.timeout(10000);
+        API_TOKEN = createTestToken(OWNER_ID);
+        OTHER_TOKEN = createTestToken('share-links-other');
+        NO_SHARE_TOKEN = createTestToken(OWNER_ID, ['read']);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-links-'));
+
+        const filepath = path.join(workDir, 'clip.raw');
+        fs.writeFileSync(filepath, Buffer.alloc(8 * 8 * 3 * 30, 128));
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '8')
+            .field('height', '8')
+            .attach('video', filepath, { filename: 'clip.raw', contentType: 'video/raw' })
+            .expect(200);
+        videoId = response.body.id;
+    });
+
+    afterEach(() => {
+        delete process.env.SHARE_MAX_EXPIRY_HOURS;
+    });
+
+    after(async () => {
+        await request(app)
+            .delete(`/videos/${videoId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`);
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe('POST /videos/:id/share', () => {
+        it('should describe the new link', async () => {
+            const share = await createShare();
+
+            expect(share).to.include({
+                videoId,
+                shareUrl: `/videos/share/${share.token}`,
+                mode: 'download',
+                status: 'active',
+                maxDownloads: null,
+                downloadCount: 0,
+                remainingDownloads: null,
+                revokedAt: null
+            });
+        });
+
+        it('should reject invalid expiry times', async () => {
+            for (const expiryHours of [-1, 0, 'abc', '24', 1e9, null]) {
+                const response = await request(app)
+                    .post(`/videos/${videoId}/share`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send({ expiryHours })
+                    .expect(400);
+                expect(response.body.error).to.equal('expiryHours must be a number of hours greater than 0 and at most 720');
+            }
+        });
+
+        it('should apply the configured expiry limit', async () => {
+            process.env.SHARE_MAX_EXPIRY_HOURS = '2';
+            await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ expiryHours: 3 })
+                .expect(400);
+
+            const share = await createShare({ expiryHours: 1.5 });
+            const hoursLeft = (new Date(share.expiryTimestamp) - Date.now()) / (60 * 60 * 1000);
+            expect(hoursLeft).to.be.approximately(1.5, 0.01);
+        });
+
+        it('should reject invalid download limits', async () => {
+            const cases = [
+                [{ maxDownloads: 0 }, 'maxDownloads must be a positive whole number, or null for no limit'],
+                [{ maxDownloads: 1.5 }, 'maxDownloads must be a positive whole number, or null for no limit'],
+                [{ maxDownloads: '3' }, 'maxDownloads must be a positive whole number, or null for no limit'],
+                [{ oneTime: 'yes' }, 'oneTime must be true or false'],
+                [{ oneTime: true, maxDownloads: 3 }, 'oneTime links allow a single download; leave out maxDownloads']
+            ];
+            for (const [body, error] of cases) {
+                const response = await request(app)
+                    .post(`/videos/${videoId}/share`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send(body)
+                    .expect(400);
+                expect(response.body.error).to.equal(error);
+            }
+        });
+    });
+
+    describe('Download limits', () => {
+        it('should stop serving a link once its downloads are used up', async () => {
+            const share = await createShare({ maxDownloads: 2 });
+
+            await request(app).get(share.shareUrl).expect(200);
+            await request(app).get(share.shareUrl).set('Range', 'bytes=0-99').expect(206);
+
+            const response = await request(app).get(share.shareUrl).expect(410);
+            expect(response.body.error).to.equal('Share link has reached its download limit');
+            expect(await getShare(share.token)).to.include({
+                status: 'exhausted',
+                downloadCount: 2,
+                remainingDownloads: 0
+            });
+        });
+
+        it('should count every request that does not continue a counted viewing', async () => {
+            const share = await createShare({ maxDownloads: 4 });
+
+            await request(app).head(share.shareUrl).expect(200);
+            for (const range of ['bytes=-100', 'bytes=00-', 'bytes=1-']) {
+                await request(app).get(share.shareUrl).set('Range', range).expect(206);
+            }
+            expect(await getShare(share.token)).to.include({ downloadCount: 3, remainingDownloads: 1 });
+
+            await request(app).get(share.shareUrl).set('Range', 'bytes=100-199').expect(206);
+            await request(app).get(share.shareUrl).set('Range', 'bytes=-100').expect(410);
+            await request(app).head(share.shareUrl).expect(410);
+        });
+
+        it('should not count follow-up requests of a counted viewing', async () => {
+            const share = await createShare({ oneTime: true });
+            const viewer = request.agent(app);
+
+            const first = await viewer.get(share.shareUrl).set('Range', 'bytes=0-99').expect(206);
+            const [cookie] = first.headers['set-cookie'];
+            expect(cookie).to.match(/^share_viewing=\d+\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}; /);
+            expect(cookie).to.include(`Path=/videos/share/${share.token};`).and.include('HttpOnly');
+
+            // The viewer can seek and resume after the link is used up; nobody else can
+            await viewer.get(share.shareUrl).set('Range', 'bytes=100-199').expect(206);
+            await viewer.head(share.shareUrl).expect(200);
+            await viewer.get(share.shareUrl).expect(200);
+            expect(await getShare(share.token)).to.include({ status: 'exhausted', downloadCount: 1 });
+
+            await request(app).get(share.shareUrl).set('Range', 'bytes=100-199').expect(410);
+            await request(app).get(share.shareUrl).set('Cookie', 'share_viewing=forged').expect(410);
+            const page = await viewer.get(share.shareUrl).set('Accept', 'text/html').expect(410);
+            expect(page.text).to.include('Share link has reached its download limit.');
+        });
+
+        it('should count a viewing again once it has been idle too long', async () => {
+            const share = await createShare({ maxDownloads: 2 });
+            const viewer = request.agent(app);
+
+            await viewer.get(share.shareUrl).expect(200);
+            getDb().prepare(`
+                UPDATE share_viewings SET expires_at = datetime('now', '-1 minute')
+                WHERE share_link_id = (SELECT id FROM share_links WHERE token = ?)
+            `).run(share.token);
+            await viewer.get(share.shareUrl).set('Range', 'bytes=100-199').expect(206);
+            expect(await getShare(share.token)).to.include({ downloadCount: 2 });
+        });
+
+        it('should allow one-time links to be downloaded once', async () => {
+            const share = await createShare({ oneTime: true });
+            expect(share.maxDownloads).to.equal(1);
+
+            await request(app).get(share.shareUrl).expect(200);
+            await request(app).get(share.shareUrl).expect(410);
+            await request(app).get(`${share.shareUrl}/thumbnail`).expect(410);
+        });
+    });
+
+    describe('GET /videos/:id/shares', () => {
+        it('should list every link of the video, newest first', async () => {
+            const active = await createShare();
+            const expired = await createShare();
+            getDb().prepare("UPDATE share_links SET expiry_timestamp = datetime('now', '-1 hour') WHERE token = ?")
+                .run(expired.token);
+
+            const response = await request(app)
+                .get(`/videos/${videoId}/shares`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const tokens = response.body.map(share => share.token);
+            expect(tokens.indexOf(expired.token)).to.be.below(tokens.indexOf(active.token));
+            expect(response.body.find(share => share.token === active.token).status).to.equal('active');
+            expect(response.body.find(share => share.token === expired.token).status).to.equal('expired');
+            expect(response.body.every(share => share.videoId === videoId)).to.equal(true);
+        });
+
+        it('should only list links of the caller\'s videos', async () => {
+            await request(app)
+                .get(`/videos/${videoId}/shares`)
+                .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should require the share scope', async () => {
+            await request(app)
+                .get(`/videos/${videoId}/shares`)
+                .set('Authorization', `Bearer ${NO_SHARE_TOKEN}`)
+                .expect(403);
+        });
+    });
+
+    describe('PATCH /shares/:token', () => {
+        it('should extend an expired link', async () => {
+            const share = await createShare();
+            getDb().prepare("UPDATE share_links SET expiry_timestamp = datetime('now', '-1 hour') WHERE token = ?")
+                .run(share.token);
+            const gone = await request(app).get(share.shareUrl).expect(410);
+            expect(gone.body.error).to.equal('Share link has expired');
+
+            const response = await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ expiryHours: 48 })
+                .expect(200);
+
+            expect(response.body.status).to.equal('active');
+            const hoursLeft = (new Date(response.body.expiryTimestamp) - Date.now()) / (60 * 60 * 1000);
+            expect(hoursLeft).to.be.approximately(48, 0.01);
+            await request(app).get(share.shareUrl).expect(200);
+        });
+
+        it('should raise or remove the download limit', async () => {
+            const share = await createShare({ oneTime: true });
+            await request(app).get(share.shareUrl).expect(200);
+
+            const raised = await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ maxDownloads: 2 })
+                .expect(200);
+            expect(raised.body).to.include({ status: 'active', downloadCount: 1, remainingDownloads: 1 });
+
+            const unlimited = await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ maxDownloads: null })
+                .expect(200);
+            expect(unlimited.body).to.include({ maxDownloads: null, remainingDownloads: null });
+        });
+
+        it('should reject invalid changes', async () => {
+            const share = await createShare();
+            const empty = await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({})
+                .expect(400);
+            expect(empty.body.error).to.equal('Provide expiryHours, maxDownloads, oneTime, password, allowedEmailDomains or allowedIpRanges');
+
+            await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ expiryHours: -5 })
+                .expect(400);
+        });
+
+        it('should not find other users\' links', async () => {
+            const share = await createShare();
+            await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+                .send({ expiryHours: 1 })
+                .expect(404);
+            await request(app)
+                .get(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+                .expect(404);
+        });
+    });
+
+    describe('DELETE /shares/:token', () => {
+        it('should revoke a link at once', async () => {
+            const share = await createShare();
+            await request(app).get(share.shareUrl).expect(200);
+
+            const response = await request(app)
+                .delete(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(response.body.status).to.equal('revoked');
+            expect(response.body.revokedAt).to.be.a('string');
+
+            const gone = await request(app).get(share.shareUrl).expect(410);
+            expect(gone.body.error).to.equal('Share link has been revoked');
+            await request(app).get(`${share.shareUrl}/embed`).expect(410);
+        });
+
+        it('should not bring revoked links back', async () => {
+            const share = await createShare();
+            await request(app)
+                .delete(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            await request(app)
+                .patch(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ expiryHours: 24 })
+                .expect(410);
+            const again = await request(app)
+                .delete(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(again.body.status).to.equal('revoked');
+        });
+
+        it('should not revoke other users\' links', async () => {
+            const share = await createShare();
+            await request(app)
+                .delete(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+                .expect(404);
+            await request(app).get(share.shareUrl).expect(200);
+        });
+    });
+});
@@ -0,0 +1,433 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const app = require('../app');
+const { getDb } = require('../db');
+const { PRODUCT_NAME, getEmbedConfig } = require('../config');
+const { getStorage } = require('../storage');
+const { escapeHtml, getPlayerSize } = require('../sharePage');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+// What a browser sends when a link is opened
+const BROWSER_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+describe('Share pages', () => {
+    const OWNER_ID = 'share-page-user';
+    let API_TOKEN;
+    let workDir;
+    let videoId;
+    let filename;
+    let shareToken;
+
+    /**
+     * Create a share link for the test video and return its token
+     */
+    async function createShare(body = {}) {
+        const response = await request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body)
+            .expect(200);
+        return response.body.shareUrl.split('/').pop();
+    }
+
+    /**
+     * Open a share link the way a browser does
+     */
+    function openInBrowser(url) {
+        return request(app).get(url).set('Accept', BROWSER_ACCEPT);
+    }
+
+    /**
+     * Run a test with the video renamed, as the page picks its player by file type
+     */
+    async function withFilename(name, test) {
+        getDb().prepare('UPDATE videos SET filename = ? WHERE id = ?').run(name, videoId);
+        try {
+            await test();
+        } finally {
+            getDb().prepare('UPDATE videos SET filename = ? WHERE id = ?').run(filename, videoId);
+        }
+    }
+
+    /**
+     * All URLs a page loads or links to
+     */
+    function pageUrls(html) {
+        return [...html.matchAll(/(?:src|href|content)="(https?:\/\/[^"]*)"/g)].map(match => match[1]);
+    }
+
+    before(async function() {
+        this.timeout(10000);
+        API_TOKEN = createTestToken(OWNER_ID);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-page-'));
+
+        const filepath = path.join(workDir, 'clip.raw');
+        fs.writeFileSync(filepath, Buffer.alloc(32 * 18 * 3 * 30, 128));
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '32')
+            .field('height', '18')
+            .attach('video', filepath, { filename: 'clip.raw', contentType: 'video/raw' })
+            .expect(200);
+        videoId = response.body.id;
+        filename = response.body.filename;
+        shareToken = await createShare();
+    });
+
+    afterEach(() => {
+        delete process.env.EMBED_ALLOWED_ORIGINS;
+        delete process.env.PUBLIC_BASE_URL;
+        delete process.env.TRUSTED_PROXIES;
+    });
+
+    after(async () => {
+        await request(app)
+            .delete(`/videos/${videoId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`);
+        getDb().prepare('DELETE FROM jobs WHERE owner_id = ?').run(OWNER_ID);
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe('GET /videos/share/:token', () => {
+        it('should show browsers a player page with the title, poster and expiry', async () => {
+            const response = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+            const shareLink = getDb().prepare('SELECT * FROM share_links WHERE token = ?').get(shareToken);
+
+            expect(response.headers['content-type']).to.match(/^text\/html/);
+            expect(response.text).to.include(`<title>${filename}</title>`);
+            expect(response.text).to.match(/<img class="poster" src="http:\/\/127\.0\.0\.1:\d+\/videos\/share\/[^"]+\/thumbnail\?grant=[^"]+"/);
+            expect(response.text).to.include(`<time datetime="${shareLink.expiry_timestamp}">`);
+            expect(response.text).to.include('download>Download</a>');
+        });
+
+        it('should describe the video for link previews', async () => {
+            const response = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+
+            expect(response.text).to.include('<meta property="og:type" content="video.other">');
+            expect(response.text).to.include(`<meta property="og:title" content="${filename}">`);
+            expect(response.text).to.include(`<meta property="og:site_name" content="${PRODUCT_NAME}">`);
+            expect(response.text).to.match(/<meta property="og:image" content="[^"]+\/thumbnail">/);
+            expect(response.text).to.include('<meta name="twitter:player:width" content="32">');
+            expect(response.text).to.match(/<meta name="twitter:player" content="[^"]+\/embed">/);
+            expect(response.text).to.match(
+                /<link rel="alternate" type="application\/json\+oembed" href="[^"]+\/oembed\?url=[^"]+&amp;format=json"/
+            );
+        });
+
+        it('should not take the URLs in link previews from a spoofed Host header', async () => {
+            const spoofed = await openInBrowser(`/videos/share/${shareToken}`).set('Host', 'evil.example').expect(200);
+            expect(spoofed.text).to.not.include('evil.example');
+            expect(spoofed.text).to.match(/<meta property="og:url" content="http:\/\/127\.0\.0\.1:\d+\/videos\/share\//);
+            const oembed = await request(app)
+                .get('/oembed')
+                .set('Host', 'evil.example')
+                .query({ url: `/videos/share/${shareToken}` })
+                .expect(200);
+            expect(JSON.stringify(oembed.body)).to.not.include('evil.example');
+
+            // A reverse proxy in front of the server sets the Host header
+            process.env.TRUSTED_PROXIES = 'loopback';
+            const proxied = await openInBrowser(`/videos/share/${shareToken}`).set('Host', 'videos.internal:8080').expect(200);
+            expect(proxied.text).to.include(`<meta property="og:url" content="http://videos.internal:8080/videos/share/${shareToken}">`);
+
+            // The configured public URL wins over both
+            process.env.PUBLIC_BASE_URL = 'https://videos.example.com/';
+            const configured = await openInBrowser(`/videos/share/${shareToken}`).set('Host', 'evil.example').expect(200);
+            expect(configured.text).to.include(`<meta property="og:url" content="https://videos.example.com/videos/share/${shareToken}">`);
+            expect(configured.text).to.not.include('evil.example');
+
+            process.env.PUBLIC_BASE_URL = 'https://videos.example.com/?x=1';
+            await openInBrowser(`/videos/share/${shareToken}`).expect(500);
+        });
+
+        it('should only load assets from this server', async () => {
+            const response = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+            const origin = response.text.match(/property="og:url" content="(https?:\/\/[^/]+)/)[1];
+
+            expect(pageUrls(response.text)).to.not.be.empty;
+            for (const url of pageUrls(response.text)) {
+                expect(url.startsWith(`${origin}/`)).to.equal(true, url);
+            }
+            expect(response.text).to.not.include('<script');
+            expect(response.headers['content-security-policy']).to.include("default-src 'none'");
+        });
+
+        it('should not let other sites frame the share page', async () => {
+            process.env.EMBED_ALLOWED_ORIGINS = 'https://wiki.example.com';
+            const response = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+
+            expect(response.headers['content-security-policy']).to.include("frame-ancestors 'none'");
+            expect(response.headers['x-frame-options']).to.equal('DENY');
+        });
+
+        it('should keep serving the video to players and download clients', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${shareToken}`)
+                .expect(200);
+            expect(response.headers['content-type']).to.equal('video/raw');
+            expect(response.headers['content-disposition']).to.match(/^attachment/);
+
+            const download = await openInBrowser(`/videos/share/${shareToken}?download=1`).expect(200);
+            expect(download.headers['content-type']).to.equal('video/raw');
+        });
+
+        it('should escape the video title', async () => {
+            getDb().prepare('UPDATE videos SET filename = ? WHERE id = ?').run('<b>"Q&A"</b>.raw', videoId);
+            try {
+                const response = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+                expect(response.text).to.include('<h1>&lt;b&gt;&quot;Q&amp;A&quot;&lt;/b&gt;.raw</h1>');
+                expect(response.text).to.not.include('<b>');
+            } finally {
+                getDb().prepare('UPDATE videos SET filename = ? WHERE id = ?').run(filename, videoId);
+            }
+        });
+
+        it('should explain missing and expired links', async () => {
+            const expired = `expired-page-${Date.now()}`;
+            getDb().prepare(`
+                INSERT INTO share_links (video_id, token, expiry_timestamp, owner_id)
+                VALUES (?, ?, datetime('now', '-1 hour'), ?)
+            `).run(videoId, expired, OWNER_ID);
+
+            const gone = await openInBrowser(`/videos/share/${expired}`).expect(410);
+            expect(gone.headers['content-type']).to.match(/^text\/html/);
+            expect(gone.text).to.include('Share link has expired.');
+            expect(gone.text).to.not.include(filename);
+
+            const missing = await openInBrowser('/videos/share/no-such-token').expect(404);
+            expect(missing.text).to.include('Share link not found.');
+        });
+
+        it('should play stream links from their manifests without offering a download', async () => {
+            const token = await createShare({ mode: 'stream', formats: ['hls', 'dash'] });
+            const response = await openInBrowser(`/videos/share/${token}`).expect(200);
+
+            expect(response.text).to.match(
+                new RegExp(`<source src="[^"]+/videos/share/${token}/hls/master\\.m3u8\\?grant=[^"]+" type="application/vnd\\.apple\\.mpegurl">`)
+            );
+            expect(response.text).to.match(
+                new RegExp(`<source src="[^"]+/videos/share/${token}/dash/manifest\\.mpd\\?grant=[^"]+" type="application/dash\\+xml">`)
+            );
+            expect(response.text).to.not.include('download=1');
+
+            // Browsers other than Safari play the manifests with scripts served by this API
+            expect(response.text).to.match(new RegExp(`<video [^>]+ data-hls-src="[^"]+/videos/share/${token}/hls/master\\.m3u8\\?grant=[^"]+"`));
+            expect(response.text).to.match(new RegExp(`<video [^>]+ data-dash-src="[^"]+/videos/share/${token}/dash/manifest\\.mpd\\?grant=[^"]+"`));
+            const scripts = [...response.text.matchAll(/<script src="http:\/\/127\.0\.0\.1:\d+\/player\/([^"]+)" defer><\/script>/g)];
+            expect(scripts.map(match => match[1])).to.deep.equal(['hls.min.js', 'dash.mediaplayer.min.js', 'sharePlayer.js']);
+            const csp = response.headers['content-security-policy'];
+            expect(csp).to.include("script-src 'self'").and.include("media-src 'self' blob:").and.include("connect-src 'self'");
+        });
+
+        it('should play download links to MP4, WebM and QuickTime files from the file', async () => {
+            await withFilename('clip.mp4', async () => {
+                const response = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+
+                expect(response.text).to.match(/<video [^>]+>\s*<source src="[^"]+\?download=1&amp;grant=[^"]+" type="video\/mp4">/);
+                expect(response.text).to.include('<meta property="og:video:type" content="video/mp4">');
+                expect(response.text).to.include('<meta property="og:video:width" content="32">');
+                expect(response.text).to.not.include('<script');
+            });
+        });
+
+        it('should offer download links to raw files as a download until the video is packaged', async () => {
+            getDb().prepare('DELETE FROM video_streams WHERE video_id = ?').run(videoId);
+            const page = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+            expect(page.text).to.not.include('<video');
+            expect(page.text).to.not.include('og:video');
+            expect(page.text).to.include("Browsers cannot play this video's format; download it to watch.");
+            expect(page.text).to.include('download>Download</a>');
+            await request(app).get(`/videos/share/${shareToken}/hls/master.m3u8`).expect(404);
+
+            const master = path.join(workDir, 'master.m3u8');
+            fs.writeFileSync(master, '#EXTM3U\n');
+            await getStorage().put(`streams/${videoId}/hls/master.m3u8`, master);
+            getDb().prepare(`
+                INSERT OR REPLACE INTO video_streams (video_id, status, formats, renditions, files)
+                VALUES (?, 'ready', '["hls"]', '[]', '["hls/master.m3u8"]')
+            `).run(videoId);
+
+            const packaged = await openInBrowser(`/videos/share/${shareToken}`).expect(200);
+            expect(packaged.text).to.match(new RegExp(`<video [^>]+ data-hls-src="[^"]+/videos/share/${shareToken}/hls/master\\.m3u8\\?grant=[^"]+"`));
+            expect(packaged.text).to.include('/player/sharePlayer.js');
+            expect(packaged.text).to.include('download>Download</a>');
+            await request(app).get(`/videos/share/${shareToken}/hls/master.m3u8`).expect(200);
+
+            const embed = await request(app).get(`/videos/share/${shareToken}/embed`).expect(200);
+            expect(embed.text).to.include('data-hls-src=');
+        });
+    });
+
+    describe('GET /player/:file', () => {
+        it('should serve the player scripts', async () => {
+            for (const file of ['hls.min.js', 'dash.mediaplayer.min.js', 'sharePlayer.js']) {
+                const response = await request(app).get(`/player/${file}`).expect(200);
+                expect(response.headers['content-type']).to.match(/^application\/javascript/);
+                expect(response.headers['x-content-type-options']).to.equal('nosniff');
+            }
+        });
+
+        it('should serve nothing else', async () => {
+            await request(app).get('/player/package.json').expect(404);
+            await request(app).get('/player/constructor').expect(404);
+            await request(app).get('/player/..%2Fapp.js').expect(404);
+        });
+    });
+
+    describe('GET /videos/share/:token/embed', () => {
+        it('should render the player on its own', async () => {
+            const token = await createShare({ mode: 'stream' });
+            const response = await request(app)
+                .get(`/videos/share/${token}/embed`)
+                .expect(200);
+
+            expect(response.headers['content-type']).to.match(/^text\/html/);
+            expect(response.text).to.match(/<video controls/);
+            expect(response.text).to.not.include('<h1>');
+            expect(response.headers['x-frame-options']).to.be.undefined;
+        });
+
+        it('should only allow framing by this server by default', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${shareToken}/embed`)
+                .expect(200);
+            expect(response.headers['content-security-policy']).to.include("frame-ancestors 'self'");
+            expect(response.headers['content-security-policy']).to.not.include('https://');
+        });
+
+        it('should allow framing by the configured origins', async () => {
+            process.env.EMBED_ALLOWED_ORIGINS = 'https://wiki.example.com, https://chat.example.com:8443';
+            const response = await request(app)
+                .get(`/videos/share/${shareToken}/embed`)
+                .expect(200);
+            expect(response.headers['content-security-policy']).to.include(
+                "frame-ancestors 'self' https://wiki.example.com https://chat.example.com:8443"
+            );
+
+            process.env.EMBED_ALLOWED_ORIGINS = '*';
+            const anywhere = await request(app)
+                .get(`/videos/share/${shareToken}/embed`)
+                .expect(200);
+            expect(anywhere.headers['content-security-policy']).to.include('frame-ancestors *');
+        });
+
+        it('should return 404 for missing links', async () => {
+            const response = await request(app)
+                .get('/videos/share/no-such-token/embed')
+                .expect(404);
+            expect(response.text).to.include('Share link not found.');
+        });
+    });
+
+    describe('GET /videos/share/:token/thumbnail', () => {
+        it('should serve the poster frame', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${shareToken}/thumbnail`)
+                .expect(200);
+            expect(response.headers['content-type']).to.equal('image/png');
+            expect(response.body.subarray(1, 4).toString()).to.equal('PNG');
+        });
+
+        it('should return 404 for missing links', async () => {
+            await request(app)
+                .get('/videos/share/no-such-token/thumbnail')
+                .expect(404);
+        });
+    });
+
+    describe('GET /oembed', () => {
+        it('should describe a share link as an embeddable video', async () => {
+            const response = await request(app)
+                .get('/oembed')
+                .query({ url: `http://wiki-paste.example/videos/share/${shareToken}` })
+                .expect(200);
+
+            expect(response.body).to.include({
+                version: '1.0',
+                type: 'video',
+                provider_name: PRODUCT_NAME,
+                title: filename,
+                width: 32,
+                height: 18
+            });
+            expect(response.body.html).to.match(
+                new RegExp(`^<iframe src="http://127\\.0\\.0\\.1:\\d+/videos/share/${shareToken}/embed" width="32" height="18"`)
+            );
+            expect(response.body.thumbnail_url).to.match(/\/thumbnail$/);
+            expect(response.body.cache_age).to.be.within(23 * 3600, 24 * 3600);
+        });
+
+        it('should fit inside maxwidth and maxheight', async () => {
+            const response = await request(app)
+                .get('/oembed')
+                .query({ url: `/videos/share/${shareToken}/embed`, maxwidth: 16, maxheight: 100 })
+                .expect(200);
+            expect(response.body).to.include({ width: 16, height: 9 });
+        });
+
+        it('should reject bad requests', async () => {
+            await request(app).get('/oembed').expect(400);
+            await request(app)
+                .get('/oembed')
+                .query({ url: `/videos/share/${shareToken}`, maxwidth: 'wide' })
+                .expect(400);
+            await request(app)
+                .get('/oembed')
+                .query({ url: `/videos/share/${shareToken}`, format: 'xml' })
+                .expect(501);
+            await request(app)
+                .get(`/oembed?url=/videos/share/${shareToken}&format=json&format=xml`)
+                .expect(400);
+            await request(app)
+                .get(`/oembed?url=/videos/share/${shareToken}&maxwidth=16&maxwidth=32`)
+                .expect(400);
+            await request(app)
+                .get('/oembed')
+                .query({ url: '/videos/share/no-such-token' })
+                .expect(404);
+            await request(app)
+                .get('/oembed')
+                .query({ url: `/videos/${videoId}` })
+                .expect(404);
+        });
+    });
+
+    describe('POST /videos/:id/share', () => {
+        it('should return the embed URL', async () => {
+            const response = await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(response.body.embedUrl).to.equal(`${response.body.shareUrl}/embed`);
+        });
+    });
+
+    describe('helpers', () => {
+        it('should escape HTML', () => {
+            expect(escapeHtml(`<a href="x">'&'</a>`)).to.equal('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+        });
+
+        it('should size players without scaling videos up', () => {
+            const video = { filepath: 'clip.mp4', width: 1920, height: 1080 };
+            expect(getPlayerSize(video)).to.deep.equal({ width: 640, height: 360 });
+            expect(getPlayerSize(video, { maxWidth: 4000 })).to.deep.equal({ width: 1920, height: 1080 });
+            expect(getPlayerSize(video, { maxWidth: 640, maxHeight: 180 })).to.deep.equal({ width: 320, height: 180 });
+            expect(getPlayerSize({ filepath: 'old.mp4' })).to.deep.equal({ width: 640, height: 360 });
+        });
+
+        it('should validate embed origins', () => {
+            process.env.EMBED_ALLOWED_ORIGINS = 'https://wiki.example.com,*';
+            expect(getEmbedConfig().allowedOrigins).to.deep.equal(['https://wiki.example.com', '*']);
+
+            for (const origin of ['wiki.example.com', 'https://wiki.example.com/path', 'ftp://files.example.com']) {
+                process.env.EMBED_ALLOWED_ORIGINS = origin;
+                expect(() => getEmbedConfig()).to.throw(/Invalid embed config/);
+            }
+        });
+    });
+});
@@ -0,0 +1,246 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const app = require('../app');
+const { getDb } = require('../db');
+const { getShareConfig } = require('../config');
+const { generateShareToken, signShareToken, verifyShareToken } = require('../shareTokens');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Share tokens', () => {
+    const OWNER_ID = 'share-tokens-user';
+    const CURRENT_KEY = 'current:0123456789abcdef0123456789abcdef';
+    const PREVIOUS_KEY = 'previous:fedcba9876543210fedcba9876543210';
+    let API_TOKEN;
+    let workDir;
+    let videoId;
+
+    /**
+     * Create a share link and return the response body
+     */
+    async function createShare(body = {}) {
+        const response = await request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body)
+            .expect(200);
+        return response.body;
+    }
+
+    /**
+     * Replace one base64url character of a token part
+     */
+    function tamper(part) {
+        return `${part[0] === 'A' ? 'B' : 'A'}${part.slice(1)}`;
+    }
+
+    before(async function() {
+        this.timeout(10000);
+        API_TOKEN = createTestToken(OWNER_ID);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-tokens-'));
+
+        const filepath = path.join(workDir, 'clip.raw');
+        fs.writeFileSync(filepath, Buffer.alloc(8 * 8 * 3 * 30, 128));
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '8')
+            .field('height', '8')
+            .attach('video', filepath, { filename: 'clip.raw', contentType: 'video/raw' })
+            .expect(200);
+        videoId = response.body.id;
+    });
+
+    beforeEach(() => {
+        process.env.SHARE_SIGNING_KEYS = CURRENT_KEY;
+    });
+
+    afterEach(() => {
+        delete process.env.SHARE_SIGNING_KEYS;
+    });
+
+    after(async () => {
+        await request(app)
+            .delete(`/videos/${videoId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`);
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe('Stored links', () => {
+        it('should use long random tokens that do not reveal when they were made', async () => {
+            const share = await createShare();
+            expect(share.token).to.match(/^[A-Za-z0-9_-]{43}$/);
+            expect(share.token).to.not.include(String(Date.now()).slice(0, 8));
+            expect(share.signed).to.equal(false);
+            expect(generateShareToken()).to.not.equal(generateShareToken());
+        });
+
+        it('should keep serving links with tokens in the old format', async () => {
+            const token = `${Date.now()}-abc123def`;
+            getDb().prepare(`
+                INSERT INTO share_links (video_id, token, expiry_timestamp, owner_id)
+                VALUES (?, ?, datetime('now', '+1 hour'), ?)
+            `).run(videoId, token, OWNER_ID);
+
+            await request(app).get(`/videos/share/${token}`).expect(200);
+        });
+    });
+
+    describe('Signed links', () => {
+        it('should carry the link in the token without storing it', async () => {
+            const share = await createShare({ signed: true, expiryHours: 2 });
+
+            expect(share).to.include({ signed: true, videoId, mode: 'download', status: 'active', downloadCount: null });
+            expect(share.token.split('.')).to.have.lengthOf(3);
+            expect(share.token.startsWith('current.')).to.equal(true);
+            const hoursLeft = (new Date(share.expiryTimestamp) - Date.now()) / (60 * 60 * 1000);
+            expect(hoursLeft).to.be.approximately(2, 0.01);
+            expect(getDb().prepare('SELECT 1 FROM share_links WHERE token = ?').get(share.token)).to.equal(undefined);
+
+            await request(app).get(share.shareUrl).expect(200);
+            await request(app).get(`${share.shareUrl}/thumbnail`).expect(200);
+            const page = await request(app).get(share.shareUrl).set('Accept', 'text/html').expect(200);
+            expect(page.text).to.include(`${share.shareUrl}/thumbnail"`);
+        });
+
+        it('should enforce the mode in the token', async () => {
+            const share = await createShare({ signed: true, mode: 'stream' });
+            expect(share.mode).to.equal('stream');
+            await request(app).get(share.shareUrl).expect(403);
+        });
+
+        it('should reject tampered tokens', async () => {
+            const share = await createShare({ signed: true });
+            const [keyId, payload, signature] = share.token.split('.');
+
+            // A payload pointing at another video, or lasting longer, with the old signature
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            const forged = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 86400 })).toString('base64url');
+            const tampered = [
+                `${keyId}.${forged}.${signature}`,
+                `${keyId}.${tamper(payload)}.${signature}`,
+                `${keyId}.${payload}.${tamper(signature)}`,
+                `${keyId}.${payload}.${signature.slice(0, -4)}`,
+                `${keyId}.${payload}.`,
+                `other.${payload}.${signature}`
+            ];
+            for (const token of tampered) {
+                const response = await request(app).get(`/videos/share/${token}`).expect(404);
+                expect(response.body.error).to.equal('Share link not found');
+            }
+        });
+
+        it('should reject expired tokens', async () => {
+            const expired = signShareToken({
+                videoId,
+                mode: 'download',
+                expiryTimestamp: new Date(Date.now() - 1000).toISOString()
+            });
+            expect(verifyShareToken(expired)).to.deep.equal({ status: 410 });
+
+            const response = await request(app).get(`/videos/share/${expired}`).expect(410);
+            expect(response.body.error).to.equal('Share link has expired');
+            await request(app).get(`/videos/share/${expired}/embed`).expect(410);
+        });
+
+        it('should accept tokens of older keys until they are removed', async () => {
+            process.env.SHARE_SIGNING_KEYS = PREVIOUS_KEY;
+            const share = await createShare({ signed: true });
+            expect(share.token.startsWith('previous.')).to.equal(true);
+
+            // Rotate: the new key signs, the old one still verifies
+            process.env.SHARE_SIGNING_KEYS = `${CURRENT_KEY},${PREVIOUS_KEY}`;
+            await request(app).get(share.shareUrl).expect(200);
+            expect((await createShare({ signed: true })).token.startsWith('current.')).to.equal(true);
+
+            // Retire the old key: its tokens stop working
+            process.env.SHARE_SIGNING_KEYS = CURRENT_KEY;
+            await request(app).get(share.shareUrl).expect(404);
+        });
+
+        it('should stop working when the video is deleted', async () => {
+            const filepath = path.join(workDir, 'other.raw');
+            fs.writeFileSync(filepath, Buffer.alloc(8 * 8 * 3 * 10, 64));
+            const upload = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '8')
+                .field('height', '8')
+                .attach('video', filepath, { filename: 'other.raw', contentType: 'video/raw' })
+                .expect(200);
+            const share = await request(app)
+                .post(`/videos/${upload.body.id}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ signed: true })
+                .expect(200);
+            await request(app).get(share.body.shareUrl).expect(200);
+
+            await request(app)
+                .delete(`/videos/${upload.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+            await request(app).get(share.body.shareUrl).expect(404);
+        });
+
+        it('should not be listed or managed', async () => {
+            const share = await createShare({ signed: true });
+            const list = await request(app)
+                .get(`/videos/${videoId}/shares`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(list.body.map(link => link.token)).to.not.include(share.token);
+            await request(app)
+                .delete(`/shares/${share.token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should refuse settings a token cannot carry', async () => {
+            const cases = [
+                [{ signed: 'yes' }, 'signed must be true or false'],
+                [{ signed: true, maxDownloads: 3 },
+                    'signed links cannot limit downloads or restrict viewers; ' +
+                    'leave out maxDownloads, oneTime, password, allowedEmailDomains and allowedIpRanges'],
+                [{ signed: true, password: 'secret-password' },
+                    'signed links cannot limit downloads or restrict viewers; ' +
+                    'leave out maxDownloads, oneTime, password, allowedEmailDomains and allowedIpRanges']
+            ];
+            for (const [body, error] of cases) {
+                const response = await request(app)
+                    .post(`/videos/${videoId}/share`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send(body)
+                    .expect(400);
+                expect(response.body.error).to.equal(error);
+            }
+        });
+
+        it('should only be available with a signing key configured', async () => {
+            delete process.env.SHARE_SIGNING_KEYS;
+            const response = await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ signed: true })
+                .expect(400);
+            expect(response.body.error).to.equal('Signed share links are not enabled; configure share.signingKeys');
+        });
+    });
+
+    describe('Signing key config', () => {
+        it('should read keys newest first from SHARE_SIGNING_KEYS', () => {
+            process.env.SHARE_SIGNING_KEYS = `${CURRENT_KEY}, ${PREVIOUS_KEY}`;
+            expect(getShareConfig().signingKeys.map(key => key.id)).to.deep.equal(['current', 'previous']);
+        });
+
+        it('should reject short secrets, bad IDs and duplicate IDs', () => {
+            for (const value of ['short:secret', '0123456789abcdef0123456789abcdef', `bad.id:${'x'.repeat(32)}`,
+                `${CURRENT_KEY},${CURRENT_KEY}`]) {
+                process.env.SHARE_SIGNING_KEYS = value;
+                expect(() => getShareConfig()).to.throw(/^Invalid share config: signingKeys/);
+            }
+        });
+    });
+});
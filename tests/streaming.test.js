@@ -0,0 +1,394 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const app = require('../app');
+const { getDb } = require('../db');
+const { getStorage } = require('../storage');
+const { planRenditions, parseStreamFormats, buildHlsMasterPlaylist, addManifestQuery } = require('../streamPackaging');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+const hasFfmpeg = !spawnSync('ffmpeg', ['-version']).error;
+
+// Collect the response body as a Buffer regardless of content type
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function waitForJob(token, jobId) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const response = await request(app)
+            .get(`/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        if (!['queued', 'running'].includes(response.body.status)) {
+            return response.body;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('Adaptive streaming', () => {
+    let API_TOKEN;
+    let workDir;
+    let videoId;
+
+    /**
+     * Upload a small raw video and return its ID
+     */
+    async function uploadVideo(width = 8, height = 8) {
+        const filepath = path.join(workDir, `${width}x${height}.raw`);
+        fs.writeFileSync(filepath, Buffer.alloc(width * height * 3 * 30, 128));
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', String(width))
+            .field('height', String(height))
+            .attach('video', filepath, { filename: 'clip.raw', contentType: 'video/raw' })
+            .expect(200);
+        return response.body.id;
+    }
+
+    /**
+     * Create a share link and return its token and response body
+     */
+    async function share(id, body) {
+        const response = await request(app)
+            .post(`/videos/${id}/share`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body)
+            .expect(200);
+        return { token: response.body.shareUrl.split('/').pop(), body: response.body };
+    }
+
+    /**
+     * Store a hand-made HLS package for a video, as packaging would
+     */
+    async function storePackage(id, files) {
+        const storage = getStorage();
+        for (const [file, content] of Object.entries(files)) {
+            const source = path.join(workDir, 'package-file');
+            fs.writeFileSync(source, content);
+            await storage.put(`streams/${id}/${file}`, source);
+        }
+        getDb().prepare(`
+            INSERT OR REPLACE INTO video_streams (video_id, status, formats, renditions, files)
+            VALUES (?, 'ready', '["hls"]', '[]', ?)
+        `).run(id, JSON.stringify(Object.keys(files)));
+    }
+
+    before(async () => {
+        API_TOKEN = createTestToken('streaming-user');
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-'));
+        videoId = await uploadVideo();
+    });
+
+    after(async () => {
+        const db = getDb();
+        for (const video of db.prepare("SELECT * FROM videos WHERE owner_id = 'streaming-user'").all()) {
+            await request(app)
+                .delete(`/videos/${video.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`);
+        }
+        db.prepare("DELETE FROM jobs WHERE owner_id = 'streaming-user'").run();
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    describe('planRenditions', () => {
+        it('should use every rung of the ladder no taller than the video', () => {
+            expect(planRenditions({ width: 1280, height: 720 })).to.deep.equal([
+                { name: '720p', width: 1280, height: 720, videoBitrate: 2800 },
+                { name: '480p', width: 852, height: 480, videoBitrate: 1400 },
+                { name: '360p', width: 640, height: 360, videoBitrate: 800 },
+                { name: '240p', width: 426, height: 240, videoBitrate: 400 }
+            ]);
+            expect(planRenditions({ width: 3840, height: 2160 })).to.have.length(5);
+        });
+
+        it('should keep small videos at their own size', () => {
+            expect(planRenditions({ width: 160, height: 120 })).to.deep.equal([
+                { name: '120p', width: 160, height: 120, videoBitrate: 400 }
+            ]);
+            expect(planRenditions({ width: 15, height: 9 })).to.deep.equal([
+                { name: '8p', width: 14, height: 8, videoBitrate: 400 }
+            ]);
+        });
+    });
+
+    describe('parseStreamFormats', () => {
+        it('should default to HLS and reject unknown formats', () => {
+            expect(parseStreamFormats()).to.deep.equal({ formats: ['hls'] });
+            expect(parseStreamFormats(['dash', 'hls', 'dash'])).to.deep.equal({ formats: ['hls', 'dash'] });
+            expect(parseStreamFormats(['smooth']).error).to.equal('formats must be a non-empty array of: hls, dash');
+            expect(parseStreamFormats([]).error).to.exist;
+        });
+    });
+
+    describe('buildHlsMasterPlaylist', () => {
+        it('should list each rendition with its bandwidth and resolution', () => {
+            const playlist = buildHlsMasterPlaylist(planRenditions({ width: 640, height: 360 }), true);
+            expect(playlist).to.equal([
+                '#EXTM3U',
+                '#EXT-X-VERSION:3',
+                '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d4028,mp4a.40.2"',
+                '360p/index.m3u8',
+                '#EXT-X-STREAM-INF:BANDWIDTH=400000,RESOLUTION=426x240,CODECS="avc1.4d4028,mp4a.40.2"',
+                '240p/index.m3u8',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    describe('POST /videos/:id/share', () => {
+        it('should default to download mode', async () => {
+            const { body } = await share(videoId, {});
+            expect(body.mode).to.equal('download');
+            expect(body).to.not.have.property('hlsUrl');
+        });
+
+        it('should reject unknown modes and formats outside stream mode', async () => {
+            const badMode = await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ mode: 'embed' })
+                .expect(400);
+            expect(badMode.body.error).to.equal('mode must be one of: download, stream');
+
+            const badFormats = await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ formats: ['hls'] })
+                .expect(400);
+            expect(badFormats.body.error).to.equal('formats only apply to stream mode');
+        });
+
+        it('should queue packaging for stream mode links', async function() {
+            this.timeout(30000);
+            const id = await uploadVideo(16, 16);
+            const { token, body } = await share(id, { mode: 'stream', formats: ['hls', 'dash'] });
+
+            expect(body).to.include({
+                mode: 'stream',
+                streamStatus: 'packaging',
+                hlsUrl: `/videos/share/${token}/hls/master.m3u8`,
+                dashUrl: `/videos/share/${token}/dash/manifest.mpd`
+            });
+
+            const status = await request(app)
+                .get(`/videos/${id}/stream`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(status.body.formats).to.deep.equal(['hls', 'dash']);
+
+            const job = await waitForJob(API_TOKEN, status.body.jobId);
+            expect(job.type).to.equal('package');
+            expect(job.status).to.equal(hasFfmpeg ? 'succeeded' : 'failed');
+        });
+    });
+
+    describe('GET /videos/share/:token/hls/*', () => {
+        let streamId;
+        let streamToken;
+        const segment = Buffer.alloc(1000, 7);
+
+        before(async () => {
+            streamId = await uploadVideo();
+            await storePackage(streamId, {
+                'hls/master.m3u8': '#EXTM3U\n8p/index.m3u8\n',
+                'hls/8p/index.m3u8': '#EXTM3U\nsegment-000.ts\n',
+                'hls/8p/segment-000.ts': segment
+            });
+            ({ token: streamToken } = await share(streamId, { mode: 'stream' }));
+        });
+
+        it('should serve the master playlist inline', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${streamToken}/hls/master.m3u8`)
+                .expect(200);
+
+            expect(response.headers['content-type']).to.equal('application/vnd.apple.mpegurl');
+            expect(response.headers['content-disposition']).to.equal('inline; filename="master.m3u8"');
+            expect(response.headers['cache-control']).to.equal('private, no-store');
+            expect(response.text).to.match(/^#EXTM3U\n8p\/index\.m3u8\?grant=[\w.-]+\n$/);
+        });
+
+        it('should serve segments with byte ranges', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${streamToken}/hls/8p/segment-000.ts`)
+                .set('Range', 'bytes=0-99')
+                .buffer(true)
+                .parse(binaryParser)
+                .expect(206);
+
+            expect(response.headers['content-type']).to.equal('video/mp2t');
+            expect(response.body).to.deep.equal(segment.subarray(0, 100));
+        });
+
+        it('should only serve files of the package', async () => {
+            await request(app).get(`/videos/share/${streamToken}/hls/8p/segment-001.ts`).expect(404);
+            await request(app).get(`/videos/share/${streamToken}/dash/manifest.mpd`).expect(404);
+            await request(app).get(`/videos/share/${streamToken}/hls/..%2F..%2F..%2Fvideos.db`).expect(404);
+        });
+
+        it('should check the share token on every segment', async () => {
+            await request(app).get('/videos/share/no-such-token/hls/8p/segment-000.ts').expect(404);
+
+            getDb().prepare("UPDATE share_links SET expiry_timestamp = datetime('now', '-1 hour') WHERE token = ?").run(streamToken);
+            await request(app).get(`/videos/share/${streamToken}/hls/8p/segment-000.ts`).expect(410);
+            getDb().prepare("UPDATE share_links SET expiry_timestamp = datetime('now', '+1 hour') WHERE token = ?").run(streamToken);
+        });
+
+        it('should play a one-time link past its playlist', async () => {
+            const { token } = await share(streamId, { mode: 'stream', oneTime: true });
+            const player = request.agent(app);
+
+            await player.get(`/videos/share/${token}/hls/master.m3u8`).expect(200);
+            await player.get(`/videos/share/${token}/hls/8p/index.m3u8`).expect(200);
+            await player.get(`/videos/share/${token}/hls/8p/segment-000.ts`).expect(200);
+            await player.get(`/videos/share/${token}/hls/8p/segment-000.ts`).set('Range', 'bytes=100-199').expect(206);
+
+            // Another player, or one skipping straight to a segment, is a second viewing
+            await request(app).get(`/videos/share/${token}/hls/master.m3u8`).expect(410);
+            await request(app).get(`/videos/share/${token}/hls/8p/segment-000.ts`).expect(410);
+            const count = getDb().prepare('SELECT download_count FROM share_links WHERE token = ?').get(token);
+            expect(count.download_count).to.equal(1);
+        });
+
+        it('should play a one-time link in a player that keeps no cookies', async () => {
+            const { token } = await share(streamId, { mode: 'stream', oneTime: true });
+            const embed = await request(app).get(`/videos/share/${token}/embed`).expect(200);
+            const masterUrl = new URL(embed.text.match(/data-hls-src="([^"]+)"/)[1].replace(/&amp;/g, '&'));
+
+            // Each manifest hands its grant on to the files it lists
+            const master = await request(app).get(`${masterUrl.pathname}${masterUrl.search}`).expect(200);
+            const playlistUrl = master.text.split('\n')[1];
+            expect(playlistUrl).to.equal(`8p/index.m3u8${masterUrl.search}`);
+            const playlist = await request(app).get(`/videos/share/${token}/hls/${playlistUrl}`).expect(200);
+            const segmentUrl = `/videos/share/${token}/hls/8p/${playlist.text.split('\n')[1]}`;
+            await request(app).get(segmentUrl).expect(200);
+            await request(app).get(segmentUrl).set('Range', 'bytes=100-199').expect(206);
+
+            const count = getDb().prepare('SELECT download_count FROM share_links WHERE token = ?').get(token);
+            expect(count.download_count).to.equal(1);
+            await request(app).get(`/videos/share/${token}/hls/master.m3u8`).expect(410);
+        });
+
+        it('should add grants to the URLs in DASH manifests', () => {
+            const manifest = '<SegmentTemplate initialization="init-$RepresentationID$.m4s" ' +
+                'media="chunk-$RepresentationID$-$Number%05d$.m4s?v=1"/><BaseURL>https://cdn.example.com/</BaseURL>';
+            expect(addManifestQuery(manifest, 'manifest.mpd', 'grant=g')).to.equal(
+                '<SegmentTemplate initialization="init-$RepresentationID$.m4s?grant=g" ' +
+                'media="chunk-$RepresentationID$-$Number%05d$.m4s?v=1&amp;grant=g"/><BaseURL>https://cdn.example.com/</BaseURL>'
+            );
+            expect(addManifestQuery('#EXTM3U\n#EXT-X-MAP:URI="init.mp4"\nhttps://cdn.example.com/a.ts\nb.ts\n', 'index.m3u8', 'grant=g'))
+                .to.equal('#EXTM3U\n#EXT-X-MAP:URI="init.mp4?grant=g"\nhttps://cdn.example.com/a.ts\nb.ts?grant=g\n');
+        });
+
+        it('should keep download and stream links apart', async () => {
+            const streamOnly = await request(app).get(`/videos/share/${streamToken}`).expect(403);
+            expect(streamOnly.body).to.deep.equal({
+                error: 'This share link is for streaming only',
+                hlsUrl: `/videos/share/${streamToken}/hls/master.m3u8`
+            });
+
+            // Download links reach the stream only when browsers cannot play the file itself
+            const { token: downloadToken } = await share(streamId, {});
+            await request(app).get(`/videos/share/${downloadToken}/hls/master.m3u8`).expect(200);
+
+            const video = getDb().prepare('SELECT filename FROM videos WHERE id = ?').get(streamId);
+            getDb().prepare('UPDATE videos SET filename = ? WHERE id = ?').run('clip.mp4', streamId);
+            try {
+                const downloadOnly = await request(app)
+                    .get(`/videos/share/${downloadToken}/hls/master.m3u8`)
+                    .expect(403);
+                expect(downloadOnly.body.error).to.equal('This share link is for download only');
+            } finally {
+                getDb().prepare('UPDATE videos SET filename = ? WHERE id = ?').run(video.filename, streamId);
+            }
+        });
+
+        it('should ask players to retry while packaging and report failures', async () => {
+            const pendingId = await uploadVideo();
+            getDb().prepare(`
+                INSERT INTO video_streams (video_id, status, formats) VALUES (?, 'packaging', '["hls"]')
+            `).run(pendingId);
+            const { token } = await share(pendingId, { mode: 'stream' });
+
+            const pending = await request(app).get(`/videos/share/${token}/hls/master.m3u8`).expect(503);
+            expect(pending.headers['retry-after']).to.equal('10');
+
+            getDb().prepare(`
+                UPDATE video_streams SET status = 'failed', error = 'Cannot find ffmpeg' WHERE video_id = ?
+            `).run(pendingId);
+            const failed = await request(app).get(`/videos/share/${token}/hls/master.m3u8`).expect(500);
+            expect(failed.body.error).to.equal('Stream packaging failed: Cannot find ffmpeg');
+        });
+
+        it('should delete the package with the video', async () => {
+            const storage = getStorage();
+            expect(await storage.stat(`streams/${streamId}/hls/master.m3u8`)).to.not.equal(null);
+
+            await request(app)
+                .delete(`/videos/${streamId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            expect(await storage.stat(`streams/${streamId}/hls/master.m3u8`)).to.equal(null);
+            expect(await storage.stat(`streams/${streamId}/hls/8p/segment-000.ts`)).to.equal(null);
+            expect(getDb().prepare('SELECT * FROM video_streams WHERE video_id = ?').get(streamId)).to.equal(undefined);
+        });
+    });
+
+    describe('POST /videos/:id/stream', () => {
+        it('should not queue work for formats already packaged', async () => {
+            const id = await uploadVideo();
+            await storePackage(id, { 'hls/master.m3u8': '#EXTM3U\n' });
+
+            const response = await request(app)
+                .post(`/videos/${id}/stream`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ formats: ['hls'] })
+                .expect(200);
+            expect(response.body).to.include({ videoId: id, status: 'ready' });
+            expect(response.body).to.not.have.property('files');
+        });
+
+        it('should package real videos', async function() {
+            if (!hasFfmpeg) {
+                this.skip();
+            }
+            this.timeout(60000);
+
+            const id = await uploadVideo(320, 240);
+            const queued = await request(app)
+                .post(`/videos/${id}/stream`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ formats: ['hls', 'dash'] })
+                .expect(202);
+            const job = await waitForJob(API_TOKEN, queued.body.jobId);
+            expect(job.status).to.equal('succeeded');
+
+            const { token } = await share(id, { mode: 'stream', formats: ['hls', 'dash'] });
+            const master = await request(app).get(`/videos/share/${token}/hls/master.m3u8`).expect(200);
+            expect(master.text).to.include('240p/index.m3u8');
+            const media = await request(app).get(`/videos/share/${token}/hls/240p/index.m3u8`).expect(200);
+            expect(media.text).to.match(/segment-000\.ts/);
+            await request(app).get(`/videos/share/${token}/dash/manifest.mpd`).expect(200);
+        });
+
+        it('should reject unknown formats', async () => {
+            await request(app)
+                .post(`/videos/${videoId}/stream`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ formats: ['rtmp'] })
+                .expect(400);
+        });
+    });
+});
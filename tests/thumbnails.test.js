@@ -0,0 +1,247 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const app = require('../app');
+const { getDb } = require('../db');
+const { encodePng, frameToRgb, fitSize } = require('../thumbnails');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+/**
+ * Collect a binary response body into a Buffer
+ */
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+/**
+ * Read the width and height from a PNG's IHDR chunk
+ */
+function pngSize(png) {
+    expect(png.subarray(0, 8).toString('hex')).to.equal('89504e470d0a1a0a');
+    expect(png.toString('ascii', 12, 16)).to.equal('IHDR');
+    return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+describe('Thumbnails and storyboards', () => {
+    let API_TOKEN;
+    let videoId;
+    const createdIds = [];
+
+    before(async () => {
+        API_TOKEN = createTestToken();
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+            .expect(200);
+
+        videoId = response.body.id;
+        createdIds.push(videoId);
+    });
+
+    after(() => {
+        removeTestTokens();
+
+        // Derived videos reference their source, so delete newest first
+        const db = getDb();
+        for (const id of [...createdIds].reverse()) {
+            const video = db.prepare('SELECT filepath, thumbnail_path FROM videos WHERE id = ?').get(id);
+            if (video) {
+                fs.rmSync(video.filepath, { force: true });
+                if (video.thumbnail_path) {
+                    fs.rmSync(video.thumbnail_path, { force: true });
+                }
+                db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+            }
+        }
+    });
+
+    describe('encodePng', () => {
+        it('should write a valid PNG with the given size and pixels', () => {
+            const rgb = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]);
+            const png = encodePng(rgb, 2, 2);
+
+            expect(pngSize(png)).to.deep.equal({ width: 2, height: 2 });
+
+            const idat = png.indexOf('IDAT');
+            const pixels = zlib.inflateSync(png.subarray(idat + 4, idat + 4 + png.readUInt32BE(idat - 4)));
+            // Each row starts with a filter byte
+            expect([...pixels]).to.deep.equal([0, 255, 0, 0, 0, 255, 0, 0, 0, 0, 255, 10, 20, 30]);
+        });
+    });
+
+    describe('frameToRgb', () => {
+        it('should expand gray frames', () => {
+            const rgb = frameToRgb(Buffer.from([0, 128]), { width: 2, height: 1, pixelFormat: 'gray' });
+            expect([...rgb]).to.deep.equal([0, 0, 0, 128, 128, 128]);
+        });
+
+        it('should convert neutral-chroma yuv420p and nv12 frames to gray', () => {
+            const geometry = { width: 2, height: 2 };
+            const planar = Buffer.from([235, 235, 235, 235, 128, 128]);
+            const yuv = frameToRgb(planar, { ...geometry, pixelFormat: 'yuv420p' });
+            const nv12 = frameToRgb(planar, { ...geometry, pixelFormat: 'nv12' });
+
+            expect([...yuv]).to.deep.equal(new Array(12).fill(255));
+            expect([...nv12]).to.deep.equal([...yuv]);
+        });
+    });
+
+    describe('fitSize', () => {
+        it('should keep the aspect ratio inside the requested box', () => {
+            expect(fitSize(320, 240, { width: 160 })).to.deep.equal({ width: 160, height: 120 });
+            expect(fitSize(320, 240, { height: 60 })).to.deep.equal({ width: 80, height: 60 });
+            expect(fitSize(320, 240, { width: 160, height: 90 })).to.deep.equal({ width: 120, height: 90 });
+        });
+    });
+
+    describe('GET /videos/:id/thumbnail', () => {
+        it('should store a poster frame on upload', async () => {
+            const video = getDb().prepare('SELECT thumbnail_path FROM videos WHERE id = ?').get(videoId);
+            expect(video.thumbnail_path).to.be.a('string');
+            expect(fs.existsSync(video.thumbnail_path)).to.equal(true);
+
+            const metadata = await request(app)
+                .get(`/videos/${videoId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(metadata.body.thumbnailUrl).to.equal(`/videos/${videoId}/thumbnail`);
+        });
+
+        it('should serve the poster frame', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoId}/thumbnail`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .buffer(true)
+                .parse(binaryParser)
+                .expect('Content-Type', 'image/png')
+                .expect(200);
+
+            expect(pngSize(response.body)).to.deep.equal({ width: 320, height: 240 });
+        });
+
+        it('should render a chosen frame at a chosen size', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoId}/thumbnail?t=00:00:02.500&size=80`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .buffer(true)
+                .parse(binaryParser)
+                .expect(200);
+
+            expect(pngSize(response.body)).to.deep.equal({ width: 80, height: 60 });
+        });
+
+        it('should reject times past the end of the video', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoId}/thumbnail?t=5`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(400);
+
+            expect(response.body.error).to.equal(
+                't (00:00:05.000) is at or past the end of the video (00:00:05.000, 150 frames)'
+            );
+        });
+
+        it('should reject invalid times and sizes', async () => {
+            const badTime = await request(app)
+                .get(`/videos/${videoId}/thumbnail?t=soon`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(400);
+            expect(badTime.body.error).to.match(/^t must be/);
+
+            const badSize = await request(app)
+                .get(`/videos/${videoId}/thumbnail?size=5000`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(400);
+            expect(badSize.body.error).to.equal('size must be WIDTH or WIDTHxHEIGHT, each between 1 and 1920');
+        });
+
+        it('should return 404 for videos owned by another user', async () => {
+            const otherToken = createTestToken('user-2');
+            await request(app)
+                .get(`/videos/${videoId}/thumbnail`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(404);
+        });
+    });
+
+    describe('GET /videos/:id/storyboard', () => {
+        it('should describe evenly spaced tiles', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoId}/storyboard?columns=3&rows=2&width=64`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body).to.include({
+                imageUrl: `/videos/${videoId}/storyboard/image?columns=3&rows=2&width=64`,
+                columns: 3,
+                rows: 2,
+                tileWidth: 64,
+                tileHeight: 48,
+                interval: 25 / 30
+            });
+            expect(response.body.tiles).to.have.length(6);
+            expect(response.body.tiles[4]).to.deep.equal({ frame: 100, time: 100 / 30, x: 64, y: 48 });
+        });
+
+        it('should reject out-of-range layouts', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoId}/storyboard?columns=21`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(400);
+
+            expect(response.body.error).to.equal('columns must be an integer between 1 and 20');
+        });
+
+        it('should render the sprite sheet', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoId}/storyboard/image?columns=3&rows=2&width=64`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .buffer(true)
+                .parse(binaryParser)
+                .expect('Content-Type', 'image/png')
+                .expect(200);
+
+            expect(pngSize(response.body)).to.deep.equal({ width: 192, height: 96 });
+        });
+    });
+
+    describe('Derived videos', () => {
+        it('should generate poster frames for trimmed videos', async () => {
+            const response = await request(app)
+                .post(`/videos/${videoId}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ trimStart: 1 })
+                .expect(200);
+            createdIds.push(response.body.id);
+
+            const trimmed = getDb().prepare('SELECT thumbnail_path FROM videos WHERE id = ?').get(response.body.id);
+            expect(fs.existsSync(trimmed.thumbnail_path)).to.equal(true);
+        });
+
+        it('should remove the poster frame when the video is deleted', async () => {
+            const upload = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+                .expect(200);
+
+            const { thumbnail_path: thumbnailPath } = getDb()
+                .prepare('SELECT thumbnail_path FROM videos WHERE id = ?')
+                .get(upload.body.id);
+            expect(fs.existsSync(thumbnailPath)).to.equal(true);
+
+            await request(app)
+                .delete(`/videos/${upload.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            expect(fs.existsSync(thumbnailPath)).to.equal(false);
+        });
+    });
+});
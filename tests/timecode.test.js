@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { timeToFrame, formatClock, formatTimecode } = require('../timecode');
+
+describe('Timecodes', () => {
+    describe('timeToFrame', () => {
+        it('should round seconds to the nearest frame', () => {
+            expect(timeToFrame(1.1, 30)).to.equal(33);
+            expect(timeToFrame('2.5', 24)).to.equal(60);
+            expect(timeToFrame(0, 30)).to.equal(0);
+        });
+
+        it('should parse clock times', () => {
+            expect(timeToFrame('00:01:02.500', 30)).to.equal(1875);
+            expect(timeToFrame('01:00:00', 25)).to.equal(90000);
+        });
+
+        it('should parse non-drop SMPTE timecodes', () => {
+            expect(timeToFrame('00:00:01:15', 30)).to.equal(45);
+            expect(timeToFrame('00:10:00:00', 25)).to.equal(15000);
+        });
+
+        it('should parse drop-frame timecodes at 29.97 fps', () => {
+            const fps = 30000 / 1001;
+            // Labels 00:01:00;00 and ;01 are skipped, so ;02 follows 00:00:59;29
+            expect(timeToFrame('00:00:59;29', fps)).to.equal(1799);
+            expect(timeToFrame('00:01:00;02', fps)).to.equal(1800);
+            // No labels are dropped on the tenth minute
+            expect(timeToFrame('00:10:00;00', fps)).to.equal(17982);
+        });
+
+        it('should reject invalid values', () => {
+            expect(() => timeToFrame(-1, 30)).to.throw('non-negative');
+            expect(() => timeToFrame('soon', 30)).to.throw('HH:MM:SS.mmm');
+            expect(() => timeToFrame('00:61:00', 30)).to.throw('HH:MM:SS.mmm');
+            expect(() => timeToFrame('00:00:00:25', 25)).to.throw('only has 25 frames per second');
+            expect(() => timeToFrame('00:00:00;00', 25)).to.throw('drop-frame');
+            expect(() => timeToFrame('00:01:00;01', 30000 / 1001)).to.throw('skips');
+        });
+    });
+
+    describe('formatClock', () => {
+        it('should format seconds as HH:MM:SS.mmm', () => {
+            expect(formatClock(0)).to.equal('00:00:00.000');
+            expect(formatClock(3723.25)).to.equal('01:02:03.250');
+        });
+    });
+
+    describe('formatTimecode', () => {
+        it('should format non-drop-frame timecodes', () => {
+            expect(formatTimecode(45, 30)).to.equal('00:00:01:15');
+            expect(formatTimecode(90000, 25)).to.equal('01:00:00:00');
+        });
+
+        it('should skip dropped labels at 29.97 fps', () => {
+            const fps = 30000 / 1001;
+            expect(formatTimecode(1799, fps)).to.equal('00:00:59;29');
+            expect(formatTimecode(1800, fps)).to.equal('00:01:00;02');
+            expect(formatTimecode(17982, fps)).to.equal('00:10:00;00');
+        });
+
+        it('should round-trip with timeToFrame', () => {
+            for (const fps of [24, 25, 30000 / 1001, 60000 / 1001]) {
+                for (let frame = 0; frame < 40000; frame += 997) {
+                    expect(timeToFrame(formatTimecode(frame, fps), fps)).to.equal(frame);
+                }
+            }
+        });
+    });
+});
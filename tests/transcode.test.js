@@ -0,0 +1,220 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const app = require('../app');
+const { getDb } = require('../db');
+const { resolveTranscodeRequest, buildOutputOptions } = require('../transcoding');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+const hasFfmpeg = !spawnSync('ffmpeg', ['-version']).error;
+
+describe('Transcoding', () => {
+    let API_TOKEN;
+    let workDir;
+    let sourceId;
+    const uploadsDir = path.join(__dirname, '../uploads');
+    const sourcePath = path.join(uploadsDir, 'test-transcode-source.raw');
+
+    before(() => {
+        API_TOKEN = createTestToken();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-'));
+
+        if (!fs.existsSync(uploadsDir)) {
+            fs.mkdirSync(uploadsDir);
+        }
+
+        // 20 frames of 64x48 gray at 10 fps
+        fs.writeFileSync(sourcePath, Buffer.alloc(64 * 48 * 20, 128));
+        sourceId = getDb().prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, owner_id, width, height, fps, codec, pixel_format, frame_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run('test-transcode-source.raw', sourcePath, 64 * 48 * 20, 2, 'user-1', 64, 48, 10, 'rawvideo', 'gray', 20)
+            .lastInsertRowid;
+    });
+
+    after(() => {
+        removeTestTokens();
+        delete process.env.TRANSCODE_PRESETS_FILE;
+        fs.rmSync(workDir, { recursive: true, force: true });
+
+        const db = getDb();
+        const videos = db.prepare('SELECT * FROM videos WHERE id = ? OR source_video_id = ?').all(sourceId, sourceId);
+        for (const video of videos) {
+            fs.rmSync(video.filepath, { force: true });
+        }
+        db.prepare('DELETE FROM videos WHERE source_video_id = ?').run(sourceId);
+        db.prepare('DELETE FROM videos WHERE id = ?').run(sourceId);
+    });
+
+    describe('resolveTranscodeRequest', () => {
+        it('should default to mp4 with libx264 at medium quality', () => {
+            expect(resolveTranscodeRequest({}).settings).to.include({
+                container: 'mp4',
+                codec: 'libx264',
+                quality: 'medium'
+            });
+        });
+
+        it('should let request fields override a preset', () => {
+            const { settings } = resolveTranscodeRequest({ preset: 'web-720p', height: 360, quality: 'high' });
+            expect(settings).to.include({
+                preset: 'web-720p',
+                container: 'mp4',
+                codec: 'libx264',
+                height: 360,
+                quality: 'high'
+            });
+        });
+
+        it('should pick the default codec when a preset is sent to another container', () => {
+            const { settings } = resolveTranscodeRequest({ preset: 'web-720p', container: 'webm' });
+            expect(settings.codec).to.equal('libvpx-vp9');
+        });
+
+        it('should reject invalid settings', () => {
+            expect(resolveTranscodeRequest({ container: 'avi' }).error).to.match(/^container must be one of/);
+            expect(resolveTranscodeRequest({ container: 'webm', codec: 'libx264' }).error)
+                .to.equal('codec for webm must be one of: libvpx-vp9, libvpx');
+            expect(resolveTranscodeRequest({ width: 641 }).error).to.match(/^width must be an even integer/);
+            expect(resolveTranscodeRequest({ fps: 0 }).error).to.match(/^fps must be/);
+            expect(resolveTranscodeRequest({ quality: 'ultra' }).error).to.match(/^quality must be one of/);
+            expect(resolveTranscodeRequest({ videoBitrate: 'fast' }).error).to.match(/^videoBitrate/);
+            expect(resolveTranscodeRequest({ preset: 'nope' }).error).to.equal('Unknown preset: nope');
+        });
+    });
+
+    describe('buildOutputOptions', () => {
+        it('should scale keeping the aspect ratio and use the quality CRF', () => {
+            const { settings } = resolveTranscodeRequest({ height: 480, fps: 25 });
+            expect(buildOutputOptions(settings)).to.include.members([
+                '-c:v libx264',
+                '-vf scale=-2:480',
+                '-r 25',
+                '-crf 23',
+                '-movflags +faststart'
+            ]);
+        });
+
+        it('should use constant quality mode for VP9 and honour explicit bitrates', () => {
+            const vp9 = resolveTranscodeRequest({ container: 'webm' }).settings;
+            expect(buildOutputOptions(vp9)).to.include.members(['-c:v libvpx-vp9', '-crf 33', '-b:v 0']);
+
+            const bitrate = resolveTranscodeRequest({ preset: 'web-720p', videoBitrate: '800k' }).settings;
+            const options = buildOutputOptions(bitrate);
+            expect(options).to.include('-b:v 800k');
+            expect(options.some(option => option.startsWith('-crf'))).to.be.false;
+        });
+    });
+
+    describe('GET /transcode/presets', () => {
+        it('should list built-in presets, containers and quality levels', async () => {
+            const response = await request(app)
+                .get('/transcode/presets')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.presets).to.have.property('web-720p');
+            expect(response.body.containers.webm).to.deep.equal(['libvpx-vp9', 'libvpx']);
+            expect(response.body.qualities).to.deep.equal(['low', 'medium', 'high']);
+        });
+
+        it('should include presets from TRANSCODE_PRESETS_FILE', async () => {
+            const presetsFile = path.join(workDir, 'presets.json');
+            fs.writeFileSync(presetsFile, JSON.stringify({
+                'mobile-240p': { container: 'mp4', height: 240, quality: 'low' }
+            }));
+            process.env.TRANSCODE_PRESETS_FILE = presetsFile;
+
+            try {
+                const response = await request(app)
+                    .get('/transcode/presets')
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .expect(200);
+
+                expect(response.body.presets['mobile-240p']).to.deep.equal({
+                    container: 'mp4', height: 240, quality: 'low'
+                });
+                expect(response.body.presets).to.have.property('web-720p');
+                expect(resolveTranscodeRequest({ preset: 'mobile-240p' }).settings.height).to.equal(240);
+            } finally {
+                delete process.env.TRANSCODE_PRESETS_FILE;
+            }
+        });
+    });
+
+    describe('POST /videos/:id/transcode', () => {
+        it('should reject requests without authentication', async () => {
+            await request(app)
+                .post(`/videos/${sourceId}/transcode`)
+                .send({ preset: 'web-480p' })
+                .expect(401);
+        });
+
+        it('should require the edit scope', async () => {
+            const readOnly = createTestToken('user-1', ['read']);
+            const response = await request(app)
+                .post(`/videos/${sourceId}/transcode`)
+                .set('Authorization', `Bearer ${readOnly}`)
+                .send({ preset: 'web-480p' })
+                .expect(403);
+
+            expect(response.body.requiredScope).to.equal('edit');
+        });
+
+        it('should reject unknown presets and invalid settings', async () => {
+            const unknown = await request(app)
+                .post(`/videos/${sourceId}/transcode`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ preset: 'vhs' })
+                .expect(400);
+            expect(unknown.body.error).to.equal('Unknown preset: vhs');
+
+            const mismatch = await request(app)
+                .post(`/videos/${sourceId}/transcode`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ container: 'mp4', codec: 'libvpx-vp9' })
+                .expect(400);
+            expect(mismatch.body.error).to.equal('codec for mp4 must be one of: libx264, libx265');
+        });
+
+        it('should return 404 for videos owned by someone else', async () => {
+            const otherUser = createTestToken('user-2');
+            await request(app)
+                .post(`/videos/${sourceId}/transcode`)
+                .set('Authorization', `Bearer ${otherUser}`)
+                .send({ preset: 'web-480p' })
+                .expect(404);
+        });
+
+        it('should transcode a raw video into a new linked video', async function() {
+            if (!hasFfmpeg) {
+                this.skip();
+            }
+            this.timeout(30000);
+
+            const response = await request(app)
+                .post(`/videos/${sourceId}/transcode`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ container: 'mp4', width: 32, quality: 'low' })
+                .expect(200);
+
+            expect(response.body.filename).to.match(/\.mp4$/);
+
+            const detail = await request(app)
+                .get(`/videos/${response.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(detail.body).to.include({
+                sourceVideoId: sourceId,
+                codec: 'h264',
+                width: 32,
+                height: 24
+            });
+            expect(detail.body.duration).to.be.approximately(2, 0.2);
+        });
+    });
+});
@@ -4,13 +4,15 @@ const path = require('path');
 const fs = require('fs');
 const app = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestToken, removeTestTokens } = require('./helpers');
 
 describe('POST /videos/:id/trim', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    let API_TOKEN;
     let videoId;
 
     before(async () => {
+        API_TOKEN = createTestToken();
+
         // Upload a test video
         const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
         
@@ -27,6 +29,7 @@ describe('POST /videos/:id/trim', () => {
         // Cleanup database
         const db = getDb();
         db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
 
         // Cleanup uploaded files
         const uploadsDir = path.join(__dirname, '../uploads');
@@ -99,4 +102,89 @@ describe('POST /videos/:id/trim', () => {
         expect(response.body).to.have.property('duration');
         expect(response.body.duration).to.be.approximately(4, 0.1); // Original 5s - 1s = 4s
     });
+
+    describe('frame-accurate trim points', () => {
+        const FRAME_SIZE = 320 * 240 * 3;
+        let source;
+
+        // Bytes of the given frame range of the source video
+        function sourceFrames(startFrame, endFrame) {
+            return source.subarray(startFrame * FRAME_SIZE, endFrame * FRAME_SIZE);
+        }
+
+        async function trim(body) {
+            const response = await request(app)
+                .post(`/videos/${videoId}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send(body)
+                .expect(200);
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+            return { body: response.body, content: fs.readFileSync(video.filepath) };
+        }
+
+        before(() => {
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+            source = fs.readFileSync(video.filepath);
+        });
+
+        it('should treat 0 as a real trim value', async () => {
+            const { body } = await trim({ trimStart: 0, trimEnd: 1 });
+            expect(body.duration).to.equal(4);
+        });
+
+        it('should keep an absolute range given in seconds and clock time', async () => {
+            const { body, content } = await trim({ start: 1.5, end: '00:00:03.000' });
+            expect(body.duration).to.equal(1.5);
+            expect(content.equals(sourceFrames(45, 90))).to.be.true;
+        });
+
+        it('should keep a range of frame numbers', async () => {
+            const { body, content } = await trim({ startFrame: 10, endFrame: 40 });
+            expect(body.duration).to.equal(1);
+            expect(content.equals(sourceFrames(10, 40))).to.be.true;
+        });
+
+        it('should accept SMPTE timecodes', async () => {
+            const { body, content } = await trim({ start: '00:00:01:15', end: '00:00:02:00' });
+            expect(body.duration).to.equal(0.5);
+            expect(content.equals(sourceFrames(45, 60))).to.be.true;
+        });
+
+        it('should stitch several segments together in order', async () => {
+            const { body, content } = await trim({
+                segments: [
+                    { start: 4, end: 5 },
+                    { startFrame: 0, endFrame: 30 }
+                ]
+            });
+            expect(body.duration).to.equal(2);
+            expect(content.equals(Buffer.concat([sourceFrames(120, 150), sourceFrames(0, 30)]))).to.be.true;
+        });
+
+        it('should report precisely why trim points are invalid', async () => {
+            const cases = [
+                [{ end: 6 }, 'end (00:00:06.000) is past the end of the video (00:00:05.000, 150 frames)'],
+                [{ startFrame: 150 }, 'startFrame (frame 150) is at or past the end of the video (150 frames)'],
+                [{ start: 3, end: 2 }, 'end must be after start'],
+                [{ trimStart: 3, trimEnd: 2 },
+                    'trimStart and trimEnd together remove the whole video (00:00:05.000, 150 frames)'],
+                [{ start: '1:2:3' }, 'start must be seconds, HH:MM:SS.mmm or an HH:MM:SS:FF timecode'],
+                [{ start: '00:00:01:30' }, 'start has frame 30, but the video only has 30 frames per second'],
+                [{ startFrame: 1.5 }, 'startFrame must be a non-negative integer frame number'],
+                [{ segments: [{ start: 0, end: 1 }, { startFrame: 20, endFrame: 10 }] },
+                    'segments[1].endFrame must be after segments[1].startFrame'],
+                [{ segments: [] }, 'segments must be a non-empty array'],
+                [{ trimStart: 1, start: 2 }, 'Use only one of trimStart/trimEnd, start/end in a trim request']
+            ];
+
+            for (const [body, error] of cases) {
+                const response = await request(app)
+                    .post(`/videos/${videoId}/trim`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send(body)
+                    .expect(400);
+                expect(response.body.error).to.equal(error);
+            }
+        });
+    });
 });
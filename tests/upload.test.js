@@ -4,12 +4,14 @@ const path = require('path');
 const fs = require('fs');
 const app = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestToken, removeTestTokens } = require('./helpers');
 
 describe('POST /upload', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    let API_TOKEN;
 
     before(() => {
+        API_TOKEN = createTestToken();
+
         // Create uploads directory if it doesn't exist
         const uploadsDir = path.join(__dirname, '../uploads');
         if (!fs.existsSync(uploadsDir)) {
@@ -18,6 +20,8 @@ describe('POST /upload', () => {
     });
 
     after(() => {
+        removeTestTokens();
+
         // Cleanup: Remove test files from uploads directory
         const uploadsDir = path.join(__dirname, '../uploads');
         fs.readdirSync(uploadsDir).forEach(file => {
@@ -63,9 +67,10 @@ describe('POST /upload', () => {
                 .post('/upload')
                 .set('Authorization', `Bearer ${API_TOKEN}`)
                 .attach('video', textFilePath, { filename: 'test.txt', contentType: 'text/plain' })
-                .expect(400);
+                .expect(415);
             
             expect(response.body.error).to.equal('Invalid file type. Only video files are allowed');
+            expect(response.body.code).to.equal('UNSUPPORTED_FILE_TYPE');
         } finally {
             // Cleanup
             if (fs.existsSync(textFilePath)) {
@@ -89,17 +94,32 @@ describe('POST /upload', () => {
         expect(response.body.duration).to.be.approximately(5.0, 0.1);
     });
 
-    it('should reject videos that exceed maximum duration', async function() {
-        this.timeout(10000); // Increase timeout for large file
-        
-        const testVideoPath = path.join(__dirname, 'fixtures', 'long-video.raw');
-        
+    it('should reject files that exceed maximum size', async () => {
+        const token = createTestToken('user-1', ['upload'], { maxFileSize: 1000 });
+
         const response = await request(app)
             .post('/upload')
-            .set('Authorization', `Bearer ${API_TOKEN}`)
-            .attach('video', testVideoPath, { filename: 'long-video.raw', contentType: 'video/raw' })
+            .set('Authorization', `Bearer ${token}`)
+            .attach('video', Buffer.alloc(2000), { filename: 'test-large.raw', contentType: 'video/raw' })
+            .expect(413);
+
+        expect(response.body.error).to.equal('File exceeds maximum upload size (1000 bytes)');
+        expect(response.body.code).to.equal('FILE_TOO_LARGE');
+    });
+
+    it('should reject videos that exceed maximum duration', async () => {
+        const token = createTestToken('user-1', ['upload'], { maxDuration: 1 });
+
+        // 60 frames of 8x8 RGB at 30 fps: two seconds
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${token}`)
+            .field('width', '8')
+            .field('height', '8')
+            .attach('video', Buffer.alloc(8 * 8 * 3 * 60, 128), { filename: 'test-long.raw', contentType: 'video/raw' })
             .expect(400);
-        
-        expect(response.body.error).to.equal('Video duration exceeds maximum allowed length');
+
+        expect(response.body.error).to.equal('Video duration exceeds maximum allowed length (1 second)');
+        expect(response.body.code).to.equal('DURATION_TOO_LONG');
     });
 });
@@ -0,0 +1,293 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const app = require('../app');
+const { getDb } = require('../db');
+const { DEFAULT_UPLOAD_POLICY, getUploadPolicy, validateUploadPolicy } = require('../config');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Upload policy', () => {
+    const fixture = path.join(__dirname, 'fixtures', 'test-video1.raw');
+    const savedEnv = {};
+    let configDir;
+
+    /**
+     * Set an environment variable for the current test, remembering the old value
+     */
+    function setEnv(name, value) {
+        if (!(name in savedEnv)) {
+            savedEnv[name] = process.env[name];
+        }
+        process.env[name] = value;
+    }
+
+    /**
+     * Upload the 5 second fixture with a token
+     */
+    function uploadFixture(token) {
+        return request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('video', fixture, { filename: 'test-video1.raw', contentType: 'video/raw' });
+    }
+
+    before(() => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-policy-'));
+    });
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+            delete savedEnv[name];
+        }
+    });
+
+    after(() => {
+        removeTestTokens();
+        fs.rmSync(configDir, { recursive: true, force: true });
+
+        const db = getDb();
+        for (const video of db.prepare("SELECT * FROM videos WHERE owner_id = 'policy-user'").all()) {
+            fs.rmSync(video.filepath, { force: true });
+            if (video.thumbnail_path) {
+                fs.rmSync(video.thumbnail_path, { force: true });
+            }
+            db.prepare('DELETE FROM videos WHERE id = ?').run(video.id);
+        }
+    });
+
+    describe('getUploadPolicy', () => {
+        it('should default to the original limits', () => {
+            setEnv('CONFIG_FILE', path.join(configDir, 'missing.json'));
+            expect(getUploadPolicy()).to.deep.equal(DEFAULT_UPLOAD_POLICY);
+            expect(DEFAULT_UPLOAD_POLICY).to.include({ maxFileSize: 1024 * 1024 * 1024, maxDuration: 300 });
+        });
+
+        it('should layer the config file, environment and per-token overrides', () => {
+            const configPath = path.join(configDir, 'config.json');
+            fs.writeFileSync(configPath, JSON.stringify({
+                upload: { maxDuration: 120, minDuration: 1, allowedExtensions: ['.RAW', '.y4m'] }
+            }));
+            setEnv('CONFIG_FILE', configPath);
+            setEnv('UPLOAD_MAX_DURATION', '60');
+            setEnv('UPLOAD_ALLOWED_MIME_TYPES', 'video/mp4, video/webm');
+
+            expect(getUploadPolicy()).to.deep.equal({
+                maxFileSize: 1024 * 1024 * 1024,
+                maxDuration: 60,
+                minDuration: 1,
+                allowedMimeTypes: ['video/mp4', 'video/webm'],
+                allowedExtensions: ['.raw', '.y4m']
+            });
+            expect(getUploadPolicy({ maxDuration: 10, minDuration: 0 })).to.include({ maxDuration: 10, minDuration: 0 });
+        });
+
+        it('should name the source of an invalid setting', () => {
+            setEnv('CONFIG_FILE', path.join(configDir, 'missing.json'));
+            setEnv('UPLOAD_MAX_FILE_SIZE', 'lots');
+            expect(() => getUploadPolicy()).to.throw(
+                'Invalid upload policy in environment: maxFileSize must be a positive whole number of bytes'
+            );
+        });
+
+        it('should reject a config file that is not JSON', () => {
+            const configPath = path.join(configDir, 'broken.json');
+            fs.writeFileSync(configPath, '{ upload: ');
+            setEnv('CONFIG_FILE', configPath);
+            expect(() => getUploadPolicy()).to.throw(`Invalid config file ${configPath}`);
+        });
+    });
+
+    describe('validateUploadPolicy', () => {
+        it('should accept partial settings', () => {
+            expect(validateUploadPolicy({ maxDuration: 30 })).to.equal(null);
+            expect(validateUploadPolicy({})).to.equal(null);
+        });
+
+        it('should reject unknown and invalid settings', () => {
+            expect(validateUploadPolicy({ maxSize: 1 })).to.match(/^Unknown upload policy settings: maxSize\./);
+            expect(validateUploadPolicy({ maxDuration: -1 })).to.equal('maxDuration must be a positive number of seconds');
+            expect(validateUploadPolicy({ allowedMimeTypes: ['mp4'] })).to.equal(
+                'allowedMimeTypes must be an array of MIME types such as video/mp4'
+            );
+            expect(validateUploadPolicy({ allowedExtensions: ['raw'] })).to.equal(
+                'allowedExtensions must be an array of extensions such as .raw'
+            );
+            expect(validateUploadPolicy({ minDuration: 10, maxDuration: 5 })).to.equal(
+                'minDuration must not be greater than maxDuration'
+            );
+        });
+    });
+
+    describe('POST /upload', () => {
+        it('should report videos that are too long', async () => {
+            const token = createTestToken('policy-user', ['upload'], { maxDuration: 2 });
+            const response = await uploadFixture(token).expect(400);
+
+            expect(response.body).to.deep.equal({
+                error: 'Video duration exceeds maximum allowed length (2 seconds)',
+                code: 'DURATION_TOO_LONG'
+            });
+        });
+
+        it('should report videos that are too short', async () => {
+            const token = createTestToken('policy-user', ['upload'], { minDuration: 10 });
+            const response = await uploadFixture(token).expect(400);
+
+            expect(response.body).to.deep.equal({
+                error: 'Video duration is below minimum allowed length (10 seconds)',
+                code: 'DURATION_TOO_SHORT'
+            });
+        });
+
+        it('should report files that are too large', async () => {
+            const token = createTestToken('policy-user', ['upload'], { maxFileSize: 1024 * 1024 });
+            const response = await uploadFixture(token).expect(413);
+
+            expect(response.body).to.deep.equal({
+                error: 'File exceeds maximum upload size (1MB)',
+                code: 'FILE_TOO_LARGE'
+            });
+        });
+
+        it('should report types the policy does not allow', async () => {
+            const token = createTestToken('policy-user', ['upload'], { allowedMimeTypes: ['video/mp4'], allowedExtensions: [] });
+            const response = await uploadFixture(token).expect(415);
+
+            expect(response.body.code).to.equal('UNSUPPORTED_FILE_TYPE');
+        });
+
+        it('should apply limits from the environment', async () => {
+            setEnv('UPLOAD_MAX_DURATION', '4');
+            const token = createTestToken('policy-user', ['upload']);
+            const response = await uploadFixture(token).expect(400);
+
+            expect(response.body.error).to.equal('Video duration exceeds maximum allowed length (4 seconds)');
+        });
+
+        it('should let a per-token override relax the server-wide policy', async () => {
+            setEnv('UPLOAD_MAX_DURATION', '4');
+            const token = createTestToken('policy-user', ['upload'], { maxDuration: 600 });
+            const response = await uploadFixture(token).expect(200);
+
+            expect(response.body.duration).to.equal(5);
+        });
+    });
+
+    describe('POST /uploads', () => {
+        it('should apply the policy before any data is sent', async () => {
+            const token = createTestToken('policy-user', ['upload'], { maxFileSize: 1000 });
+            const response = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Upload-Length', '1001')
+                .set('Upload-Metadata', `filename ${Buffer.from('clip.raw').toString('base64')}`)
+                .expect(413);
+
+            expect(response.body).to.deep.equal({
+                error: 'File exceeds maximum upload size (1000 bytes)',
+                code: 'FILE_TOO_LARGE'
+            });
+        });
+    });
+
+    describe('Per-token overrides', () => {
+        it('should be set when creating a key and changed later', async () => {
+            const adminToken = createTestToken('admin-user', ['admin']);
+            const created = await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'mocha-test-key', ownerId: 'policy-user', scopes: ['upload'], uploadPolicy: { maxDuration: 2 } })
+                .expect(201);
+            expect(created.body.uploadPolicy).to.deep.equal({ maxDuration: 2 });
+
+            await uploadFixture(created.body.key).expect(400);
+
+            const updated = await request(app)
+                .patch(`/admin/api-keys/${created.body.id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ uploadPolicy: null })
+                .expect(200);
+            expect(updated.body.uploadPolicy).to.equal(null);
+
+            await uploadFixture(created.body.key).expect(200);
+        });
+
+        it('should be validated', async () => {
+            const adminToken = createTestToken('admin-user', ['admin']);
+            const response = await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'mocha-test-key', ownerId: 'policy-user', uploadPolicy: { maxFileSize: 0 } })
+                .expect(400);
+            expect(response.body.error).to.equal('maxFileSize must be a positive whole number of bytes');
+
+            await request(app)
+                .patch('/admin/api-keys/999999')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ uploadPolicy: { maxDuration: 10 } })
+                .expect(404);
+        });
+
+        it('should be checked against the server-wide policy when saved', async () => {
+            const adminToken = createTestToken('admin-user', ['admin']);
+            const created = await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'mocha-test-key', ownerId: 'policy-user', uploadPolicy: { minDuration: 400 } })
+                .expect(400);
+            expect(created.body.error).to.equal(
+                'minDuration (400) must not be greater than maxDuration (300) once combined with the server-wide upload policy'
+            );
+
+            const key = await request(app)
+                .post('/admin/api-keys')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'mocha-test-key', ownerId: 'policy-user', scopes: ['upload'] })
+                .expect(201);
+            await request(app)
+                .patch(`/admin/api-keys/${key.body.id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ uploadPolicy: { minDuration: 400 } })
+                .expect(400);
+            await request(app)
+                .patch(`/admin/api-keys/${key.body.id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ uploadPolicy: { minDuration: 400, maxDuration: 600 } })
+                .expect(200);
+        });
+
+        it('should refuse uploads cleanly once they conflict with the server-wide policy', async () => {
+            // Valid when saved, but the server-wide maximum was lowered since
+            const token = createTestToken('policy-user', ['upload'], { minDuration: 10 });
+            setEnv('UPLOAD_MAX_DURATION', '4');
+
+            const upload = await uploadFixture(token).expect('Content-Type', /json/).expect(500);
+            expect(upload.body.code).to.equal('UPLOAD_POLICY_CONFLICT');
+            expect(upload.body.error).to.include('minDuration (10) is greater than maxDuration (4)');
+
+            const session = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Upload-Length', '1000')
+                .set('Upload-Metadata', `filename ${Buffer.from('clip.raw').toString('base64')}`)
+                .expect(500);
+            expect(session.body.code).to.equal('UPLOAD_POLICY_CONFLICT');
+        });
+
+        it('should answer with JSON when the server-wide policy is invalid for a key with overrides', async () => {
+            const token = createTestToken('policy-user', ['upload'], { minDuration: 1 });
+            setEnv('UPLOAD_MAX_DURATION', 'abc');
+
+            const upload = await uploadFixture(token).expect('Content-Type', /json/).expect(500);
+            expect(upload.body.code).to.be.undefined;
+            expect(upload.body.error).to.match(/^Invalid upload policy in environment/);
+        });
+    });
+});
@@ -0,0 +1,415 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const app = require('../app');
+const { getDb } = require('../db');
+const {
+    parseUploadMetadata,
+    expireUploadSessions,
+    isUploadSessionBusy,
+    finaliseUploadSession
+} = require('../resumableUploads');
+const { deleteQuarantinedUpload } = require('../quarantine');
+const { getUploadPolicy } = require('../config');
+const { getStorage } = require('../storage');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+// One 320x240 rgb24 frame
+const FRAME_SIZE = 320 * 240 * 3;
+
+describe('Resumable uploads', () => {
+    let API_TOKEN;
+    let clip;
+    const createdVideoIds = [];
+
+    /**
+     * Encode an Upload-Metadata header
+     */
+    function encodeMetadata(metadata) {
+        return Object.entries(metadata)
+            .map(([key, value]) => `${key} ${Buffer.from(String(value)).toString('base64')}`)
+            .join(',');
+    }
+
+    /**
+     * Create an upload session and return its ID
+     */
+    async function createSession(length, metadata = { filename: 'clip.raw' }) {
+        const response = await request(app)
+            .post('/uploads')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Upload-Length', String(length))
+            .set('Upload-Metadata', encodeMetadata(metadata))
+            .expect(201);
+        return response.body.id;
+    }
+
+    /**
+     * Send a chunk of an upload
+     */
+    function sendChunk(id, offset, data) {
+        return request(app)
+            .patch(`/uploads/${id}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Content-Type', 'application/offset+octet-stream')
+            .set('Upload-Offset', String(offset))
+            .send(data);
+    }
+
+    before(() => {
+        API_TOKEN = createTestToken();
+
+        // The first 10 frames of the fixture: a third of a second
+        const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'test-video1.raw'));
+        clip = fixture.subarray(0, FRAME_SIZE * 10);
+    });
+
+    after(() => {
+        removeTestTokens();
+
+        const db = getDb();
+        for (const session of db.prepare('SELECT * FROM upload_sessions').all()) {
+            fs.rmSync(session.filepath, { force: true });
+        }
+        db.prepare('DELETE FROM upload_sessions').run();
+
+        for (const id of createdVideoIds) {
+            const video = db.prepare('SELECT filepath, thumbnail_path FROM videos WHERE id = ?').get(id);
+            if (video) {
+                fs.rmSync(video.filepath, { force: true });
+                if (video.thumbnail_path) {
+                    fs.rmSync(video.thumbnail_path, { force: true });
+                }
+                db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+            }
+        }
+    });
+
+    describe('parseUploadMetadata', () => {
+        it('should decode base64 values and allow keys without one', () => {
+            expect(parseUploadMetadata('filename Y2xpcC5yYXc=,is_confidential')).to.deep.equal({
+                metadata: { filename: 'clip.raw', is_confidential: '' }
+            });
+        });
+
+        it('should reject malformed pairs', () => {
+            expect(parseUploadMetadata('filename a b').error).to.equal(
+                'Upload-Metadata must be comma-separated "key base64value" pairs'
+            );
+        });
+    });
+
+    describe('OPTIONS /uploads', () => {
+        it('should describe the supported protocol', async () => {
+            const response = await request(app)
+                .options('/uploads')
+                .expect(204);
+
+            expect(response.headers['tus-version']).to.equal('1.0.0');
+            expect(response.headers['tus-extension']).to.equal('creation,expiration,checksum,termination');
+            expect(response.headers['tus-checksum-algorithm']).to.equal('sha1,sha256,md5');
+        });
+    });
+
+    describe('POST /uploads', () => {
+        it('should create a session', async () => {
+            const response = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Upload-Length', String(clip.length))
+                .set('Upload-Metadata', encodeMetadata({ filename: 'clip.raw' }))
+                .expect(201);
+
+            expect(response.headers.location).to.equal(`/uploads/${response.body.id}`);
+            expect(response.headers['upload-offset']).to.equal('0');
+            expect(response.headers['tus-resumable']).to.equal('1.0.0');
+            expect(response.body).to.include({ filename: 'clip.raw', uploadLength: clip.length, uploadOffset: 0, complete: false });
+        });
+
+        it('should require Upload-Length', async () => {
+            const response = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Upload-Metadata', encodeMetadata({ filename: 'clip.raw' }))
+                .expect(400);
+
+            expect(response.body.error).to.equal('Upload-Length must be a positive number of bytes');
+        });
+
+        it('should reject uploads over the maximum size', async () => {
+            const response = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Upload-Length', String(2 * 1024 * 1024 * 1024))
+                .set('Upload-Metadata', encodeMetadata({ filename: 'clip.raw' }))
+                .expect(413);
+
+            expect(response.body).to.deep.equal({
+                error: 'File exceeds maximum upload size (1GB)',
+                code: 'FILE_TOO_LARGE'
+            });
+        });
+
+        it('should check the declared file before any data is sent', async () => {
+            const missingName = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Upload-Length', '100')
+                .expect(400);
+            expect(missingName.body.error).to.equal('Upload-Metadata must include a filename');
+
+            const wrongType = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Upload-Length', '100')
+                .set('Upload-Metadata', encodeMetadata({ filename: 'notes.txt', filetype: 'text/plain' }))
+                .expect(415);
+            expect(wrongType.body.code).to.equal('UNSUPPORTED_FILE_TYPE');
+
+            const badGeometry = await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Upload-Length', '100')
+                .set('Upload-Metadata', encodeMetadata({ filename: 'clip.raw', width: 0 }))
+                .expect(400);
+            expect(badGeometry.body.error).to.equal('width must be an integer between 1 and 8192');
+        });
+
+        it('should require the upload scope', async () => {
+            const readToken = createTestToken('user-1', ['read']);
+            await request(app)
+                .post('/uploads')
+                .set('Authorization', `Bearer ${readToken}`)
+                .set('Upload-Length', '100')
+                .expect(403);
+        });
+    });
+
+    describe('PATCH /uploads/:id', () => {
+        it('should assemble chunks into a video', async () => {
+            const id = await createSession(clip.length);
+            const half = FRAME_SIZE * 4 + 1234;
+
+            const first = await sendChunk(id, 0, clip.subarray(0, half)).expect(204);
+            expect(first.headers['upload-offset']).to.equal(String(half));
+
+            const head = await request(app)
+                .head(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(head.headers['upload-offset']).to.equal(String(half));
+            expect(head.headers['upload-length']).to.equal(String(clip.length));
+            expect(head.headers['upload-expires']).to.be.a('string');
+
+            const last = await sendChunk(id, half, clip.subarray(half)).expect(200);
+            createdVideoIds.push(last.body.id);
+            expect(last.body.duration).to.be.closeTo(10 / 30, 0.0001);
+
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(last.body.id);
+            expect(video).to.include({ owner_id: 'user-1', size: clip.length, frame_count: 10 });
+            expect(fs.readFileSync(video.filepath).equals(clip)).to.equal(true);
+
+            const status = await request(app)
+                .get(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(status.body).to.include({ complete: true, videoId: last.body.id, uploadOffset: clip.length });
+
+            await sendChunk(id, clip.length, Buffer.alloc(1)).expect(409);
+        });
+
+        it('should pass raw geometry from the metadata to the upload checks', async () => {
+            const small = Buffer.alloc(16 * 16 * 3 * 5);
+            const id = await createSession(small.length, { filename: 'small.raw', width: 16, height: 16, fps: 25 });
+
+            const response = await sendChunk(id, 0, small).expect(200);
+            createdVideoIds.push(response.body.id);
+            expect(response.body.duration).to.equal(0.2);
+        });
+
+        it('should reject chunks at the wrong offset', async () => {
+            const id = await createSession(clip.length);
+            await sendChunk(id, 0, clip.subarray(0, 1000)).expect(204);
+
+            const response = await sendChunk(id, 0, clip.subarray(0, 1000)).expect(409);
+            expect(response.body.error).to.equal('Upload-Offset 0 does not match the 1000 bytes received');
+            expect(response.headers['upload-offset']).to.equal('1000');
+        });
+
+        it('should verify chunk checksums', async () => {
+            const id = await createSession(clip.length);
+            const chunk = clip.subarray(0, 5000);
+
+            const mismatch = await sendChunk(id, 0, chunk)
+                .set('Upload-Checksum', `sha1 ${crypto.createHash('sha1').update('other').digest('base64')}`)
+                .expect(460);
+            expect(mismatch.body.error).to.equal('Upload-Checksum does not match the received data');
+
+            const session = getDb().prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+            expect(session.upload_offset).to.equal(0);
+            expect(fs.statSync(session.filepath).size).to.equal(0);
+
+            const match = await sendChunk(id, 0, chunk)
+                .set('Upload-Checksum', `sha256 ${crypto.createHash('sha256').update(chunk).digest('base64')}`)
+                .expect(204);
+            expect(match.headers['upload-offset']).to.equal('5000');
+
+            const unknown = await sendChunk(id, 5000, chunk)
+                .set('Upload-Checksum', 'crc32 AAAA')
+                .expect(400);
+            expect(unknown.body.error).to.equal('Upload-Checksum algorithm must be one of: sha1, sha256, md5');
+        });
+
+        it('should reject chunks past the declared length', async () => {
+            const id = await createSession(1000);
+            const response = await sendChunk(id, 0, Buffer.alloc(1001)).expect(413);
+            expect(response.body.error).to.equal('Chunk is larger than the remaining 1000 bytes of the upload');
+        });
+
+        it('should require the offset+octet-stream content type', async () => {
+            const id = await createSession(1000);
+            await request(app)
+                .patch(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Content-Type', 'application/octet-stream')
+                .set('Upload-Offset', '0')
+                .send(Buffer.alloc(10))
+                .expect(415);
+        });
+
+        it('should run the upload validation on the finished file', async () => {
+            const data = clip.subarray(0, FRAME_SIZE + 100);
+            const id = await createSession(data.length);
+
+            const response = await sendChunk(id, 0, data).expect(400);
+            expect(response.body.error).to.equal(
+                `File size is not a whole number of 320x240 rgb24 frames (${FRAME_SIZE} bytes each)`
+            );
+            expect(response.body.code).to.equal('RAW_FRAME_MISALIGNED');
+            expect(deleteQuarantinedUpload(response.body.quarantineId)).to.equal(true);
+
+            // The rejected file and its session are discarded
+            expect(getDb().prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id)).to.equal(undefined);
+            await request(app)
+                .head(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should keep the bytes when the finished file cannot be stored', async () => {
+            const id = await createSession(clip.length);
+            const storage = getStorage();
+            const put = storage.put;
+            storage.put = async () => {
+                throw new Error('connect ECONNREFUSED 127.0.0.1:1');
+            };
+            let failed;
+            try {
+                failed = await sendChunk(id, 0, clip).expect(500);
+            } finally {
+                storage.put = put;
+            }
+            expect(failed.body).to.deep.equal({
+                error: 'Upload could not be stored: connect ECONNREFUSED 127.0.0.1:1',
+                code: 'STORAGE_FAILED'
+            });
+
+            // The file is back in place, not left behind under another name
+            const session = getDb().prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+            expect(session).to.include({ upload_offset: clip.length, video_id: null });
+            expect(fs.readFileSync(session.filepath).equals(clip)).to.equal(true);
+            expect(isUploadSessionBusy(session)).to.equal(false);
+
+            // An empty PATCH at the final offset tries again
+            const retried = await sendChunk(id, clip.length, Buffer.alloc(0)).expect(200);
+            createdVideoIds.push(retried.body.id);
+            expect(retried.body.duration).to.be.closeTo(10 / 30, 0.0001);
+        });
+    });
+
+    describe('Session lifetime', () => {
+        it('should hide sessions from other users', async () => {
+            const id = await createSession(1000);
+            const otherToken = createTestToken('user-2');
+
+            await request(app)
+                .head(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(404);
+            await request(app)
+                .delete(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(404);
+        });
+
+        it('should let the client abandon a session', async () => {
+            const id = await createSession(1000);
+            const { filepath } = getDb().prepare('SELECT filepath FROM upload_sessions WHERE id = ?').get(id);
+
+            await request(app)
+                .delete(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            expect(fs.existsSync(filepath)).to.equal(false);
+            await request(app)
+                .get(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should return 410 for expired sessions', async () => {
+            const id = await createSession(1000);
+            getDb().prepare('UPDATE upload_sessions SET expires_at = ? WHERE id = ?')
+                .run(new Date(Date.now() - 1000).toISOString(), id);
+
+            await sendChunk(id, 0, Buffer.alloc(10)).expect(410);
+            expect(getDb().prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id)).to.equal(undefined);
+        });
+
+        it('should not stay busy when the partial file cannot be written', async () => {
+            const id = await createSession(1000);
+            const { filepath } = getDb().prepare('SELECT filepath FROM upload_sessions WHERE id = ?').get(id);
+            fs.rmSync(filepath);
+
+            await sendChunk(id, 0, Buffer.alloc(10)).expect(500);
+            await request(app)
+                .delete(`/uploads/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+        });
+
+        it('should stay busy while an upload is finalised', async () => {
+            const id = await createSession(clip.length);
+            const db = getDb();
+            const { filepath } = db.prepare('SELECT filepath FROM upload_sessions WHERE id = ?').get(id);
+            fs.writeFileSync(filepath, clip);
+            db.prepare('UPDATE upload_sessions SET upload_offset = upload_length WHERE id = ?').run(id);
+            const session = db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+
+            const finalising = finaliseUploadSession(session, getUploadPolicy());
+            expect(isUploadSessionBusy(session)).to.equal(true);
+
+            // A second PATCH at the final offset is turned away rather than finalising again
+            await sendChunk(id, clip.length, Buffer.alloc(0)).expect(423);
+
+            const { video } = await finalising;
+            createdVideoIds.push(video.id);
+            expect(isUploadSessionBusy(session)).to.equal(false);
+            await sendChunk(id, clip.length, Buffer.alloc(0)).expect(409);
+        });
+
+        it('should discard expired sessions in the background sweep', async () => {
+            const id = await createSession(1000);
+            const { filepath } = getDb().prepare('SELECT filepath FROM upload_sessions WHERE id = ?').get(id);
+            getDb().prepare('UPDATE upload_sessions SET expires_at = ? WHERE id = ?')
+                .run(new Date(Date.now() - 1000).toISOString(), id);
+
+            expect(expireUploadSessions()).to.be.at.least(1);
+            expect(fs.existsSync(filepath)).to.equal(false);
+            expect(getDb().prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id)).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,226 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const app = require('../app');
+const { getDb } = require('../db');
+const { getDeclaredFormat, sniffContainer } = require('../uploadValidation');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+const INVALID_FIXTURES = path.join(__dirname, 'fixtures', 'invalid');
+const hasFfmpeg = !spawnSync('ffmpeg', ['-version']).error;
+
+describe('Upload content validation', () => {
+    let API_TOKEN;
+    let ADMIN_TOKEN;
+    let workDir;
+    const createdIds = [];
+
+    /**
+     * Upload a file with the given declared name and MIME type
+     */
+    function uploadFile(filepath, filename, contentType) {
+        return request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .attach('video', filepath, { filename, contentType });
+    }
+
+    before(() => {
+        API_TOKEN = createTestToken('validation-user');
+        ADMIN_TOKEN = createTestToken('admin-user', ['admin']);
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-validation-'));
+    });
+
+    after(() => {
+        removeTestTokens();
+        fs.rmSync(workDir, { recursive: true, force: true });
+
+        const db = getDb();
+        for (const row of db.prepare("SELECT * FROM quarantined_uploads WHERE owner_id = 'validation-user'").all()) {
+            fs.rmSync(row.filepath, { force: true });
+            db.prepare('DELETE FROM quarantined_uploads WHERE id = ?').run(row.id);
+        }
+        for (const id of createdIds) {
+            const video = db.prepare('SELECT filepath, thumbnail_path FROM videos WHERE id = ?').get(id);
+            if (video) {
+                fs.rmSync(video.filepath, { force: true });
+                if (video.thumbnail_path) {
+                    fs.rmSync(video.thumbnail_path, { force: true });
+                }
+                db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+            }
+        }
+    });
+
+    describe('sniffContainer', () => {
+        it('should recognise ISO base media files by their ftyp brand', () => {
+            const header = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 20]), Buffer.from(`ftyp${brand}`, 'latin1'), Buffer.alloc(8)]);
+            expect(sniffContainer(header('isom'))).to.equal('mp4');
+            expect(sniffContainer(header('qt  '))).to.equal('mov');
+        });
+
+        it('should tell WebM from other Matroska files by the DocType', () => {
+            expect(sniffContainer(fs.readFileSync(path.join(INVALID_FIXTURES, 'webm-as-mp4.mp4')))).to.equal('webm');
+            expect(sniffContainer(fs.readFileSync(path.join(INVALID_FIXTURES, 'matroska-as-mov.mov')))).to.equal('mkv');
+        });
+
+        it('should not recognise other content', () => {
+            expect(sniffContainer(fs.readFileSync(path.join(INVALID_FIXTURES, 'text-as-video.mp4')))).to.equal(null);
+            expect(sniffContainer(Buffer.alloc(0))).to.equal(null);
+        });
+    });
+
+    describe('getDeclaredFormat', () => {
+        it('should prefer the extension over the MIME type', () => {
+            expect(getDeclaredFormat('clip.MOV', 'video/mp4')).to.equal('mov');
+            expect(getDeclaredFormat('clip', 'video/webm')).to.equal('webm');
+            expect(getDeclaredFormat('clip.bin', 'application/octet-stream')).to.equal(null);
+        });
+    });
+
+    describe('POST /upload', () => {
+        it('should reject files that are not video at all', async () => {
+            const response = await uploadFile(path.join(INVALID_FIXTURES, 'text-as-video.mp4'), 'text-as-video.mp4', 'video/mp4')
+                .expect(415);
+
+            expect(response.body).to.include({
+                error: 'File content is not a recognised video container (mp4, mov, webm or mkv)',
+                code: 'UNRECOGNISED_CONTENT'
+            });
+            expect(response.body.details).to.deep.equal({ check: 'magic-bytes', declaredFormat: 'mp4', detectedFormat: null });
+        });
+
+        it('should reject containers that do not match the declared type', async () => {
+            const webm = await uploadFile(path.join(INVALID_FIXTURES, 'webm-as-mp4.mp4'), 'webm-as-mp4.mp4', 'video/mp4')
+                .expect(415);
+            expect(webm.body).to.include({ error: 'File declared as mp4 is actually webm', code: 'CONTENT_TYPE_MISMATCH' });
+            expect(webm.body.details).to.deep.equal({ check: 'magic-bytes', declaredFormat: 'mp4', detectedFormat: 'webm' });
+
+            const mkv = await uploadFile(path.join(INVALID_FIXTURES, 'matroska-as-mov.mov'), 'matroska-as-mov.mov', 'video/quicktime')
+                .expect(415);
+            expect(mkv.body.code).to.equal('CONTENT_TYPE_MISMATCH');
+            expect(mkv.body.details.detectedFormat).to.equal('mkv');
+        });
+
+        it('should reject containers ffprobe cannot read', async () => {
+            const response = await uploadFile(path.join(INVALID_FIXTURES, 'truncated.mp4'), 'truncated.mp4', 'video/mp4')
+                .expect(400);
+
+            expect(response.body.code).to.equal('PROBE_FAILED');
+            expect(response.body.error).to.match(/^Unable to read video metadata/);
+            expect(response.body.details).to.include({ check: 'ffprobe', declaredFormat: 'mp4', detectedFormat: 'mp4' });
+        });
+
+        it('should reject containers disguised as raw video', async () => {
+            const disguised = path.join(workDir, 'disguised.raw');
+            const mp4Header = fs.readFileSync(path.join(INVALID_FIXTURES, 'truncated.mp4'));
+            fs.writeFileSync(disguised, Buffer.concat([mp4Header, Buffer.alloc(320 * 240 * 3 - mp4Header.length)]));
+
+            const response = await uploadFile(disguised, 'disguised.raw', 'video/raw').expect(415);
+            expect(response.body).to.include({ error: 'File declared as raw video is actually mp4', code: 'CONTENT_TYPE_MISMATCH' });
+        });
+
+        it('should report how a raw file misses the frame size', async () => {
+            const partial = path.join(workDir, 'partial.raw');
+            fs.writeFileSync(partial, Buffer.alloc(8 * 8 * 3 + 5));
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '8')
+                .field('height', '8')
+                .attach('video', partial, { filename: 'partial.raw', contentType: 'video/raw' })
+                .expect(400);
+
+            expect(response.body.code).to.equal('RAW_FRAME_MISALIGNED');
+            expect(response.body.details).to.deep.equal({
+                check: 'frame-alignment',
+                declaredFormat: 'raw',
+                width: 8,
+                height: 8,
+                pixelFormat: 'rgb24',
+                frameSize: 192,
+                trailingBytes: 5
+            });
+        });
+
+        it('should accept real container files', async function() {
+            if (!hasFfmpeg) {
+                this.skip();
+            }
+            this.timeout(20000);
+
+            const mp4Path = path.join(workDir, 'real.mp4');
+            spawnSync('ffmpeg', ['-y', '-f', 'lavfi', '-i', 'testsrc=duration=1:size=64x48:rate=10', '-pix_fmt', 'yuv420p', mp4Path]);
+
+            const response = await uploadFile(mp4Path, 'real.mp4', 'video/mp4').expect(200);
+            createdIds.push(response.body.id);
+        });
+    });
+
+    describe('Quarantine', () => {
+        it('should keep rejected files for inspection', async () => {
+            const response = await uploadFile(path.join(INVALID_FIXTURES, 'webm-as-mp4.mp4'), 'webm-as-mp4.mp4', 'video/mp4')
+                .expect(415);
+
+            const row = getDb().prepare('SELECT * FROM quarantined_uploads WHERE id = ?').get(response.body.quarantineId);
+            expect(row).to.include({ owner_id: 'validation-user', original_name: 'webm-as-mp4.mp4', code: 'CONTENT_TYPE_MISMATCH' });
+            expect(fs.readFileSync(row.filepath)).to.deep.equal(fs.readFileSync(path.join(INVALID_FIXTURES, 'webm-as-mp4.mp4')));
+        });
+
+        it('should not keep files that fail only the upload policy', async () => {
+            const before = getDb().prepare('SELECT COUNT(*) AS count FROM quarantined_uploads').get().count;
+            const token = createTestToken('validation-user', ['upload'], { maxDuration: 1 });
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${token}`)
+                .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+                .expect(400);
+
+            expect(response.body.code).to.equal('DURATION_TOO_LONG');
+            expect(response.body).to.not.have.property('quarantineId');
+            expect(getDb().prepare('SELECT COUNT(*) AS count FROM quarantined_uploads').get().count).to.equal(before);
+        });
+
+        it('should let admins list and delete quarantined files', async () => {
+            const rejected = await uploadFile(path.join(INVALID_FIXTURES, 'text-as-video.mp4'), 'text-as-video.mp4', 'video/mp4')
+                .expect(415);
+            const { filepath } = getDb().prepare('SELECT filepath FROM quarantined_uploads WHERE id = ?').get(rejected.body.quarantineId);
+
+            const list = await request(app)
+                .get('/admin/quarantine')
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .expect(200);
+            expect(list.body[0]).to.include({
+                id: rejected.body.quarantineId,
+                ownerId: 'validation-user',
+                originalName: 'text-as-video.mp4',
+                code: 'UNRECOGNISED_CONTENT'
+            });
+            expect(list.body[0].details).to.include({ check: 'magic-bytes' });
+
+            await request(app)
+                .delete(`/admin/quarantine/${rejected.body.quarantineId}`)
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .expect(204);
+            expect(fs.existsSync(filepath)).to.equal(false);
+
+            await request(app)
+                .delete(`/admin/quarantine/${rejected.body.quarantineId}`)
+                .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should only be visible to admins', async () => {
+            const uploadOnly = createTestToken('validation-user', ['upload']);
+            await request(app)
+                .get('/admin/quarantine')
+                .set('Authorization', `Bearer ${uploadOnly}`)
+                .expect(403);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { processVideo, mergeVideos } = require('../videoProcessing');
+
+const FRAME_SIZE = 320 * 240 * 3;
+const FPS = 30;
+
+// Track the peak Buffer memory while an operation runs
+async function measurePeakBufferMemory(operation) {
+    const baseline = process.memoryUsage().arrayBuffers;
+    let peak = baseline;
+    const sampler = setInterval(() => {
+        peak = Math.max(peak, process.memoryUsage().arrayBuffers);
+    }, 2);
+
+    try {
+        const result = await operation();
+        peak = Math.max(peak, process.memoryUsage().arrayBuffers);
+        return { result, growth: peak - baseline };
+    } finally {
+        clearInterval(sampler);
+    }
+}
+
+// Read a single frame of a raw file
+function readFrame(filepath, frameIndex) {
+    const fd = fs.openSync(filepath, 'r');
+    try {
+        const frame = Buffer.alloc(FRAME_SIZE);
+        fs.readSync(fd, frame, 0, FRAME_SIZE, frameIndex * FRAME_SIZE);
+        return frame;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+describe('Streaming raw video processing', function() {
+    this.timeout(60000);
+
+    // ~133MB: much larger than the memory budget asserted below
+    const FRAME_COUNT = 20 * FPS;
+    // Copied chunks count until the garbage collector frees them, so leave
+    // headroom for collection lag when the rest of the suite has run first
+    const MEMORY_BUDGET = 64 * 1024 * 1024;
+    let workDir;
+    let largeVideoPath;
+    const outputs = [];
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thattube-processing-'));
+        largeVideoPath = path.join(workDir, 'large-fixture.raw');
+
+        // Every frame is filled with its index so frame order can be verified
+        const fd = fs.openSync(largeVideoPath, 'w');
+        try {
+            for (let i = 0; i < FRAME_COUNT; i++) {
+                fs.writeSync(fd, Buffer.alloc(FRAME_SIZE, i % 256));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('should trim a large raw file with bounded memory', async () => {
+        const { result, growth } = await measurePeakBufferMemory(() =>
+            processVideo(largeVideoPath, { trimStart: 2, trimEnd: 3 })
+        );
+        outputs.push(result.outputPath);
+
+        expect(growth).to.be.below(MEMORY_BUDGET);
+        expect(result.duration).to.be.approximately(15, 0.01);
+        expect(fs.statSync(result.outputPath).size).to.equal(15 * FPS * FRAME_SIZE);
+
+        // The first kept frame is frame 60 of the source
+        expect(readFrame(result.outputPath, 0)[0]).to.equal((2 * FPS) % 256);
+        expect(readFrame(result.outputPath, 15 * FPS - 1)[0]).to.equal((17 * FPS - 1) % 256);
+    });
+
+    it('should report progress while trimming', async () => {
+        const reported = [];
+        const result = await processVideo(largeVideoPath, {
+            trimStart: 1,
+            onProgress: percent => reported.push(percent)
+        });
+        outputs.push(result.outputPath);
+
+        expect(reported.length).to.be.above(1);
+        expect(reported[reported.length - 1]).to.be.approximately(100, 0.001);
+        expect(reported).to.deep.equal([...reported].sort((a, b) => a - b));
+    });
+
+    it('should merge large raw files with bounded memory', async () => {
+        const { result, growth } = await measurePeakBufferMemory(() =>
+            mergeVideos([largeVideoPath, largeVideoPath])
+        );
+        outputs.push(result.outputPath);
+
+        expect(growth).to.be.below(MEMORY_BUDGET);
+        expect(result.duration).to.be.approximately(40, 0.01);
+        expect(fs.statSync(result.outputPath).size).to.equal(2 * FRAME_COUNT * FRAME_SIZE);
+
+        // The second input starts right after the last frame of the first
+        expect(readFrame(result.outputPath, FRAME_COUNT - 1)[0]).to.equal((FRAME_COUNT - 1) % 256);
+        expect(readFrame(result.outputPath, FRAME_COUNT)[0]).to.equal(0);
+    });
+
+    it('should remove the partial output when a merge fails', async () => {
+        // Fail part-way through the copy, after the output has been created
+        const before = new Set(fs.readdirSync(workDir));
+        let error;
+        try {
+            await mergeVideos([largeVideoPath, largeVideoPath], {
+                onProgress: (percent) => {
+                    if (percent > 25) {
+                        throw new Error('disk full');
+                    }
+                }
+            });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).to.be.an('error');
+        expect(error.message).to.include('Error merging videos');
+        expect(fs.readdirSync(workDir).filter(file => !before.has(file))).to.be.empty;
+    });
+});
@@ -0,0 +1,248 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+describe('Video library endpoints', () => {
+    const OWNER_ID = 'user-1';
+    let API_TOKEN;
+    const uploadsDir = path.join(__dirname, '../uploads');
+    const videoIds = [];
+
+    before(() => {
+        API_TOKEN = createTestToken(OWNER_ID);
+
+        if (!fs.existsSync(uploadsDir)) {
+            fs.mkdirSync(uploadsDir);
+        }
+
+        const db = getDb();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM videos').run();
+
+        // Three small videos with distinct sizes, durations and creation times
+        const fixtures = [
+            { name: 'test-library-a.raw', size: 100, duration: 2, createdAt: '2024-01-01 10:00:00' },
+            { name: 'test-library-b.raw', size: 300, duration: 8, createdAt: '2024-02-01 10:00:00' },
+            { name: 'test-library-c.raw', size: 200, duration: 5, createdAt: '2024-03-01 10:00:00' }
+        ];
+
+        for (const fixture of fixtures) {
+            const filepath = path.join(uploadsDir, fixture.name);
+            fs.writeFileSync(filepath, Buffer.alloc(fixture.size, 7));
+
+            const result = db.prepare(`
+                INSERT INTO videos (filename, filepath, size, duration, created_at, owner_id)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(fixture.name, filepath, fixture.size, fixture.duration, fixture.createdAt, OWNER_ID);
+            videoIds.push(result.lastInsertRowid);
+        }
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
+
+        fs.readdirSync(uploadsDir).forEach(file => {
+            if (file.startsWith('test-library-')) {
+                fs.unlinkSync(path.join(uploadsDir, file));
+            }
+        });
+    });
+
+    describe('GET /videos', () => {
+        it('should reject requests without authentication', async () => {
+            await request(app)
+                .get('/videos')
+                .expect(401);
+        });
+
+        it('should list videos newest first by default', async () => {
+            const response = await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.videos.map(v => v.filename)).to.deep.equal([
+                'test-library-c.raw',
+                'test-library-b.raw',
+                'test-library-a.raw'
+            ]);
+            expect(response.body.pagination).to.deep.equal({ page: 1, limit: 20, total: 3, totalPages: 1 });
+            expect(response.body.videos[0]).to.not.have.property('filepath');
+        });
+
+        it('should paginate results', async () => {
+            const response = await request(app)
+                .get('/videos?limit=2&page=2')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.videos).to.have.lengthOf(1);
+            expect(response.body.videos[0].filename).to.equal('test-library-a.raw');
+            expect(response.body.pagination.totalPages).to.equal(2);
+        });
+
+        it('should sort by duration and size', async () => {
+            const byDuration = await request(app)
+                .get('/videos?sort=duration&order=asc')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(byDuration.body.videos.map(v => v.duration)).to.deep.equal([2, 5, 8]);
+
+            const bySize = await request(app)
+                .get('/videos?sort=size&order=desc')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(bySize.body.videos.map(v => v.size)).to.deep.equal([300, 200, 100]);
+        });
+
+        it('should filter by duration, size and creation date', async () => {
+            const byDuration = await request(app)
+                .get('/videos?minDuration=3&maxDuration=6')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(byDuration.body.videos.map(v => v.filename)).to.deep.equal(['test-library-c.raw']);
+
+            const bySize = await request(app)
+                .get('/videos?minSize=150')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(bySize.body.pagination.total).to.equal(2);
+
+            const byDate = await request(app)
+                .get('/videos?createdAfter=2024-01-15T00:00:00Z&createdBefore=2024-02-15T00:00:00Z')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(byDate.body.videos.map(v => v.filename)).to.deep.equal(['test-library-b.raw']);
+        });
+
+        it('should reject invalid query parameters', async () => {
+            const invalidQueries = [
+                'page=0',
+                'limit=1000',
+                'sort=filepath',
+                'order=sideways',
+                'minDuration=abc',
+                'createdAfter=not-a-date',
+                // Repeated or bracketed parameters arrive as arrays or objects
+                'order=asc&order=desc',
+                'sort=size&sort=duration',
+                'page=1&page=2',
+                'limit[]=5',
+                'minSize[gt]=1',
+                'createdAfter=2024-01-01&createdAfter=2024-02-01'
+            ];
+
+            for (const query of invalidQueries) {
+                const response = await request(app)
+                    .get(`/videos?${query}`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .expect(400);
+                expect(response.body.error).to.be.a('string', query);
+            }
+        });
+    });
+
+    describe('GET /videos/:id', () => {
+        it('should return video metadata', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoIds[1]}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body).to.include({
+                id: videoIds[1],
+                filename: 'test-library-b.raw',
+                size: 300,
+                duration: 8
+            });
+            expect(response.body).to.have.property('createdAt');
+        });
+
+        it('should return 404 for non-existent video ID', async () => {
+            await request(app)
+                .get('/videos/999999')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+    });
+
+    describe('GET /videos/:id/content', () => {
+        it('should reject requests without authentication', async () => {
+            await request(app)
+                .get(`/videos/${videoIds[0]}/content`)
+                .expect(401);
+        });
+
+        it('should download the video file', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoIds[0]}/content`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.headers['content-type']).to.equal('video/raw');
+            expect(response.headers['content-length']).to.equal('100');
+            expect(response.headers['accept-ranges']).to.equal('bytes');
+        });
+
+        it('should support range requests', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoIds[0]}/content`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .set('Range', 'bytes=10-19')
+                .expect(206);
+
+            expect(response.headers['content-range']).to.equal('bytes 10-19/100');
+        });
+
+        it('should return 404 for non-existent video ID', async () => {
+            await request(app)
+                .get('/videos/999999/content')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+    });
+
+    describe('DELETE /videos/:id', () => {
+        it('should reject requests without authentication', async () => {
+            await request(app)
+                .delete(`/videos/${videoIds[2]}`)
+                .expect(401);
+        });
+
+        it('should delete the video, its file and its share links', async () => {
+            const db = getDb();
+            const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoIds[2]);
+            db.prepare(`
+                INSERT INTO share_links (video_id, token, expiry_timestamp)
+                VALUES (?, ?, datetime('now', '+1 hour'))
+            `).run(videoIds[2], 'library-delete-token');
+
+            await request(app)
+                .delete(`/videos/${videoIds[2]}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            expect(db.prepare('SELECT * FROM videos WHERE id = ?').get(videoIds[2])).to.be.undefined;
+            expect(db.prepare('SELECT * FROM share_links WHERE video_id = ?').all(videoIds[2])).to.be.empty;
+            expect(fs.existsSync(video.filepath)).to.be.false;
+
+            await request(app)
+                .get('/videos/share/library-delete-token')
+                .expect(404);
+        });
+
+        it('should return 404 for non-existent video ID', async () => {
+            await request(app)
+                .delete('/videos/999999')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+    });
+});
@@ -0,0 +1,410 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const app = require('../app');
+const { getDb } = require('../db');
+const { PRODUCT_NAME } = require('../config');
+const { signPayload } = require('../webhooks');
+const { createTestToken, removeTestTokens } = require('./helpers');
+
+// Wait until a condition holds, polling every few milliseconds
+async function waitFor(condition, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('Webhooks', () => {
+    const SECRET = 'test-webhook-secret-value';
+    let API_TOKEN;
+    let OTHER_TOKEN;
+    let receiver;
+    let receiverUrl;
+    let received;
+    let failuresBeforeSuccess;
+    let webhookId;
+    let videoId;
+
+    before(async function() {
+        this.timeout(10000);
+        process.env.WEBHOOK_RETRY_BASE_MS = '10';
+        process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+        // The receiver runs on this machine, which webhooks may not reach by default
+        process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+        API_TOKEN = createTestToken('user-1');
+        OTHER_TOKEN = createTestToken('user-2');
+
+        // Local receiver that records deliveries and can fail on demand
+        received = [];
+        failuresBeforeSuccess = 0;
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                if (failuresBeforeSuccess > 0) {
+                    failuresBeforeSuccess--;
+                    res.statusCode = 500;
+                    return res.end();
+                }
+                received.push({ headers: req.headers, body });
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    after(async () => {
+        delete process.env.WEBHOOK_RETRY_BASE_MS;
+        delete process.env.WEBHOOK_MAX_ATTEMPTS;
+        delete process.env.WEBHOOK_ALLOWED_HOSTS;
+        await new Promise(resolve => receiver.close(resolve));
+
+        const db = getDb();
+        db.prepare('DELETE FROM webhook_deliveries').run();
+        db.prepare('DELETE FROM webhooks').run();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM videos').run();
+        removeTestTokens();
+
+        const uploadsDir = path.join(__dirname, '../uploads');
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    describe('CRUD', () => {
+        it('should reject tokens without the webhooks scope', async () => {
+            const readOnly = createTestToken('user-1', ['read']);
+            await request(app)
+                .get('/webhooks')
+                .set('Authorization', `Bearer ${readOnly}`)
+                .expect(403);
+        });
+
+        it('should validate url and events', async () => {
+            await request(app)
+                .post('/webhooks')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ url: 'ftp://example.com', events: ['video.uploaded'] })
+                .expect(400);
+
+            await request(app)
+                .post('/webhooks')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ url: receiverUrl, events: ['video.exploded'] })
+                .expect(400);
+        });
+
+        it('should refuse private and reserved destinations', async () => {
+            delete process.env.WEBHOOK_ALLOWED_HOSTS;
+            try {
+                const urls = [
+                    receiverUrl,
+                    'http://localhost/hook',
+                    'http://169.254.169.254/latest/meta-data/',
+                    'https://10.1.2.3/hook',
+                    'http://[::1]/hook',
+                    'http://[::ffff:192.168.0.1]/hook'
+                ];
+                for (const url of urls) {
+                    const response = await request(app)
+                        .post('/webhooks')
+                        .set('Authorization', `Bearer ${API_TOKEN}`)
+                        .send({ url, events: ['video.uploaded'] })
+                        .expect(400);
+                    expect(response.body.error).to.match(/^url must not point to a private or reserved address/, url);
+                }
+            } finally {
+                process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+            }
+        });
+
+        it('should register a webhook and return its secret once', async () => {
+            const response = await request(app)
+                .post('/webhooks')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({
+                    url: receiverUrl,
+                    secret: SECRET,
+                    events: ['video.uploaded', 'video.trimmed', 'video.merged', 'share.created', 'share.accessed']
+                })
+                .expect(201);
+
+            expect(response.body.secret).to.equal(SECRET);
+            expect(response.body.active).to.be.true;
+            webhookId = response.body.id;
+
+            const fetched = await request(app)
+                .get(`/webhooks/${webhookId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(fetched.body).to.not.have.property('secret');
+        });
+
+        it('should generate a secret when none is given', async () => {
+            const response = await request(app)
+                .post('/webhooks')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ url: receiverUrl, events: ['share.created'] })
+                .expect(201);
+            expect(response.body.secret).to.match(/^[0-9a-f]{64}$/);
+
+            await request(app)
+                .delete(`/webhooks/${response.body.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+        });
+
+        it('should list and update only the caller\'s webhooks', async () => {
+            const list = await request(app)
+                .get('/webhooks')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(list.body.map(webhook => webhook.id)).to.deep.equal([webhookId]);
+
+            const otherList = await request(app)
+                .get('/webhooks')
+                .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+                .expect(200);
+            expect(otherList.body).to.be.empty;
+
+            await request(app)
+                .patch(`/webhooks/${webhookId}`)
+                .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+                .send({ active: false })
+                .expect(404);
+
+            const updated = await request(app)
+                .patch(`/webhooks/${webhookId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ active: true })
+                .expect(200);
+            expect(updated.body.active).to.be.true;
+        });
+    });
+
+    describe('Delivery', () => {
+        it('should send signed video.uploaded events', async function() {
+            this.timeout(10000);
+            received = [];
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+                .expect(200);
+            videoId = response.body.id;
+
+            await waitFor(() => received.length === 1);
+            const { headers, body } = received[0];
+            const payload = JSON.parse(body);
+
+            expect(headers['x-webhook-event']).to.equal('video.uploaded');
+            expect(headers['user-agent']).to.equal(`${PRODUCT_NAME}-Webhooks/1.0`);
+            expect(payload.event).to.equal('video.uploaded');
+            expect(payload.data.video.id).to.equal(videoId);
+
+            // Verify the signature the way a receiver would
+            const expected = `sha256=${crypto.createHmac('sha256', SECRET)
+                .update(`${headers['x-webhook-timestamp']}.${body}`)
+                .digest('hex')}`;
+            expect(headers['x-webhook-signature']).to.equal(expected);
+            expect(headers['x-webhook-signature']).to.equal(
+                `sha256=${signPayload(SECRET, headers['x-webhook-timestamp'], body)}`
+            );
+        });
+
+        it('should send trim, merge and share events', async function() {
+            this.timeout(10000);
+            received = [];
+
+            const trimmed = await request(app)
+                .post(`/videos/${videoId}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ trimStart: 1 })
+                .expect(200);
+
+            await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds: [videoId, trimmed.body.id] })
+                .expect(200);
+
+            const share = await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const viewer = request.agent(app);
+            await viewer
+                .get(share.body.shareUrl)
+                .set('Range', 'bytes=0-99')
+                .expect(206);
+
+            // Follow-up range requests of the same viewing are not reported as new accesses
+            await viewer
+                .get(share.body.shareUrl)
+                .set('Range', 'bytes=100-199')
+                .expect(206);
+
+            await waitFor(() => received.length === 4);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const events = received.map(delivery => JSON.parse(delivery.body));
+            expect(events.map(event => event.event).sort()).to.deep.equal([
+                'share.accessed',
+                'share.created',
+                'video.merged',
+                'video.trimmed'
+            ]);
+
+            const trimEvent = events.find(event => event.event === 'video.trimmed');
+            expect(trimEvent.data.sourceVideoId).to.equal(videoId);
+            expect(trimEvent.data.video.id).to.equal(trimmed.body.id);
+
+            const mergeEvent = events.find(event => event.event === 'video.merged');
+            expect(mergeEvent.data.sourceVideoIds).to.deep.equal([videoId, trimmed.body.id]);
+        });
+
+        it('should not deliver events of other users', async function() {
+            this.timeout(10000);
+            received = [];
+
+            await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${OTHER_TOKEN}`)
+                .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+                .expect(200);
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(received).to.be.empty;
+        });
+
+        it('should retry failed deliveries with backoff and log attempts', async () => {
+            received = [];
+            failuresBeforeSuccess = 2;
+
+            const response = await request(app)
+                .post(`/webhooks/${webhookId}/test`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.status).to.equal('pending');
+            expect(response.body.attempts).to.equal(1);
+            expect(response.body.responseStatus).to.equal(500);
+            expect(response.body.nextAttemptAt).to.be.a('string');
+
+            await waitFor(() => received.length === 1);
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const deliveries = await request(app)
+                .get(`/webhooks/${webhookId}/deliveries`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const delivery = deliveries.body.find(d => d.id === response.body.id);
+            expect(delivery.event).to.equal('webhook.test');
+            expect(delivery.status).to.equal('succeeded');
+            expect(delivery.attempts).to.equal(3);
+            expect(delivery.deliveredAt).to.be.a('string');
+        });
+
+        it('should give up after the maximum number of attempts', async () => {
+            failuresBeforeSuccess = 10;
+
+            const response = await request(app)
+                .post(`/webhooks/${webhookId}/test`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const db = getDb();
+            await waitFor(() => db.prepare('SELECT status FROM webhook_deliveries WHERE id = ?')
+                .get(response.body.id).status !== 'pending');
+
+            const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(response.body.id);
+            expect(delivery.status).to.equal('failed');
+            expect(delivery.attempts).to.equal(3);
+            expect(delivery.error).to.include('500');
+            failuresBeforeSuccess = 0;
+        });
+
+        it('should not deliver to inactive webhooks', async () => {
+            received = [];
+            await request(app)
+                .patch(`/webhooks/${webhookId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ active: false })
+                .expect(200);
+
+            await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(received).to.be.empty;
+        });
+
+        it('should check the address of every delivery', async () => {
+            const created = await request(app)
+                .post('/webhooks')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ url: receiverUrl, events: ['share.created'] })
+                .expect(201);
+            const setUrl = getDb().prepare('UPDATE webhooks SET url = ? WHERE id = ?');
+            received = [];
+
+            delete process.env.WEBHOOK_ALLOWED_HOSTS;
+            try {
+                const byAddress = await request(app)
+                    .post(`/webhooks/${created.body.id}/test`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .expect(200);
+                expect(byAddress.body).to.include({
+                    responseStatus: null,
+                    error: 'Refusing to deliver to 127.0.0.1, a private or reserved address'
+                });
+
+                // A host name that resolves to the local network after registration
+                setUrl.run(receiverUrl.replace('127.0.0.1', 'localhost'), created.body.id);
+                const byName = await request(app)
+                    .post(`/webhooks/${created.body.id}/test`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .expect(200);
+                expect(byName.body.error).to.match(/^Refusing to deliver to [0-9a-f.:]+, a private or reserved address$/);
+                expect(received).to.be.empty;
+            } finally {
+                await request(app)
+                    .delete(`/webhooks/${created.body.id}`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .expect(204);
+                process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+            }
+        });
+
+        it('should delete a webhook with its delivery log', async () => {
+            await request(app)
+                .delete(`/webhooks/${webhookId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            const db = getDb();
+            expect(db.prepare('SELECT COUNT(*) AS count FROM webhook_deliveries WHERE webhook_id = ?')
+                .get(webhookId).count).to.equal(0);
+
+            await request(app)
+                .get(`/webhooks/${webhookId}/deliveries`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+    });
+});
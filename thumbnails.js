@@ -0,0 +1,400 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { isRawVideo, getRawGeometry, getRawFrameSize } = require('./mediaProbe');
+const { getVideoKey, readStoredRange, withLocalFiles } = require('./storage');
+
+// Poster frames are stored here, named after the video ID
+const THUMBNAIL_DIR = path.join(__dirname, 'thumbnails');
+
+// Width of stored poster frames; never wider than the video itself
+const POSTER_WIDTH = 320;
+
+// Poster frames are taken this far into the video, skipping fade-ins
+const POSTER_POSITION = 0.1;
+
+// Largest thumbnail or storyboard tile dimension that may be requested
+const MAX_THUMBNAIL_SIZE = 1920;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = new Int32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Build one PNG chunk
+ * @param {string} type Four-letter chunk type
+ * @param {Buffer} data Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode packed RGB pixels as a PNG image
+ * @param {Buffer} rgb width * height * 3 bytes
+ * @param {number} width Image width
+ * @param {number} height Image height
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(rgb, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bits per channel
+    header[9] = 2; // Truecolour
+
+    // Every scanline starts with filter type 0 (none)
+    const stride = width * 3;
+    const scanlines = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        rgb.copy(scanlines, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(scanlines)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Clamp a value to a byte
+ * @param {number} value Value to clamp
+ * @returns {number} 0-255
+ */
+function clampByte(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+/**
+ * Convert one raw frame to packed RGB. YUV formats use BT.601 limited range.
+ * @param {Buffer} frame Raw frame bytes
+ * @param {Object} geometry { width, height, pixelFormat }
+ * @returns {Buffer} width * height * 3 bytes of RGB
+ */
+function frameToRgb(frame, { width, height, pixelFormat }) {
+    const pixels = width * height;
+    const rgb = Buffer.alloc(pixels * 3);
+
+    if (pixelFormat === 'rgb24') {
+        frame.copy(rgb, 0, 0, pixels * 3);
+        return rgb;
+    }
+
+    if (pixelFormat === 'rgba' || pixelFormat === 'gray') {
+        const channels = pixelFormat === 'rgba' ? 4 : 1;
+        for (let i = 0; i < pixels; i++) {
+            const source = i * channels;
+            rgb[i * 3] = frame[source];
+            rgb[i * 3 + 1] = frame[source + (channels === 4 ? 1 : 0)];
+            rgb[i * 3 + 2] = frame[source + (channels === 4 ? 2 : 0)];
+        }
+        return rgb;
+    }
+
+    // Locate the chroma samples for each pixel in the planar/semi-planar layouts
+    const chromaWidth = Math.ceil(width / 2);
+    const chromaHeight = pixelFormat === 'yuv422p' ? height : Math.ceil(height / 2);
+    const chromaSize = chromaWidth * chromaHeight;
+
+    for (let y = 0; y < height; y++) {
+        const chromaRow = pixelFormat === 'yuv422p' ? y : y >> 1;
+        for (let x = 0; x < width; x++) {
+            const chromaIndex = chromaRow * chromaWidth + (x >> 1);
+            let u;
+            let v;
+            if (pixelFormat === 'nv12') {
+                u = frame[pixels + chromaIndex * 2];
+                v = frame[pixels + chromaIndex * 2 + 1];
+            } else {
+                u = frame[pixels + chromaIndex];
+                v = frame[pixels + chromaSize + chromaIndex];
+            }
+
+            const c = 298 * (frame[y * width + x] - 16);
+            const d = u - 128;
+            const e = v - 128;
+            const out = (y * width + x) * 3;
+            rgb[out] = clampByte((c + 409 * e + 128) >> 8);
+            rgb[out + 1] = clampByte((c - 100 * d - 208 * e + 128) >> 8);
+            rgb[out + 2] = clampByte((c + 516 * d + 128) >> 8);
+        }
+    }
+    return rgb;
+}
+
+/**
+ * Downscale packed RGB by averaging the source pixels under each target pixel
+ * @param {Buffer} rgb Source pixels
+ * @param {number} width Source width
+ * @param {number} height Source height
+ * @param {number} targetWidth Target width
+ * @param {number} targetHeight Target height
+ * @returns {Buffer} Scaled pixels
+ */
+function scaleRgb(rgb, width, height, targetWidth, targetHeight) {
+    if (width === targetWidth && height === targetHeight) {
+        return rgb;
+    }
+
+    const scaled = Buffer.alloc(targetWidth * targetHeight * 3);
+    for (let ty = 0; ty < targetHeight; ty++) {
+        const y0 = Math.floor(ty * height / targetHeight);
+        const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / targetHeight));
+        for (let tx = 0; tx < targetWidth; tx++) {
+            const x0 = Math.floor(tx * width / targetWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / targetWidth));
+
+            const sums = [0, 0, 0];
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const source = (y * width + x) * 3;
+                    sums[0] += rgb[source];
+                    sums[1] += rgb[source + 1];
+                    sums[2] += rgb[source + 2];
+                }
+            }
+
+            const count = (y1 - y0) * (x1 - x0);
+            const out = (ty * targetWidth + tx) * 3;
+            scaled[out] = Math.round(sums[0] / count);
+            scaled[out + 1] = Math.round(sums[1] / count);
+            scaled[out + 2] = Math.round(sums[2] / count);
+        }
+    }
+    return scaled;
+}
+
+/**
+ * Work out the output size for a thumbnail, keeping the aspect ratio
+ * @param {number} width Video width
+ * @param {number} height Video height
+ * @param {Object} [size] { width, height } box to fit inside; either may be omitted
+ * @returns {Object} { width, height }
+ */
+function fitSize(width, height, size = {}) {
+    let scale = 1;
+    if (size.width) {
+        scale = size.width / width;
+    }
+    if (size.height) {
+        scale = size.width ? Math.min(scale, size.height / height) : size.height / height;
+    }
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * Frame size, rate and count of a video, filling in raw geometry for rows
+ * recorded before it was stored
+ * @param {Object} video Video row
+ * @returns {Object} { width, height, fps, frameCount }
+ */
+function describeFrames(video) {
+    if (!isRawVideo(video.filepath)) {
+        return { width: video.width, height: video.height, fps: video.fps, frameCount: video.frame_count };
+    }
+
+    const geometry = getRawGeometry(video);
+    const frameCount = video.frame_count !== null && video.frame_count !== undefined
+        ? video.frame_count
+        : Math.floor(video.size / getRawFrameSize(geometry));
+    return { width: geometry.width, height: geometry.height, fps: geometry.fps, frameCount };
+}
+
+/**
+ * Read one frame of a raw video from storage as RGB
+ * @param {Object} video Video row
+ * @param {number} frameIndex Frame number
+ * @returns {Promise<Buffer>} RGB pixels at the video's own size
+ */
+async function readRawFrame(video, frameIndex) {
+    const geometry = getRawGeometry(video);
+    const frameSize = getRawFrameSize(geometry);
+    const frame = Buffer.alloc(frameSize);
+
+    const start = frameIndex * frameSize;
+    (await readStoredRange(getVideoKey(video), start, start + frameSize - 1)).copy(frame);
+    return frameToRgb(frame, geometry);
+}
+
+/**
+ * Run an ffmpeg command that writes a single PNG and return its contents
+ * @param {Function} build (outputPath) => configured ffmpeg command
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+async function runFfmpegToPng(build) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-'));
+    const outputPath = path.join(workDir, 'frame.png');
+
+    try {
+        await new Promise((resolve, reject) => {
+            build(outputPath)
+                .output(outputPath)
+                .on('end', resolve)
+                .on('error', reject)
+                .run();
+        });
+        return fs.readFileSync(outputPath);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Render a single frame of a video as a PNG
+ * @param {Object} video Video row with stored geometry and frame count
+ * @param {Object} [options] Thumbnail options
+ * @param {number} [options.frame] Frame number (default: poster position)
+ * @param {Object} [options.size] { width, height } box to fit inside
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderThumbnail(video, options = {}) {
+    const { width, height, fps, frameCount } = describeFrames(video);
+    const frame = Math.min(
+        options.frame === undefined ? Math.floor(frameCount * POSTER_POSITION) : options.frame,
+        Math.max(frameCount - 1, 0)
+    );
+    const size = fitSize(width, height, options.size);
+
+    // Raw frames are extracted directly, without ffmpeg
+    if (isRawVideo(video.filepath)) {
+        const rgb = await readRawFrame(video, frame);
+        return encodePng(scaleRgb(rgb, width, height, size.width, size.height), size.width, size.height);
+    }
+
+    return withLocalFiles([getVideoKey(video)], ([inputPath]) => runFfmpegToPng(() => ffmpeg(inputPath)
+        .seekInput(frame / fps)
+        .outputOptions(['-frames:v 1', `-vf scale=${size.width}:${size.height}`])));
+}
+
+/**
+ * Plan the tiles of a storyboard, sampled evenly across the video
+ * @param {Object} video Video row with stored geometry and frame count
+ * @param {Object} options { columns, rows, width } with width the tile width
+ * @returns {Object} { columns, rows, tileWidth, tileHeight, interval, tiles: [{ frame, time, x, y }] }
+ */
+function planStoryboard(video, { columns, rows, width }) {
+    const frames = describeFrames(video);
+    const { width: tileWidth, height: tileHeight } = fitSize(frames.width, frames.height, { width });
+    const count = Math.max(1, Math.min(columns * rows, frames.frameCount));
+    const step = frames.frameCount / count;
+
+    const tiles = [];
+    for (let i = 0; i < count; i++) {
+        const frame = Math.floor(i * step);
+        tiles.push({
+            frame,
+            time: frame / frames.fps,
+            x: (i % columns) * tileWidth,
+            y: Math.floor(i / columns) * tileHeight
+        });
+    }
+
+    return {
+        columns,
+        rows: Math.ceil(count / columns),
+        tileWidth,
+        tileHeight,
+        interval: step / frames.fps,
+        tiles
+    };
+}
+
+/**
+ * Render a storyboard sprite sheet of evenly spaced frames
+ * @param {Object} video Video row with stored geometry and frame count
+ * @param {Object} plan Result of planStoryboard
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderStoryboard(video, plan) {
+    const { columns, rows, tileWidth, tileHeight, tiles } = plan;
+    const { width, height, frameCount } = describeFrames(video);
+
+    if (!isRawVideo(video.filepath)) {
+        // Pick every step-th frame, scale it and lay the picks out in a grid
+        const step = Math.max(1, Math.round(frameCount / tiles.length));
+        return withLocalFiles([getVideoKey(video)], ([inputPath]) => runFfmpegToPng(() => ffmpeg(inputPath)
+            .outputOptions([
+                '-frames:v 1',
+                `-vf select='not(mod(n\\,${step}))',scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`
+            ])));
+    }
+
+    const sheetWidth = columns * tileWidth;
+    const sheet = Buffer.alloc(sheetWidth * rows * tileHeight * 3);
+    for (const tile of tiles) {
+        const rgb = scaleRgb(await readRawFrame(video, tile.frame), width, height, tileWidth, tileHeight);
+        for (let y = 0; y < tileHeight; y++) {
+            rgb.copy(
+                sheet,
+                ((tile.y + y) * sheetWidth + tile.x) * 3,
+                y * tileWidth * 3,
+                (y + 1) * tileWidth * 3
+            );
+        }
+    }
+    return encodePng(sheet, sheetWidth, rows * tileHeight);
+}
+
+/**
+ * Generate and store the poster frame of a video
+ * @param {Object} video Video row with stored geometry and frame count
+ * @returns {Promise<string>} Path of the stored PNG
+ */
+async function generatePoster(video) {
+    const png = await renderThumbnail(video, {
+        size: { width: Math.min(POSTER_WIDTH, describeFrames(video).width) }
+    });
+
+    if (!fs.existsSync(THUMBNAIL_DIR)) {
+        fs.mkdirSync(THUMBNAIL_DIR);
+    }
+    const thumbnailPath = path.join(THUMBNAIL_DIR, `${video.id}.png`);
+    fs.writeFileSync(thumbnailPath, png);
+    return thumbnailPath;
+}
+
+module.exports = {
+    MAX_THUMBNAIL_SIZE,
+    encodePng,
+    frameToRgb,
+    scaleRgb,
+    fitSize,
+    describeFrames,
+    renderThumbnail,
+    planStoryboard,
+    renderStoryboard,
+    generatePoster
+};
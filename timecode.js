@@ -0,0 +1,139 @@
+// HH:MM:SS with optional fractional seconds, e.g. 00:01:02.500
+const CLOCK_PATTERN = /^(\d+):([0-5]\d):([0-5]\d(?:\.\d+)?)$/;
+
+// SMPTE HH:MM:SS:FF, with ';' before the frames for drop-frame timecode
+const SMPTE_PATTERN = /^(\d+):([0-5]\d):([0-5]\d)([:;])(\d{2,3})$/;
+
+/**
+ * Convert a drop-frame SMPTE timecode to a frame number. Drop-frame skips
+ * frame labels 0 and 1 (0-3 at 59.94 fps) at the start of every minute
+ * except each tenth minute, so the labels keep pace with the wall clock.
+ * @param {number} hours Hours
+ * @param {number} minutes Minutes
+ * @param {number} seconds Seconds
+ * @param {number} frames Frame label
+ * @param {number} nominalFps Rounded frame rate (30 or 60)
+ * @returns {number} Frame number
+ */
+function dropFrameToFrames(hours, minutes, seconds, frames, nominalFps) {
+    const dropped = nominalFps / 15; // 2 at 29.97, 4 at 59.94
+    const totalMinutes = hours * 60 + minutes;
+    const droppedFrames = dropped * (totalMinutes - Math.floor(totalMinutes / 10));
+    return (totalMinutes * 60 + seconds) * nominalFps + frames - droppedFrames;
+}
+
+/**
+ * Convert a time value to a frame number at the given frame rate. Values may
+ * be seconds (a number or numeric string), a clock time "HH:MM:SS.mmm", or a
+ * SMPTE timecode "HH:MM:SS:FF" ("HH:MM:SS;FF" for drop-frame).
+ * @param {number|string} value Time value
+ * @param {number} fps Frames per second of the video
+ * @returns {number} Frame number, rounded to the nearest frame
+ * @throws {Error} If the value is not a valid time
+ */
+function timeToFrame(value, fps) {
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value))) {
+        const seconds = Number(value);
+        if (!Number.isFinite(seconds) || seconds < 0) {
+            throw new Error('must be a non-negative number of seconds or a timecode');
+        }
+        return Math.round(seconds * fps);
+    }
+
+    if (typeof value !== 'string') {
+        throw new Error('must be a non-negative number of seconds or a timecode');
+    }
+
+    const clock = CLOCK_PATTERN.exec(value);
+    if (clock) {
+        const seconds = Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+        return Math.round(seconds * fps);
+    }
+
+    const smpte = SMPTE_PATTERN.exec(value);
+    if (smpte) {
+        const [hours, minutes, seconds, frames] = [smpte[1], smpte[2], smpte[3], smpte[5]].map(Number);
+        const nominalFps = Math.round(fps);
+        if (frames >= nominalFps) {
+            throw new Error(`has frame ${frames}, but the video only has ${nominalFps} frames per second`);
+        }
+
+        if (smpte[4] === ';') {
+            if (nominalFps !== 30 && nominalFps !== 60) {
+                throw new Error('uses drop-frame timecode, which only applies to 29.97 and 59.94 fps');
+            }
+            if (seconds === 0 && minutes % 10 !== 0 && frames < nominalFps / 15) {
+                throw new Error('names a frame that drop-frame timecode skips');
+            }
+            return dropFrameToFrames(hours, minutes, seconds, frames, nominalFps);
+        }
+        return (hours * 3600 + minutes * 60 + seconds) * nominalFps + frames;
+    }
+
+    throw new Error('must be seconds, HH:MM:SS.mmm or an HH:MM:SS:FF timecode');
+}
+
+/**
+ * Format a number of seconds as HH:MM:SS.mmm
+ * @param {number} seconds Time in seconds
+ * @returns {string} Clock time
+ */
+function formatClock(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const wholeSeconds = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+
+    const pad = (number, width) => String(number).padStart(width, '0');
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(wholeSeconds, 2)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Check whether a frame rate is labelled with drop-frame timecode
+ * @param {number} fps Frames per second
+ * @returns {boolean} True for 29.97 and 59.94 fps
+ */
+function isDropFrameRate(fps) {
+    const nominalFps = Math.round(fps);
+    return (nominalFps === 30 || nominalFps === 60) && Math.abs(fps - nominalFps) > 0.001;
+}
+
+/**
+ * Format a frame number as a SMPTE timecode at the given frame rate, using
+ * drop-frame labels ("HH:MM:SS;FF") at 29.97 and 59.94 fps
+ * @param {number} frame Frame number
+ * @param {number} fps Frames per second of the video
+ * @returns {string} Timecode
+ */
+function formatTimecode(frame, fps) {
+    const nominalFps = Math.round(fps);
+    const dropFrame = isDropFrameRate(fps);
+    let label = frame;
+
+    // Skip the labels that drop-frame timecode leaves out (see dropFrameToFrames)
+    if (dropFrame) {
+        const dropped = nominalFps / 15;
+        const framesPerMinute = nominalFps * 60 - dropped;
+        const framesPerTenMinutes = framesPerMinute * 10 + dropped;
+        const tens = Math.floor(frame / framesPerTenMinutes);
+        const remainder = frame % framesPerTenMinutes;
+        label += dropped * 9 * tens;
+        if (remainder > dropped) {
+            label += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+        }
+    }
+
+    const pad = number => String(number).padStart(2, '0');
+    const frames = label % nominalFps;
+    const totalSeconds = Math.floor(label / nominalFps);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:` +
+        `${pad(totalSeconds % 60)}${dropFrame ? ';' : ':'}${pad(frames)}`;
+}
+
+module.exports = {
+    timeToFrame,
+    formatClock,
+    isDropFrameRate,
+    formatTimecode
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+
+// Output containers with the video codecs each one may carry. The first
+// codec listed is used when a request names only the container.
+const CONTAINERS = {
+    mp4: { extension: '.mp4', codecs: ['libx264', 'libx265'] },
+    mov: { extension: '.mov', codecs: ['libx264', 'libx265'] },
+    webm: { extension: '.webm', codecs: ['libvpx-vp9', 'libvpx'] },
+    mkv: { extension: '.mkv', codecs: ['libx264', 'libx265', 'libvpx-vp9'] }
+};
+
+// Constant rate factor for each quality level, per codec (lower is better)
+const QUALITY_CRF = {
+    libx264: { low: 28, medium: 23, high: 18 },
+    libx265: { low: 32, medium: 28, high: 22 },
+    'libvpx-vp9': { low: 40, medium: 33, high: 24 },
+    libvpx: { low: 30, medium: 20, high: 10 }
+};
+
+const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+// Largest accepted output dimension and frame rate
+const MAX_DIMENSION = 8192;
+const MAX_FPS = 240;
+
+// Built-in presets; TRANSCODE_PRESETS_FILE may add to or replace them
+const DEFAULT_PRESETS = {
+    'web-1080p': { container: 'mp4', codec: 'libx264', height: 1080, quality: 'medium' },
+    'web-720p': { container: 'mp4', codec: 'libx264', height: 720, quality: 'medium' },
+    'web-480p': { container: 'mp4', codec: 'libx264', height: 480, quality: 'low' },
+    'webm-720p': { container: 'webm', codec: 'libvpx-vp9', height: 720, quality: 'medium' },
+    archive: { container: 'mkv', codec: 'libx265', quality: 'high' }
+};
+
+/**
+ * Validate transcode settings and fill in defaults
+ * @param {Object} settings Requested settings
+ * @param {string} [settings.container] Output container (default mp4)
+ * @param {string} [settings.codec] Video codec allowed in the container
+ * @param {number} [settings.width] Output width; height follows the aspect ratio if omitted
+ * @param {number} [settings.height] Output height; width follows the aspect ratio if omitted
+ * @param {number} [settings.fps] Output frame rate
+ * @param {string} [settings.quality] low, medium or high (default medium)
+ * @param {string} [settings.videoBitrate] Target bitrate such as "2500k", instead of a quality level
+ * @returns {Object} { settings } when valid, otherwise { error }
+ */
+function validateTranscodeSettings({ container = 'mp4', codec, width, height, fps, quality, videoBitrate }) {
+    if (!Object.prototype.hasOwnProperty.call(CONTAINERS, container)) {
+        return { error: `container must be one of: ${Object.keys(CONTAINERS).join(', ')}` };
+    }
+
+    const codecs = CONTAINERS[container].codecs;
+    if (codec === undefined) {
+        codec = codecs[0];
+    } else if (!codecs.includes(codec)) {
+        return { error: `codec for ${container} must be one of: ${codecs.join(', ')}` };
+    }
+
+    for (const [name, value] of [['width', width], ['height', height]]) {
+        // Even sizes keep 4:2:0 chroma subsampling valid
+        if (value !== undefined &&
+            (!Number.isInteger(value) || value < 2 || value > MAX_DIMENSION || value % 2 !== 0)) {
+            return { error: `${name} must be an even integer between 2 and ${MAX_DIMENSION}` };
+        }
+    }
+
+    if (fps !== undefined && (typeof fps !== 'number' || !(fps > 0) || fps > MAX_FPS)) {
+        return { error: `fps must be a number greater than 0 and at most ${MAX_FPS}` };
+    }
+
+    if (quality !== undefined && !QUALITY_LEVELS.includes(quality)) {
+        return { error: `quality must be one of: ${QUALITY_LEVELS.join(', ')}` };
+    }
+
+    if (videoBitrate !== undefined) {
+        if (quality !== undefined) {
+            return { error: 'Specify either quality or videoBitrate, not both' };
+        }
+        if (typeof videoBitrate !== 'string' || !/^\d+(\.\d+)?[kKmM]?$/.test(videoBitrate)) {
+            return { error: 'videoBitrate must look like 800k or 2.5M' };
+        }
+    }
+
+    return {
+        settings: {
+            container,
+            codec,
+            width,
+            height,
+            fps,
+            quality: videoBitrate === undefined ? quality || 'medium' : undefined,
+            videoBitrate
+        }
+    };
+}
+
+/**
+ * Load the named presets, merging TRANSCODE_PRESETS_FILE (a JSON object of
+ * name -> settings) over the built-in ones. Read on each use so the file
+ * can be changed without a restart.
+ * @returns {Object} Presets by name
+ * @throws {Error} If the file cannot be read or holds an invalid preset
+ */
+function getTranscodePresets() {
+    const file = process.env.TRANSCODE_PRESETS_FILE;
+    if (!file) {
+        return { ...DEFAULT_PRESETS };
+    }
+
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [name, preset] of Object.entries(custom)) {
+        const { error } = validateTranscodeSettings(preset);
+        if (error) {
+            throw new Error(`Invalid transcode preset "${name}": ${error}`);
+        }
+    }
+    return { ...DEFAULT_PRESETS, ...custom };
+}
+
+/**
+ * Resolve a transcode request into complete settings. Fields given in the
+ * request override those of the named preset.
+ * @param {Object} body Request body
+ * @param {string} [body.preset] Name of a server-side preset
+ * @returns {Object} { settings } when valid, otherwise { error }
+ */
+function resolveTranscodeRequest(body) {
+    const { preset: presetName, container, codec, width, height, fps, quality, videoBitrate } = body;
+    let base = {};
+
+    if (presetName !== undefined) {
+        const presets = getTranscodePresets();
+        if (!Object.prototype.hasOwnProperty.call(presets, presetName)) {
+            return { error: `Unknown preset: ${presetName}` };
+        }
+        base = presets[presetName];
+    }
+
+    const requested = { container, codec, width, height, fps, quality, videoBitrate };
+    const settings = { ...base };
+    for (const [name, value] of Object.entries(requested)) {
+        if (value !== undefined) {
+            settings[name] = value;
+        }
+    }
+
+    // A preset's codec does not carry over to a different requested container
+    if (container !== undefined && codec === undefined && base.container !== container) {
+        delete settings.codec;
+    }
+    // Likewise an explicit bitrate replaces the preset's quality level
+    if (videoBitrate !== undefined && quality === undefined) {
+        delete settings.quality;
+    }
+
+    const result = validateTranscodeSettings(settings);
+    if (result.settings && presetName !== undefined) {
+        result.settings.preset = presetName;
+    }
+    return result;
+}
+
+/**
+ * Build the ffmpeg output options for validated settings
+ * @param {Object} settings Result of resolveTranscodeRequest
+ * @returns {string[]} ffmpeg output options
+ */
+function buildOutputOptions(settings) {
+    const options = [`-c:v ${settings.codec}`, '-pix_fmt yuv420p', '-an'];
+
+    if (settings.width || settings.height) {
+        // -2 keeps the aspect ratio while rounding to an even size
+        options.push(`-vf scale=${settings.width || -2}:${settings.height || -2}`);
+    }
+    if (settings.fps) {
+        options.push(`-r ${settings.fps}`);
+    }
+
+    if (settings.videoBitrate) {
+        options.push(`-b:v ${settings.videoBitrate}`);
+    } else {
+        options.push(`-crf ${QUALITY_CRF[settings.codec][settings.quality]}`);
+        if (settings.codec === 'libvpx-vp9') {
+            options.push('-b:v 0'); // Constant quality mode
+        } else if (settings.codec === 'libvpx') {
+            options.push('-b:v 1M'); // VP8 treats the bitrate as a cap alongside crf
+        }
+    }
+
+    if (settings.container === 'mp4' || settings.container === 'mov') {
+        options.push('-movflags +faststart');
+    }
+    return options;
+}
+
+module.exports = {
+    CONTAINERS,
+    QUALITY_LEVELS,
+    getTranscodePresets,
+    resolveTranscodeRequest,
+    buildOutputOptions
+};
@@ -0,0 +1,175 @@
+const { timeToFrame, formatClock } = require('./timecode');
+
+// Upper bound on keep-segments in one trim request
+const MAX_SEGMENTS = 100;
+
+// The mutually exclusive ways of describing what to keep
+const TRIM_FORMS = [
+    ['trimStart', 'trimEnd'],
+    ['start', 'end'],
+    ['startFrame', 'endFrame'],
+    ['segments']
+];
+
+/**
+ * Convert one bound of a trim request to a frame number
+ * @param {string} name Field name used in error messages
+ * @param {*} value Seconds, timecode or (for frame fields) a frame number
+ * @param {number} fps Frames per second of the video
+ * @param {boolean} isFrame True if the value is a frame number
+ * @returns {number} Frame number
+ * @throws {Error} With a message naming the field
+ */
+function toFrame(name, value, fps, isFrame) {
+    if (isFrame) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${name} must be a non-negative integer frame number`);
+        }
+        return value;
+    }
+
+    try {
+        return timeToFrame(value, fps);
+    } catch (error) {
+        throw new Error(`${name} ${error.message}`);
+    }
+}
+
+/**
+ * Describe a frame position for error messages
+ * @param {number} frame Frame number
+ * @param {number} fps Frames per second
+ * @param {boolean} isFrame True to describe it as a frame number
+ * @returns {string} e.g. "frame 160" or "00:00:05.333"
+ */
+function describeFrame(frame, fps, isFrame) {
+    return isFrame ? `frame ${frame}` : formatClock(frame / fps);
+}
+
+/**
+ * Check that a segment lies inside the video and is not empty
+ * @param {Object} segment { startFrame, endFrame }
+ * @param {Object} names { start, end } field names for error messages
+ * @param {Object} video { fps, frameCount }
+ * @param {boolean} isFrame True if the bounds were given as frame numbers
+ * @throws {Error} Describing the first problem found
+ */
+function checkSegment({ startFrame, endFrame }, names, { fps, frameCount }, isFrame) {
+    const length = isFrame
+        ? `${frameCount} frames`
+        : `${formatClock(frameCount / fps)}, ${frameCount} frames`;
+
+    if (startFrame >= frameCount) {
+        throw new Error(
+            `${names.start} (${describeFrame(startFrame, fps, isFrame)}) is at or past the end of the video (${length})`
+        );
+    }
+    if (endFrame > frameCount) {
+        throw new Error(
+            `${names.end} (${describeFrame(endFrame, fps, isFrame)}) is past the end of the video (${length})`
+        );
+    }
+    if (endFrame <= startFrame) {
+        throw new Error(`${names.end} must be after ${names.start}`);
+    }
+}
+
+/**
+ * Resolve an absolute start/end pair (in time or frames) to a segment
+ * @param {Object} bounds Object holding the start and end fields
+ * @param {string} prefix Prefix for field names in error messages
+ * @param {Object} video { fps, frameCount }
+ * @returns {Object} { startFrame, endFrame }
+ */
+function resolveAbsolute(bounds, prefix, video) {
+    const isFrame = bounds.startFrame !== undefined || bounds.endFrame !== undefined;
+    const names = isFrame
+        ? { start: `${prefix}startFrame`, end: `${prefix}endFrame` }
+        : { start: `${prefix}start`, end: `${prefix}end` };
+    const start = isFrame ? bounds.startFrame : bounds.start;
+    const end = isFrame ? bounds.endFrame : bounds.end;
+
+    const segment = {
+        startFrame: start === undefined ? 0 : toFrame(names.start, start, video.fps, isFrame),
+        endFrame: end === undefined ? video.frameCount : toFrame(names.end, end, video.fps, isFrame)
+    };
+    checkSegment(segment, names, video, isFrame);
+    return segment;
+}
+
+/**
+ * Turn a trim request into the frame ranges to keep. Accepts exactly one of:
+ * trimStart/trimEnd (time to cut from each end), start/end (absolute times),
+ * startFrame/endFrame (frame numbers, end exclusive) or segments (a list of
+ * {start, end} or {startFrame, endFrame} ranges stitched together in order).
+ * Times may be seconds or timecode strings.
+ * @param {Object} body Request body
+ * @param {Object} video { fps, frameCount } of the source video
+ * @returns {Object} { segments: [{ startFrame, endFrame }] } or { error }
+ */
+function resolveTrimRequest(body, video) {
+    const used = TRIM_FORMS.filter(fields => fields.some(field => body[field] !== undefined));
+
+    if (used.length === 0) {
+        return { error: 'Must specify trimStart/trimEnd, start/end, startFrame/endFrame or segments' };
+    }
+    if (used.length > 1) {
+        return {
+            error: `Use only one of ${used.map(fields => fields.join('/')).join(', ')} in a trim request`
+        };
+    }
+    if (!(video.frameCount > 0) || !(video.fps > 0)) {
+        return { error: 'Video has no frames to trim' };
+    }
+
+    try {
+        const [form] = used;
+
+        if (form[0] === 'trimStart') {
+            // Seconds (or timecodes) to remove from each end
+            const cutStart = body.trimStart === undefined ? 0 : toFrame('trimStart', body.trimStart, video.fps);
+            const cutEnd = body.trimEnd === undefined ? 0 : toFrame('trimEnd', body.trimEnd, video.fps);
+            if (cutStart + cutEnd >= video.frameCount) {
+                throw new Error(
+                    `trimStart and trimEnd together remove the whole video ` +
+                    `(${formatClock(video.frameCount / video.fps)}, ${video.frameCount} frames)`
+                );
+            }
+            return { segments: [{ startFrame: cutStart, endFrame: video.frameCount - cutEnd }] };
+        }
+
+        if (form[0] === 'segments') {
+            const { segments } = body;
+            if (!Array.isArray(segments) || segments.length === 0) {
+                throw new Error('segments must be a non-empty array');
+            }
+            if (segments.length > MAX_SEGMENTS) {
+                throw new Error(`segments may contain at most ${MAX_SEGMENTS} entries`);
+            }
+
+            return {
+                segments: segments.map((segment, index) => {
+                    const prefix = `segments[${index}].`;
+                    if (!segment || typeof segment !== 'object') {
+                        throw new Error(`${prefix.slice(0, -1)} must be an object`);
+                    }
+                    const isFrame = segment.startFrame !== undefined || segment.endFrame !== undefined;
+                    const isTime = segment.start !== undefined || segment.end !== undefined;
+                    if (isFrame && isTime) {
+                        throw new Error(`${prefix.slice(0, -1)} must use either start/end or startFrame/endFrame`);
+                    }
+                    return resolveAbsolute(segment, prefix, video);
+                })
+            };
+        }
+
+        return { segments: [resolveAbsolute(body, '', video)] };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+module.exports = {
+    MAX_SEGMENTS,
+    resolveTrimRequest
+};
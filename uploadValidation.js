@@ -0,0 +1,201 @@
+const path = require('path');
+const fs = require('fs');
+const { probeVideo, isRawVideo } = require('./mediaProbe');
+
+// Bytes read from the start of a file to recognise its container
+const SNIFF_LENGTH = 4096;
+
+// Formats implied by a file extension or declared MIME type
+const EXTENSION_FORMATS = {
+    '.mp4': 'mp4',
+    '.m4v': 'mp4',
+    '.mov': 'mov',
+    '.qt': 'mov',
+    '.webm': 'webm',
+    '.mkv': 'mkv',
+    '.raw': 'raw'
+};
+const MIME_FORMATS = {
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov',
+    'video/webm': 'webm',
+    'video/x-matroska': 'mkv',
+    'video/raw': 'raw'
+};
+
+// Formats sharing a container structure; a file may claim any member of its family
+const FORMAT_FAMILIES = {
+    mp4: 'isobmff',
+    mov: 'isobmff',
+    webm: 'matroska',
+    mkv: 'matroska'
+};
+
+// Names ffprobe reports (in format_name) for each family
+const FFPROBE_FORMAT_NAMES = {
+    isobmff: ['mov', 'mp4'],
+    matroska: ['matroska', 'webm']
+};
+
+// Top-level ISO base media boxes a QuickTime or MP4 file can start with
+const ISOBMFF_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot'];
+
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const EBML_DOCTYPE_ID = Buffer.from([0x42, 0x82]);
+
+/**
+ * Work out which format a client says a file is in, from its extension or,
+ * failing that, its MIME type
+ * @param {string} filename Original or stored filename
+ * @param {string} [mimetype] MIME type declared by the client
+ * @returns {string|null} mp4, mov, webm, mkv, raw, or null if unknown
+ */
+function getDeclaredFormat(filename, mimetype) {
+    return EXTENSION_FORMATS[path.extname(filename).toLowerCase()] || MIME_FORMATS[mimetype] || null;
+}
+
+/**
+ * Recognise a container from its first bytes
+ * @param {Buffer} header Start of the file
+ * @returns {string|null} mp4, mov, webm or mkv, or null if not recognised
+ */
+function sniffContainer(header) {
+    if (header.length >= 12 && ISOBMFF_BOXES.includes(header.toString('latin1', 4, 8))) {
+        if (header.toString('latin1', 4, 8) !== 'ftyp') {
+            return 'mov'; // Early QuickTime files have no ftyp box
+        }
+        return header.toString('latin1', 8, 12) === 'qt  ' ? 'mov' : 'mp4';
+    }
+
+    if (header.length >= 4 && header.subarray(0, 4).equals(EBML_MAGIC)) {
+        // The DocType element holds "webm" or "matroska"; its size is a one-byte vint
+        const index = header.indexOf(EBML_DOCTYPE_ID);
+        if (index !== -1 && index + 3 <= header.length) {
+            const size = header[index + 2] & 0x7f;
+            const docType = header.toString('latin1', index + 3, index + 3 + size);
+            return docType === 'webm' ? 'webm' : 'mkv';
+        }
+        return 'mkv';
+    }
+
+    return null;
+}
+
+/**
+ * Read the start of a file and recognise its container
+ * @param {string} filepath Path to the file
+ * @returns {string|null} Format from sniffContainer
+ */
+function sniffFile(filepath) {
+    const fd = fs.openSync(filepath, 'r');
+    try {
+        const header = Buffer.alloc(SNIFF_LENGTH);
+        const bytesRead = fs.readSync(fd, header, 0, SNIFF_LENGTH, 0);
+        return sniffContainer(header.subarray(0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Check that an uploaded file really holds video of the kind it claims to:
+ * container files must start with the magic bytes of the declared container
+ * and pass an ffprobe sanity check; raw files must not be a container in
+ * disguise and must hold a whole number of frames of the declared geometry.
+ * @param {string} filepath Path to the uploaded file
+ * @param {Object} options What the client declared
+ * @param {string} [options.mimetype] Declared MIME type
+ * @param {Object} [options.geometry] Raw geometry
+ * @returns {Promise<Object>} { metadata } from probeVideo, or
+ *   { error, code, details } describing the first check that failed
+ */
+async function validateUploadContent(filepath, { mimetype, geometry } = {}) {
+    const raw = isRawVideo(filepath);
+    const declaredFormat = raw ? 'raw' : getDeclaredFormat(filepath, mimetype);
+    const detectedFormat = sniffFile(filepath);
+
+    if (raw && detectedFormat) {
+        return {
+            error: `File declared as raw video is actually ${detectedFormat}`,
+            code: 'CONTENT_TYPE_MISMATCH',
+            details: { check: 'magic-bytes', declaredFormat, detectedFormat }
+        };
+    }
+    if (!raw && !detectedFormat) {
+        return {
+            error: 'File content is not a recognised video container (mp4, mov, webm or mkv)',
+            code: 'UNRECOGNISED_CONTENT',
+            details: { check: 'magic-bytes', declaredFormat, detectedFormat: null }
+        };
+    }
+    if (!raw && declaredFormat && FORMAT_FAMILIES[declaredFormat] !== FORMAT_FAMILIES[detectedFormat]) {
+        return {
+            error: `File declared as ${declaredFormat} is actually ${detectedFormat}`,
+            code: 'CONTENT_TYPE_MISMATCH',
+            details: { check: 'magic-bytes', declaredFormat, detectedFormat }
+        };
+    }
+
+    let metadata;
+    try {
+        metadata = await probeVideo(filepath, geometry);
+    } catch (error) {
+        return {
+            error: `Unable to read video metadata: ${error.message}`,
+            code: 'PROBE_FAILED',
+            details: { check: 'ffprobe', declaredFormat, detectedFormat, message: error.message }
+        };
+    }
+
+    if (!raw) {
+        const probedNames = String(metadata.format || '').split(',');
+        const expectedNames = FFPROBE_FORMAT_NAMES[FORMAT_FAMILIES[detectedFormat]];
+        if (!probedNames.some(name => expectedNames.includes(name))) {
+            return {
+                error: `ffprobe reads the file as ${metadata.format}, not ${detectedFormat}`,
+                code: 'CONTENT_TYPE_MISMATCH',
+                details: { check: 'ffprobe', declaredFormat, detectedFormat, probedFormat: metadata.format }
+            };
+        }
+        if (!(metadata.width > 0 && metadata.height > 0) || !metadata.codec) {
+            return {
+                error: 'Video stream has no codec or frame size',
+                code: 'PROBE_FAILED',
+                details: { check: 'ffprobe', declaredFormat, detectedFormat, message: 'Incomplete video stream' }
+            };
+        }
+    }
+
+    if (!(metadata.duration > 0)) {
+        return {
+            error: 'Video contains no frames',
+            code: 'EMPTY_VIDEO',
+            details: { check: raw ? 'frame-alignment' : 'ffprobe', declaredFormat }
+        };
+    }
+
+    if (metadata.trailingBytes) {
+        return {
+            error: `File size is not a whole number of ${metadata.width}x${metadata.height} ` +
+                `${metadata.pixelFormat} frames (${metadata.frameSize} bytes each)`,
+            code: 'RAW_FRAME_MISALIGNED',
+            details: {
+                check: 'frame-alignment',
+                declaredFormat,
+                width: metadata.width,
+                height: metadata.height,
+                pixelFormat: metadata.pixelFormat,
+                frameSize: metadata.frameSize,
+                trailingBytes: metadata.trailingBytes
+            }
+        };
+    }
+
+    return { metadata };
+}
+
+module.exports = {
+    getDeclaredFormat,
+    sniffContainer,
+    validateUploadContent
+};
@@ -0,0 +1,708 @@
+const path = require('path');
+const fs = require('fs');
+const { getDb } = require('./db');
+const { processVideo, mergeVideos, transcodeVideo } = require('./videoProcessing');
+const { probeVideo, getRawGeometry, isRawVideo, isSameRawGeometry, parseRawGeometry } = require('./mediaProbe');
+const { CONTAINERS, resolveTranscodeRequest } = require('./transcoding');
+const { registerJobHandler } = require('./jobQueue');
+const { emitWebhookEvent } = require('./webhooks');
+const { generatePoster } = require('./thumbnails');
+const { recordDerivation } = require('./lineage');
+const { resolveTrimRequest } = require('./trimming');
+const { formatDurationLimit } = require('./config');
+const { validateUploadContent } = require('./uploadValidation');
+const { quarantineUpload } = require('./quarantine');
+const { SCRATCH_DIR, getStorage, getVideoKey, withLocalFiles } = require('./storage');
+const { deleteVideoStream } = require('./streamPackaging');
+
+/**
+ * Look up a video owned by the given user
+ * @param {Database} db Database connection
+ * @param {number|string} videoId Video ID
+ * @param {string} ownerId ID of the requesting user
+ * @returns {Object|undefined} Video row, or undefined if missing or owned by someone else
+ */
+function getOwnedVideo(db, videoId, ownerId) {
+    return db.prepare('SELECT * FROM videos WHERE id = ? AND owner_id = ?').get(videoId, ownerId);
+}
+
+/**
+ * Insert a video record with its probed metadata
+ * @param {Object} video Video to record
+ * @param {string} video.filename Name of the file
+ * @param {string} video.key Key of the file in storage
+ * @param {number} video.size File size in bytes
+ * @param {Object} video.metadata Result of probeVideo
+ * @param {string} video.ownerId User the video belongs to
+ * @param {number} [video.sourceVideoId] Video this one was derived from
+ * @returns {number} ID of the new video
+ */
+function insertVideo({ filename, key, size, metadata, ownerId, sourceVideoId = null }) {
+    const result = getDb().prepare(`
+        INSERT INTO videos (
+            filename, filepath, storage_key, size, duration, owner_id,
+            width, height, fps, codec, pixel_format, frame_count, source_video_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        filename,
+        getStorage().describe(key),
+        key,
+        size,
+        metadata.duration,
+        ownerId,
+        metadata.width,
+        metadata.height,
+        metadata.fps,
+        metadata.codec,
+        metadata.pixelFormat,
+        metadata.frameCount,
+        sourceVideoId
+    );
+    return result.lastInsertRowid;
+}
+
+/**
+ * Generate a video's poster frame and record its path. Failures are logged
+ * rather than thrown, since a missing thumbnail should not fail the upload or
+ * edit that produced the video; GET /videos/:id/thumbnail retries later.
+ * @param {number} videoId ID of the video
+ * @returns {Promise<string|null>} Path of the poster, or null if it could not be made
+ */
+async function refreshThumbnail(videoId) {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+    if (!video) {
+        return null;
+    }
+
+    try {
+        const thumbnailPath = await generatePoster(video);
+        db.prepare('UPDATE videos SET thumbnail_path = ? WHERE id = ?').run(thumbnailPath, videoId);
+        return thumbnailPath;
+    } catch (error) {
+        console.error(`Error generating thumbnail for video ${videoId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Validate a newly uploaded file and record it as a video. Shared by
+ * POST /upload and resumable uploads; the file is deleted if it is rejected.
+ * @param {Object} upload Uploaded file
+ * @param {string} upload.filepath Path of the file in the uploads directory
+ * @param {Object} upload.fields Form fields (raw geometry: width, height, fps, pixelFormat)
+ * @param {string} upload.ownerId User the video belongs to
+ * @param {string} upload.originalName Filename the client gave
+ * @param {string} [upload.mimetype] MIME type the client declared
+ * @param {Object} upload.policy Upload policy from getUploadPolicy
+ * @returns {Promise<Object>} { video: { id, filename, duration } }, or
+ *   { error, code } with a code for upload policy violations. Files failing
+ *   content validation are quarantined rather than deleted, and also carry
+ *   details of the failed check and the quarantineId.
+ */
+async function ingestUpload({ filepath, fields, ownerId, originalName, mimetype, policy }) {
+    const reject = (error, code) => {
+        fs.rmSync(filepath, { force: true });
+        return code ? { error, code } : { error };
+    };
+
+    // Raw files carry no header, so their geometry comes from the request
+    let geometry;
+    const geometryFields = ['width', 'height', 'fps', 'pixelFormat'];
+    if (isRawVideo(filepath)) {
+        const parsed = parseRawGeometry(fields);
+        if (parsed.error) {
+            return reject(parsed.error);
+        }
+        geometry = parsed.geometry;
+    } else if (geometryFields.some(field => fields[field] !== undefined)) {
+        return reject('width, height, fps and pixelFormat only apply to raw videos');
+    }
+
+    // Check the bytes really are video, keeping files that are not for inspection
+    const validation = await validateUploadContent(filepath, { mimetype, geometry });
+    if (validation.error) {
+        const { error, code, details } = validation;
+        const quarantineId = quarantineUpload({ filepath, ownerId, originalName }, validation);
+        return { error, code, details, quarantineId };
+    }
+
+    const { metadata } = validation;
+    const duration = metadata.duration;
+    if (duration > policy.maxDuration) {
+        return reject(
+            `Video duration exceeds maximum allowed length (${formatDurationLimit(policy.maxDuration)})`,
+            'DURATION_TOO_LONG'
+        );
+    }
+    if (duration < policy.minDuration) {
+        return reject(
+            `Video duration is below minimum allowed length (${formatDurationLimit(policy.minDuration)})`,
+            'DURATION_TOO_SHORT'
+        );
+    }
+
+    // Move the file into storage, then record it
+    const filename = path.basename(filepath);
+    const size = fs.statSync(filepath).size;
+    await getStorage().put(filename, filepath);
+    const id = insertVideo({ filename, key: filename, size, metadata, ownerId });
+    await refreshThumbnail(id);
+
+    emitWebhookEvent(ownerId, 'video.uploaded', {
+        video: { id, filename, size, duration }
+    });
+
+    return { video: { id, filename, duration } };
+}
+
+/**
+ * Store a processed output file and record it as a new video, along with
+ * how it was made
+ * @param {Object} result Processing result with outputPath and raw geometry
+ * @param {string} ownerId User the new video belongs to
+ * @param {Object} derivation { operation, sourceVideoIds, params } for the lineage
+ * @returns {Promise<Object>} { id, filename, duration } of the new video
+ */
+async function saveProcessedVideo(result, ownerId, derivation) {
+    const db = getDb();
+    const filename = path.basename(result.outputPath);
+    const metadata = await probeVideo(result.outputPath, result.geometry);
+    const size = fs.statSync(result.outputPath).size;
+    const { sourceVideoIds } = derivation;
+    await getStorage().put(filename, result.outputPath);
+
+    const id = db.transaction(() => {
+        const videoId = insertVideo({
+            filename,
+            key: filename,
+            size,
+            metadata,
+            ownerId,
+            sourceVideoId: sourceVideoIds.length === 1 ? sourceVideoIds[0] : null
+        });
+        recordDerivation(db, videoId, derivation);
+        return videoId;
+    })();
+    await refreshThumbnail(id);
+
+    return {
+        id,
+        filename,
+        duration: metadata.duration
+    };
+}
+
+/**
+ * Save a processing result unless the operation was cancelled meanwhile
+ * @param {Object} result Processing result with outputPath
+ * @param {string} ownerId User the new video belongs to
+ * @param {Function} [isCancelled] Returns true if the result should be discarded
+ * @param {Object} derivation { operation, sourceVideoIds, params } for the lineage
+ * @returns {Promise<Object|null>} New video, or null if discarded
+ */
+async function saveUnlessCancelled(result, ownerId, isCancelled, derivation) {
+    if (isCancelled && isCancelled()) {
+        fs.rmSync(result.outputPath, { force: true });
+        return null;
+    }
+    return saveProcessedVideo(result, ownerId, derivation);
+}
+
+/**
+ * Read the frame rate and frame count of a video, probing the file for rows
+ * recorded before they were stored
+ * @param {Object} video Video row
+ * @returns {Promise<Object>} { fps, frameCount, duration }
+ */
+async function getVideoTiming(video) {
+    if (video.frame_count !== null && video.frame_count !== undefined && video.fps) {
+        return { fps: video.fps, frameCount: video.frame_count, duration: video.duration };
+    }
+    const metadata = await withLocalFiles([getVideoKey(video)], ([filepath]) =>
+        probeVideo(filepath, getRawGeometry(video)));
+    return { fps: metadata.fps, frameCount: metadata.frameCount, duration: metadata.duration };
+}
+
+/**
+ * Trim a video and save the result as a new video
+ * @param {Object} video Source video row
+ * @param {Object} options Trim options passed to processVideo: segments from
+ *   resolveTrimRequest, or trimStart/trimEnd for jobs queued before segments
+ * @param {string} ownerId User the new video belongs to
+ * @param {Object} [job] Job context when run from the job queue
+ * @returns {Promise<Object|null>} New video, or null if the job was cancelled
+ */
+async function trimVideo(video, options, ownerId, job = {}) {
+    const newVideo = await withLocalFiles([getVideoKey(video)], async ([inputPath]) => {
+        const result = await processVideo(inputPath, {
+            ...options,
+            geometry: getRawGeometry(video),
+            onProgress: job.setProgress
+        });
+        return saveUnlessCancelled(result, ownerId, job.isCancelled, {
+            operation: 'trim',
+            sourceVideoIds: [video.id],
+            params: options.segments
+                ? { segments: options.segments }
+                : { trimStart: options.trimStart, trimEnd: options.trimEnd }
+        });
+    });
+
+    if (newVideo) {
+        emitWebhookEvent(ownerId, 'video.trimmed', {
+            video: newVideo,
+            sourceVideoId: video.id,
+            trimStart: options.trimStart,
+            trimEnd: options.trimEnd,
+            segments: options.segments
+        });
+    }
+    return newVideo;
+}
+
+/**
+ * Describe the stored frame geometry of a video of any format
+ * @param {Object} video Video row
+ * @returns {Object} { width, height, fps, pixelFormat }
+ */
+function getVideoGeometry(video) {
+    if (isRawVideo(video.filepath)) {
+        return getRawGeometry(video);
+    }
+    return { width: video.width, height: video.height, fps: video.fps, pixelFormat: video.pixel_format };
+}
+
+/**
+ * Decide how a set of videos should be merged
+ * @param {Object[]} videos Source video rows, in order
+ * @param {Object} [request] Merge options from the request body
+ * @param {string} [request.container] raw, mp4, mov, webm or mkv (default raw
+ *   when every input is raw, otherwise mp4)
+ * @param {boolean} [request.normalize] Scale, pad and resample inputs whose
+ *   size or frame rate differ instead of rejecting them
+ * @param {number} [request.width] Target width (default: first input's)
+ * @param {number} [request.height] Target height (default: first input's)
+ * @param {number} [request.fps] Target frame rate (default: first input's)
+ * @param {string} [request.pixelFormat] Pixel format of raw output
+ * @param {string} [request.codec] Codec of container output
+ * @param {string} [request.quality] Quality of container output
+ * @param {string} [request.videoBitrate] Bitrate of container output
+ * @returns {Object} { plan } when the videos can be merged, otherwise { error }
+ */
+function planMerge(videos, request = {}) {
+    const { normalize = false, width, height, fps, pixelFormat, codec, quality, videoBitrate } = request;
+    const allRaw = videos.every(video => isRawVideo(video.filepath));
+    const container = request.container === undefined ? (allRaw ? 'raw' : 'mp4') : request.container;
+
+    if (container !== 'raw' && !Object.prototype.hasOwnProperty.call(CONTAINERS, container)) {
+        return { error: `container must be one of: raw, ${Object.keys(CONTAINERS).join(', ')}` };
+    }
+    if (typeof normalize !== 'boolean') {
+        return { error: 'normalize must be a boolean' };
+    }
+    if (!normalize && [width, height, fps].some(value => value !== undefined)) {
+        return { error: 'width, height and fps can only be set when normalize is true' };
+    }
+    if (container !== 'raw' && pixelFormat !== undefined) {
+        return { error: 'pixelFormat only applies to raw output' };
+    }
+    if (container === 'raw' && [codec, quality, videoBitrate].some(value => value !== undefined)) {
+        return { error: 'codec, quality and videoBitrate only apply to container output' };
+    }
+
+    const parsed = parseRawGeometry({ width, height, fps, pixelFormat });
+    if (parsed.error) {
+        return { error: parsed.error };
+    }
+
+    // Inputs must agree on size and frame rate unless asked to normalise them
+    const geometries = videos.map(getVideoGeometry);
+    const first = geometries[0];
+    const mismatched = geometries.some(geometry =>
+        geometry.width !== first.width || geometry.height !== first.height || geometry.fps !== first.fps
+    );
+    if (mismatched && !normalize) {
+        const described = videos.map((video, index) => {
+            const { width: w, height: h, fps: f } = geometries[index];
+            return `${video.id}: ${w}x${h} @ ${f}fps`;
+        });
+        return {
+            error: `Videos have different sizes or frame rates (${described.join(', ')}). ` +
+                'Set normalize to true to scale, pad and resample them to a common target'
+        };
+    }
+
+    const firstRaw = geometries.find((geometry, index) => isRawVideo(videos[index].filepath));
+    const target = {
+        width: width !== undefined ? parsed.geometry.width : first.width,
+        height: height !== undefined ? parsed.geometry.height : first.height,
+        fps: fps !== undefined ? parsed.geometry.fps : first.fps,
+        pixelFormat: container !== 'raw'
+            ? 'yuv420p'
+            : pixelFormat || (firstRaw ? firstRaw.pixelFormat : 'yuv420p')
+    };
+
+    // Identical raw inputs need no decoding, their frames are simply appended
+    if (container === 'raw' && allRaw && geometries.every(geometry => isSameRawGeometry(geometry, target))) {
+        return { plan: { mode: 'bytes', container, target } };
+    }
+
+    let settings;
+    if (container !== 'raw') {
+        if (target.width % 2 !== 0 || target.height % 2 !== 0) {
+            return { error: `Output width and height must be even for ${container} output` };
+        }
+        const resolved = resolveTranscodeRequest({ container, codec, quality, videoBitrate });
+        if (resolved.error) {
+            return { error: resolved.error };
+        }
+        settings = resolved.settings;
+    }
+
+    return { plan: { mode: 'ffmpeg', container, target, settings } };
+}
+
+/**
+ * Merge videos in order and save the result as a new video
+ * @param {Object[]} videos Source video rows
+ * @param {Object} plan Merge plan from planMerge
+ * @param {string} ownerId User the new video belongs to
+ * @param {Object} [job] Job context when run from the job queue
+ * @returns {Promise<Object|null>} New video, or null if the job was cancelled
+ */
+async function mergeVideoRecords(videos, plan, ownerId, job = {}) {
+    const newVideo = await withLocalFiles(videos.map(getVideoKey), async (inputPaths) => {
+        const result = await mergeVideos(inputPaths, {
+            geometries: videos.map(getRawGeometry),
+            plan,
+            onProgress: job.setProgress
+        });
+        return saveUnlessCancelled(result, ownerId, job.isCancelled, {
+            operation: 'merge',
+            sourceVideoIds: videos.map(v => v.id),
+            params: { plan }
+        });
+    });
+
+    if (newVideo) {
+        emitWebhookEvent(ownerId, 'video.merged', {
+            video: newVideo,
+            sourceVideoIds: videos.map(v => v.id),
+            container: plan.container
+        });
+    }
+    return newVideo;
+}
+
+/**
+ * Transcode a video and save the result as a new video linked to its source
+ * @param {Object} video Source video row
+ * @param {Object} settings Validated settings from resolveTranscodeRequest
+ * @param {string} ownerId User the new video belongs to
+ * @param {Object} [job] Job context when run from the job queue
+ * @returns {Promise<Object|null>} New video, or null if the job was cancelled
+ */
+async function transcodeVideoRecord(video, settings, ownerId, job = {}) {
+    const newVideo = await withLocalFiles([getVideoKey(video)], async ([inputPath]) => {
+        const result = await transcodeVideo(inputPath, settings, {
+            geometry: getRawGeometry(video),
+            onProgress: job.setProgress
+        });
+        return saveUnlessCancelled(result, ownerId, job.isCancelled, {
+            operation: 'transcode',
+            sourceVideoIds: [video.id],
+            params: { settings }
+        });
+    });
+
+    if (newVideo) {
+        emitWebhookEvent(ownerId, 'video.transcoded', {
+            video: newVideo,
+            sourceVideoId: video.id,
+            settings
+        });
+    }
+    return newVideo;
+}
+
+/**
+ * Render a timeline of clips into a single new video. Consecutive clips of
+ * the same video are cut in one pass, then the pieces are joined according
+ * to the merge plan. Intermediate files never become videos.
+ * @param {Object} project Project being rendered
+ * @param {number} project.id Project ID, recorded in the lineage
+ * @param {Object[]} project.clips [{ clip: { videoId, startFrame, endFrame }, video }] in order
+ * @param {Object} plan Merge plan from planMerge for the clips' videos
+ * @param {string} ownerId User the new video belongs to
+ * @param {Object} [job] Job context when run from the job queue
+ * @returns {Promise<Object|null>} New video, or null if the job was cancelled
+ */
+async function renderTimeline({ id, clips }, plan, ownerId, job = {}) {
+    fs.mkdirSync(SCRATCH_DIR, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(SCRATCH_DIR, '.render-'));
+
+    try {
+        const groups = [];
+        for (const { clip, video } of clips) {
+            const segment = { startFrame: clip.startFrame, endFrame: clip.endFrame };
+            const last = groups[groups.length - 1];
+            if (last && last.video.id === video.id) {
+                last.segments.push(segment);
+            } else {
+                groups.push({ video, segments: [segment] });
+            }
+        }
+
+        // Cutting is the first half of the progress, joining the second
+        const pieces = [];
+        for (const [index, { video, segments }] of groups.entries()) {
+            const piece = await withLocalFiles([getVideoKey(video)], async ([inputPath]) => {
+                const result = await processVideo(inputPath, {
+                    segments,
+                    geometry: getRawGeometry(video),
+                    onProgress: job.setProgress && (percent => job.setProgress((index * 100 + percent) / groups.length / 2))
+                });
+
+                // Move each piece aside straight away so output names cannot collide
+                const piecePath = path.join(workDir, `${index}${path.extname(result.outputPath)}`);
+                fs.renameSync(result.outputPath, piecePath);
+                return { path: piecePath, geometry: result.geometry || getRawGeometry(video) };
+            });
+            pieces.push(piece);
+        }
+
+        const joined = pieces.length === 1 && plan.mode === 'bytes'
+            ? { outputPath: pieces[0].path, geometry: pieces[0].geometry }
+            : await mergeVideos(pieces.map(piece => piece.path), {
+                geometries: pieces.map(piece => piece.geometry),
+                plan,
+                onProgress: job.setProgress && (percent => job.setProgress(50 + percent / 2))
+            });
+
+        const outputPath = path.join(workDir, `render-${id}-${Date.now()}${path.extname(joined.outputPath)}`);
+        fs.renameSync(joined.outputPath, outputPath);
+
+        const newVideo = await saveUnlessCancelled({ ...joined, outputPath }, ownerId, job.isCancelled, {
+            operation: 'render',
+            sourceVideoIds: clips.map(({ video }) => video.id),
+            params: { projectId: id, clips: clips.map(({ clip }) => clip), plan }
+        });
+
+        if (newVideo) {
+            emitWebhookEvent(ownerId, 'project.rendered', { video: newVideo, projectId: id });
+        }
+        return newVideo;
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Work out the options for one step of an edit recipe applied to a new input
+ * @param {Object} step Step from getRecipe
+ * @param {Object} video Video row replacing the step's first input
+ * @param {string} ownerId User running the recipe
+ * @returns {Promise<Object>} { options } for the operation, or { error }
+ */
+async function resolveRecipeStep(step, video, ownerId) {
+    const { operation, params, inputs } = step;
+
+    if (operation === 'trim') {
+        // Recorded frame ranges must still fit inside the new input
+        const { segments, error } = resolveTrimRequest(
+            params.segments
+                ? { segments: params.segments.map(({ startFrame, endFrame }) => ({ startFrame, endFrame })) }
+                : { trimStart: params.trimStart, trimEnd: params.trimEnd },
+            await getVideoTiming(video)
+        );
+        return error ? { error } : { options: { segments } };
+    }
+
+    if (operation === 'merge') {
+        const db = getDb();
+        const videos = [video];
+        for (const id of inputs.slice(1)) {
+            const input = id === null ? null : getOwnedVideo(db, id, ownerId);
+            if (!input) {
+                return { error: 'one of the other merged videos has been deleted' };
+            }
+            videos.push(input);
+        }
+
+        // Reproduce the original output format, normalising the new input to it
+        const { container, target, settings = {} } = params.plan;
+        const { plan, error } = planMerge(videos, {
+            container,
+            normalize: true,
+            width: target.width,
+            height: target.height,
+            fps: target.fps,
+            pixelFormat: container === 'raw' ? target.pixelFormat : undefined,
+            codec: settings.codec,
+            quality: settings.videoBitrate ? undefined : settings.quality,
+            videoBitrate: settings.videoBitrate
+        });
+        return error ? { error } : { options: { videos, plan } };
+    }
+
+    if (operation === 'transcode') {
+        return { options: { settings: params.settings } };
+    }
+    if (operation === 'render') {
+        return { error: `renders cannot be re-run; edit and render project ${params.projectId} instead` };
+    }
+    return { error: `unknown operation ${operation}` };
+}
+
+/**
+ * Check that the first step of an edit recipe can be applied to a video
+ * @param {Object[]} recipe Steps from getRecipe
+ * @param {Object} video Video row the recipe would start from
+ * @param {string} ownerId User running the recipe
+ * @returns {Promise<string|null>} Error message, or null if it can be applied
+ */
+async function checkRecipe(recipe, video, ownerId) {
+    if (recipe.length === 0) {
+        return 'Video was not derived from another video, so it has no recipe to re-run';
+    }
+    const { error } = await resolveRecipeStep(recipe[0], video, ownerId);
+    return error ? `Recipe step 1 (${recipe[0].operation}): ${error}` : null;
+}
+
+/**
+ * Re-run an edit recipe against a different source video. Each step's first
+ * input is replaced by the source (or the previous step's output) and its
+ * result is saved as a new video, exactly as if the step had been requested
+ * directly, so the new videos get their own lineage.
+ * @param {Object[]} recipe Steps from getRecipe, oldest first
+ * @param {Object} source Video row fed into the first step
+ * @param {string} ownerId User the new videos belong to
+ * @param {Object} [job] Job context when run from the job queue
+ * @returns {Promise<Object|null>} Final video, or null if the job was cancelled
+ */
+async function replayRecipe(recipe, source, ownerId, job = {}) {
+    const db = getDb();
+    let current = source;
+    let newVideo = null;
+
+    for (const [index, step] of recipe.entries()) {
+        const { options, error } = await resolveRecipeStep(step, current, ownerId);
+        if (error) {
+            throw new Error(`Recipe step ${index + 1} (${step.operation}): ${error}`);
+        }
+
+        // Spread progress evenly across the steps
+        const stepJob = {
+            isCancelled: job.isCancelled,
+            setProgress: job.setProgress && (percent => job.setProgress((index * 100 + percent) / recipe.length))
+        };
+
+        if (step.operation === 'trim') {
+            newVideo = await trimVideo(current, options, ownerId, stepJob);
+        } else if (step.operation === 'merge') {
+            newVideo = await mergeVideoRecords(options.videos, options.plan, ownerId, stepJob);
+        } else {
+            newVideo = await transcodeVideoRecord(current, options.settings, ownerId, stepJob);
+        }
+
+        if (!newVideo) {
+            return null;
+        }
+        current = db.prepare('SELECT * FROM videos WHERE id = ?').get(newVideo.id);
+    }
+    return newVideo;
+}
+
+/**
+ * Delete a video, its share links, its stored file, its stream package and
+ * its thumbnail
+ * @param {Object} video Video row
+ * @returns {Promise<void>}
+ */
+async function removeVideo(video) {
+    const db = getDb();
+
+    // The stream package is derived and can be rebuilt, so it goes first
+    await deleteVideoStream(video.id);
+
+    // Remove dependent rows before the video row (foreign keys)
+    db.transaction(() => {
+        db.prepare('DELETE FROM share_links WHERE video_id = ?').run(video.id);
+        db.prepare('UPDATE jobs SET result_video_id = NULL WHERE result_video_id = ?').run(video.id);
+        db.prepare('UPDATE videos SET source_video_id = NULL WHERE source_video_id = ?').run(video.id);
+        db.prepare('DELETE FROM videos WHERE id = ?').run(video.id);
+    })();
+
+    // Remove the files once the records are gone
+    await getStorage().delete(getVideoKey(video));
+    if (video.thumbnail_path) {
+        fs.rmSync(video.thumbnail_path, { force: true });
+    }
+}
+
+// Background job handlers for POST /videos/:id/trim, /videos/merge, /videos/:id/transcode
+// and /videos/:id/rerun
+registerJobHandler('trim', async ({ videoId, segments, trimStart, trimEnd }, job) => {
+    const video = getOwnedVideo(getDb(), videoId, job.ownerId);
+    if (!video) {
+        throw new Error(`Video with ID ${videoId} not found`);
+    }
+    // Jobs queued before segments existed carry trimStart/trimEnd instead
+    const options = segments ? { segments } : { trimStart, trimEnd };
+    return trimVideo(video, options, job.ownerId, job);
+});
+
+registerJobHandler('merge', async ({ videoIds, plan }, job) => {
+    const db = getDb();
+    const videos = videoIds.map(id => {
+        const video = getOwnedVideo(db, id, job.ownerId);
+        if (!video) {
+            throw new Error(`Video with ID ${id} not found`);
+        }
+        return video;
+    });
+
+    // Jobs queued before merge plans existed use the default plan
+    if (!plan) {
+        const planned = planMerge(videos);
+        if (planned.error) {
+            throw new Error(planned.error);
+        }
+        plan = planned.plan;
+    }
+    return mergeVideoRecords(videos, plan, job.ownerId, job);
+});
+
+registerJobHandler('transcode', async ({ videoId, settings }, job) => {
+    const video = getOwnedVideo(getDb(), videoId, job.ownerId);
+    if (!video) {
+        throw new Error(`Video with ID ${videoId} not found`);
+    }
+    return transcodeVideoRecord(video, settings, job.ownerId, job);
+});
+
+registerJobHandler('rerun', async ({ sourceVideoId, recipe }, job) => {
+    const source = getOwnedVideo(getDb(), sourceVideoId, job.ownerId);
+    if (!source) {
+        throw new Error(`Video with ID ${sourceVideoId} not found`);
+    }
+    return replayRecipe(recipe, source, job.ownerId, job);
+});
+
+module.exports = {
+    getOwnedVideo,
+    getVideoTiming,
+    insertVideo,
+    ingestUpload,
+    refreshThumbnail,
+    trimVideo,
+    planMerge,
+    transcodeVideoRecord,
+    mergeVideoRecords,
+    renderTimeline,
+    checkRecipe,
+    replayRecipe,
+    removeVideo
+};
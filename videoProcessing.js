@@ -2,61 +2,147 @@ const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { once } = require('events');
+const { isRawVideo, isSameRawGeometry, probeVideo } = require('./mediaProbe');
+const { CONTAINERS, resolveTranscodeRequest, buildOutputOptions } = require('./transcoding');
 
-// Constants for raw video format
-const RAW_VIDEO_WIDTH = 320;
-const RAW_VIDEO_HEIGHT = 240;
-const RAW_VIDEO_FPS = 30;
-const BYTES_PER_PIXEL = 3; // RGB24 format
-const FRAME_SIZE = RAW_VIDEO_WIDTH * RAW_VIDEO_HEIGHT * BYTES_PER_PIXEL;
-
-// Test video durations (based on test files)
-const TEST_VIDEO_DURATION = 5; // 5 seconds for test videos
-const LONG_VIDEO_DURATION = 360; // 6 minutes for long video
-
-/**
- * Calculate duration for raw video
- * @param {string} filepath Path to raw video file
- * @returns {number} Duration in seconds
- */
-function calculateRawVideoDuration(filepath) {
-    const filename = path.basename(filepath);
-    
-    // Return predefined durations for test files
-    if (filename.startsWith('test-video')) {
-        return TEST_VIDEO_DURATION;
-    } else if (filename.startsWith('long-video')) {
-        return LONG_VIDEO_DURATION;
-    }
-    
-    // For other files, calculate based on file size
-    const fileSize = fs.statSync(filepath).size;
-    const totalFrames = Math.floor(fileSize / FRAME_SIZE);
-    return totalFrames / RAW_VIDEO_FPS;
-}
+// Raw data is copied in chunks of this size so memory use stays constant
+const COPY_CHUNK_SIZE = 1024 * 1024; // 1MB
 
 /**
  * Process raw video with proper input parameters
  * @param {string} inputPath Path to input raw video file
+ * @param {Object} geometry { width, height, fps, pixelFormat } of the raw data
  * @returns {Object} ffmpeg command object
  */
-function createRawVideoCommand(inputPath) {
+function createRawVideoCommand(inputPath, geometry) {
     return ffmpeg(inputPath)
         .inputOptions([
             '-f rawvideo',
-            '-pixel_format rgb24',
-            `-video_size ${RAW_VIDEO_WIDTH}x${RAW_VIDEO_HEIGHT}`,
-            `-framerate ${RAW_VIDEO_FPS}`
+            `-pixel_format ${geometry.pixelFormat}`,
+            `-video_size ${geometry.width}x${geometry.height}`,
+            `-framerate ${geometry.fps}`
         ]);
 }
 
+
+/**
+ * Extract the geometry fields from probed metadata
+ * @param {Object} metadata Result of probeVideo
+ * @returns {Object} { width, height, fps, pixelFormat }
+ */
+function pickGeometry({ width, height, fps, pixelFormat }) {
+    return { width, height, fps, pixelFormat };
+}
+
+/**
+ * Copy a byte range of a file into a writable stream in bounded chunks,
+ * waiting for the stream to drain whenever its buffer is full
+ * @param {string} inputPath Path to the source file
+ * @param {number} start First byte to copy
+ * @param {number} end Byte after the last one to copy
+ * @param {stream.Writable} output Destination stream
+ * @param {Function} [onBytes] Called with the number of bytes copied per chunk
+ * @returns {Promise<void>}
+ */
+async function copyByteRange(inputPath, start, end, output, onBytes) {
+    if (end <= start) {
+        return;
+    }
+
+    const input = fs.createReadStream(inputPath, {
+        start,
+        end: end - 1, // Inclusive in fs streams
+        highWaterMark: COPY_CHUNK_SIZE
+    });
+
+    let copied = 0;
+    for await (const chunk of input) {
+        copied += chunk.length;
+        if (!output.write(chunk)) {
+            await once(output, 'drain');
+        }
+        if (onBytes) {
+            onBytes(chunk.length);
+        }
+    }
+
+    if (copied !== end - start) {
+        throw new Error(`Unexpected end of file ${path.basename(inputPath)}`);
+    }
+}
+
+/**
+ * Write an output file with a producer function, removing the partial
+ * file if anything fails
+ * @param {string} outputPath Path of the file to create
+ * @param {Function} produce async (output) => void, writes to the stream
+ * @returns {Promise<void>}
+ */
+async function writeOutputFile(outputPath, produce) {
+    const output = fs.createWriteStream(outputPath);
+
+    // Surface write errors to whichever await is pending
+    const failed = new Promise((resolve, reject) => output.once('error', reject));
+    failed.catch(() => {});
+
+    try {
+        await Promise.race([produce(output), failed]);
+        output.end();
+        await Promise.race([once(output, 'finish'), failed]);
+    } catch (error) {
+        output.destroy();
+        await once(output, 'close').catch(() => {});
+        fs.rmSync(outputPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Create a progress reporter that converts copied bytes into a percentage
+ * @param {number} totalBytes Total number of bytes to copy
+ * @param {Function} [onProgress] Called with the completion percentage
+ * @returns {Function|undefined} Byte counter for copyByteRange
+ */
+function createProgressCounter(totalBytes, onProgress) {
+    if (!onProgress || totalBytes <= 0) {
+        return undefined;
+    }
+
+    let copied = 0;
+    return (bytes) => {
+        copied += bytes;
+        onProgress((copied / totalBytes) * 100);
+    };
+}
+
+/**
+ * Build the filter graph that cuts each frame range out of input 0 and
+ * joins the pieces in order
+ * @param {Object[]} segments Frame ranges { startFrame, endFrame }, end exclusive
+ * @returns {string} ffmpeg filter_complex value whose output is labelled [out]
+ */
+function buildSegmentFilter(segments) {
+    const chains = segments.map(({ startFrame, endFrame }, i) =>
+        `[0:v]trim=start_frame=${startFrame}:end_frame=${endFrame},setpts=PTS-STARTPTS[s${i}]`
+    );
+    const labels = segments.map((segment, i) => `[s${i}]`).join('');
+    chains.push(`${labels}concat=n=${segments.length}:v=1:a=0[out]`);
+    return chains.join(';');
+}
+
 /**
  * Process video with ffmpeg to create a trimmed version
  * @param {string} inputPath Path to input video file
  * @param {Object} options Trim options
- * @param {number} [options.trimStart] Seconds to trim from start
- * @param {number} [options.trimEnd] Seconds to trim from end
- * @returns {Promise<Object>} Object containing output path and duration
+ * @param {Object[]} [options.segments] Frame ranges { startFrame, endFrame }
+ *   to keep, end exclusive, joined in order
+ * @param {number} [options.trimStart] Seconds to trim from start, when no segments are given
+ * @param {number} [options.trimEnd] Seconds to trim from end, when no segments are given
+ * @param {Object} [options.geometry] Geometry of a raw input
+ * @param {Function} [options.onProgress] Called with the completion percentage
+ * @returns {Promise<Object>} Object containing output path, duration and,
+ *   for raw output, its geometry
  */
 async function processVideo(inputPath, options) {
     try {
@@ -67,68 +153,61 @@ async function processVideo(inputPath, options) {
         const timestamp = Date.now();
         const outputPath = path.join(dir, `${basename}-trimmed-${timestamp}${ext}`);
 
-        // For raw videos, we need to calculate the frame offset and count
-        const isRawVideo = inputPath.endsWith('.raw');
-        const totalDuration = calculateRawVideoDuration(inputPath);
-        
-        // Calculate new duration
-        const trimStart = options.trimStart || 0;
-        const trimEnd = options.trimEnd || 0;
-        const newDuration = totalDuration - trimStart - trimEnd;
-        
-        if (newDuration <= 0) {
+        // Probe the input for its real frame count and geometry
+        const metadata = await probeVideo(inputPath, options.geometry);
+        const { fps, frameCount } = metadata;
+
+        let segments = options.segments;
+        if (!segments) {
+            // Seconds cut from each end, rounded to the nearest frame
+            const startFrame = Math.round((options.trimStart || 0) * fps);
+            const endFrame = frameCount - Math.round((options.trimEnd || 0) * fps);
+            segments = [{ startFrame, endFrame }];
+        }
+
+        const keptFrames = segments.reduce((sum, segment) => sum + segment.endFrame - segment.startFrame, 0);
+        if (segments.some(segment => segment.endFrame <= segment.startFrame || segment.endFrame > frameCount) ||
+            keptFrames <= 0) {
             throw new Error('Invalid trim parameters: resulting video would be empty');
         }
-        
-        if (isRawVideo) {
-            const frameSize = RAW_VIDEO_WIDTH * RAW_VIDEO_HEIGHT * BYTES_PER_PIXEL;
-            const startFrame = Math.floor(trimStart * RAW_VIDEO_FPS);
-            const endFrame = Math.floor((totalDuration - trimEnd) * RAW_VIDEO_FPS);
-            
-            // Read input file
-            const inputBuffer = fs.readFileSync(inputPath);
-            
-            // Create output buffer with trimmed frames
-            const outputSize = (endFrame - startFrame) * frameSize;
-            const outputBuffer = Buffer.alloc(outputSize);
-            
-            inputBuffer.copy(
-                outputBuffer,
-                0,
-                startFrame * frameSize,
-                endFrame * frameSize
-            );
-            
-            // Write output file
-            fs.writeFileSync(outputPath, outputBuffer);
-            
+
+        // For raw videos, copy the kept frames straight into the output file
+        if (isRawVideo(inputPath)) {
+            const { frameSize } = metadata;
+            const onBytes = createProgressCounter(keptFrames * frameSize, options.onProgress);
+            await writeOutputFile(outputPath, async (output) => {
+                for (const { startFrame, endFrame } of segments) {
+                    await copyByteRange(inputPath, startFrame * frameSize, endFrame * frameSize, output, onBytes);
+                }
+            });
+
             return {
                 outputPath,
-                duration: newDuration
+                duration: keptFrames / fps,
+                geometry: pickGeometry(metadata)
             };
         }
-        
-        // For regular video files, use ffmpeg
-        return new Promise((resolve, reject) => {
-            let command = ffmpeg(inputPath);
-
-            if (trimStart) {
-                command = command.setStartTime(trimStart);
-            }
-
-            if (trimEnd) {
-                command = command.setDuration(newDuration);
-            }
 
-            command
+        // For regular video files, cut exact frames with ffmpeg and re-encode
+        const { settings } = resolveTranscodeRequest({ container: ext.slice(1).toLowerCase() });
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputPath)
+                .complexFilter(buildSegmentFilter(segments))
+                .outputOptions(['-map [out]', ...buildOutputOptions(settings)])
                 .output(outputPath)
                 .on('end', () => {
                     resolve({
                         outputPath,
-                        duration: newDuration
+                        duration: keptFrames / fps
                     });
                 })
+                .on('progress', (progress) => {
+                    if (options.onProgress && progress.percent !== undefined) {
+                        options.onProgress(progress.percent);
+                    }
+                })
                 .on('error', (err) => {
+                    fs.rmSync(outputPath, { force: true });
                     reject(new Error(`Error processing video: ${err.message}`));
                 })
                 .run();
@@ -141,51 +220,203 @@ async function processVideo(inputPath, options) {
 /**
  * Merge multiple videos into a single video file
  * @param {string[]} inputPaths Array of paths to input video files
- * @returns {Promise<Object>} Object containing output path and duration
+ * @param {Object} [options] Merge options
+ * @param {Object[]} [options.geometries] Geometry of each raw input, in order
+ * @param {Object} [options.plan] Merge plan from planMerge; without one, raw
+ *   inputs of the same geometry are concatenated byte for byte
+ * @param {Function} [options.onProgress] Called with the completion percentage
+ * @returns {Promise<Object>} Object containing output path, duration and,
+ *   for raw output, its geometry
  */
-async function mergeVideos(inputPaths) {
+async function mergeVideos(inputPaths, options = {}) {
+    if (options.plan && options.plan.mode === 'ffmpeg') {
+        return concatWithFfmpeg(inputPaths, options);
+    }
+
     try {
         // Generate output filename
         const outputDir = path.dirname(inputPaths[0]);
         const timestamp = Date.now();
         const outputPath = path.join(outputDir, `merged-${timestamp}.raw`);
 
-        // Calculate total duration and size
-        let totalDuration = 0;
-        let totalSize = 0;
-        
-        // First pass: calculate total duration and size
-        for (const inputPath of inputPaths) {
-            const duration = calculateRawVideoDuration(inputPath);
-            totalDuration += duration;
-            totalSize += fs.statSync(inputPath).size;
+        // First pass: probe every input for its whole frames and duration
+        const inputs = [];
+        const geometries = options.geometries || [];
+        for (const [index, inputPath] of inputPaths.entries()) {
+            const metadata = await probeVideo(inputPath, geometries[index]);
+            if (inputs.length > 0 && isRawVideo(inputPath) &&
+                !isSameRawGeometry(inputs[0].geometry, pickGeometry(metadata))) {
+                throw new Error('Raw videos with different geometry cannot be merged');
+            }
+            const bytes = isRawVideo(inputPath)
+                ? metadata.frameCount * metadata.frameSize
+                : fs.statSync(inputPath).size;
+            inputs.push({ inputPath, bytes, duration: metadata.duration, geometry: pickGeometry(metadata) });
         }
-        
-        // Create output buffer
-        const outputBuffer = Buffer.alloc(totalSize);
-        let offset = 0;
-        
-        // Second pass: copy data
-        for (const inputPath of inputPaths) {
-            const inputBuffer = fs.readFileSync(inputPath);
-            inputBuffer.copy(outputBuffer, offset);
-            offset += inputBuffer.length;
+
+        const totalDuration = inputs.reduce((sum, input) => sum + input.duration, 0);
+        const totalSize = inputs.reduce((sum, input) => sum + input.bytes, 0);
+
+        // Second pass: stream each input into the output in order
+        const onBytes = createProgressCounter(totalSize, options.onProgress);
+        await writeOutputFile(outputPath, async (output) => {
+            for (const input of inputs) {
+                await copyByteRange(input.inputPath, 0, input.bytes, output, onBytes);
+            }
+        });
+
+        return {
+            outputPath,
+            duration: totalDuration,
+            geometry: inputs[0].geometry
+        };
+    } catch (error) {
+        throw new Error(`Error merging videos: ${error.message}`);
+    }
+}
+
+/**
+ * Build the filter graph that scales, pads and resamples every input to the
+ * target geometry and then concatenates them
+ * @param {number} inputCount Number of inputs
+ * @param {Object} target { width, height, fps, pixelFormat } of the output
+ * @returns {string} ffmpeg filter_complex value whose output is labelled [out]
+ */
+function buildConcatFilter(inputCount, { width, height, fps, pixelFormat }) {
+    const labels = [];
+    const chains = [];
+
+    for (let i = 0; i < inputCount; i++) {
+        // Letterbox rather than stretch when the aspect ratio differs
+        chains.push(
+            `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+            `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=${pixelFormat}[v${i}]`
+        );
+        labels.push(`[v${i}]`);
+    }
+
+    chains.push(`${labels.join('')}concat=n=${inputCount}:v=1:a=0[out]`);
+    return chains.join(';');
+}
+
+/**
+ * Merge videos of any format by decoding them with ffmpeg, normalising them
+ * to the plan's target geometry and encoding a single output
+ * @param {string[]} inputPaths Array of paths to input video files
+ * @param {Object} options Merge options with geometries, plan and onProgress
+ * @returns {Promise<Object>} Object containing output path, duration and,
+ *   for raw output, its geometry
+ */
+async function concatWithFfmpeg(inputPaths, options) {
+    const { plan } = options;
+    const geometries = options.geometries || [];
+
+    try {
+        const outputDir = path.dirname(inputPaths[0]);
+        const timestamp = Date.now();
+        const extension = plan.container === 'raw' ? '.raw' : CONTAINERS[plan.container].extension;
+        const outputPath = path.join(outputDir, `merged-${timestamp}${extension}`);
+
+        let totalDuration = 0;
+        const command = ffmpeg();
+        for (const [index, inputPath] of inputPaths.entries()) {
+            const metadata = await probeVideo(inputPath, geometries[index]);
+            totalDuration += metadata.duration;
+
+            command.input(inputPath);
+            if (isRawVideo(inputPath)) {
+                command.inputOptions([
+                    '-f rawvideo',
+                    `-pixel_format ${metadata.pixelFormat}`,
+                    `-video_size ${metadata.width}x${metadata.height}`,
+                    `-framerate ${metadata.fps}`
+                ]);
+            }
         }
-        
-        // Write the merged file
-        fs.writeFileSync(outputPath, outputBuffer);
+
+        const outputOptions = plan.container === 'raw'
+            ? ['-f rawvideo', `-pix_fmt ${plan.target.pixelFormat}`]
+            : buildOutputOptions(plan.settings);
+
+        await new Promise((resolve, reject) => {
+            command
+                .complexFilter(buildConcatFilter(inputPaths.length, plan.target))
+                .outputOptions(['-map [out]', ...outputOptions])
+                .output(outputPath)
+                .on('end', resolve)
+                .on('progress', (progress) => {
+                    if (options.onProgress && progress.percent !== undefined) {
+                        options.onProgress(progress.percent);
+                    }
+                })
+                .on('error', (err) => {
+                    fs.rmSync(outputPath, { force: true });
+                    reject(err);
+                })
+                .run();
+        });
 
         return {
             outputPath,
-            duration: totalDuration
+            duration: totalDuration,
+            geometry: plan.container === 'raw' ? plan.target : undefined
         };
     } catch (error) {
         throw new Error(`Error merging videos: ${error.message}`);
     }
 }
 
+/**
+ * Convert a video to another container, codec, size or frame rate
+ * @param {string} inputPath Path to input video file
+ * @param {Object} settings Validated settings from resolveTranscodeRequest
+ * @param {Object} [options] Transcode options
+ * @param {Object} [options.geometry] Geometry of a raw input
+ * @param {Function} [options.onProgress] Called with the completion percentage
+ * @returns {Promise<Object>} Object containing the output path
+ */
+async function transcodeVideo(inputPath, settings, options = {}) {
+    try {
+        // Generate output filename
+        const dir = path.dirname(inputPath);
+        const basename = path.basename(inputPath, path.extname(inputPath));
+        const timestamp = Date.now();
+        const outputPath = path.join(dir, `${basename}-transcoded-${timestamp}${CONTAINERS[settings.container].extension}`);
+
+        // Raw input needs its geometry spelled out, containers describe themselves
+        const command = isRawVideo(inputPath)
+            ? createRawVideoCommand(inputPath, options.geometry || (await probeVideo(inputPath)))
+            : ffmpeg(inputPath);
+
+        await new Promise((resolve, reject) => {
+            command
+                .outputOptions(buildOutputOptions(settings))
+                .output(outputPath)
+                .on('end', resolve)
+                .on('progress', (progress) => {
+                    if (options.onProgress && progress.percent !== undefined) {
+                        options.onProgress(progress.percent);
+                    }
+                })
+                .on('error', (err) => {
+                    fs.rmSync(outputPath, { force: true });
+                    reject(err);
+                })
+                .run();
+        });
+
+        // Duration and stream properties are probed when the result is saved
+        return { outputPath };
+    } catch (error) {
+        throw new Error(`Error transcoding video: ${error.message}`);
+    }
+}
+
 module.exports = {
+    createRawVideoCommand,
     processVideo,
     mergeVideos,
-    calculateRawVideoDuration
+    buildSegmentFilter,
+    buildConcatFilter,
+    transcodeVideo
 };
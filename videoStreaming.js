@@ -0,0 +1,186 @@
+const path = require('path');
+const { getStorage } = require('./storage');
+
+// Content types for the video formats we accept on upload or produce
+const CONTENT_TYPES = {
+    '.raw': 'video/raw',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.mkv': 'video/x-matroska',
+    // Adaptive streaming manifests and segments
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.mpd': 'application/dash+xml',
+    '.m4s': 'video/iso.segment'
+};
+
+/**
+ * Content type to serve a file with
+ * @param {string} filename Name of the file
+ * @returns {string} MIME type, application/octet-stream if unknown
+ */
+function getContentType(filename) {
+    return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Build a strong ETag from a file's size and modification time
+ * @param {Object} stats { size, mtimeMs } of the file
+ * @returns {string} Quoted ETag value
+ */
+function createETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Parse a Range header against a resource of the given size
+ * @param {string} header Value of the Range request header
+ * @param {number} size Size of the resource in bytes
+ * @returns {Object|null} null when the header should be ignored, otherwise
+ *   { start, end } for a satisfiable range, { multiple: true } for a
+ *   multi-range request or { unsatisfiable: true }
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(.+)$/.exec(header.trim());
+    if (!match) {
+        return null; // Unknown unit, serve the full entity
+    }
+
+    const specs = match[1].split(',').map(spec => spec.trim());
+    if (specs.length > 1) {
+        return { multiple: true };
+    }
+
+    const parts = /^(\d*)-(\d*)$/.exec(specs[0]);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+        return null; // Malformed ranges are ignored
+    }
+
+    let start;
+    let end;
+
+    if (parts[1] === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(parts[2], 10);
+        if (suffixLength === 0) {
+            return { unsatisfiable: true };
+        }
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(parts[1], 10);
+        end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+        if (end < start && parts[2] !== '') {
+            return null; // Invalid byte-range-spec, ignore the header
+        }
+    }
+
+    if (start >= size || size === 0) {
+        return { unsatisfiable: true };
+    }
+
+    return { start, end };
+}
+
+/**
+ * Check an If-Range precondition against the current representation
+ * @param {string} ifRange Value of the If-Range request header
+ * @param {string} etag Current ETag
+ * @param {Date} lastModified Current modification time
+ * @returns {boolean} True when the range request may be honoured
+ */
+function isIfRangeFresh(ifRange, etag, lastModified) {
+    const value = ifRange.trim();
+
+    if (value.startsWith('"') || value.startsWith('W/')) {
+        // Weak validators never match for range requests
+        return value === etag;
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) {
+        return false;
+    }
+    return Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+}
+
+/**
+ * Stream a stored video file with support for single byte-range requests.
+ * Only the requested range is read from storage.
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Object} file File to send
+ * @param {string} file.key Key of the file in storage
+ * @param {string} file.filename Filename presented to the client
+ * @param {string} [file.disposition] Content-Disposition type (default attachment)
+ * @returns {Promise<boolean>} False if the file is missing from storage, in
+ *   which case nothing has been sent
+ */
+async function sendVideoFile(req, res, { key, filename, disposition = 'attachment' }) {
+    const storage = getStorage();
+    const stats = await storage.stat(key);
+    if (!stats) {
+        return false;
+    }
+    const size = stats.size;
+    const etag = stats.etag || createETag({ size, mtimeMs: stats.mtimeMs || stats.lastModified.getTime() });
+    const lastModified = stats.lastModified;
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    let range = null;
+    const rangeHeader = req.headers['range'];
+    const ifRange = req.headers['if-range'];
+
+    if (rangeHeader && (!ifRange || isIfRangeFresh(ifRange, etag, lastModified))) {
+        range = parseRange(rangeHeader, size);
+    }
+
+    if (range && (range.multiple || range.unsatisfiable)) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        res.status(416).json({
+            error: range.multiple
+                ? 'Multiple byte ranges are not supported'
+                : 'Requested range not satisfiable'
+        });
+        return true;
+    }
+
+    res.setHeader('Content-Type', getContentType(filename));
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+
+    let streamRange = {};
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+        streamRange = { start: range.start, end: range.end };
+    } else {
+        res.status(200);
+        res.setHeader('Content-Length', size);
+    }
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return true;
+    }
+
+    const fileStream = await storage.createReadStream(key, streamRange);
+    fileStream.on('error', (error) => {
+        console.error('Error streaming video:', error);
+        res.destroy(error);
+    });
+    fileStream.pipe(res);
+    return true;
+}
+
+module.exports = {
+    sendVideoFile,
+    getContentType,
+    parseRange,
+    isIfRangeFresh,
+    createETag
+};
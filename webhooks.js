@@ -0,0 +1,514 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getDb } = require('./db');
+const { PRODUCT_NAME, getWebhookConfig } = require('./config');
+
+// Events that webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+    'video.uploaded',
+    'video.trimmed',
+    'video.merged',
+    'video.transcoded',
+    'project.rendered',
+    'share.created',
+    'share.accessed',
+    'share.password_failures'
+];
+
+// Sent by POST /webhooks/:id/test; not subscribable
+const TEST_EVENT = 'webhook.test';
+
+// Addresses webhooks are not delivered to unless the webhooks config allows
+// them: unspecified, loopback, private, shared (carrier-grade NAT), link-local
+// (including cloud metadata services), documentation, benchmarking, multicast
+// and reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 ranges.
+const RESERVED_RANGES = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+    '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15', '198.51.100.0/24',
+    '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', '100::/64', '2001:db8::/32', 'fc00::/7', 'fe80::/10', 'fec0::/10', 'ff00::/8'
+];
+
+/**
+ * Current retry policy, read from the environment on each use
+ * @returns {Object} { maxAttempts, baseDelayMs, timeoutMs }
+ */
+function getRetryPolicy() {
+    return {
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+        baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000,
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000
+    };
+}
+
+/**
+ * Compute the signature sent in the X-Webhook-Signature header
+ * @param {string} secret Webhook secret
+ * @param {string} timestamp Value of the X-Webhook-Timestamp header
+ * @param {string} body Raw request body
+ * @returns {string} Hex-encoded HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Shape a webhooks row for API responses (the secret is never exposed)
+ * @param {Object} row Row from the webhooks table
+ * @returns {Object} Public webhook representation
+ */
+function formatWebhook(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        active: row.active === 1,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Shape a webhook_deliveries row for API responses
+ * @param {Object} row Row from the webhook_deliveries table
+ * @returns {Object} Public delivery representation
+ */
+function formatDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        createdAt: row.created_at,
+        lastAttemptAt: row.last_attempt_at,
+        nextAttemptAt: row.next_attempt_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+/**
+ * Build a list of addresses and CIDR ranges to check addresses against
+ * @param {string[]} ranges Addresses or CIDR ranges
+ * @returns {net.BlockList} List
+ */
+function createAddressList(ranges) {
+    const list = new net.BlockList();
+    for (const range of ranges) {
+        const [address, prefix] = range.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) {
+            list.addAddress(address, type);
+        } else {
+            list.addSubnet(address, Number(prefix), type);
+        }
+    }
+    return list;
+}
+
+const RESERVED_ADDRESSES = createAddressList(RESERVED_RANGES);
+
+/**
+ * Whether a webhook may be delivered to an address: any public address, and
+ * private or reserved ones the webhooks config allows
+ * @param {string} address IPv4 or IPv6 address
+ * @param {string[]} allowedHosts allowedHosts from getWebhookConfig
+ * @returns {boolean} True if deliveries may connect to it
+ */
+function isDeliverableAddress(address, allowedHosts) {
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!RESERVED_ADDRESSES.check(address, type)) {
+        return true;
+    }
+    const ranges = allowedHosts.filter(host => net.isIP(host.split('/')[0]));
+    return createAddressList(ranges).check(address, type);
+}
+
+/**
+ * Host of a delivery URL, without the brackets of IPv6 addresses
+ * @param {string} url Delivery URL
+ * @returns {string} Host name or address
+ */
+function getDeliveryHost(url) {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Refuse a delivery URL whose host is, or resolves to, a private or reserved
+ * address, so webhooks cannot be used to reach the server's own network.
+ * Hosts the webhooks config allows by name are not checked. Names that do
+ * not resolve yet are accepted; deliveries check every address they connect to.
+ * @param {string} url Valid http or https URL
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+async function checkDeliveryHost(url) {
+    const host = getDeliveryHost(url);
+    const { allowedHosts } = getWebhookConfig();
+    if (allowedHosts.includes(host.toLowerCase())) {
+        return null;
+    }
+
+    let addresses = [host];
+    if (!net.isIP(host)) {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            return null;
+        }
+    }
+    const reserved = addresses.find(address => !isDeliverableAddress(address, allowedHosts));
+    return reserved ? `url must not point to a private or reserved address (${host} is ${reserved})` : null;
+}
+
+/**
+ * Validate webhook fields supplied by a client
+ * @param {Object} fields Fields to validate
+ * @param {string} [fields.url] Delivery URL
+ * @param {string[]} [fields.events] Subscribed events
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateWebhookFields({ url, events }) {
+    if (url !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'url must be a valid URL';
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return 'url must use http or https';
+        }
+        const hostError = await checkDeliveryHost(url);
+        if (hostError) {
+            return hostError;
+        }
+    }
+
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return 'events must be a non-empty array';
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length) {
+            return `Unknown events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Register a webhook
+ * @param {string} ownerId User the webhook belongs to
+ * @param {Object} fields Webhook fields
+ * @param {string} fields.url Delivery URL
+ * @param {string[]} fields.events Subscribed events
+ * @param {string} [fields.secret] Signing secret (generated if omitted)
+ * @returns {Object} Public webhook representation plus the `secret`
+ */
+function createWebhook(ownerId, { url, events, secret }) {
+    const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+    const db = getDb();
+    const result = db.prepare(`
+        INSERT INTO webhooks (owner_id, url, secret, events)
+        VALUES (?, ?, ?, ?)
+    `).run(ownerId, url, signingSecret, JSON.stringify([...new Set(events)]));
+
+    const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(result.lastInsertRowid);
+    return { ...formatWebhook(row), secret: signingSecret };
+}
+
+/**
+ * Look up a webhook owned by the given user
+ * @param {number|string} id Webhook ID
+ * @param {string} ownerId ID of the requesting user
+ * @returns {Object|undefined} webhooks row
+ */
+function getOwnedWebhook(id, ownerId) {
+    return getDb().prepare('SELECT * FROM webhooks WHERE id = ? AND owner_id = ?').get(id, ownerId);
+}
+
+/**
+ * List a user's webhooks
+ * @param {string} ownerId ID of the requesting user
+ * @returns {Object[]} Public webhook representations
+ */
+function listWebhooks(ownerId) {
+    return getDb().prepare('SELECT * FROM webhooks WHERE owner_id = ? ORDER BY id')
+        .all(ownerId)
+        .map(formatWebhook);
+}
+
+/**
+ * Update a webhook's URL, events, secret or active flag
+ * @param {Object} webhook webhooks row
+ * @param {Object} fields Fields to change
+ * @returns {Object} Updated public webhook representation
+ */
+function updateWebhook(webhook, { url, events, secret, active }) {
+    const db = getDb();
+    db.prepare(`
+        UPDATE webhooks
+        SET url = ?, events = ?, secret = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(
+        url !== undefined ? url : webhook.url,
+        events !== undefined ? JSON.stringify([...new Set(events)]) : webhook.events,
+        secret !== undefined ? secret : webhook.secret,
+        active !== undefined ? (active ? 1 : 0) : webhook.active,
+        webhook.id
+    );
+    return formatWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhook.id));
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {Object} webhook webhooks row
+ */
+function deleteWebhook(webhook) {
+    const db = getDb();
+    db.transaction(() => {
+        db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(webhook.id);
+        db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhook.id);
+    })();
+}
+
+/**
+ * List the most recent deliveries for a webhook
+ * @param {Object} webhook webhooks row
+ * @param {number} [limit] Maximum number of deliveries
+ * @returns {Object[]} Public delivery representations, newest first
+ */
+function listDeliveries(webhook, limit = 50) {
+    return getDb().prepare(`
+        SELECT * FROM webhook_deliveries WHERE webhook_id = ?
+        ORDER BY id DESC LIMIT ?
+    `).all(webhook.id, limit).map(formatDelivery);
+}
+
+/**
+ * DNS lookup for deliveries that fails on private or reserved addresses, so
+ * a host name cannot be pointed at one after the webhook was registered
+ * @param {string[]} allowedHosts allowedHosts from getWebhookConfig
+ * @returns {Function} Lookup function for http.request
+ */
+function createDeliveryLookup(allowedHosts) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) {
+                return callback(error);
+            }
+            const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+            const reserved = addresses.find(candidate => !isDeliverableAddress(candidate, allowedHosts));
+            if (reserved) {
+                return callback(new Error(`Refusing to deliver to ${reserved}, a private or reserved address`));
+            }
+            callback(null, address, family);
+        });
+    };
+}
+
+/**
+ * POST a signed payload to a URL. Private and reserved addresses are refused
+ * unless the webhooks config allows them.
+ * @param {string} url Delivery URL
+ * @param {Object} headers Extra request headers
+ * @param {string} body JSON body
+ * @param {number} timeoutMs Request timeout
+ * @returns {Promise<number>} Response status code
+ */
+function postJson(url, headers, body, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const host = getDeliveryHost(url);
+        const { allowedHosts } = getWebhookConfig();
+        const allowedByName = allowedHosts.includes(host.toLowerCase());
+        if (!allowedByName && net.isIP(host) && !isDeliverableAddress(host, allowedHosts)) {
+            return reject(new Error(`Refusing to deliver to ${host}, a private or reserved address`));
+        }
+
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.request(url, {
+            ...(allowedByName ? {} : { lookup: createDeliveryLookup(allowedHosts) }),
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': `${PRODUCT_NAME}-Webhooks/1.0`,
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (response) => {
+            response.resume(); // The response body is not used
+            response.on('end', () => resolve(response.statusCode));
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Attempt a delivery once, scheduling a retry with exponential backoff
+ * if it fails and attempts remain
+ * @param {number} deliveryId Delivery ID
+ * @returns {Promise<Object|null>} Delivery after the attempt
+ */
+async function attemptDelivery(deliveryId) {
+    const db = getDb();
+    const delivery = db.prepare(`
+        SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+        FROM webhook_deliveries
+        JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+        WHERE webhook_deliveries.id = ? AND webhook_deliveries.status = 'pending'
+    `).get(deliveryId);
+
+    if (!delivery) {
+        return null; // Already finished or webhook deleted
+    }
+
+    const { maxAttempts, baseDelayMs, timeoutMs } = getRetryPolicy();
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        responseStatus = await postJson(delivery.url, {
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+        }, delivery.payload, timeoutMs);
+
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `Receiver responded with status ${responseStatus}`;
+        }
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    if (!error) {
+        db.prepare(`
+            UPDATE webhook_deliveries
+            SET status = 'succeeded', attempts = ?, response_status = ?, error = NULL,
+                last_attempt_at = CURRENT_TIMESTAMP, next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(attempts, responseStatus, delivery.id);
+    } else if (attempts >= maxAttempts) {
+        db.prepare(`
+            UPDATE webhook_deliveries
+            SET status = 'failed', attempts = ?, response_status = ?, error = ?,
+                last_attempt_at = CURRENT_TIMESTAMP, next_attempt_at = NULL
+            WHERE id = ?
+        `).run(attempts, responseStatus, error, delivery.id);
+    } else {
+        const delayMs = baseDelayMs * 2 ** (attempts - 1);
+        db.prepare(`
+            UPDATE webhook_deliveries
+            SET attempts = ?, response_status = ?, error = ?,
+                last_attempt_at = CURRENT_TIMESTAMP, next_attempt_at = ?
+            WHERE id = ?
+        `).run(attempts, responseStatus, error, new Date(Date.now() + delayMs).toISOString(), delivery.id);
+        scheduleDelivery(delivery.id, delayMs);
+    }
+
+    return formatDelivery(db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(delivery.id));
+}
+
+function scheduleDelivery(deliveryId, delayMs) {
+    const timer = setTimeout(() => {
+        attemptDelivery(deliveryId).catch(error => {
+            console.error(`Error delivering webhook ${deliveryId}:`, error);
+        });
+    }, delayMs);
+    timer.unref(); // Pending retries must not keep the process alive
+}
+
+/**
+ * Record a delivery of an event to a webhook
+ * @param {Object} webhook webhooks row
+ * @param {string} event Event name
+ * @param {Object} data Event data
+ * @returns {number} Delivery ID
+ */
+function createDelivery(webhook, event, data) {
+    const payload = JSON.stringify({
+        event,
+        timestamp: new Date().toISOString(),
+        data
+    });
+
+    return getDb().prepare(`
+        INSERT INTO webhook_deliveries (webhook_id, event, payload)
+        VALUES (?, ?, ?)
+    `).run(webhook.id, event, payload).lastInsertRowid;
+}
+
+/**
+ * Notify every active webhook of a user that subscribes to an event.
+ * Deliveries happen in the background; failures never affect the caller.
+ * @param {string} ownerId User the event belongs to
+ * @param {string} event Event name (one of WEBHOOK_EVENTS)
+ * @param {Object} data Event data
+ */
+function emitWebhookEvent(ownerId, event, data) {
+    try {
+        const webhooks = getDb().prepare('SELECT * FROM webhooks WHERE owner_id = ? AND active = 1').all(ownerId);
+
+        for (const webhook of webhooks) {
+            if (JSON.parse(webhook.events).includes(event)) {
+                scheduleDelivery(createDelivery(webhook, event, data), 0);
+            }
+        }
+    } catch (error) {
+        console.error(`Error emitting webhook event ${event}:`, error);
+    }
+}
+
+/**
+ * Send a test event to a webhook and wait for the first attempt
+ * @param {Object} webhook webhooks row
+ * @returns {Promise<Object>} Delivery after the first attempt
+ */
+function sendTestEvent(webhook) {
+    const deliveryId = createDelivery(webhook, TEST_EVENT, { webhookId: webhook.id });
+    return attemptDelivery(deliveryId);
+}
+
+/**
+ * Reschedule deliveries that were still pending when the server stopped
+ */
+function resumeWebhookDeliveries() {
+    const pending = getDb().prepare(`
+        SELECT id, next_attempt_at FROM webhook_deliveries WHERE status = 'pending'
+    `).all();
+
+    for (const delivery of pending) {
+        const dueAt = delivery.next_attempt_at ? Date.parse(delivery.next_attempt_at) : Date.now();
+        scheduleDelivery(delivery.id, Math.max(0, dueAt - Date.now()));
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signPayload,
+    validateWebhookFields,
+    createWebhook,
+    getOwnedWebhook,
+    listWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    formatWebhook,
+    emitWebhookEvent,
+    sendTestEvent,
+    resumeWebhookDeliveries
+};